@@ -0,0 +1,107 @@
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { hashToken } = require('../utils/sessions');
+const { isAccessToken, requiredScope, createAccessTokenStore } = require('../utils/accessTokens');
+
+describe('Access token scopes', () => {
+    it('should tell access tokens from JWTs', () => {
+        expect(isAccessToken('etp_abc')).toBe(true);
+        expect(isAccessToken('eyJhbGciOiJIUzI1NiJ9.e30.x')).toBe(false);
+        expect(isAccessToken(undefined)).toBe(false);
+    });
+
+    it('should need read for reads and the area write scope for changes', () => {
+        expect(requiredScope('GET', '/api/expenses')).toBe('read');
+        expect(requiredScope('GET', '/api/trips/3/summary')).toBe('read');
+        expect(requiredScope('POST', '/api/expenses')).toBe('expenses:write');
+        expect(requiredScope('DELETE', '/api/exchange-rates/2')).toBe('expenses:write');
+        expect(requiredScope('PUT', '/api/trips/3')).toBe('trips:write');
+    });
+
+    it('should refuse tokens on account, session and admin routes', () => {
+        expect(requiredScope('GET', '/api/access-tokens')).toBeNull();
+        expect(requiredScope('POST', '/api/auth/change-password')).toBeNull();
+        expect(requiredScope('GET', '/api/sessions')).toBeNull();
+        expect(requiredScope('GET', '/api/admin/users')).toBeNull();
+        expect(requiredScope('GET', '/api/api-keys')).toBeNull();
+        expect(requiredScope('POST', '/api/somewhere-new')).toBeNull();
+    });
+
+    it('should match paths in any case, as the routes do', () => {
+        expect(requiredScope('GET', '/API/ACCOUNT')).toBeNull();
+        expect(requiredScope('GET', '/API/ACCOUNT/EXPORT')).toBeNull();
+        expect(requiredScope('GET', '/Api/Sessions')).toBeNull();
+        expect(requiredScope('GET', '/API/ADMIN/USERS')).toBeNull();
+        expect(requiredScope('GET', '/API/ACCESS-TOKENS')).toBeNull();
+        expect(requiredScope('GET', '/API/API-KEYS')).toBeNull();
+        expect(requiredScope('POST', '/Api/Auth/change-password')).toBeNull();
+        expect(requiredScope('POST', '/API/Expenses')).toBe('expenses:write');
+    });
+});
+
+describe('Access token store', () => {
+    let db;
+    let dbAsync;
+    let store;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x'), (2, 'bob', 'x')");
+        store = createAccessTokenStore(dbAsync, { maxTokensPerUser: 2 });
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should store only a hash of the token', async () => {
+        const { token, accessToken } = await store.create(1, { name: 'Import script', scopes: ['read'] });
+        expect(isAccessToken(token)).toBe(true);
+        expect(token.startsWith(accessToken.tokenPrefix)).toBe(true);
+        const row = await dbAsync.get('SELECT * FROM personal_access_tokens WHERE id = ?', [accessToken.id]);
+        expect(row.tokenHash).toBe(hashToken(token));
+        expect(JSON.stringify(row)).not.toContain(token);
+    });
+
+    it('should authenticate a token as its owner with its scopes', async () => {
+        const { token } = await store.create(1, { name: 'Reports', scopes: ['read', 'expenses:write', 'read'] });
+        const result = await store.authenticate(token);
+        expect(result.ok).toBe(true);
+        expect(result.user).toMatchObject({ id: 1, username: 'alice' });
+        expect(result.scopes).toEqual(['read', 'expenses:write']);
+        const [listed] = await store.list(1);
+        expect(listed.lastUsedAt).not.toBeNull();
+        expect(await store.authenticate('etp_unknown')).toEqual({ ok: false, reason: 'invalid' });
+    });
+
+    it('should reject unknown scopes', async () => {
+        expect(await store.create(1, { name: 'x', scopes: ['admin'] })).toEqual({ ok: false, reason: 'invalid_scope' });
+        expect(await store.create(1, { name: 'x', scopes: [] })).toEqual({ ok: false, reason: 'invalid_scope' });
+    });
+
+    it('should reject revoked and expired tokens', async () => {
+        const { token, accessToken } = await store.create(1, { name: 'Old', scopes: ['read'] });
+        expect(await store.revoke(2, accessToken.id)).toBe(false); // Not bob's token
+        expect(await store.revoke(1, accessToken.id)).toBe(true);
+        expect(await store.authenticate(token)).toEqual({ ok: false, reason: 'revoked' });
+        expect(await store.list(1)).toEqual([]);
+
+        const expiring = await store.create(1, { name: 'Short', scopes: ['read'], expiresInDays: 1 });
+        await dbAsync.run('UPDATE personal_access_tokens SET expiresAt = ? WHERE id = ?',
+            [new Date(Date.now() - 1000).toISOString(), expiring.accessToken.id]);
+        expect(await store.authenticate(expiring.token)).toEqual({ ok: false, reason: 'expired' });
+        const [listed] = await store.list(1);
+        expect(listed.expired).toBe(true);
+    });
+
+    it('should limit how many tokens a user has', async () => {
+        await store.create(1, { name: 'One', scopes: ['read'] });
+        const { accessToken } = await store.create(1, { name: 'Two', scopes: ['read'] });
+        expect(await store.create(1, { name: 'Three', scopes: ['read'] })).toEqual({ ok: false, reason: 'too_many' });
+        await store.revoke(1, accessToken.id);
+        expect((await store.create(1, { name: 'Three', scopes: ['read'] })).ok).toBe(true);
+    });
+});
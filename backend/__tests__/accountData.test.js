@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { EXPORT_FORMAT, createAccountData } = require('../utils/accountData');
+const { createLocalStorage } = require('../utils/receiptStorage');
+
+describe('Account data', () => {
+    let db;
+    let dbAsync;
+    let uploadsDir;
+    let accountData;
+
+    const addUser = async (username, role = 'member') => {
+        const { lastID } = await dbAsync.run(
+            "INSERT INTO users (username, password_hash, role) VALUES (?, 'hash', ?)", [username, role]
+        );
+        return lastID;
+    };
+    const addReceipt = (name) => {
+        fs.writeFileSync(path.join(uploadsDir, name), 'receipt');
+        return `/uploads/${name}`;
+    };
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run('PRAGMA foreign_keys = ON');
+        uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+        accountData = createAccountData(dbAsync, { storage: createLocalStorage({ dir: uploadsDir }) });
+    });
+
+    afterEach((done) => {
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+        db.close(done);
+    });
+
+    it('should gather the user\'s data and receipts without secrets', async () => {
+        const userId = await addUser('alice');
+        const otherId = await addUser('bob');
+        const { lastID: tripId } = await dbAsync.run("INSERT INTO trips (user_id, name) VALUES (?, 'Paris')", [userId]);
+        await dbAsync.run("INSERT INTO trip_budgets (trip_id, category, amount) VALUES (?, 'Meals', 100)", [tripId]);
+        const receiptPath = addReceipt('a.jpg');
+        await dbAsync.run("INSERT INTO expenses (user_id, trip_id, date, cost, receiptPath) VALUES (?, ?, '2024-01-01', 10, ?)", [userId, tripId, receiptPath]);
+        await dbAsync.run("INSERT INTO expenses (user_id, trip_id, date, cost, receiptPath) VALUES (?, ?, '2024-01-02', 5, '/uploads/gone.jpg')", [userId, tripId]);
+        await dbAsync.run("INSERT INTO expenses (user_id, date, cost) VALUES (?, '2024-01-01', 99)", [otherId]);
+        await dbAsync.run("INSERT INTO user_api_keys (user_id, provider, encryptedKey, keyHint) VALUES (?, 'openai', 'secret', '1234')", [userId]);
+        const { lastID: reportId } = await dbAsync.run("INSERT INTO expense_reports (trip_id, status, total) VALUES (?, 'submitted', 10)", [tripId]);
+        await dbAsync.run('INSERT INTO expense_report_items (report_id, expense_id, convertedCost) SELECT ?, id, cost FROM expenses WHERE cost = 10', [reportId]);
+        const { lastID: participantId } = await dbAsync.run("INSERT INTO trip_participants (trip_id, name) VALUES (?, 'Sam')", [tripId]);
+        await dbAsync.run("INSERT INTO expense_splits (expense_id, paidBy, method) SELECT id, ?, 'equal' FROM expenses WHERE cost = 10", [participantId]);
+        await dbAsync.run('INSERT INTO expense_split_shares (expense_id, participant_id, share) SELECT id, ?, 1 FROM expenses WHERE cost = 10', [participantId]);
+
+        const { manifest, files } = await accountData.collect(userId);
+        expect(manifest).toMatchObject({ format: EXPORT_FORMAT, account: { id: userId, username: 'alice', twoFactorEnabled: false } });
+        expect(manifest.trips).toEqual([expect.objectContaining({ name: 'Paris', categoryBudgets: [{ category: 'Meals', amount: 100 }] })]);
+        expect(manifest.trips[0].expenseReports).toEqual([expect.objectContaining({
+            status: 'submitted', total: 10, lines: [expect.objectContaining({ convertedCost: 10, status: 'pending' })]
+        })]);
+        expect(manifest.trips[0].participants).toEqual([expect.objectContaining({ id: participantId, name: 'Sam' })]);
+        expect(manifest.trips[0].expenseSplits).toEqual([expect.objectContaining({
+            paidBy: participantId, method: 'equal', shares: [{ participantId, share: 1 }]
+        })]);
+        expect(manifest.expenses.map(e => e.receiptFile)).toEqual(['receipts/a.jpg', null]);
+        expect(manifest.settings.apiKeys).toEqual([expect.objectContaining({ provider: 'openai', keyHint: '1234' })]);
+        expect(JSON.stringify(manifest)).not.toMatch(/secret|password_hash/);
+        expect(files).toEqual([{ key: 'a.jpg', archivePath: 'receipts/a.jpg' }]);
+        expect(manifest.files).toEqual(['receipts/a.jpg']);
+    });
+
+    it('should return null for an unknown user', async () => {
+        expect(await accountData.collect(42)).toBeNull();
+    });
+
+    it('should delete the user\'s rows and list the files they leave behind', async () => {
+        await addUser('admin', 'admin');
+        const userId = await addUser('alice');
+        const { lastID: tripId } = await dbAsync.run("INSERT INTO trips (user_id, name) VALUES (?, 'Paris')", [userId]);
+        const expenseReceipt = addReceipt('expense.jpg');
+        const draftReceipt = addReceipt('draft.jpg');
+        await dbAsync.run("INSERT INTO expenses (user_id, trip_id, date, cost, receiptPath) VALUES (?, ?, '2024-01-01', 10, ?)", [userId, tripId, expenseReceipt]);
+        await dbAsync.run("INSERT INTO expense_drafts (user_id, trip_id, receiptPath) VALUES (?, ?, ?)", [userId, tripId, draftReceipt]);
+        // A member's expense on the trip goes with it
+        const memberId = await addUser('bob');
+        await dbAsync.run("INSERT INTO expenses (user_id, trip_id, date, cost, receiptPath) VALUES (?, ?, '2024-01-01', 5, ?)", [memberId, tripId, addReceipt('member.jpg')]);
+
+        const result = await accountData.deleteAccount(userId);
+        expect(result).toMatchObject({ ok: true, user: { id: userId, username: 'alice' } });
+        expect(result.receiptKeys.sort()).toEqual(['draft.jpg', 'expense.jpg', 'member.jpg']);
+        expect((await dbAsync.get('SELECT COUNT(*) AS count FROM expenses WHERE user_id = ?', [memberId])).count).toBe(0);
+        for (const table of ['users', 'trips', 'expenses', 'expense_drafts']) {
+            const { count } = await dbAsync.get(`SELECT COUNT(*) AS count FROM ${table} WHERE ${table === 'users' ? 'id' : 'user_id'} = ?`, [userId]);
+            expect(count).toBe(0);
+        }
+        expect(await accountData.deleteAccount(userId)).toEqual({ ok: false, reason: 'not_found' });
+    });
+
+    it('should not delete the last admin', async () => {
+        const adminId = await addUser('admin', 'admin');
+        expect(await accountData.deleteAccount(adminId)).toEqual({ ok: false, reason: 'last_admin' });
+        await addUser('second', 'admin');
+        expect((await accountData.deleteAccount(adminId)).ok).toBe(true);
+    });
+});
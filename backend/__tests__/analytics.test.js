@@ -0,0 +1,69 @@
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { buildAnalyticsQuery, buildAnalyticsSummaryQuery } = require('../utils/analytics');
+
+describe('Analytics queries', () => {
+    let db;
+    let dbAsync;
+
+    const run = (query) => dbAsync.all(query.sql, query.params);
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x'), (2, 'bob', 'x')");
+        await dbAsync.run("INSERT INTO trips (id, user_id, name) VALUES (1, 1, 'Berlin')");
+        const insert = 'INSERT INTO expenses (user_id, trip_id, type, date, vendor, cost, currency) VALUES (?, ?, ?, ?, ?, ?, ?)';
+        await dbAsync.run(insert, [1, 1, 'Dining', '2024-03-01', 'Cafe', 10, 'EUR']);
+        await dbAsync.run(insert, [1, 1, 'Dining', '2024-03-15', 'Cafe', 5.5, 'EUR']);
+        await dbAsync.run(insert, [1, null, 'Taxi', '2024-04-02', '', 20, 'EUR']);
+        await dbAsync.run(insert, [1, null, 'Taxi', '2024-04-03', 'Uber', 30, 'USD']);
+        await dbAsync.run(insert, [2, null, 'Dining', '2024-03-01', 'Cafe', 99, 'EUR']);
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should total per group and currency for the user only', async () => {
+        const rows = await run(buildAnalyticsQuery('type', 1));
+        expect(rows).toEqual([
+            { key: 'Taxi', currency: 'USD', total: 30, count: 1 },
+            { key: 'Taxi', currency: 'EUR', total: 20, count: 1 },
+            { key: 'Dining', currency: 'EUR', total: 15.5, count: 2 }
+        ]);
+    });
+
+    it('should apply the date range, currency and limit filters', async () => {
+        const byMonth = await run(buildAnalyticsQuery('month', 1, { currency: 'EUR', dateFrom: '2024-03-10' }));
+        expect(byMonth).toEqual([
+            { key: '2024-03', currency: 'EUR', total: 5.5, count: 1 },
+            { key: '2024-04', currency: 'EUR', total: 20, count: 1 }
+        ]);
+
+        const byVendor = await run(buildAnalyticsQuery('vendor', 1, { currency: 'EUR', limit: 1 }));
+        expect(byVendor).toEqual([{ key: 'Unknown', currency: 'EUR', total: 20, count: 1 }]);
+    });
+
+    it('should group trips by id and label expenses without one', async () => {
+        const rows = await run(buildAnalyticsQuery('trip', 1, { currency: 'EUR' }));
+        expect(rows).toEqual([
+            { key: 'No trip', tripId: null, currency: 'EUR', total: 20, count: 1 },
+            { key: 'Berlin', tripId: 1, currency: 'EUR', total: 15.5, count: 2 }
+        ]);
+    });
+
+    it('should summarize totals per currency, most used first', async () => {
+        const rows = await run(buildAnalyticsSummaryQuery(1));
+        expect(rows).toEqual([
+            { currency: 'EUR', total: 35.5, count: 3, firstDate: '2024-03-01', lastDate: '2024-04-02' },
+            { currency: 'USD', total: 30, count: 1, firstDate: '2024-04-03', lastDate: '2024-04-03' }
+        ]);
+    });
+
+    it('should reject unknown groupings', () => {
+        expect(() => buildAnalyticsQuery('weekday', 1)).toThrow('Unknown analytics grouping');
+    });
+});
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { parseMasterKey, encryptApiKey, decryptApiKey, createApiKeyStore } = require('../utils/apiKeys');
+
+describe('API key storage', () => {
+    const masterKey = crypto.randomBytes(32);
+    const providers = ['gemini', 'openai', 'claude', 'openrouter'];
+    const serverKeys = { gemini: 'server-gemini-key' };
+    let db;
+    let dbAsync;
+    let store;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x'), (2, 'bob', 'x')");
+        store = createApiKeyStore(dbAsync, { masterKey, providers, getServerKey: (provider) => serverKeys[provider] || null });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach((done) => {
+        jest.restoreAllMocks();
+        db.close(done);
+    });
+
+    it('should parse hex and base64 master keys and reject other lengths', () => {
+        const key = crypto.randomBytes(32);
+        expect(parseMasterKey(key.toString('hex')).equals(key)).toBe(true);
+        expect(parseMasterKey(key.toString('base64')).equals(key)).toBe(true);
+        expect(parseMasterKey(undefined)).toBeNull();
+        expect(() => parseMasterKey('too-short')).toThrow('32 bytes');
+    });
+
+    it('should only decrypt with the same master key and row binding', () => {
+        const stored = encryptApiKey('sk-secret', masterKey, '1:openai');
+        expect(stored).not.toContain('sk-secret');
+        expect(decryptApiKey(stored, masterKey, '1:openai')).toBe('sk-secret');
+        expect(() => decryptApiKey(stored, masterKey, '2:openai')).toThrow();
+        expect(() => decryptApiKey(stored, crypto.randomBytes(32), '1:openai')).toThrow();
+    });
+
+    it('should save keys encrypted and list them without the key', async () => {
+        await store.saveKey(1, 'openai', 'sk-abcdefgh1234');
+
+        const row = await dbAsync.get('SELECT encryptedKey, keyHint FROM user_api_keys WHERE user_id = 1');
+        expect(row.encryptedKey).not.toContain('sk-abcdefgh1234');
+        expect(row.keyHint).toBe('1234');
+
+        const keys = await store.listKeys(1);
+        expect(keys.find(k => k.provider === 'openai')).toMatchObject({ hasKey: true, keyHint: '1234', serverKey: false });
+        expect(keys.find(k => k.provider === 'gemini')).toMatchObject({ hasKey: false, serverKey: true });
+        expect(JSON.stringify(keys)).not.toContain('sk-abcdefgh1234');
+    });
+
+    it("should resolve the user's own key before the server's", async () => {
+        await store.saveKey(1, 'gemini', 'alice-gemini-key');
+        await store.saveKey(1, 'gemini', 'alice-new-gemini-key');
+
+        expect(await store.resolveKey(1, 'gemini')).toBe('alice-new-gemini-key');
+        expect(await store.resolveKey(2, 'gemini')).toBe('server-gemini-key');
+        expect(await store.resolveKey(2, 'openai')).toBeNull();
+        expect(await store.resolveKey(1, 'builtin')).toBeNull();
+    });
+
+    it('should fall back to the server key once the user removes theirs', async () => {
+        await store.saveKey(1, 'gemini', 'alice-gemini-key');
+        expect(await store.deleteKey(1, 'gemini')).toBe(true);
+        expect(await store.deleteKey(1, 'gemini')).toBe(false);
+        expect(await store.resolveKey(1, 'gemini')).toBe('server-gemini-key');
+    });
+
+    it("should refuse keys it can't decrypt and saving without a master key", async () => {
+        await store.saveKey(1, 'openai', 'sk-abcdefgh1234');
+        const otherStore = createApiKeyStore(dbAsync, { masterKey: crypto.randomBytes(32), providers });
+        await expect(otherStore.resolveKey(1, 'openai')).rejects.toThrow('please save it again');
+
+        const disabledStore = createApiKeyStore(dbAsync, { masterKey: null, providers });
+        expect(disabledStore.isEnabled()).toBe(false);
+        await expect(disabledStore.saveKey(1, 'claude', 'sk-ant-key')).rejects.toThrow('not configured');
+    });
+});
@@ -0,0 +1,93 @@
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { redact, createAuditLog } = require('../utils/audit');
+
+describe('Audit log redaction', () => {
+    it('should replace secret fields at any depth', () => {
+        const row = {
+            id: 3,
+            username: 'alice',
+            password_hash: '$2b$10$abc',
+            nested: { apiKey: 'sk-123', tokenHash: 'abc', accessTokenId: 7, list: [{ codeHash: 'x', label: 'keep' }] }
+        };
+        expect(redact(row)).toEqual({
+            id: 3,
+            username: 'alice',
+            password_hash: '[redacted]',
+            nested: { apiKey: '[redacted]', tokenHash: '[redacted]', accessTokenId: 7, list: [{ codeHash: '[redacted]', label: 'keep' }] }
+        });
+        // The original is left alone
+        expect(row.password_hash).toBe('$2b$10$abc');
+    });
+
+    it('should pass through values that are not objects', () => {
+        expect(redact(null)).toBeNull();
+        expect(redact('text')).toBe('text');
+        expect(redact(42)).toBe(42);
+    });
+});
+
+describe('Audit log store', () => {
+    let db;
+    let dbAsync;
+    let auditLog;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        auditLog = createAuditLog(dbAsync);
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should keep the record before and after a change', async () => {
+        await auditLog.record('expense.update', {
+            userId: 1, username: 'alice', actorId: 1, entityType: 'expense', entityId: 12,
+            before: { cost: 10, receiptPath: 'a.jpg' }, after: { cost: 12, receiptPath: null }
+        });
+        const { entries, total } = await auditLog.query({ userId: 1 });
+        expect(total).toBe(1);
+        expect(entries[0]).toMatchObject({
+            action: 'expense.update', userId: 1, actorId: 1, entityType: 'expense', entityId: '12',
+            before: { cost: 10, receiptPath: 'a.jpg' }, after: { cost: 12, receiptPath: null }, details: null
+        });
+    });
+
+    it('should filter by user, action prefix and entity', async () => {
+        await auditLog.record('expense.create', { userId: 1, entityType: 'expense', entityId: 1 });
+        await auditLog.record('expense.delete', { userId: 1, entityType: 'expense', entityId: 1 });
+        await auditLog.record('expense_draft.create', { userId: 1, entityType: 'expense_draft', entityId: 1 });
+        await auditLog.record('trip.create', { userId: 2, entityType: 'trip', entityId: 1 });
+
+        expect((await auditLog.query({ userId: 1 })).total).toBe(3);
+        expect((await auditLog.query({ action: 'expense.' })).entries.map(e => e.action)).toEqual(['expense.delete', 'expense.create']);
+        // '_' is matched literally, not as a wildcard
+        expect((await auditLog.query({ action: 'expense_' })).total).toBe(1);
+        expect((await auditLog.query({ entityType: 'expense', entityId: 1 })).total).toBe(2);
+        expect((await auditLog.query({ userId: 2, action: 'expense' })).total).toBe(0);
+    });
+
+    it('should filter by date and page the results', async () => {
+        for (let i = 0; i < 5; i++) {
+            await auditLog.record('trip.update', { userId: 1 });
+        }
+        const today = new Date().toISOString().slice(0, 10);
+        expect((await auditLog.query({ dateFrom: today, dateTo: today })).total).toBe(5);
+        expect((await auditLog.query({ dateTo: '2000-01-01' })).total).toBe(0);
+
+        const page = await auditLog.query({ limit: 2, offset: 4 });
+        expect(page.total).toBe(5);
+        expect(page.entries).toHaveLength(1);
+    });
+
+    it('should refuse to change or remove entries', async () => {
+        const id = await auditLog.record('trip.delete', { userId: 1 });
+        await expect(dbAsync.run("UPDATE audit_log SET action = 'x' WHERE id = ?", [id])).rejects.toThrow('append-only');
+        await expect(dbAsync.run('DELETE FROM audit_log WHERE id = ?', [id])).rejects.toThrow('append-only');
+        expect((await auditLog.query()).total).toBe(1);
+    });
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+
+// The real app, on an in-memory database, mailing into a throwaway outbox
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-outbox-'));
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = outboxDir;
+// The server logs every request
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+const app = require('../server');
+const { dbReady, closeDatabase } = require('../database');
+
+describe('Auth routes', () => {
+    beforeAll(async () => {
+        await dbReady;
+    });
+
+    afterAll((done) => {
+        fs.rmSync(outboxDir, { recursive: true, force: true });
+        closeDatabase();
+        // closeDatabase logs when the connection is closed; give it a moment
+        setTimeout(() => {
+            jest.restoreAllMocks();
+            done();
+        }, 50);
+    });
+
+    it('should register and log in a user', async () => {
+        const registered = await request(app).post('/api/auth/register').send({ username: 'alice', password: 'correct horse' });
+        expect(registered.statusCode).toBe(201);
+        expect(registered.body.role).toBe('admin');
+
+        const taken = await request(app).post('/api/auth/register').send({ username: 'alice', password: 'correct horse' });
+        expect(taken.statusCode).toBe(400);
+        expect(taken.body.message).toBe('Username already taken.');
+
+        const wrong = await request(app).post('/api/auth/login').send({ username: 'alice', password: 'wrong horse' });
+        expect(wrong.statusCode).toBe(401);
+        const res = await request(app).post('/api/auth/login').send({ username: 'alice', password: 'correct horse' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ userId: registered.body.userId, token: expect.any(String) });
+    });
+
+    it('should answer with a 500 when registering fails part way', async () => {
+        jest.spyOn(bcrypt, 'hash').mockRejectedValueOnce(new Error('out of memory'));
+
+        const res = await request(app).post('/api/auth/register').send({ username: 'bob', password: 'correct horse' });
+        expect(res.statusCode).toBe(500);
+    });
+
+    it('should answer with a 500 when logging in fails part way', async () => {
+        jest.spyOn(bcrypt, 'compare').mockRejectedValueOnce(new Error('out of memory'));
+
+        const res = await request(app).post('/api/auth/login').send({ username: 'alice', password: 'correct horse' });
+        expect(res.statusCode).toBe(500);
+    });
+
+    describe('forgot password', () => {
+        const outbox = () => fs.readdirSync(outboxDir).map(file => JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8')));
+
+        beforeAll(async () => {
+            await request(app).post('/api/auth/register').send({ username: 'dora', password: 'correct horse', email: 'dora@example.com' });
+        });
+
+        afterEach(() => {
+            delete process.env.APP_BASE_URL;
+            fs.readdirSync(outboxDir).forEach(file => fs.rmSync(path.join(outboxDir, file)));
+        });
+
+        it('should not mail reset links until APP_BASE_URL is set', async () => {
+            const res = await request(app).post('/api/auth/forgot-password').set('Host', 'evil.example').send({ username: 'dora' });
+            expect(res.statusCode).toBe(503);
+            expect(outbox()).toEqual([]);
+        });
+
+        it('should build the reset link from APP_BASE_URL, never the Host header', async () => {
+            process.env.APP_BASE_URL = 'https://expenses.example.com/';
+
+            const res = await request(app).post('/api/auth/forgot-password').set('Host', 'evil.example').send({ username: 'dora' });
+            expect(res.statusCode).toBe(200);
+            const [message] = outbox();
+            expect(message.to).toBe('dora@example.com');
+            expect(message.text).toMatch(/https:\/\/expenses\.example\.com\/reset-password\.html\?token=\S+/);
+            expect(message.text).not.toContain('evil.example');
+        });
+    });
+});
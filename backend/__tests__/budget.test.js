@@ -0,0 +1,49 @@
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { createRateConverter } = require('../utils/currency');
+const { getTripBudgetSummary, getBudgetWarnings } = require('../utils/budget');
+
+describe('Trip budget summary', () => {
+    let db;
+    let dbAsync;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x')");
+        await dbAsync.run("INSERT INTO trips (id, user_id, name, homeCurrency, budget) VALUES (1, 1, 'Berlin', 'EUR', 100)");
+        await dbAsync.run("INSERT INTO trip_budgets (trip_id, category, amount) VALUES (1, 'Dining', 30)");
+        await dbAsync.run("INSERT INTO exchange_rates (user_id, rateDate, baseCurrency, quoteCurrency, rate) VALUES (1, '2024-01-01', 'USD', 'EUR', 0.5)");
+        const insert = "INSERT INTO expenses (user_id, trip_id, type, date, cost, currency) VALUES (1, 1, ?, '2024-03-01', ?, ?)";
+        await dbAsync.run(insert, ['dining', 20, 'EUR']);
+        await dbAsync.run(insert, ['Dining', 40, 'USD']);
+        await dbAsync.run(insert, ['Taxi', 15, 'EUR']);
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should compare converted spending with overall and category budgets', async () => {
+        const summary = await getTripBudgetSummary(dbAsync, createRateConverter(dbAsync, 1), 1, 1);
+
+        expect(summary).toMatchObject({ currency: 'EUR', budget: 100, spent: 55, remaining: 45, overBudget: false, missingRates: 0 });
+        expect(summary.categories).toEqual([
+            { category: 'Dining', budget: 30, spent: 40, remaining: -10, percentUsed: 133.3, overBudget: true },
+            { category: 'Taxi', budget: null, spent: 15, remaining: null, percentUsed: null, overBudget: false }
+        ]);
+    });
+
+    it('should warn only about the expense category and the overall budget', async () => {
+        const summary = await getTripBudgetSummary(dbAsync, createRateConverter(dbAsync, 1), 1, 1);
+
+        expect(getBudgetWarnings(summary, 'DINING').map(w => w.category)).toEqual(['Dining']);
+        expect(getBudgetWarnings(summary, 'Taxi')).toEqual([]);
+    });
+
+    it('should return null for a trip the user does not own', async () => {
+        expect(await getTripBudgetSummary(dbAsync, createRateConverter(dbAsync, 2), 2, 1)).toBeNull();
+    });
+});
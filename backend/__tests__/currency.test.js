@@ -0,0 +1,60 @@
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { parseRatesCsv, createRateConverter, summarizeAmounts } = require('../utils/currency');
+
+describe('Exchange rate CSV parsing', () => {
+    it('should parse rows, skip the header and report bad lines', () => {
+        const { rates, errors } = parseRatesCsv('date,base,quote,rate\n2024-03-01,usd,EUR,0.92\n2024-03-01,USD,USD,1\nnot,a,rate\n');
+
+        expect(rates).toEqual([{ rateDate: '2024-03-01', baseCurrency: 'USD', quoteCurrency: 'EUR', rate: 0.92 }]);
+        expect(errors.map(e => e.line)).toEqual([3, 4]);
+    });
+});
+
+describe('Currency conversion', () => {
+    let db;
+    let dbAsync;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x')");
+        const insert = "INSERT INTO exchange_rates (user_id, rateDate, baseCurrency, quoteCurrency, rate) VALUES (1, ?, ?, ?, ?)";
+        await dbAsync.run(insert, ['2024-03-01', 'USD', 'EUR', 0.9]);
+        await dbAsync.run(insert, ['2024-03-10', 'USD', 'EUR', 0.8]);
+        await dbAsync.run(insert, ['2024-03-01', 'USD', 'GBP', 0.75]);
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should use the latest rate on or before the date, falling back to the earliest', async () => {
+        const converter = createRateConverter(dbAsync, 1);
+
+        expect(await converter.convert(100, 'USD', 'EUR', '2024-03-05')).toBe(90);
+        expect(await converter.convert(100, 'USD', 'EUR', '2024-03-15')).toBe(80);
+        expect(await converter.convert(100, 'USD', 'EUR', '2024-01-01')).toBe(90);
+    });
+
+    it('should invert rates and convert through a shared currency', async () => {
+        const converter = createRateConverter(dbAsync, 1);
+
+        expect(await converter.convert(90, 'EUR', 'USD', '2024-03-05')).toBe(100);
+        expect(await converter.convert(90, 'EUR', 'GBP', '2024-03-05')).toBe(75);
+        expect(await converter.convert(10, 'JPY', 'EUR', '2024-03-05')).toBeNull();
+    });
+
+    it('should total amounts and count those without a rate', async () => {
+        const converter = createRateConverter(dbAsync, 1);
+        const totals = await summarizeAmounts([
+            { cost: 10, currency: 'EUR', date: '2024-03-05' },
+            { cost: 100, currency: 'USD', date: '2024-03-05' },
+            { cost: 500, currency: 'JPY', date: '2024-03-05' }
+        ], 'EUR', converter);
+
+        expect(totals).toEqual({ currency: 'EUR', total: 100, byCurrency: { EUR: 10, USD: 100, JPY: 500 }, missingRates: 1 });
+    });
+});
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// The real app, on an in-memory database and a throwaway uploads directory
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drafts-routes-'));
+process.env.DB_PATH = ':memory:';
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.RECEIPT_STORAGE = 'local';
+process.env.JWT_SECRET = 'test-secret';
+// The server logs every request
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+const app = require('../server');
+const { dbAsync, dbReady, closeDatabase } = require('../database');
+
+describe('Expense draft routes', () => {
+    const tokens = {};
+    const users = {};
+    const as = (username) => ({ Authorization: `Bearer ${tokens[username]}` });
+    const receipt = Buffer.from('%PDF-1.4 receipt');
+    const uploadedFiles = () => fs.readdirSync(uploadsDir);
+    // Receipt files are removed after the response
+    const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    const signUp = async (username) => {
+        await request(app).post('/api/auth/register').send({ username, password: 'correct horse' });
+        const res = await request(app).post('/api/auth/login').send({ username, password: 'correct horse' });
+        tokens[username] = res.body.token;
+        users[username] = res.body.userId;
+    };
+
+    const createTrip = async (username, name) => {
+        const res = await request(app).post('/api/trips').set(as(username)).send({ name });
+        return res.body.trip;
+    };
+
+    const share = (trip, username, role) => request(app)
+        .post(`/api/trips/${trip.id}/members`).set(as('alice')).send({ username, role });
+
+    const uploadDrafts = (username, tripId, names) => {
+        const req = request(app).post('/api/expense-drafts').set(as(username)).field('tripId', String(tripId));
+        names.forEach(name => req.attach('receipts', receipt, { filename: name, contentType: 'application/pdf' }));
+        return req;
+    };
+
+    let trip;
+
+    beforeAll(async () => {
+        await dbReady;
+        await signUp('alice');
+        await signUp('bob');
+        await signUp('carol');
+        trip = await createTrip('alice', 'Lisbon');
+        await share(trip, 'bob', 'contributor');
+        await share(trip, 'carol', 'viewer');
+    });
+
+    afterAll((done) => {
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+        closeDatabase();
+        setTimeout(() => {
+            console.log.mockRestore();
+            console.warn.mockRestore();
+            done();
+        }, 50);
+    });
+
+    beforeEach(async () => {
+        await dbAsync.run('DELETE FROM ocr_jobs');
+        await dbAsync.run('DELETE FROM expense_drafts');
+        await dbAsync.run('DELETE FROM expenses');
+        uploadedFiles().forEach(file => fs.rmSync(path.join(uploadsDir, file)));
+    });
+
+    it('should create a queued draft and an OCR job per receipt', async () => {
+        const res = await uploadDrafts('alice', trip.id, ['taxi.pdf', 'hotel.pdf']);
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.drafts).toHaveLength(2);
+        expect(res.body.drafts[0]).toMatchObject({ trip_id: trip.id, originalName: 'taxi.pdf', ocrStatus: 'queued', receiptUrl: expect.any(String) });
+        expect(uploadedFiles()).toHaveLength(2);
+        expect(await dbAsync.get('SELECT COUNT(*) AS count FROM ocr_jobs')).toEqual({ count: 2 });
+
+        const list = await request(app).get(`/api/expense-drafts?tripId=${trip.id}`).set(as('alice'));
+        expect(list.body.map(draft => draft.originalName)).toEqual(['taxi.pdf', 'hotel.pdf']);
+    });
+
+    it('should need at least one receipt', async () => {
+        const res = await uploadDrafts('alice', trip.id, []);
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('should refuse image types whose metadata can\'t be removed', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const res = await request(app).post('/api/expense-drafts').set(as('alice')).field('tripId', String(trip.id))
+            .attach('receipts', Buffer.from('ftypheic'), { filename: 'photo.heic', contentType: 'image/heic' });
+        console.error.mockRestore();
+        expect(res.statusCode).toBe(400);
+        expect(await dbAsync.get('SELECT COUNT(*) AS count FROM expense_drafts')).toEqual({ count: 0 });
+    });
+
+    it('should let contributors upload, but not viewers or strangers', async () => {
+        const contributor = await uploadDrafts('bob', trip.id, ['lunch.pdf']);
+        expect(contributor.statusCode).toBe(201);
+
+        const viewer = await uploadDrafts('carol', trip.id, ['lunch.pdf']);
+        expect(viewer.statusCode).toBe(403);
+        const stranger = await uploadDrafts('carol', 999, ['lunch.pdf']);
+        expect(stranger.statusCode).toBe(400);
+
+        // The refused uploads are not kept
+        await settle();
+        expect(uploadedFiles()).toHaveLength(1);
+        expect(await dbAsync.get('SELECT COUNT(*) AS count FROM expense_drafts')).toEqual({ count: 1 });
+    });
+
+    it('should only list and change the user\'s own drafts', async () => {
+        const [draft] = (await uploadDrafts('bob', trip.id, ['dinner.pdf'])).body.drafts;
+
+        expect((await request(app).get('/api/expense-drafts').set(as('alice'))).body).toEqual([]);
+        const edit = await request(app).put(`/api/expense-drafts/${draft.id}`).set(as('alice')).send({ vendor: 'Cafe' });
+        expect(edit.statusCode).toBe(404);
+        const confirm = await request(app).post(`/api/expense-drafts/${draft.id}/confirm`).set(as('alice'));
+        expect(confirm.statusCode).toBe(404);
+        const discard = await request(app).delete(`/api/expense-drafts/${draft.id}`).set(as('alice'));
+        expect(discard.statusCode).toBe(404);
+        expect(await dbAsync.get('SELECT id FROM expense_drafts WHERE id = ?', [draft.id])).toBeDefined();
+    });
+
+    it('should confirm a complete draft into an expense that keeps the receipt', async () => {
+        const [draft] = (await uploadDrafts('alice', trip.id, ['museum.pdf'])).body.drafts;
+
+        const incomplete = await request(app).post(`/api/expense-drafts/${draft.id}/confirm`).set(as('alice')).send({ vendor: 'Museum' });
+        expect(incomplete.statusCode).toBe(400);
+        expect(incomplete.body.errors.map(err => err.path)).toEqual(['type', 'date', 'location', 'cost']);
+        // Corrections sent with the failed attempt are not saved
+        expect(await dbAsync.get('SELECT vendor FROM expense_drafts WHERE id = ?', [draft.id])).toEqual({ vendor: null });
+
+        const saved = await request(app).put(`/api/expense-drafts/${draft.id}`).set(as('alice'))
+            .send({ type: 'Entertainment', date: '2024-05-02', vendor: 'Museum', location: 'Lisbon' });
+        expect(saved.statusCode).toBe(200);
+        const res = await request(app).post(`/api/expense-drafts/${draft.id}/confirm`).set(as('alice')).send({ cost: '12.50' });
+        expect(res.statusCode).toBe(201);
+        expect(res.body.expense).toMatchObject({
+            trip_id: trip.id, tripName: 'Lisbon', vendor: 'Museum', cost: 12.5, receiptPath: draft.receiptPath
+        });
+        expect(await dbAsync.get('SELECT id FROM expense_drafts WHERE id = ?', [draft.id])).toBeUndefined();
+        await settle();
+        expect(uploadedFiles()).toEqual([path.basename(draft.receiptPath)]);
+    });
+
+    it('should refuse to confirm once the user can no longer add to the trip', async () => {
+        const [draft] = (await uploadDrafts('bob', trip.id, ['parking.pdf'])).body.drafts;
+        await request(app).put(`/api/trips/${trip.id}/members/${users.bob}`).set(as('alice')).send({ role: 'viewer' });
+
+        try {
+            const res = await request(app).post(`/api/expense-drafts/${draft.id}/confirm`).set(as('bob'))
+                .send({ type: 'Parking', date: '2024-05-03', vendor: 'Garage', location: 'Lisbon', cost: '8' });
+            expect(res.statusCode).toBe(403);
+            expect(await dbAsync.get('SELECT COUNT(*) AS count FROM expenses')).toEqual({ count: 0 });
+        } finally {
+            await request(app).put(`/api/trips/${trip.id}/members/${users.bob}`).set(as('alice')).send({ role: 'contributor' });
+        }
+    });
+
+    it('should discard a draft with its receipt', async () => {
+        const [draft] = (await uploadDrafts('alice', trip.id, ['coffee.pdf'])).body.drafts;
+
+        const res = await request(app).delete(`/api/expense-drafts/${draft.id}`).set(as('alice'));
+        expect(res.statusCode).toBe(200);
+        expect(await dbAsync.get('SELECT id FROM expense_drafts WHERE id = ?', [draft.id])).toBeUndefined();
+        await settle();
+        expect(uploadedFiles()).toEqual([]);
+    });
+});
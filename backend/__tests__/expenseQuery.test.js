@@ -0,0 +1,34 @@
+const { buildExpenseFilters, buildExpenseOrder, parsePagination, MAX_LIMIT } = require('../utils/expenseQuery');
+
+describe('expense list query builder', () => {
+    it('always scopes to the trips the user can see and binds every filter value', () => {
+        const { where, params } = buildExpenseFilters(7, {
+            tripId: '3',
+            dateFrom: '2024-01-01',
+            dateTo: '2024-01-31',
+            minCost: '10',
+            maxCost: '0'
+        });
+        expect(where).toBe(
+            '(trip_id IN (SELECT id FROM trips WHERE user_id = ? UNION SELECT trip_id FROM trip_members WHERE user_id = ?) OR (trip_id IS NULL AND user_id = ?))' +
+            ' AND trip_id = ? AND date >= ? AND date <= ? AND cost >= ? AND cost <= ?'
+        );
+        expect(params).toEqual([7, 7, 7, '3', '2024-01-01', '2024-01-31', 10, 0]);
+    });
+
+    it('escapes LIKE wildcards in text search', () => {
+        const { params } = buildExpenseFilters(1, { vendor: '50%_off' });
+        expect(params[3]).toBe('%50\\%\\_off%');
+    });
+
+    it('only sorts by whitelisted columns', () => {
+        expect(buildExpenseOrder({ sortBy: 'cost', sortDir: 'asc' })).toBe('cost ASC, id ASC');
+        expect(buildExpenseOrder({ sortBy: 'cost; DROP TABLE expenses' })).toBe('date DESC, id DESC');
+    });
+
+    it('paginates only when a limit is given and clamps it', () => {
+        expect(parsePagination({})).toBeNull();
+        expect(parsePagination({ limit: '10', offset: '20' })).toEqual({ limit: 10, offset: 20 });
+        expect(parsePagination({ limit: '5000' }).limit).toBe(MAX_LIMIT);
+    });
+});
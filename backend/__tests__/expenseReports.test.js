@@ -0,0 +1,127 @@
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { canTransition, createExpenseReports } = require('../utils/expenseReports');
+
+describe('Expense report states', () => {
+    it('should only allow actions from their starting states', () => {
+        expect(canTransition('draft', 'submit')).toBe(true);
+        expect(canTransition('rejected', 'submit')).toBe(true);
+        expect(canTransition('submitted', 'submit')).toBe(false);
+        expect(canTransition('submitted', 'approve')).toBe(true);
+        expect(canTransition('approved', 'pay')).toBe(true);
+        expect(canTransition('paid', 'delete')).toBe(false);
+        expect(() => canTransition('draft', 'archive')).toThrow('Unknown report action');
+    });
+});
+
+describe('Expense reports', () => {
+    let db;
+    let dbAsync;
+    let reports;
+    let ownerId;
+    let approverId;
+    let trip;
+
+    const addExpense = async (cost, currency = 'USD', date = '2024-01-01') => {
+        const { lastID } = await dbAsync.run(
+            'INSERT INTO expenses (user_id, trip_id, date, cost, currency) VALUES (?, ?, ?, ?, ?)',
+            [ownerId, trip.id, date, cost, currency]
+        );
+        return lastID;
+    };
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run('PRAGMA foreign_keys = ON');
+        reports = createExpenseReports(dbAsync);
+        ({ lastID: ownerId } = await dbAsync.run("INSERT INTO users (username, password_hash) VALUES ('alice', 'hash')"));
+        ({ lastID: approverId } = await dbAsync.run("INSERT INTO users (username, password_hash, role) VALUES ('bob', 'hash', 'approver')"));
+        const { lastID: tripId } = await dbAsync.run("INSERT INTO trips (user_id, name, homeCurrency) VALUES (?, 'Paris', 'USD')", [ownerId]);
+        trip = await dbAsync.get('SELECT * FROM trips WHERE id = ?', [tripId]);
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should lock the expenses of a submitted report with their converted total', async () => {
+        const first = await addExpense(10);
+        const second = await addExpense(20, 'EUR');
+        await dbAsync.run("INSERT INTO exchange_rates (user_id, rateDate, baseCurrency, quoteCurrency, rate) VALUES (?, '2024-01-01', 'EUR', 'USD', 1.1)", [ownerId]);
+
+        const draft = await reports.create(trip, ownerId, 'January');
+        expect(draft).toMatchObject({ status: 'draft', title: 'January', tripName: 'Paris' });
+        expect(draft.lines.map(line => line.expenseId)).toEqual([first, second]);
+        expect(await reports.getLock(first)).toBeNull();
+
+        const { ok, report } = await reports.submit(draft.id, ownerId);
+        expect(ok).toBe(true);
+        expect(report).toMatchObject({ status: 'submitted', currency: 'USD', total: 32, submittedBy: ownerId, submittedByUsername: 'alice' });
+        expect(report.lines.map(line => [line.convertedCost, line.status])).toEqual([[10, 'pending'], [22, 'pending']]);
+        expect(await reports.getLock(first)).toEqual({ id: draft.id, status: 'submitted' });
+        expect(await reports.countLockedOnTrip(dbAsync, trip.id)).toBe(2);
+
+        // Locked expenses aren't offered to another report
+        const next = await reports.create(trip, ownerId, null);
+        expect(next.lines).toEqual([]);
+        expect(await reports.submit(next.id, ownerId)).toMatchObject({ ok: false, reason: 'empty' });
+    });
+
+    it('should refuse to submit amounts it can\'t convert', async () => {
+        await addExpense(10, 'JPY');
+        const draft = await reports.create(trip, ownerId, null);
+        expect(await reports.submit(draft.id, ownerId)).toMatchObject({ ok: false, reason: 'missing_rates', missingRates: 1 });
+        expect((await reports.get(draft.id)).status).toBe('draft');
+    });
+
+    it('should approve line by line and unlock rejected lines', async () => {
+        const kept = await addExpense(10);
+        const refused = await addExpense(5);
+        const { report } = await reports.submit((await reports.create(trip, ownerId, null)).id, ownerId);
+
+        expect(await reports.decideLine(report.id, kept, ownerId, 'approved', null)).toMatchObject({ ok: false, reason: 'own_report' });
+        expect(await reports.approve(report.id, approverId, null)).toMatchObject({ ok: false, reason: 'pending_lines', pendingLines: 2 });
+        await reports.decideLine(report.id, kept, approverId, 'approved', null);
+        const { report: decided } = await reports.decideLine(report.id, refused, approverId, 'rejected', 'No receipt');
+        expect(decided.lines[1]).toMatchObject({ expenseId: refused, status: 'rejected', comment: 'No receipt' });
+        expect(await reports.decideLine(report.id, 999, approverId, 'approved', null)).toMatchObject({ ok: false, reason: 'line_not_found' });
+
+        const approved = await reports.approve(report.id, approverId, 'OK');
+        expect(approved.report).toMatchObject({ status: 'approved', approvedTotal: 10, decidedByUsername: 'bob', decisionComment: 'OK' });
+        expect(await reports.getLock(kept)).toEqual({ id: report.id, status: 'approved' });
+        expect(await reports.getLock(refused)).toBeNull();
+        expect(await reports.remove(report.id)).toMatchObject({ ok: false, reason: 'invalid_state' });
+
+        expect((await reports.markPaid(report.id, approverId)).report).toMatchObject({ status: 'paid', paidBy: approverId });
+        expect(await reports.getLock(kept)).toEqual({ id: report.id, status: 'paid' });
+        expect((await reports.listForTrip(trip.id)).map(r => r.status)).toEqual(['paid']);
+    });
+
+    it('should unlock a rejected report and let it be submitted again', async () => {
+        const expenseId = await addExpense(10);
+        const { report } = await reports.submit((await reports.create(trip, ownerId, null)).id, ownerId);
+        expect((await reports.listByStatus('submitted')).map(r => r.id)).toEqual([report.id]);
+
+        await reports.decideLine(report.id, expenseId, approverId, 'rejected', 'Wrong amount');
+        expect((await reports.reject(report.id, approverId, 'Fix the amount')).report.status).toBe('rejected');
+        expect(await reports.getLock(expenseId)).toBeNull();
+        expect(await reports.approve(report.id, approverId, null)).toMatchObject({ ok: false, reason: 'invalid_state' });
+
+        await dbAsync.run('UPDATE expenses SET cost = 12 WHERE id = ?', [expenseId]);
+        const resubmitted = await reports.submit(report.id, ownerId);
+        expect(resubmitted.report).toMatchObject({ status: 'submitted', total: 12, decidedBy: null });
+        expect(resubmitted.report.lines[0]).toMatchObject({ status: 'pending', comment: null });
+    });
+
+    it('should delete drafts but keep their expenses', async () => {
+        const expenseId = await addExpense(10);
+        const draft = await reports.create(trip, ownerId, null);
+        expect((await reports.remove(draft.id)).ok).toBe(true);
+        expect(await reports.get(draft.id)).toBeNull();
+        expect(await dbAsync.get('SELECT id FROM expenses WHERE id = ?', [expenseId])).toEqual({ id: expenseId });
+        expect(await reports.remove(draft.id)).toEqual({ ok: false, reason: 'not_found' });
+    });
+});
@@ -0,0 +1,73 @@
+const request = require('supertest');
+const XLSX = require('xlsx');
+
+// The real app, on an in-memory database
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+// The server logs every request
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+const app = require('../server');
+const { dbAsync, dbReady, closeDatabase } = require('../database');
+
+// Collect the download into a Buffer
+const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('GET /api/export-expenses', () => {
+    let token;
+
+    beforeAll(async () => {
+        await dbReady;
+        await request(app).post('/api/auth/register').send({ username: 'alice', password: 'correct horse' });
+        const res = await request(app).post('/api/auth/login').send({ username: 'alice', password: 'correct horse' });
+        token = res.body.token;
+    });
+
+    afterAll((done) => {
+        closeDatabase();
+        // closeDatabase logs when the connection is closed; give it a moment
+        setTimeout(() => {
+            console.log.mockRestore();
+            console.warn.mockRestore();
+            done();
+        }, 50);
+    });
+
+    it('should keep the totals rows as wide as the header', async () => {
+        const trip = (await request(app).post('/api/trips').set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Berlin', homeCurrency: 'EUR' })).body.trip;
+        await request(app).post('/api/exchange-rates').set('Authorization', `Bearer ${token}`)
+            .send({ rateDate: '2024-03-01', baseCurrency: 'USD', quoteCurrency: 'EUR', rate: 0.5 });
+        const insert = `INSERT INTO expenses (user_id, trip_id, tripName, type, date, cost, currency, comments)
+                        SELECT user_id, id, name, 'Food', '2024-03-01', ?, ?, 'Dinner' FROM trips WHERE id = ?`;
+        await dbAsync.run(insert, [10, 'EUR', trip.id]);
+        await dbAsync.run(insert, [20, 'USD', trip.id]);
+        await dbAsync.run(insert, [7, 'GBP', trip.id]);
+
+        const res = await request(app).get(`/api/export-expenses?tripId=${trip.id}`)
+            .set('Authorization', `Bearer ${token}`).buffer(true).parse(binaryParser);
+        expect(res.statusCode).toBe(200);
+
+        const sheet = XLSX.read(res.body).Sheets.Expenses;
+        const [headers, ...rows] = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: true, defval: '' });
+        expect(headers).toHaveLength(10);
+        expect(headers[8]).toBe('Comments');
+        expect(headers[9]).toBe('Added By');
+
+        const totalsRows = rows.slice(4);
+        totalsRows.forEach(row => expect(row).toHaveLength(headers.length));
+        expect(totalsRows.map(row => row[3])).toEqual([
+            'Total (EUR)', 'Total (USD)', 'Total (GBP)', 'Converted total (EUR)', '1 expense(s) without an exchange rate are not included'
+        ]);
+        expect(totalsRows[3][headers.indexOf('Cost (EUR)')]).toBe('20.00');
+        // Nothing spills into the expense columns
+        totalsRows.forEach(row => {
+            expect(row[headers.indexOf('Comments')]).toBe('');
+            expect(row[headers.indexOf('Added By')]).toBe('');
+        });
+    });
+});
@@ -0,0 +1,57 @@
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { validateInstanceSettings, createInstanceSettings } = require('../utils/instanceSettings');
+
+const OCR_METHODS = ['builtin', 'gemini', 'openai'];
+
+describe('Instance settings', () => {
+    let db;
+    let dbAsync;
+    let settings;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run("INSERT INTO users (id, username, password_hash) VALUES (1, 'admin', 'x')");
+        settings = createInstanceSettings(dbAsync, { ocrMethods: OCR_METHODS });
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should use the defaults until something is saved', async () => {
+        expect(await settings.get()).toEqual({ ocrAllowedMethods: OCR_METHODS, ocrDefaultMethod: 'builtin' });
+    });
+
+    it('should save changes and record who made them', async () => {
+        const result = await settings.update({ ocrAllowedMethods: ['gemini'], ocrDefaultMethod: 'gemini', unknown: 1 }, 1);
+
+        expect(result).toEqual({ ok: true, settings: { ocrAllowedMethods: ['gemini'], ocrDefaultMethod: 'gemini' } });
+        expect(await settings.get()).toEqual(result.settings);
+        const rows = await dbAsync.all('SELECT key, updatedBy FROM instance_settings ORDER BY key');
+        expect(rows).toEqual([
+            { key: 'ocrAllowedMethods', updatedBy: 1 },
+            { key: 'ocrDefaultMethod', updatedBy: 1 }
+        ]);
+    });
+
+    it('should reject a default that is not allowed, leaving the settings as they were', async () => {
+        const result = await settings.update({ ocrAllowedMethods: ['gemini', 'openai'] }, 1);
+
+        expect(result.ok).toBe(false);
+        expect(result.errors).toEqual(['The default OCR method must be one of the allowed methods.']);
+        expect((await settings.get()).ocrAllowedMethods).toEqual(OCR_METHODS);
+    });
+
+    it('should validate allowed and default methods', () => {
+        expect(validateInstanceSettings({ ocrAllowedMethods: [], ocrDefaultMethod: 'builtin' }, OCR_METHODS))
+            .toContain('At least one OCR method must be allowed.');
+        expect(validateInstanceSettings({ ocrAllowedMethods: ['fax'], ocrDefaultMethod: 'telex' }, OCR_METHODS))
+            .toHaveLength(2);
+        expect(validateInstanceSettings({ ocrAllowedMethods: ['builtin'], ocrDefaultMethod: 'builtin' }, OCR_METHODS))
+            .toEqual([]);
+    });
+});
@@ -0,0 +1,123 @@
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { blockedUntil, createLoginThrottle } = require('../utils/loginThrottle');
+const { createAuditLog } = require('../utils/audit');
+
+describe('Login throttle backoff', () => {
+    const limit = { freeAttempts: 3, baseDelayMs: 1000, maxDelayMs: 8000, lockoutAfter: 10, lockoutMs: 60000, windowMs: 60000 };
+    const now = new Date('2024-05-01T12:00:00.000Z');
+    const row = (attempts, msAgo, lockedUntil = null) => ({
+        attempts, lastAttemptAt: new Date(now.getTime() - msAgo).toISOString(), lockedUntil
+    });
+
+    it('should allow the free attempts without waiting', () => {
+        expect(blockedUntil(undefined, limit, now)).toBeNull();
+        expect(blockedUntil(row(2, 0), limit, now)).toBeNull();
+    });
+
+    it('should double the wait with each further attempt, up to the maximum', () => {
+        expect(blockedUntil(row(3, 0), limit, now).until - now).toBe(1000);
+        expect(blockedUntil(row(5, 0), limit, now).until - now).toBe(4000);
+        expect(blockedUntil(row(9, 0), limit, now).until - now).toBe(8000);
+        expect(blockedUntil(row(5, 4000), limit, now)).toBeNull();
+    });
+
+    it('should forget attempts after a quiet window and honour lockouts', () => {
+        expect(blockedUntil(row(9, 60000), limit, now)).toBeNull();
+        const locked = blockedUntil(row(10, 0, new Date(now.getTime() + 30000).toISOString()), limit, now);
+        expect(locked).toEqual({ until: new Date(now.getTime() + 30000), locked: true });
+        expect(blockedUntil(row(10, 0, new Date(now.getTime() - 1).toISOString()), limit, now)).toBeNull();
+    });
+});
+
+describe('Login throttle store', () => {
+    let db;
+    let dbAsync;
+    let throttle;
+    const aliceKeys = [{ kind: 'username', subject: 'alice' }, { kind: 'ip', subject: '10.0.0.1' }];
+
+    // Pretend the last attempt for every key was long enough ago that backoff has passed
+    const waitOutBackoff = () => dbAsync.run('UPDATE login_throttle SET lastAttemptAt = ?', [new Date(Date.now() - 30000).toISOString()]);
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        throttle = createLoginThrottle(dbAsync, {
+            limits: { username: { freeAttempts: 2, lockoutAfter: 4 }, ip: { freeAttempts: 100, lockoutAfter: 200 } }
+        });
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should make attempts past the free ones wait', async () => {
+        expect((await throttle.attempt(aliceKeys)).allowed).toBe(true);
+        expect((await throttle.attempt(aliceKeys)).allowed).toBe(true);
+        const verdict = await throttle.attempt(aliceKeys);
+        expect(verdict).toMatchObject({ allowed: false, kind: 'username', locked: false });
+        expect(verdict.retryAfterMs).toBeGreaterThan(0);
+        // A refused attempt isn't counted
+        const row = await dbAsync.get("SELECT attempts FROM login_throttle WHERE kind = 'username'");
+        expect(row.attempts).toBe(2);
+    });
+
+    it('should count attempts made at the same time', async () => {
+        const verdicts = await Promise.all([1, 2, 3, 4].map(() => throttle.attempt(aliceKeys)));
+        expect(verdicts.filter(verdict => verdict.allowed).length).toBe(2);
+    });
+
+    it('should lock a username out after too many attempts until reset', async () => {
+        for (let i = 0; i < 3; i++) {
+            expect((await throttle.attempt(aliceKeys)).allowed).toBe(true);
+            await waitOutBackoff();
+        }
+        expect(await throttle.attempt(aliceKeys)).toEqual({ allowed: true, locked: [{ kind: 'username', subject: 'alice' }] });
+        expect(await throttle.attempt(aliceKeys)).toMatchObject({ allowed: false, kind: 'username', locked: true });
+        expect((await throttle.getLocks('username')).has('alice')).toBe(true);
+        // Other usernames from the same address are unaffected
+        expect((await throttle.attempt([{ kind: 'username', subject: 'bob' }, aliceKeys[1]])).allowed).toBe(true);
+
+        expect(await throttle.reset('username', 'alice')).toBe(true);
+        expect(await throttle.reset('username', 'alice')).toBe(false);
+        expect((await throttle.attempt(aliceKeys)).allowed).toBe(true);
+    });
+
+    it('should clear the username but only uncount the IP on success', async () => {
+        await throttle.attempt(aliceKeys);
+        await throttle.attempt(aliceKeys);
+        await throttle.succeeded(aliceKeys);
+        expect(await dbAsync.get("SELECT * FROM login_throttle WHERE kind = 'username'")).toBeUndefined();
+        const ip = await dbAsync.get("SELECT attempts FROM login_throttle WHERE kind = 'ip'");
+        expect(ip.attempts).toBe(1);
+    });
+
+    it('should reject unknown kinds of key', async () => {
+        await expect(throttle.attempt([{ kind: 'email', subject: 'x' }])).rejects.toThrow('Unknown throttle kind');
+    });
+});
+
+describe('Audit log', () => {
+    let db;
+    let dbAsync;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should record entries with their details as JSON', async () => {
+        const auditLog = createAuditLog(dbAsync);
+        const id = await auditLog.record('login_failed', { username: 'alice', ipAddress: '10.0.0.1', details: { reason: 'wrong_password' } });
+        const row = await dbAsync.get('SELECT * FROM audit_log WHERE id = ?', [id]);
+        expect(row).toMatchObject({ action: 'login_failed', username: 'alice', user_id: null, ipAddress: '10.0.0.1' });
+        expect(JSON.parse(row.details)).toEqual({ reason: 'wrong_password' });
+    });
+});
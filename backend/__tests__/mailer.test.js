@@ -0,0 +1,38 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileTransport, createMailTransport } = require('../utils/mailer');
+
+describe('Mail transports', () => {
+    let outboxDir;
+
+    beforeEach(async () => {
+        outboxDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        console.log.mockRestore();
+        await fs.promises.rm(outboxDir, { recursive: true, force: true });
+    });
+
+    it('should write messages to the outbox as JSON', async () => {
+        const transport = createFileTransport({ outboxDir, from: 'Tracker <tracker@example.com>' });
+        const { messageId, path: filePath } = await transport.send({ to: 'alice@example.com', subject: 'Hello', text: 'Hi' });
+
+        const stored = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        expect(path.dirname(filePath)).toBe(outboxDir);
+        expect(stored).toMatchObject({ messageId, from: 'Tracker <tracker@example.com>', to: 'alice@example.com', subject: 'Hello', text: 'Hi' });
+    });
+
+    it('should use the file transport by default', () => {
+        const transport = createMailTransport({ MAIL_OUTBOX_DIR: outboxDir });
+        expect(transport.name).toBe('file');
+        expect(transport.outboxDir).toBe(outboxDir);
+    });
+
+    it('should reject unknown transports and SMTP without a host', () => {
+        expect(() => createMailTransport({ MAIL_TRANSPORT: 'pigeon' })).toThrow(/Unknown MAIL_TRANSPORT/);
+        expect(() => createMailTransport({ MAIL_TRANSPORT: 'smtp' })).toThrow(/SMTP_HOST/);
+    });
+});
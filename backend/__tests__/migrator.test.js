@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { migrateUp, migrateDown, getMigrationStatus, loadMigrations } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+
+describe('Schema migrations', () => {
+    let db;
+    let dbAsync;
+
+    beforeEach(() => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should apply every migration to an empty database', async () => {
+        const applied = await migrateUp(db);
+
+        expect(applied.length).toEqual(loadMigrations().length);
+        const status = await getMigrationStatus(db);
+        expect(status.every(m => m.applied)).toBe(true);
+        const tables = await dbAsync.all("SELECT name FROM sqlite_master WHERE type = 'table'");
+        expect(tables.map(t => t.name)).toEqual(expect.arrayContaining(['users', 'trips', 'expenses', 'schema_migrations']));
+    });
+
+    it('should not re-apply migrations that are already recorded', async () => {
+        await migrateUp(db);
+        const secondRun = await migrateUp(db);
+
+        expect(secondRun).toEqual([]);
+    });
+
+    it('should revert all migrations in reverse order', async () => {
+        const applied = await migrateUp(db);
+        const reverted = await migrateDown(db, { steps: applied.length });
+
+        expect(reverted.map(m => m.version)).toEqual(applied.map(m => m.version).reverse());
+        const rows = await dbAsync.all('SELECT * FROM schema_migrations');
+        expect(rows.length).toEqual(0);
+        const tables = await dbAsync.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'expenses'");
+        expect(tables.length).toEqual(0);
+    });
+
+    it('should roll back a failing migration', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+        fs.writeFileSync(path.join(dir, '001_broken.js'), `
+            module.exports = {
+                up: async (db) => {
+                    await db.run('CREATE TABLE half_done (id INTEGER)');
+                    await db.run('INSERT INTO missing_table VALUES (1)');
+                },
+                down: async () => {}
+            };
+        `);
+
+        try {
+            await expect(migrateUp(db, { dir })).rejects.toThrow();
+            const tables = await dbAsync.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'half_done'");
+            expect(tables.length).toEqual(0);
+            const rows = await dbAsync.all('SELECT * FROM schema_migrations');
+            expect(rows.length).toEqual(0);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should link existing expenses to their trips by name, per user', async () => {
+        await migrateUp(db, { target: 1 });
+        await dbAsync.run("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x'), (2, 'bob', 'x')");
+        await dbAsync.run("INSERT INTO trips (id, user_id, name) VALUES (10, 1, 'Berlin')");
+        const insert = "INSERT INTO expenses (id, user_id, date, cost, tripName) VALUES (?, ?, '2024-01-01', 1, ?)";
+        await dbAsync.run(insert, [1, 1, 'Berlin']);
+        await dbAsync.run(insert, [2, 1, 'Paris']);
+        await dbAsync.run(insert, [3, 1, 'Paris']);
+        // Same name, different user: gets a trip of their own
+        await dbAsync.run(insert, [4, 2, 'Berlin']);
+        await dbAsync.run(insert, [5, 1, '']);
+        await dbAsync.run(insert, [6, 1, null]);
+        await migrateUp(db, { target: 2 });
+
+        const trips = await dbAsync.all('SELECT id, user_id, name FROM trips ORDER BY user_id, name');
+        expect(trips.map(t => [t.user_id, t.name])).toEqual([[1, 'Berlin'], [1, 'Paris'], [2, 'Berlin']]);
+        const tripId = (userId, name) => trips.find(t => t.user_id === userId && t.name === name).id;
+        expect(tripId(1, 'Berlin')).toBe(10);
+
+        const expenses = await dbAsync.all('SELECT id, trip_id FROM expenses ORDER BY id');
+        expect(expenses).toEqual([
+            { id: 1, trip_id: 10 },
+            { id: 2, trip_id: tripId(1, 'Paris') },
+            { id: 3, trip_id: tripId(1, 'Paris') },
+            { id: 4, trip_id: tripId(2, 'Berlin') },
+            { id: 5, trip_id: null },
+            { id: 6, trip_id: null }
+        ]);
+    });
+
+    it('should make the first existing user an admin when adding roles', async () => {
+        await migrateUp(db, { target: 10 });
+        await dbAsync.run("INSERT INTO users (id, username, password_hash) VALUES (2, 'alice', 'x'), (3, 'bob', 'x')");
+        await migrateUp(db, { target: 11 });
+
+        const users = await dbAsync.all('SELECT username, role, disabledAt FROM users ORDER BY id');
+        expect(users).toEqual([
+            { username: 'alice', role: 'admin', disabledAt: null },
+            { username: 'bob', role: 'member', disabledAt: null }
+        ]);
+        await expect(dbAsync.run("UPDATE users SET role = 'owner' WHERE id = 3")).rejects.toThrow(/CHECK/);
+    });
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Tesseract = require('tesseract.js');
+const { loadImage } = require('@napi-rs/canvas');
+const { renderPdfPages, processWithBuiltinOCR } = require('../utils/ocr');
+
+// A PDF with 200x100 pt pages drawn by the given content streams (Helvetica is available as /F1)
+const buildPdf = (pageContents) => {
+    const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null];
+    const kids = [];
+    for (const content of pageContents) {
+        const pageId = objects.length + 1;
+        kids.push(`${pageId} 0 R`);
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 100] /Contents ${pageId + 1} 0 R
+            /Resources << /Font << /F1 << /Type /Font /Subtype /Type1 /BaseFont /Helvetica >> >> >> >>`);
+        objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    }
+    objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+// A black box on the left of the page, as a scanner would leave an image with no text layer
+const SCANNED_PAGE = '0 0 0 rg 20 20 100 50 re f';
+
+describe('OCR of PDF receipts', () => {
+    let dir;
+    const writePdf = (name, pageContents) => {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, buildPdf(pageContents));
+        return filePath;
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-'));
+        // pdfjs-dist warns about the fonts it substitutes
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    it('should render the first pages of a PDF to PNGs on a white background', async () => {
+        const filePath = writePdf('scan.pdf', [SCANNED_PAGE, SCANNED_PAGE]);
+
+        const pages = await renderPdfPages(filePath);
+        expect(pages).toHaveLength(2);
+        const image = await loadImage(pages[0]);
+        expect([image.width, image.height]).toEqual([2000, 1000]);
+
+        const { createCanvas } = require('@napi-rs/canvas');
+        const canvas = createCanvas(image.width, image.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        // PDF coordinates start at the bottom left: the box covers x 200-1200 and y 300-800
+        expect(Array.from(ctx.getImageData(700, 550, 1, 1).data)).toEqual([0, 0, 0, 255]);
+        expect(Array.from(ctx.getImageData(1800, 100, 1, 1).data)).toEqual([255, 255, 255, 255]);
+
+        expect(await renderPdfPages(filePath, 1)).toHaveLength(1);
+    });
+
+    it('should run Tesseract on the pages of a PDF without a text layer', async () => {
+        const recognize = jest.spyOn(Tesseract, 'recognize')
+            .mockResolvedValueOnce({ data: { text: 'CAFE CENTRAL\n2024-05-02' } })
+            .mockResolvedValueOnce({ data: { text: 'Total €12.50' } });
+
+        const result = await processWithBuiltinOCR(writePdf('scan.pdf', [SCANNED_PAGE, SCANNED_PAGE]), 'application/pdf');
+        expect(recognize).toHaveBeenCalledTimes(2);
+        expect(recognize).toHaveBeenCalledWith(expect.any(Buffer), 'eng');
+        expect(result).toMatchObject({ date: '2024-05-02', cost: '12.50', currency: 'EUR', method: 'builtin' });
+    });
+
+    it('should read the text layer of a PDF that has one, without Tesseract', async () => {
+        const recognize = jest.spyOn(Tesseract, 'recognize');
+
+        const result = await processWithBuiltinOCR(writePdf('invoice.pdf', ['BT /F1 12 Tf 10 50 Td (Total 9.99) Tj ET']), 'application/pdf');
+        expect(recognize).not.toHaveBeenCalled();
+        expect(result.cost).toBe('9.99');
+    });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createCanvas } = require('@napi-rs/canvas');
+
+// The real app, on an in-memory database and a throwaway uploads directory
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-routes-'));
+process.env.DB_PATH = ':memory:';
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.RECEIPT_STORAGE = 'local';
+process.env.JWT_SECRET = 'test-secret';
+// The server logs every request
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+// The queue only runs when the server is started; keep hold of it to run the jobs here
+const ocrQueueModule = require('../utils/ocrQueue');
+const createOcrQueue = jest.spyOn(ocrQueueModule, 'createOcrQueue');
+const ocrUtils = require('../utils/ocr');
+const app = require('../server');
+const { dbReady, closeDatabase } = require('../database');
+
+describe('POST /api/test-ocr', () => {
+    let token;
+    let ocrQueue;
+    const uploadedFiles = () => fs.readdirSync(uploadsDir);
+    const upload = (buffer, filename, contentType) => request(app).post('/api/test-ocr')
+        .set('Authorization', `Bearer ${token}`).attach('receipt', buffer, { filename, contentType });
+
+    beforeAll(async () => {
+        await dbReady;
+        ocrQueue = createOcrQueue.mock.results[0].value;
+        await request(app).post('/api/auth/register').send({ username: 'alice', password: 'correct horse' });
+        const res = await request(app).post('/api/auth/login').send({ username: 'alice', password: 'correct horse' });
+        token = res.body.token;
+    });
+
+    afterAll((done) => {
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+        closeDatabase();
+        setTimeout(() => {
+            jest.restoreAllMocks();
+            done();
+        }, 50);
+    });
+
+    it('should remove the receipt and its thumbnails once the job is done', async () => {
+        jest.spyOn(ocrUtils, 'processReceiptFile').mockResolvedValueOnce({ vendor: 'Cafe', cost: '4.20', method: 'builtin' });
+        const canvas = createCanvas(400, 600);
+        canvas.getContext('2d').fillRect(0, 0, 400, 600);
+
+        const res = await upload(await canvas.encode('png'), 'receipt.png', 'image/png');
+        expect(res.statusCode).toBe(202);
+        // The receipt, a small and a medium thumbnail
+        expect(uploadedFiles()).toHaveLength(3);
+
+        await ocrQueue.start();
+        await ocrQueue.drain();
+        await ocrQueue.stop();
+        const job = await request(app).get(`/api/ocr-jobs/${res.body.jobId}`).set('Authorization', `Bearer ${token}`);
+        expect(job.body).toMatchObject({ status: 'completed', result: { vendor: 'Cafe' } });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(uploadedFiles()).toEqual([]);
+    });
+
+    it('should answer uploads that aren\'t what they claim to be with a 400', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const gif = Buffer.from('GIF89a\x01\x00\x01\x00\x00\x00\x00;', 'latin1');
+
+        const res = await upload(gif, 'receipt.png', 'image/png');
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toMatch(/Invalid file type/);
+        expect(uploadedFiles()).toEqual([]);
+    });
+});
@@ -0,0 +1,153 @@
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { createOcrQueue, getRetryDelay } = require('../utils/ocrQueue');
+
+describe('OCR job queue', () => {
+    let db;
+    let dbAsync;
+    let queue;
+
+    const newJob = (overrides = {}) => ({
+        userId: 1,
+        filePath: '/tmp/receipt.jpg',
+        mimeType: 'image/jpeg',
+        originalName: 'receipt.jpg',
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x'), (2, 'bob', 'x')");
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        if (queue) await queue.stop();
+        queue = null;
+        jest.restoreAllMocks();
+        await new Promise(resolve => db.close(resolve));
+    });
+
+    it('should double the retry delay after each failed attempt', () => {
+        expect([1, 2, 3].map(attempt => getRetryDelay(attempt, 100))).toEqual([100, 200, 400]);
+    });
+
+    it('should process a job and store its result', async () => {
+        const onComplete = jest.fn();
+        const removeFile = jest.fn();
+        queue = createOcrQueue(dbAsync, {
+            processJob: async () => ({ vendor: 'Cafe', cost: 12.5 }),
+            onComplete,
+            removeFile
+        });
+        const jobId = await queue.enqueue(newJob());
+        expect((await queue.getJob(jobId, 1)).status).toBe('queued');
+
+        await queue.start();
+        await queue.drain();
+
+        const job = await queue.getJob(jobId, 1);
+        expect(job).toMatchObject({ status: 'completed', attempts: 1, result: { vendor: 'Cafe', cost: 12.5 }, error: null });
+        expect(job.filePath).toBeUndefined();
+        expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ id: jobId }), { vendor: 'Cafe', cost: 12.5 });
+        expect(removeFile).toHaveBeenCalledWith('/tmp/receipt.jpg');
+    });
+
+    it('should only show a job to its owner', async () => {
+        queue = createOcrQueue(dbAsync, { processJob: async () => ({}) });
+        const jobId = await queue.enqueue(newJob());
+        expect(await queue.getJob(jobId, 2)).toBeNull();
+    });
+
+    it('should retry a failed attempt and keep files the job was told to keep', async () => {
+        const removeFile = jest.fn();
+        const processJob = jest.fn()
+            .mockRejectedValueOnce(new Error('Tesseract crashed'))
+            .mockResolvedValueOnce({ vendor: 'Cafe' });
+        queue = createOcrQueue(dbAsync, { processJob, removeFile, retryDelayMs: 0 });
+        const jobId = await queue.enqueue(newJob({ keepFile: true }));
+
+        await queue.start();
+        await queue.drain();
+
+        const job = await queue.getJob(jobId, 1);
+        expect(job).toMatchObject({ status: 'completed', attempts: 2, result: { vendor: 'Cafe' } });
+        expect(processJob).toHaveBeenCalledTimes(2);
+        expect(removeFile).not.toHaveBeenCalled();
+    });
+
+    it('should mark the job failed after the last attempt', async () => {
+        const onFailed = jest.fn();
+        const removeFile = jest.fn();
+        queue = createOcrQueue(dbAsync, {
+            processJob: async () => { throw new Error('Invalid PDF structure'); },
+            onFailed,
+            removeFile,
+            retryDelayMs: 0
+        });
+        const jobId = await queue.enqueue(newJob({ maxAttempts: 2 }));
+
+        await queue.start();
+        await queue.drain();
+
+        const job = await queue.getJob(jobId, 1);
+        expect(job).toMatchObject({ status: 'failed', attempts: 2, error: 'Invalid PDF structure' });
+        expect(job.completedAt).not.toBeNull();
+        expect(onFailed).toHaveBeenCalledTimes(1);
+        expect(onFailed.mock.calls[0][1].message).toBe('Invalid PDF structure');
+        expect(removeFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not run more jobs at once than the concurrency limit', async () => {
+        let running = 0;
+        let peak = 0;
+        queue = createOcrQueue(dbAsync, {
+            concurrency: 2,
+            processJob: async () => {
+                running++;
+                peak = Math.max(peak, running);
+                await new Promise(resolve => setTimeout(resolve, 10));
+                running--;
+                return {};
+            }
+        });
+        const jobIds = [];
+        for (let i = 0; i < 5; i++) jobIds.push(await queue.enqueue(newJob()));
+
+        await queue.start();
+        await queue.drain();
+
+        expect(peak).toBe(2);
+        const jobs = await Promise.all(jobIds.map(id => queue.getJob(id, 1)));
+        expect(jobs.every(job => job.status === 'completed')).toBe(true);
+    });
+
+    it('should report the position of queued jobs', async () => {
+        queue = createOcrQueue(dbAsync, { processJob: async () => ({}) });
+        const first = await queue.enqueue(newJob());
+        const second = await queue.enqueue(newJob());
+        expect((await queue.getJob(first, 1)).position).toBe(1);
+        expect((await queue.getJob(second, 1)).position).toBe(2);
+    });
+
+    it('should requeue jobs interrupted by a restart', async () => {
+        const { lastID } = await dbAsync.run(
+            `INSERT INTO ocr_jobs (user_id, filePath, mimeType, ocrMethod, status, attempts, runAfter)
+             VALUES (1, '/tmp/receipt.jpg', 'image/jpeg', 'builtin', 'processing', 1, ?)`,
+            [new Date().toISOString()]
+        );
+        const processJob = jest.fn().mockResolvedValue({ vendor: 'Cafe' });
+        queue = createOcrQueue(dbAsync, { processJob });
+
+        await queue.start();
+        await queue.drain();
+
+        expect(processJob).toHaveBeenCalledTimes(1);
+        expect(await queue.getJob(lastID, 1)).toMatchObject({ status: 'completed', attempts: 2 });
+    });
+});
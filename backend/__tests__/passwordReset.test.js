@@ -0,0 +1,51 @@
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { hashToken } = require('../utils/sessions');
+const { createPasswordResetStore } = require('../utils/passwordReset');
+
+describe('Password reset store', () => {
+    let db;
+    let dbAsync;
+    let store;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run("INSERT INTO users (id, username, password_hash, email) VALUES (1, 'alice', 'x', 'alice@example.com')");
+        store = createPasswordResetStore(dbAsync);
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should store only a hash of the token', async () => {
+        const { token } = await store.issue(1, { ipAddress: '10.0.0.1' });
+        const row = await dbAsync.get('SELECT * FROM password_reset_tokens WHERE user_id = 1');
+        expect(row.tokenHash).toBe(hashToken(token));
+        expect(row.requestedIp).toBe('10.0.0.1');
+        expect(JSON.stringify(row)).not.toContain(token);
+    });
+
+    it('should accept a token only once', async () => {
+        const { token } = await store.issue(1);
+        expect(await store.consume(token)).toBe(1);
+        expect(await store.consume(token)).toBeNull();
+        expect(await store.consume('not-a-token')).toBeNull();
+    });
+
+    it('should reject expired tokens', async () => {
+        const expiredStore = createPasswordResetStore(dbAsync, { ttlMs: -1000 });
+        const { token } = await expiredStore.issue(1);
+        expect(await expiredStore.consume(token)).toBeNull();
+    });
+
+    it('should cancel older tokens when a new one is issued', async () => {
+        const first = await store.issue(1);
+        const second = await store.issue(1);
+        expect(await store.consume(first.token)).toBeNull();
+        expect(await store.consume(second.token)).toBe(1);
+    });
+});
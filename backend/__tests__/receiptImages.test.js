@@ -0,0 +1,181 @@
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const {
+    imageType, readJpegOrientation, stripJpegMetadata, stripPngMetadata, stripWebpMetadata,
+    thumbnailKey, hasThumbnails, prepareReceiptFiles
+} = require('../utils/receiptImages');
+
+// A JPEG marker segment: FF, marker, 2-byte length (which counts itself), data
+const segment = (marker, data) => {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(data.length + 2);
+    return Buffer.concat([Buffer.from([0xFF, marker]), length, data]);
+};
+
+// An APP1 Exif segment whose first directory has the orientation tag and a GPS pointer
+const exifSegment = (orientation, littleEndian = false) => {
+    const tiff = Buffer.alloc(8 + 2 + 2 * 12 + 4);
+    const write16 = (value, offset) => (littleEndian ? tiff.writeUInt16LE(value, offset) : tiff.writeUInt16BE(value, offset));
+    const write32 = (value, offset) => (littleEndian ? tiff.writeUInt32LE(value, offset) : tiff.writeUInt32BE(value, offset));
+    tiff.write(littleEndian ? 'II' : 'MM', 0, 'latin1');
+    write16(42, 2);
+    write32(8, 4);
+    write16(2, 8);
+    // Orientation: SHORT, one value
+    write16(0x0112, 10);
+    write16(3, 12);
+    write32(1, 14);
+    write16(orientation, 18);
+    // GPSInfo: LONG pointer
+    write16(0x8825, 22);
+    write16(4, 24);
+    write32(1, 26);
+    write32(0, 30);
+    return segment(0xE1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]));
+};
+
+const jpeg = (...segments) => Buffer.concat([
+    Buffer.from([0xFF, 0xD8]),
+    segment(0xE0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+    ...segments,
+    // Start of scan, some "image data" and end of image
+    segment(0xDA, Buffer.from([1, 1, 0, 0, 0x3F, 0])),
+    Buffer.from([0x12, 0x34, 0xFF, 0xD9])
+]);
+
+// A PNG chunk: 4-byte length, type, data and a CRC (not checked by the code under test)
+const pngChunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+};
+
+// A WebP chunk: fourcc, little-endian size, data padded to an even length
+const webpChunk = (fourcc, data) => {
+    const size = Buffer.alloc(4);
+    size.writeUInt32LE(data.length);
+    return Buffer.concat([Buffer.from(fourcc, 'latin1'), size, data, Buffer.alloc(data.length % 2)]);
+};
+
+const webp = (...chunks) => {
+    const body = Buffer.concat(chunks);
+    const header = Buffer.concat([Buffer.from('RIFF', 'latin1'), Buffer.alloc(4), Buffer.from('WEBP', 'latin1')]);
+    header.writeUInt32LE(body.length + 4, 4);
+    return Buffer.concat([header, body]);
+};
+
+// A real 300x100 photo, as a camera would save it: EXIF with an orientation and a GPS pointer after SOI
+const cameraJpeg = (orientation) => {
+    const canvas = createCanvas(300, 100);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#c00';
+    ctx.fillRect(0, 0, 300, 100);
+    const encoded = canvas.toBuffer('image/jpeg', 90);
+    return Buffer.concat([encoded.subarray(0, 2), exifSegment(orientation), encoded.subarray(2)]);
+};
+
+describe('Receipt images', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+        console.error.mockRestore();
+    });
+
+    it('should recognise JPEG, PNG and WebP files by their contents', () => {
+        expect(imageType(jpeg())).toBe('jpeg');
+        expect(imageType(Buffer.from('\x89PNG\r\n\x1a\n....', 'latin1'))).toBe('png');
+        expect(imageType(webp())).toBe('webp');
+        expect(imageType(Buffer.from('%PDF-1.7'))).toBeNull();
+    });
+
+    it('should read the EXIF orientation in either byte order', () => {
+        expect(readJpegOrientation(jpeg(exifSegment(6)))).toBe(6);
+        expect(readJpegOrientation(jpeg(exifSegment(8, true)))).toBe(8);
+        expect(readJpegOrientation(jpeg(exifSegment(42)))).toBe(1);
+        expect(readJpegOrientation(jpeg())).toBe(1);
+        // Cut off inside the Exif segment
+        expect(readJpegOrientation(jpeg(exifSegment(6)).subarray(0, 30))).toBe(1);
+    });
+
+    it('should strip EXIF, GPS included, but keep the orientation and the image data', () => {
+        const original = jpeg(exifSegment(6), segment(0xE1, Buffer.from('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>', 'latin1')));
+        const stripped = stripJpegMetadata(original);
+        expect(readJpegOrientation(stripped)).toBe(6);
+        expect(stripped.includes(Buffer.from([0x88, 0x25]))).toBe(false);
+        expect(stripped.includes(Buffer.from('xmpmeta'))).toBe(false);
+        expect(stripped.includes(Buffer.from('JFIF'))).toBe(true);
+        expect(stripped.subarray(-4)).toEqual(Buffer.from([0x12, 0x34, 0xFF, 0xD9]));
+        expect(stripped.length).toBeLessThan(original.length);
+
+        const upright = stripJpegMetadata(jpeg(exifSegment(1)));
+        expect(upright.includes(Buffer.from('Exif\0\0', 'latin1'))).toBe(false);
+    });
+
+    it('should strip EXIF and text chunks from a PNG', () => {
+        const header = pngChunk('IHDR', Buffer.alloc(13));
+        const data = pngChunk('IDAT', Buffer.from('pixels'));
+        const signature = Buffer.from('\x89PNG\r\n\x1a\n', 'latin1');
+        const original = Buffer.concat([
+            signature, header, pngChunk('eXIf', Buffer.from('MM gps')), pngChunk('iTXt', Buffer.from('XML:com.adobe.xmp')), data, pngChunk('IEND', Buffer.alloc(0))
+        ]);
+
+        expect(stripPngMetadata(original)).toEqual(Buffer.concat([signature, header, data, pngChunk('IEND', Buffer.alloc(0))]));
+    });
+
+    it('should strip EXIF and XMP chunks from a WebP and say so in its header', () => {
+        // VP8X flags: EXIF (0x08), XMP (0x04) and alpha (0x10)
+        const extended = (flags) => webpChunk('VP8X', Buffer.from([flags, 0, 0, 0, 1, 0, 0, 1, 0, 0]));
+        const original = webp(extended(0x1C), webpChunk('VP8L', Buffer.from('pixels!')), webpChunk('EXIF', Buffer.from('MM gps')), webpChunk('XMP ', Buffer.from('<x:xmpmeta/>')));
+
+        expect(stripWebpMetadata(original)).toEqual(webp(extended(0x10), webpChunk('VP8L', Buffer.from('pixels!'))));
+    });
+
+    it('should name thumbnails after their receipt, for images only', () => {
+        expect(thumbnailKey('1700-42-receipt.jpg', 'small')).toBe('1700-42-receipt.jpg.small.jpg');
+        expect(hasThumbnails('/uploads/1700-42-receipt.JPEG')).toBe(true);
+        expect(hasThumbnails('1700-42-receipt.png')).toBe(true);
+        expect(hasThumbnails('1700-42-hotel.pdf')).toBe(false);
+        expect(hasThumbnails(null)).toBe(false);
+    });
+
+    it('should store unreadable images as uploaded, without their EXIF', async () => {
+        // Crashes the decoder, and with it the worker process; the next image gets a new one
+        const broken = jpeg(exifSegment(6));
+        const [file, ...thumbnails] = await prepareReceiptFiles('1700-42-a.jpg', broken, 'image/jpeg');
+        expect(thumbnails).toEqual([]);
+        expect(file).toEqual({ key: '1700-42-a.jpg', body: stripJpegMetadata(broken), contentType: 'image/jpeg' });
+
+        const pdf = Buffer.from('%PDF-1.7 receipt');
+        expect(await prepareReceiptFiles('1700-42-a.pdf', pdf, 'application/pdf')).toEqual([{ key: '1700-42-a.pdf', body: pdf, contentType: 'application/pdf' }]);
+    });
+
+    it('should refuse images whose metadata it can\'t remove', async () => {
+        const heic = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic', 'latin1'), Buffer.alloc(16)]);
+        await expect(prepareReceiptFiles('1700-42-a.heic', heic, 'image/heic')).rejects.toThrow(/^Invalid file type/);
+        // The browser's word for the type isn't taken
+        await expect(prepareReceiptFiles('1700-42-a.pdf', heic, 'application/pdf')).rejects.toThrow(/^Invalid file type/);
+    });
+
+    it('should re-encode a photo upright, without its EXIF, and make thumbnails', async () => {
+        const original = cameraJpeg(6);
+        const [file, ...thumbnails] = await prepareReceiptFiles('1700-42-a.jpg', original, 'image/jpeg');
+        const thumbnail = (size) => thumbnails.find(({ key }) => key === `1700-42-a.jpg.${size}.jpg`);
+
+        expect(file.key).toBe('1700-42-a.jpg');
+        expect(imageType(file.body)).toBe('jpeg');
+        expect(file.body.includes(Buffer.from('Exif\0\0', 'latin1'))).toBe(false);
+        expect(file.body.includes(Buffer.from([0x88, 0x25]))).toBe(false);
+        // Orientation 6 means the camera was turned a quarter; the stored photo is turned back
+        const image = await loadImage(file.body);
+        expect([image.width, image.height]).toEqual([100, 300]);
+
+        expect(thumbnails).toHaveLength(2);
+        expect(thumbnail('medium').contentType).toBe('image/jpeg');
+        const small = await loadImage(thumbnail('small').body);
+        expect(Math.max(small.width, small.height)).toBe(160);
+        expect(thumbnail('small').body.includes(Buffer.from('Exif\0\0', 'latin1'))).toBe(false);
+    });
+});
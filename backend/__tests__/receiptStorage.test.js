@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+    receiptKey, newReceiptKey, createLocalStorage, createReceiptStorage, createMulterStorage, migrateReceipts
+} = require('../utils/receiptStorage');
+
+describe('Receipt storage', () => {
+    let dirs;
+    const tempDir = () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+        dirs.push(dir);
+        return dir;
+    };
+
+    beforeEach(() => {
+        dirs = [];
+    });
+
+    afterEach(() => {
+        dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    });
+
+    it('should turn stored references into keys', () => {
+        expect(receiptKey('/uploads/1700-42-a.jpg')).toBe('1700-42-a.jpg');
+        // OCR jobs queued before receipt storage hold absolute paths
+        expect(receiptKey('/srv/app/backend/uploads/1700-42-a.jpg')).toBe('1700-42-a.jpg');
+        expect(receiptKey(null)).toBeNull();
+        expect(newReceiptKey('../../etc/passwd')).toMatch(/^\d+-\d+-\.\._\.\._etc_passwd$/);
+        expect(newReceiptKey('"><img src=x onerror=alert(1)>.jpg')).toMatch(/^\d+-\d+-___img_src_x_onerror_alert_1__\.jpg$/);
+    });
+
+    it('should store, read, list and remove files on disk', async () => {
+        const dir = tempDir();
+        const storage = createLocalStorage({ dir });
+        await storage.put('1700-42-a.jpg', Buffer.from('receipt'));
+        fs.writeFileSync(path.join(dir, '.gitkeep'), '');
+
+        expect((await storage.get('1700-42-a.jpg')).toString()).toBe('receipt');
+        expect(await storage.get('missing.jpg')).toBeNull();
+        expect(await storage.exists('1700-42-a.jpg')).toBe(true);
+        expect(await storage.list()).toEqual(['1700-42-a.jpg']);
+        expect(await storage.withLocalFile('1700-42-a.jpg', filePath => fs.readFileSync(filePath, 'utf8'))).toBe('receipt');
+
+        expect(await storage.remove('1700-42-a.jpg')).toBe(true);
+        expect(await storage.remove('1700-42-a.jpg')).toBe(false);
+        expect(await storage.exists('1700-42-a.jpg')).toBe(false);
+    });
+
+    it('should refuse keys that leave the storage directory', async () => {
+        const storage = createLocalStorage({ dir: tempDir() });
+        await expect(storage.put('../escape.jpg', Buffer.from('x'))).rejects.toThrow(/Invalid receipt key/);
+        await expect(storage.get('/uploads/a.jpg')).rejects.toThrow(/Invalid receipt key/);
+    });
+
+    it('should save multer uploads through the driver', async () => {
+        const storage = createLocalStorage({ dir: tempDir() });
+        const engine = createMulterStorage(storage);
+        const file = { originalname: 'dinner.jpg', mimetype: 'image/jpeg', stream: Readable.from([Buffer.from('ab'), Buffer.from('cd')]) };
+
+        const info = await new Promise((resolve, reject) => engine._handleFile({}, file, (err, result) => (err ? reject(err) : resolve(result))));
+        expect(info).toEqual({ filename: expect.stringMatching(/^\d+-\d+-dinner\.jpg$/), size: 4, keys: [info.filename] });
+        expect((await storage.get(info.filename)).toString()).toBe('abcd');
+
+        await new Promise((resolve, reject) => engine._removeFile({}, info, err => (err ? reject(err) : resolve())));
+        expect(await storage.exists(info.filename)).toBe(false);
+    });
+
+    it('should store and remove the files prepared for an upload together', async () => {
+        const storage = createLocalStorage({ dir: tempDir() });
+        const prepare = async (key, buffer, contentType) => [
+            { key, body: Buffer.from('small'), contentType },
+            { key: `${key}.small.jpg`, body: Buffer.from('thumb'), contentType: 'image/jpeg' }
+        ];
+        const engine = createMulterStorage(storage, { prepare });
+        const file = { originalname: 'a.jpg', mimetype: 'image/jpeg', stream: Readable.from([Buffer.from('large upload')]) };
+
+        const info = await new Promise((resolve, reject) => engine._handleFile({}, file, (err, result) => (err ? reject(err) : resolve(result))));
+        expect(info.size).toBe(5);
+        expect((await storage.list()).sort()).toEqual(info.keys.sort());
+
+        await new Promise((resolve, reject) => engine._removeFile({}, info, err => (err ? reject(err) : resolve())));
+        expect(await storage.list()).toEqual([]);
+    });
+
+    it('should refuse uploads past the request\'s total size', async () => {
+        const storage = createLocalStorage({ dir: tempDir() });
+        const engine = createMulterStorage(storage, { maxRequestBytes: 5 });
+        const handle = (req, name, chunks) => new Promise((resolve, reject) => engine._handleFile(
+            req, { originalname: name, mimetype: 'application/pdf', stream: Readable.from(chunks) },
+            (err, result) => (err ? reject(err) : resolve(result))
+        ));
+        const req = {};
+
+        const first = await handle(req, 'a.pdf', [Buffer.from('abc')]);
+        await expect(handle(req, 'b.pdf', [Buffer.from('d'), Buffer.from('efg')])).rejects.toMatchObject({ code: 'LIMIT_REQUEST_SIZE' });
+        expect(await storage.list()).toEqual([first.filename]);
+        // The limit is per request
+        expect((await handle({}, 'c.pdf', [Buffer.from('abcde')])).size).toBe(5);
+    });
+
+    it('should move every file to the other storage', async () => {
+        const source = createLocalStorage({ dir: tempDir() });
+        const target = createLocalStorage({ dir: tempDir() });
+        await source.put('1-1-a.jpg', Buffer.from('a'));
+        await source.put('1-2-b.pdf', Buffer.from('b'));
+        await target.put('1-2-b.pdf', Buffer.from('partial copy from an earlier run'));
+
+        const result = await migrateReceipts(source, target);
+        expect(result).toEqual({ moved: 2, failed: [] });
+        expect(await source.list()).toEqual([]);
+        expect((await target.list()).sort()).toEqual(['1-1-a.jpg', '1-2-b.pdf']);
+        expect((await target.get('1-2-b.pdf')).toString()).toBe('b');
+    });
+
+    it('should keep files whose copy failed', async () => {
+        const source = createLocalStorage({ dir: tempDir() });
+        await source.put('1-1-a.jpg', Buffer.from('a'));
+        const broken = { ...createLocalStorage({ dir: tempDir() }), put: async () => { throw new Error('bucket is read-only'); } };
+
+        const result = await migrateReceipts(source, broken);
+        expect(result).toEqual({ moved: 0, failed: [{ key: '1-1-a.jpg', error: 'bucket is read-only' }] });
+        expect(await source.exists('1-1-a.jpg')).toBe(true);
+    });
+
+    it('should build the configured driver', () => {
+        const dir = tempDir();
+        expect(createReceiptStorage({ UPLOADS_DIR: dir })).toMatchObject({ name: 'local', dir });
+        expect(createReceiptStorage({ RECEIPT_STORAGE: 's3', S3_BUCKET: 'receipts', S3_ENDPOINT: 'http://localhost:9000' })).toMatchObject({ name: 's3', bucket: 'receipts' });
+        expect(() => createReceiptStorage({ RECEIPT_STORAGE: 'ftp' })).toThrow(/Unknown receipt storage/);
+        expect(() => createReceiptStorage({ RECEIPT_STORAGE: 's3' })).toThrow(/S3_BUCKET/);
+    });
+});
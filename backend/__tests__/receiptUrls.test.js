@@ -0,0 +1,82 @@
+const { receiptFileName, receiptHeaders, createReceiptUrls } = require('../utils/receiptUrls');
+
+describe('Receipt file names', () => {
+    it('should accept stored paths and bare names only', () => {
+        expect(receiptFileName('/uploads/1700-42-receipt.jpg')).toBe('1700-42-receipt.jpg');
+        expect(receiptFileName('1700-42-receipt.jpg')).toBe('1700-42-receipt.jpg');
+        expect(receiptFileName('/uploads/../server.js')).toBeNull();
+        expect(receiptFileName('../expenses.db')).toBeNull();
+        expect(receiptFileName('.env')).toBeNull();
+        expect(receiptFileName('a\\b.jpg')).toBeNull();
+        expect(receiptFileName(null)).toBeNull();
+    });
+});
+
+describe('Receipt headers', () => {
+    it('should show images and PDFs inline under their original name', () => {
+        expect(receiptHeaders('1700-42-Dinner.JPG', false)).toEqual({
+            'Content-Type': 'image/jpeg',
+            'Content-Disposition': 'inline; filename="Dinner.JPG"; filename*=UTF-8\'\'Dinner.JPG'
+        });
+        expect(receiptHeaders('1700-42-hotel.pdf', true)['Content-Disposition']).toMatch(/^attachment; filename="hotel.pdf"/);
+    });
+
+    it('should download anything else as an opaque attachment', () => {
+        expect(receiptHeaders('1700-42-page.html', false)).toEqual({
+            'Content-Type': 'application/octet-stream',
+            'Content-Disposition': 'attachment; filename="page.html"; filename*=UTF-8\'\'page.html'
+        });
+    });
+
+    it('should keep quotes and non-ASCII out of the plain file name', () => {
+        const { 'Content-Disposition': disposition } = receiptHeaders('1700-42-café "1".png', false);
+        expect(disposition).toBe('inline; filename="caf_ _1_.png"; filename*=UTF-8\'\'caf%C3%A9%20%221%22.png');
+    });
+});
+
+describe('Signed receipt URLs', () => {
+    let clock;
+    let urls;
+    const params = (url) => {
+        const parsed = new URL(url, 'http://localhost');
+        return [decodeURIComponent(parsed.pathname.split('/').pop()), parsed.searchParams.get('expires'), parsed.searchParams.get('signature')];
+    };
+
+    beforeEach(() => {
+        clock = 1700000000 * 1000;
+        urls = createReceiptUrls({ secret: 'test-secret', ttlSeconds: 600, now: () => clock });
+    });
+
+    it('should sign a URL that verifies until it expires', () => {
+        const url = urls.sign('/uploads/1700-42-receipt.jpg');
+        expect(url).toMatch(/^\/api\/receipts\/1700-42-receipt\.jpg\?expires=\d+&signature=[0-9a-f]{64}$/);
+        const verdict = urls.verify(...params(url));
+        expect(verdict.ok).toBe(true);
+        expect(verdict.expiresIn).toBeGreaterThanOrEqual(600);
+
+        clock += 1200 * 1000;
+        expect(urls.verify(...params(url))).toEqual({ ok: false, reason: 'expired' });
+    });
+
+    it('should give the same URL within a window', () => {
+        const first = urls.sign('/uploads/1700-42-receipt.jpg');
+        clock += 1000;
+        expect(urls.sign('/uploads/1700-42-receipt.jpg')).toBe(first);
+    });
+
+    it('should refuse tampered links', () => {
+        const [fileName, expires, signature] = params(urls.sign('/uploads/1700-42-receipt.jpg'));
+        expect(urls.verify('1700-43-other.jpg', expires, signature)).toEqual({ ok: false, reason: 'invalid' });
+        expect(urls.verify(fileName, String(Number(expires) + 600), signature)).toEqual({ ok: false, reason: 'invalid' });
+        expect(urls.verify(fileName, expires, 'abc')).toEqual({ ok: false, reason: 'invalid' });
+        expect(urls.verify(fileName, expires, undefined)).toEqual({ ok: false, reason: 'invalid' });
+
+        const otherServer = createReceiptUrls({ secret: 'other-secret', now: () => clock });
+        expect(otherServer.verify(fileName, expires, signature)).toEqual({ ok: false, reason: 'invalid' });
+    });
+
+    it('should not sign paths outside the uploads directory', () => {
+        expect(urls.sign(null)).toBeNull();
+        expect(urls.sign('/uploads/../expenses.db')).toBeNull();
+    });
+});
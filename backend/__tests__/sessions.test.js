@@ -0,0 +1,94 @@
+const jwt = require('jsonwebtoken');
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { hashToken, signAccessToken, createSessionStore } = require('../utils/sessions');
+
+describe('Session store', () => {
+    let db;
+    let dbAsync;
+    let store;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x'), (2, 'bob', 'x')");
+        store = createSessionStore(dbAsync, { reuseGraceMs: 0 });
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should sign access tokens that carry the session ID', () => {
+        const token = signAccessToken({ id: 1, username: 'alice' }, 7, 'secret');
+        expect(jwt.verify(token, 'secret')).toMatchObject({ userId: 1, username: 'alice', sid: 7 });
+    });
+
+    it('should store only a hash of the refresh token', async () => {
+        const { sessionId, refreshToken } = await store.create(1, { userAgent: 'Firefox', ipAddress: '10.0.0.1' });
+        const row = await dbAsync.get('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+        expect(row.refreshTokenHash).toBe(hashToken(refreshToken));
+        expect(JSON.stringify(row)).not.toContain(refreshToken);
+    });
+
+    it('should rotate the refresh token on every use', async () => {
+        const { sessionId, refreshToken } = await store.create(1);
+        const first = await store.rotate(refreshToken);
+        expect(first).toMatchObject({ ok: true, session: { id: sessionId, user_id: 1 } });
+        expect(first.refreshToken).not.toBe(refreshToken);
+
+        const second = await store.rotate(first.refreshToken);
+        expect(second.ok).toBe(true);
+        expect((await store.rotate('not-a-token')).reason).toBe('invalid');
+    });
+
+    it('should revoke the session when a used refresh token comes back', async () => {
+        const { sessionId, refreshToken } = await store.create(1);
+        const rotated = await store.rotate(refreshToken);
+
+        expect(await store.rotate(refreshToken)).toEqual({ ok: false, reason: 'reused' });
+        const row = await dbAsync.get('SELECT revokedAt, revokedReason FROM sessions WHERE id = ?', [sessionId]);
+        expect(row.revokedAt).not.toBeNull();
+        expect(row.revokedReason).toBe('token_reuse');
+        // The thief's copy of the new token is dead too
+        expect((await store.rotate(rotated.refreshToken)).reason).toBe('revoked');
+    });
+
+    it('should treat a reuse right after the swap as a race between tabs', async () => {
+        const racyStore = createSessionStore(dbAsync, { reuseGraceMs: 60 * 1000 });
+        const { refreshToken } = await racyStore.create(1);
+        const rotated = await racyStore.rotate(refreshToken);
+
+        expect(await racyStore.rotate(refreshToken)).toEqual({ ok: false, reason: 'raced' });
+        expect((await racyStore.rotate(rotated.refreshToken)).ok).toBe(true);
+    });
+
+    it('should reject expired sessions', async () => {
+        const shortStore = createSessionStore(dbAsync, { refreshTokenTtlMs: -1000 });
+        const { refreshToken } = await shortStore.create(1);
+        expect(await shortStore.rotate(refreshToken)).toEqual({ ok: false, reason: 'expired' });
+    });
+
+    it('should list and revoke only the owner\'s active sessions', async () => {
+        const phone = await store.create(1, { userAgent: 'Phone' });
+        const laptop = await store.create(1, { userAgent: 'Laptop' });
+        const tablet = await store.create(1, { userAgent: 'Tablet' });
+        await store.create(2);
+
+        expect(await store.revoke(2, phone.sessionId)).toBe(false);
+        expect(await store.revoke(1, phone.sessionId)).toBe(true);
+        expect((await store.rotate(phone.refreshToken)).reason).toBe('revoked');
+
+        let sessions = await store.list(1, laptop.sessionId);
+        expect(sessions.map(s => s.userAgent).sort()).toEqual(['Laptop', 'Tablet']);
+        expect(sessions.find(s => s.current).id).toBe(laptop.sessionId);
+
+        expect(await store.revokeOthers(1, laptop.sessionId)).toBe(1);
+        sessions = await store.list(1, laptop.sessionId);
+        expect(sessions.map(s => s.id)).toEqual([laptop.sessionId]);
+        expect((await store.rotate(tablet.refreshToken)).reason).toBe('revoked');
+        expect(await store.list(2, null)).toHaveLength(1);
+    });
+});
@@ -0,0 +1,195 @@
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { allocateCents, computeShares, settleUp, createSplits } = require('../utils/splits');
+
+describe('Split arithmetic', () => {
+    it('should divide cents so the parts add up exactly', () => {
+        expect(allocateCents(100, [1, 1, 1])).toEqual([34, 33, 33]);
+        expect(allocateCents(1000, [50, 25, 25])).toEqual([500, 250, 250]);
+        expect(allocateCents(101, [2, 1])).toEqual([67, 34]);
+    });
+
+    it('should split equally, by percentage or by exact amounts', () => {
+        const people = [{ participantId: 1 }, { participantId: 2 }, { participantId: 3 }];
+        expect(computeShares(10, 'equal', people).amounts.map(part => part.amount)).toEqual([3.34, 3.33, 3.33]);
+
+        expect(computeShares(80, 'percent', [{ participantId: 1, share: 75 }, { participantId: 2, share: 25 }]).amounts)
+            .toEqual([{ participantId: 1, amount: 60 }, { participantId: 2, amount: 20 }]);
+        expect(computeShares(80, 'percent', [{ participantId: 1, share: 75 }, { participantId: 2, share: 20 }]))
+            .toEqual({ ok: false, reason: 'percent_total' });
+
+        expect(computeShares(30, 'exact', [{ participantId: 1, share: 12.5 }, { participantId: 2, share: 17.5 }]).ok).toBe(true);
+        expect(computeShares(30, 'exact', [{ participantId: 1, share: 12.5 }, { participantId: 2, share: 17 }]))
+            .toEqual({ ok: false, reason: 'exact_total' });
+    });
+
+    it('should refuse duplicate, missing or non-positive shares', () => {
+        expect(computeShares(10, 'equal', []).reason).toBe('invalid_shares');
+        expect(computeShares(10, 'equal', [{ participantId: 1 }, { participantId: 1 }]).reason).toBe('invalid_shares');
+        expect(computeShares(10, 'exact', [{ participantId: 1, share: 10 }, { participantId: 2, share: 0 }]).reason).toBe('invalid_shares');
+        expect(computeShares(10, 'shares', [{ participantId: 1 }]).reason).toBe('invalid_method');
+    });
+
+    it('should settle with the fewest transfers', () => {
+        // Largest debtor to largest creditor would take five transfers here, but
+        // 9 - 8 - 1 and 10 - 7 - 3 each cancel out, so four are enough
+        const balances = [9, -8, -7, -3, -1, 10].map((balance, i) => ({ participantId: i + 1, balance }));
+        const transfers = settleUp(balances);
+        expect(transfers).toHaveLength(4);
+        const net = new Map();
+        transfers.forEach(({ from, to, amount }) => {
+            net.set(from, (net.get(from) || 0) + amount);
+            net.set(to, (net.get(to) || 0) - amount);
+        });
+        balances.forEach(({ participantId, balance }) => expect(net.get(participantId)).toBe(-balance));
+
+        const threeWay = settleUp([{ participantId: 1, balance: 30 }, { participantId: 2, balance: -10 }, { participantId: 3, balance: -20 }]);
+        expect(threeWay).toHaveLength(2);
+        expect(threeWay.reduce((sum, transfer) => sum + transfer.amount, 0)).toBe(30);
+
+        expect(settleUp([{ participantId: 1, balance: 0 }])).toEqual([]);
+    });
+});
+
+describe('Expense splits', () => {
+    let db;
+    let dbAsync;
+    let splits;
+    let ownerId;
+    let trip;
+
+    const addExpense = async (cost, currency = 'USD') => {
+        const { lastID } = await dbAsync.run(
+            "INSERT INTO expenses (user_id, trip_id, date, cost, currency) VALUES (?, ?, '2024-01-01', ?, ?)",
+            [ownerId, trip.id, cost, currency]
+        );
+        return dbAsync.get('SELECT * FROM expenses WHERE id = ?', [lastID]);
+    };
+
+    const addPeople = async (...names) => {
+        const people = [];
+        for (const name of names) people.push((await splits.addParticipant(trip, { name })).participant);
+        return people;
+    };
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run('PRAGMA foreign_keys = ON');
+        splits = createSplits(dbAsync);
+        ({ lastID: ownerId } = await dbAsync.run("INSERT INTO users (username, password_hash) VALUES ('alice', 'hash')"));
+        const { lastID: tripId } = await dbAsync.run("INSERT INTO trips (user_id, name, homeCurrency) VALUES (?, 'Lisbon', 'USD')", [ownerId]);
+        trip = await dbAsync.get('SELECT * FROM trips WHERE id = ?', [tripId]);
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should manage participants, linking accounts on the trip only', async () => {
+        const linked = await splits.addParticipant(trip, { userId: ownerId });
+        expect(linked.participant).toMatchObject({ name: 'alice', userId: ownerId });
+        expect(await splits.addParticipant(trip, { name: 'ALICE' })).toEqual({ ok: false, reason: 'duplicate' });
+        expect(await splits.addParticipant(trip, { name: 'Al', userId: ownerId })).toEqual({ ok: false, reason: 'duplicate' });
+
+        const { lastID: strangerId } = await dbAsync.run("INSERT INTO users (username, password_hash) VALUES ('mallory', 'hash')");
+        expect(await splits.addParticipant(trip, { userId: strangerId })).toEqual({ ok: false, reason: 'user_not_on_trip' });
+        expect(await splits.addParticipant(trip, {})).toEqual({ ok: false, reason: 'name_required' });
+
+        const { participant: sam } = await splits.addParticipant(trip, { name: 'Sam' });
+        expect((await splits.listParticipants(trip.id)).map(p => p.name)).toEqual(['alice', 'Sam']);
+        expect((await splits.removeParticipant(trip.id, sam.id)).ok).toBe(true);
+        expect(await splits.removeParticipant(trip.id, sam.id)).toEqual({ ok: false, reason: 'not_found' });
+    });
+
+    it('should not remove a participant who is on a split', async () => {
+        const [ana, ben] = await addPeople('Ana', 'Ben');
+        const expense = await addExpense(40);
+        await splits.setSplit(expense, { paidBy: ana.id, method: 'equal', shares: [{ participantId: ana.id }, { participantId: ben.id }] }, ownerId);
+        expect(await splits.removeParticipant(trip.id, ben.id)).toEqual({ ok: false, reason: 'in_use' });
+    });
+
+    it('should store a split and replace it', async () => {
+        const [ana, ben] = await addPeople('Ana', 'Ben');
+        const expense = await addExpense(90);
+
+        const { ok, split } = await splits.setSplit(expense, {
+            paidBy: ana.id, method: 'percent', shares: [{ participantId: ana.id, share: 40 }, { participantId: ben.id, share: 60 }]
+        }, ownerId);
+        expect(ok).toBe(true);
+        expect(split).toMatchObject({ paidBy: ana.id, method: 'percent', valid: true });
+        expect(split.shares.map(share => share.amount)).toEqual([36, 54]);
+
+        await splits.setSplit(expense, { paidBy: ben.id, method: 'equal', shares: [{ participantId: ben.id }] }, ownerId);
+        const replaced = await splits.getSplit(expense);
+        expect(replaced).toMatchObject({ paidBy: ben.id, method: 'equal' });
+        expect(replaced.shares).toHaveLength(1);
+
+        expect(await splits.clearSplit(expense.id)).toBe(true);
+        expect(await splits.getSplit(expense)).toBeNull();
+    });
+
+    it('should refuse participants from another trip and bad totals', async () => {
+        const [ana] = await addPeople('Ana');
+        const { lastID: otherTripId } = await dbAsync.run("INSERT INTO trips (user_id, name) VALUES (?, 'Oslo')", [ownerId]);
+        const { participant: outsider } = await splits.addParticipant({ id: otherTripId, user_id: ownerId }, { name: 'Olga' });
+        const expense = await addExpense(10);
+
+        expect(await splits.setSplit(expense, { paidBy: ana.id, method: 'equal', shares: [{ participantId: outsider.id }] }, ownerId))
+            .toEqual({ ok: false, reason: 'unknown_participant' });
+        expect(await splits.setSplit(expense, { paidBy: ana.id, method: 'exact', shares: [{ participantId: ana.id, share: 9 }] }, ownerId))
+            .toEqual({ ok: false, reason: 'exact_total' });
+        expect(await splits.getSplit(expense)).toBeNull();
+    });
+
+    it('should compute balances in the home currency, with settlements', async () => {
+        const [ana, ben, cat] = await addPeople('Ana', 'Ben', 'Cat');
+        await dbAsync.run("INSERT INTO exchange_rates (user_id, rateDate, baseCurrency, quoteCurrency, rate) VALUES (?, '2024-01-01', 'EUR', 'USD', 2)", [ownerId]);
+
+        // Ana pays 30 USD for all three; Ben pays 10 EUR (20 USD) for Ben and Cat
+        const dinner = await addExpense(30);
+        await splits.setSplit(dinner, { paidBy: ana.id, method: 'equal', shares: [ana, ben, cat].map(p => ({ participantId: p.id })) }, ownerId);
+        const taxi = await addExpense(10, 'EUR');
+        await splits.setSplit(taxi, { paidBy: ben.id, method: 'exact', shares: [{ participantId: ben.id, share: 5 }, { participantId: cat.id, share: 5 }] }, ownerId);
+        await addExpense(99); // not split, so left out
+
+        let balances = await splits.getBalances(trip);
+        expect(balances).toMatchObject({ currency: 'USD', splitExpenses: 2, missingRates: 0, invalidSplits: [] });
+        const byName = (name) => balances.participants.find(p => p.name === name);
+        expect(byName('Ana')).toMatchObject({ paid: 30, share: 10, balance: 20 });
+        expect(byName('Ben')).toMatchObject({ paid: 20, share: 20, balance: 0 });
+        expect(byName('Cat')).toMatchObject({ paid: 0, share: 20, balance: -20 });
+        expect(balances.transfers).toEqual([{ from: cat.id, fromName: 'Cat', to: ana.id, toName: 'Ana', amount: 20 }]);
+
+        const { ok } = await splits.addSettlement(trip, { from: cat.id, to: ana.id, amount: 20 }, ownerId);
+        expect(ok).toBe(true);
+        balances = await splits.getBalances(trip);
+        expect(byName('Cat')).toMatchObject({ sent: 20, balance: 0 });
+        expect(balances.transfers).toEqual([]);
+        expect(await splits.addSettlement(trip, { from: cat.id, to: cat.id, amount: 1 }, ownerId)).toEqual({ ok: false, reason: 'same_participant' });
+    });
+
+    it('should leave out splits without a rate or whose amounts no longer add up', async () => {
+        const [ana, ben] = await addPeople('Ana', 'Ben');
+        const yen = await addExpense(1000, 'JPY');
+        await splits.setSplit(yen, { paidBy: ana.id, method: 'equal', shares: [{ participantId: ben.id }] }, ownerId);
+        const edited = await addExpense(10);
+        await splits.setSplit(edited, { paidBy: ana.id, method: 'exact', shares: [{ participantId: ben.id, share: 10 }] }, ownerId);
+        await dbAsync.run('UPDATE expenses SET cost = 12 WHERE id = ?', [edited.id]);
+
+        const balances = await splits.getBalances(trip);
+        expect(balances).toMatchObject({ splitExpenses: 0, missingRates: 1, invalidSplits: [edited.id], transfers: [] });
+        expect((await splits.getSplit({ ...edited, cost: 12 })).valid).toBe(false);
+    });
+
+    it('should go with the trip', async () => {
+        const [ana] = await addPeople('Ana');
+        const expense = await addExpense(10);
+        await splits.setSplit(expense, { paidBy: ana.id, method: 'equal', shares: [{ participantId: ana.id }] }, ownerId);
+        await dbAsync.run('DELETE FROM trips WHERE id = ?', [trip.id]);
+        expect(await dbAsync.get('SELECT COUNT(*) AS count FROM expense_split_shares')).toEqual({ count: 0 });
+        expect(await dbAsync.get('SELECT COUNT(*) AS count FROM trip_participants')).toEqual({ count: 0 });
+    });
+});
@@ -0,0 +1,67 @@
+const sqlite3 = require('sqlite3');
+const { promisifyDb, queuedDb } = require('../utils/sqlite');
+
+describe('SQLite helpers', () => {
+    let db;
+    let dbAsync;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await dbAsync.run('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)');
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    const bodies = async () => (await dbAsync.all('SELECT body FROM notes ORDER BY id')).map(row => row.body);
+
+    it('should keep writes from outside a transaction out of its rollback', async () => {
+        let began;
+        let finish;
+        const failed = dbAsync.transaction(async (tx) => {
+            await tx.run("INSERT INTO notes (body) VALUES ('in transaction')");
+            began();
+            await new Promise((resolve) => { finish = resolve; });
+            throw new Error('rolled back');
+        });
+        await new Promise((resolve) => { began = resolve; });
+
+        // Another request writes while the transaction is open
+        const written = new Promise((resolve, reject) => {
+            queuedDb(db).run("INSERT INTO notes (body) VALUES ('callback')", function(err) {
+                return err ? reject(err) : resolve(this.lastID);
+            });
+        });
+        const promised = dbAsync.run("INSERT INTO notes (body) VALUES ('promise')");
+        finish();
+
+        await expect(failed).rejects.toThrow('rolled back');
+        expect(await written).toBeGreaterThan(0);
+        await promised;
+        expect(await bodies()).toEqual(['callback', 'promise']);
+    });
+
+    it('should run a transaction started inside another as a savepoint', async () => {
+        await dbAsync.transaction(async (tx) => {
+            await tx.run("INSERT INTO notes (body) VALUES ('outer')");
+            await expect(tx.transaction(async (inner) => {
+                await inner.run("INSERT INTO notes (body) VALUES ('inner')");
+                throw new Error('inner failed');
+            })).rejects.toThrow('inner failed');
+            // Helpers from outside the callback join the open transaction too
+            await dbAsync.transaction(inner => inner.run("INSERT INTO notes (body) VALUES ('nested')"));
+        });
+
+        expect(await bodies()).toEqual(['outer', 'nested']);
+    });
+
+    it('should keep the queue going after a failed statement', async () => {
+        await expect(dbAsync.run('INSERT INTO missing (body) VALUES (1)')).rejects.toThrow(/no such table/);
+        const row = await new Promise((resolve, reject) => {
+            queuedDb(db).get('SELECT COUNT(*) AS count FROM notes', (err, result) => (err ? reject(err) : resolve(result)));
+        });
+        expect(row.count).toBe(0);
+    });
+});
@@ -0,0 +1,40 @@
+const { base32Encode, base32Decode, generateSecret, generateCode, getTimeStep, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+
+// The SHA1 secret from the RFC 6238 test vectors, "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+    it('should round-trip base32', () => {
+        const bytes = Buffer.from('12345678901234567890');
+        expect(base32Encode(bytes)).toBe(RFC_SECRET);
+        expect(base32Decode(RFC_SECRET.toLowerCase())).toEqual(bytes);
+        expect(() => base32Decode('not base32!')).toThrow(/Invalid base32/);
+        expect(base32Decode(generateSecret())).toHaveLength(20);
+    });
+
+    it('should match the RFC 6238 test vectors', () => {
+        // The RFC lists 8-digit codes; 6-digit codes are their last six digits
+        expect(generateCode(RFC_SECRET, getTimeStep(59 * 1000))).toBe('287082');
+        expect(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000))).toBe('081804');
+        expect(generateCode(RFC_SECRET, getTimeStep(2000000000 * 1000))).toBe('279037');
+    });
+
+    it('should accept codes from the neighbouring steps only', () => {
+        const timeMs = 1111111109 * 1000;
+        const step = getTimeStep(timeMs);
+        expect(verifyCode(RFC_SECRET, '081804', { timeMs })).toBe(step);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { timeMs })).toBe(step - 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { timeMs })).toBeNull();
+        expect(verifyCode(RFC_SECRET, '081 804', { timeMs })).toBe(step);
+        expect(verifyCode(RFC_SECRET, 'abcdef', { timeMs })).toBeNull();
+    });
+
+    it('should build otpauth URLs for authenticator apps', () => {
+        const url = new URL(buildOtpauthUrl({ secret: RFC_SECRET, accountName: 'alice', issuer: 'Expense Tracker' }));
+        expect(url.protocol).toBe('otpauth:');
+        expect(url.host).toBe('totp');
+        expect(decodeURIComponent(url.pathname)).toBe('/Expense Tracker:alice');
+        expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+        expect(url.searchParams.get('issuer')).toBe('Expense Tracker');
+    });
+});
@@ -0,0 +1,126 @@
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { can, canEditExpense, visibleExpensesCondition, createTripAccess } = require('../utils/tripAccess');
+
+describe('Trip permissions', () => {
+    it('should allow each role its actions only', () => {
+        expect(can('owner', 'delete')).toBe(true);
+        expect(can('editor', 'edit')).toBe(true);
+        expect(can('editor', 'share')).toBe(false);
+        expect(can('contributor', 'addExpense')).toBe(true);
+        expect(can('contributor', 'edit')).toBe(false);
+        expect(can('contributor', 'report')).toBe(false);
+        expect(can('viewer', 'view')).toBe(true);
+        expect(can('viewer', 'addExpense')).toBe(false);
+        expect(can(null, 'view')).toBe(false);
+        expect(() => can('owner', 'fly')).toThrow('Unknown trip action');
+    });
+
+    it('should let contributors edit only their own expenses', () => {
+        const expense = { user_id: 2 };
+        expect(canEditExpense('contributor', expense, 2)).toBe(true);
+        expect(canEditExpense('contributor', expense, 3)).toBe(false);
+        expect(canEditExpense('editor', expense, 3)).toBe(true);
+        expect(canEditExpense('viewer', expense, 2)).toBe(false);
+    });
+});
+
+describe('Trip access', () => {
+    let db;
+    let dbAsync;
+    let tripAccess;
+    let ownerId;
+    let memberId;
+    let strangerId;
+    let tripId;
+
+    const addUser = async (username) => {
+        const { lastID } = await dbAsync.run("INSERT INTO users (username, password_hash) VALUES (?, 'hash')", [username]);
+        return lastID;
+    };
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run('PRAGMA foreign_keys = ON');
+        tripAccess = createTripAccess(dbAsync);
+        ownerId = await addUser('alice');
+        memberId = await addUser('bob');
+        strangerId = await addUser('carol');
+        ({ lastID: tripId } = await dbAsync.run("INSERT INTO trips (user_id, name) VALUES (?, 'Paris')", [ownerId]));
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should give the owner and members their role on a trip', async () => {
+        const trip = { id: tripId, user_id: ownerId };
+        expect(await tripAccess.addMember(trip, 'bob', 'viewer', ownerId)).toEqual({
+            ok: true, member: { userId: memberId, username: 'bob', role: 'viewer' }
+        });
+
+        expect(await tripAccess.getTrip(ownerId, tripId)).toMatchObject({ name: 'Paris', role: 'owner', ownerUsername: 'alice' });
+        expect(await tripAccess.getTrip(memberId, tripId)).toMatchObject({ name: 'Paris', role: 'viewer', ownerUsername: 'alice' });
+        expect(await tripAccess.getTrip(strangerId, tripId)).toBeNull();
+        expect((await tripAccess.listTrips(memberId)).map(t => t.name)).toEqual(['Paris']);
+        expect(await tripAccess.listTrips(strangerId)).toEqual([]);
+    });
+
+    it('should prefer the user\'s own trip when looking one up by name', async () => {
+        await tripAccess.addMember({ id: tripId, user_id: ownerId }, 'bob', 'editor', ownerId);
+        const { lastID: ownTripId } = await dbAsync.run("INSERT INTO trips (user_id, name) VALUES (?, 'Paris')", [memberId]);
+
+        expect((await tripAccess.findTrip(memberId, { tripName: 'Paris' })).id).toBe(ownTripId);
+        expect((await tripAccess.findTrip(memberId, { tripId })).role).toBe('editor');
+        expect(await tripAccess.findTrip(strangerId, { tripName: 'Paris' })).toBeNull();
+        expect(await tripAccess.findTrip(memberId, {})).toBeNull();
+    });
+
+    it('should refuse invalid invitations', async () => {
+        const trip = { id: tripId, user_id: ownerId };
+        expect(await tripAccess.addMember(trip, 'bob', 'owner', ownerId)).toEqual({ ok: false, reason: 'invalid_role' });
+        expect(await tripAccess.addMember(trip, 'nobody', 'viewer', ownerId)).toEqual({ ok: false, reason: 'user_not_found' });
+        expect(await tripAccess.addMember(trip, 'alice', 'viewer', ownerId)).toEqual({ ok: false, reason: 'owner' });
+        await tripAccess.addMember(trip, 'bob', 'viewer', ownerId);
+        expect(await tripAccess.addMember(trip, 'bob', 'editor', ownerId)).toEqual({ ok: false, reason: 'already_member' });
+    });
+
+    it('should change and remove members', async () => {
+        await tripAccess.addMember({ id: tripId, user_id: ownerId }, 'bob', 'viewer', ownerId);
+
+        expect(await tripAccess.setMemberRole(tripId, memberId, 'contributor')).toEqual({ previousRole: 'viewer' });
+        expect(await tripAccess.listMembers(tripId)).toEqual([expect.objectContaining({ userId: memberId, username: 'bob', role: 'contributor' })]);
+        expect(await tripAccess.setMemberRole(tripId, strangerId, 'viewer')).toBeNull();
+
+        expect(await tripAccess.removeMember(tripId, memberId)).toBe(true);
+        expect(await tripAccess.removeMember(tripId, memberId)).toBe(false);
+        expect(await tripAccess.getTrip(memberId, tripId)).toBeNull();
+    });
+
+    it('should decide who may see and change an expense', async () => {
+        await tripAccess.addMember({ id: tripId, user_id: ownerId }, 'bob', 'contributor', ownerId);
+        const { lastID: ownerExpense } = await dbAsync.run("INSERT INTO expenses (user_id, trip_id, date, cost) VALUES (?, ?, '2024-01-01', 10)", [ownerId, tripId]);
+        const { lastID: memberExpense } = await dbAsync.run("INSERT INTO expenses (user_id, trip_id, date, cost) VALUES (?, ?, '2024-01-02', 5)", [memberId, tripId]);
+        const { lastID: looseExpense } = await dbAsync.run("INSERT INTO expenses (user_id, date, cost) VALUES (?, '2024-01-03', 1)", [ownerId]);
+
+        expect(await tripAccess.getExpense(memberId, ownerExpense)).toMatchObject({ role: 'contributor', canEdit: false });
+        expect(await tripAccess.getExpense(memberId, memberExpense)).toMatchObject({ role: 'contributor', canEdit: true });
+        expect(await tripAccess.getExpense(ownerId, memberExpense)).toMatchObject({ role: 'owner', canEdit: true });
+        expect(await tripAccess.getExpense(strangerId, ownerExpense)).toBeNull();
+        // Expenses without a trip stay private to their author
+        expect(await tripAccess.getExpense(ownerId, looseExpense)).toMatchObject({ trip: null, canEdit: true });
+        expect(await tripAccess.getExpense(memberId, looseExpense)).toBeNull();
+        expect(await tripAccess.getExpense(ownerId, 999)).toBeNull();
+
+        const visibleTo = async (userId) => {
+            const { sql, params } = visibleExpensesCondition(userId, 'e');
+            return (await dbAsync.all(`SELECT e.id FROM expenses e WHERE ${sql} ORDER BY e.id`, params)).map(row => row.id);
+        };
+        expect(await visibleTo(ownerId)).toEqual([ownerExpense, memberExpense, looseExpense]);
+        expect(await visibleTo(memberId)).toEqual([ownerExpense, memberExpense]);
+        expect(await visibleTo(strangerId)).toEqual([]);
+    });
+});
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// The real app, on an in-memory database and a throwaway uploads directory
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trips-routes-'));
+process.env.DB_PATH = ':memory:';
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.RECEIPT_STORAGE = 'local';
+process.env.JWT_SECRET = 'test-secret';
+// The server logs every request
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+const app = require('../server');
+const { dbAsync, dbReady, closeDatabase } = require('../database');
+
+describe('Trip routes', () => {
+    const tokens = {};
+    const as = (username) => ({ Authorization: `Bearer ${tokens[username]}` });
+
+    const signUp = async (username) => {
+        await request(app).post('/api/auth/register').send({ username, password: 'correct horse' });
+        const res = await request(app).post('/api/auth/login').send({ username, password: 'correct horse' });
+        tokens[username] = res.body.token;
+    };
+
+    const createTrip = async (username, name) => {
+        const res = await request(app).post('/api/trips').set(as(username)).send({ name });
+        expect(res.statusCode).toBe(201);
+        return res.body.trip;
+    };
+
+    const addExpense = async (trip, receiptPath = null) => {
+        const owner = await dbAsync.get('SELECT user_id FROM trips WHERE id = ?', [trip.id]);
+        const { lastID } = await dbAsync.run(
+            "INSERT INTO expenses (user_id, trip_id, tripName, type, date, cost, receiptPath) VALUES (?, ?, ?, 'Food', '2024-03-01', 10, ?)",
+            [owner.user_id, trip.id, trip.name, receiptPath]
+        );
+        return lastID;
+    };
+
+    beforeAll(async () => {
+        await dbReady;
+        await signUp('alice');
+        await signUp('bob');
+    });
+
+    afterAll((done) => {
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+        closeDatabase();
+        // closeDatabase logs when the connection is closed; give it a moment
+        setTimeout(() => {
+            console.log.mockRestore();
+            console.warn.mockRestore();
+            done();
+        }, 50);
+    });
+
+    describe('DELETE /api/trips/:id', () => {
+        it('should refuse to delete a trip that still has expenses by default', async () => {
+            const trip = await createTrip('alice', 'Refused');
+            await addExpense(trip);
+
+            const res = await request(app).delete(`/api/trips/${trip.id}`).set(as('alice'));
+            expect(res.statusCode).toBe(409);
+            expect(res.body).toMatchObject({ expenseCount: 1, draftCount: 0 });
+            expect(await dbAsync.get('SELECT id FROM trips WHERE id = ?', [trip.id])).toBeDefined();
+        });
+
+        it('should delete an empty trip without a mode', async () => {
+            const trip = await createTrip('alice', 'Empty');
+
+            const res = await request(app).delete(`/api/trips/${trip.id}`).set(as('alice'));
+            expect(res.statusCode).toBe(200);
+            expect(res.body.affectedExpenses).toBe(0);
+            expect(await dbAsync.get('SELECT id FROM trips WHERE id = ?', [trip.id])).toBeUndefined();
+        });
+
+        it('should delete the expenses, drafts and receipt files with mode=cascade', async () => {
+            const trip = await createTrip('alice', 'Cascaded');
+            fs.writeFileSync(path.join(uploadsDir, '1700-1-dinner.pdf'), 'receipt');
+            fs.writeFileSync(path.join(uploadsDir, '1700-2-lunch.pdf'), 'receipt');
+            await addExpense(trip, '/uploads/1700-1-dinner.pdf');
+            await dbAsync.run("INSERT INTO expense_drafts (user_id, trip_id, receiptPath) SELECT user_id, id, '/uploads/1700-2-lunch.pdf' FROM trips WHERE id = ?", [trip.id]);
+
+            const res = await request(app).delete(`/api/trips/${trip.id}?mode=cascade`).set(as('alice'));
+            expect(res.statusCode).toBe(200);
+            expect(res.body.affectedExpenses).toBe(1);
+            expect(await dbAsync.get('SELECT COUNT(*) AS count FROM expenses WHERE trip_id = ?', [trip.id])).toEqual({ count: 0 });
+            expect(await dbAsync.get('SELECT COUNT(*) AS count FROM expense_drafts WHERE trip_id = ?', [trip.id])).toEqual({ count: 0 });
+            // Files are removed after the response
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(fs.existsSync(path.join(uploadsDir, '1700-1-dinner.pdf'))).toBe(false);
+            expect(fs.existsSync(path.join(uploadsDir, '1700-2-lunch.pdf'))).toBe(false);
+        });
+
+        it('should move the expenses to another trip with mode=reassign', async () => {
+            const trip = await createTrip('alice', 'Moved from');
+            const target = await createTrip('alice', 'Moved to');
+            const expenseId = await addExpense(trip);
+
+            const res = await request(app).delete(`/api/trips/${trip.id}?mode=reassign&targetTripId=${target.id}`).set(as('alice'));
+            expect(res.statusCode).toBe(200);
+            expect(await dbAsync.get('SELECT trip_id, tripName FROM expenses WHERE id = ?', [expenseId]))
+                .toEqual({ trip_id: target.id, tripName: 'Moved to' });
+        });
+
+        it('should only reassign to another of the owner\'s trips', async () => {
+            const trip = await createTrip('alice', 'Kept');
+            const bobsTrip = await createTrip('bob', 'Not yours');
+            await addExpense(trip);
+
+            const missing = await request(app).delete(`/api/trips/${trip.id}?mode=reassign`).set(as('alice'));
+            expect(missing.statusCode).toBe(400);
+            const same = await request(app).delete(`/api/trips/${trip.id}?mode=reassign&targetTripId=${trip.id}`).set(as('alice'));
+            expect(same.statusCode).toBe(400);
+            const foreign = await request(app).delete(`/api/trips/${trip.id}?mode=reassign&targetTripId=${bobsTrip.id}`).set(as('alice'));
+            expect(foreign.statusCode).toBe(400);
+            expect(foreign.body.message).toBe('Target trip not found.');
+            expect(await dbAsync.get('SELECT COUNT(*) AS count FROM expenses WHERE trip_id = ?', [trip.id])).toEqual({ count: 1 });
+        });
+
+        it('should reject unknown modes and other users', async () => {
+            const trip = await createTrip('alice', 'Guarded');
+
+            const badMode = await request(app).delete(`/api/trips/${trip.id}?mode=archive`).set(as('alice'));
+            expect(badMode.statusCode).toBe(400);
+            const stranger = await request(app).delete(`/api/trips/${trip.id}?mode=cascade`).set(as('bob'));
+            expect(stranger.statusCode).toBe(404);
+            expect(await dbAsync.get('SELECT id FROM trips WHERE id = ?', [trip.id])).toBeDefined();
+        });
+    });
+
+    describe('PUT /api/trips/:id', () => {
+        it('should rename the trip on its expenses', async () => {
+            const trip = await createTrip('alice', 'Old name');
+            const expenseIds = [await addExpense(trip), await addExpense(trip)];
+            const other = await createTrip('alice', 'Untouched');
+            const otherExpense = await addExpense(other);
+
+            const res = await request(app).put(`/api/trips/${trip.id}`).set(as('alice')).send({ name: 'New name' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.renamedExpenses).toBe(2);
+            const rows = await dbAsync.all(`SELECT tripName FROM expenses WHERE id IN (${expenseIds.join(',')})`);
+            expect(rows.map(row => row.tripName)).toEqual(['New name', 'New name']);
+            expect(await dbAsync.get('SELECT tripName FROM expenses WHERE id = ?', [otherExpense])).toEqual({ tripName: 'Untouched' });
+        });
+
+        it('should leave expenses alone when the name is unchanged', async () => {
+            const trip = await createTrip('alice', 'Same name');
+            await addExpense(trip);
+
+            const res = await request(app).put(`/api/trips/${trip.id}`).set(as('alice')).send({ description: 'Conference' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.renamedExpenses).toBe(0);
+        });
+
+        it('should refuse a name another of the owner\'s trips has', async () => {
+            const trip = await createTrip('alice', 'First');
+            await createTrip('alice', 'Second');
+            const expenseId = await addExpense(trip);
+
+            const res = await request(app).put(`/api/trips/${trip.id}`).set(as('alice')).send({ name: 'Second' });
+            expect(res.statusCode).toBe(400);
+            expect(await dbAsync.get('SELECT tripName FROM expenses WHERE id = ?', [expenseId])).toEqual({ tripName: 'First' });
+        });
+    });
+});
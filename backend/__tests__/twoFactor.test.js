@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { migrateUp } = require('../utils/migrator');
+const { promisifyDb } = require('../utils/sqlite');
+const { generateCode, getTimeStep } = require('../utils/totp');
+const { RECOVERY_CODE_COUNT, createTwoFactorStore } = require('../utils/twoFactor');
+
+describe('Two-factor store', () => {
+    let db;
+    let dbAsync;
+    let store;
+
+    const currentCode = (secret, offset = 0) => generateCode(secret, getTimeStep() + offset);
+
+    // Set up and confirm 2FA for a user, returning the secret and recovery codes
+    const enable = async (userId) => {
+        const { secret } = await store.beginSetup(userId, 'alice');
+        const recoveryCodes = await store.confirmSetup(userId, currentCode(secret));
+        return { secret, recoveryCodes };
+    };
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        dbAsync = promisifyDb(db);
+        await migrateUp(db);
+        await dbAsync.run("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x'), (2, 'bob', 'x')");
+        store = createTwoFactorStore(dbAsync, { masterKey: crypto.randomBytes(32), maxAttempts: 3 });
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    it('should only turn on after a code from the app is confirmed', async () => {
+        const { secret, otpauthUrl } = await store.beginSetup(1, 'alice');
+        expect(otpauthUrl).toContain(`secret=${secret}`);
+        expect(await store.isEnabledFor(1)).toBe(false);
+        const row = await dbAsync.get('SELECT encryptedSecret FROM user_totp WHERE user_id = 1');
+        expect(row.encryptedSecret).not.toContain(secret);
+
+        expect(await store.confirmSetup(1, '000000')).toBeNull();
+        const recoveryCodes = await store.confirmSetup(1, currentCode(secret));
+        expect(recoveryCodes).toHaveLength(RECOVERY_CODE_COUNT);
+        expect(await store.getStatus(1)).toEqual({ enabled: true, recoveryCodesLeft: RECOVERY_CODE_COUNT });
+        expect(await store.beginSetup(1, 'alice')).toBeNull();
+    });
+
+    it('should accept each TOTP code once', async () => {
+        const { secret } = await enable(1);
+        const next = currentCode(secret, 1);
+        expect(await store.verify(1, next)).toEqual({ ok: true, method: 'totp' });
+        expect(await store.verify(1, next)).toEqual({ ok: false });
+        // Older codes can't be used after a newer one either
+        expect(await store.verify(1, currentCode(secret))).toEqual({ ok: false });
+    });
+
+    it('should accept each recovery code once, however it is typed', async () => {
+        const { recoveryCodes } = await enable(1);
+        const typed = recoveryCodes[0].toUpperCase().replace(/-/g, ' ');
+        expect(await store.verify(1, typed)).toEqual({ ok: true, method: 'recovery' });
+        expect(await store.verify(1, recoveryCodes[0])).toEqual({ ok: false });
+        expect(await store.verify(2, recoveryCodes[1])).toEqual({ ok: false });
+        expect((await store.getStatus(1)).recoveryCodesLeft).toBe(RECOVERY_CODE_COUNT - 1);
+
+        const fresh = await store.regenerateRecoveryCodes(1);
+        expect(await store.verify(1, recoveryCodes[1])).toEqual({ ok: false });
+        expect(await store.verify(1, fresh[0])).toEqual({ ok: true, method: 'recovery' });
+    });
+
+    it('should finish a login challenge once with a correct code', async () => {
+        const { secret } = await enable(1);
+        const { token } = await store.createChallenge(1);
+
+        expect(await store.redeemChallenge(token, '000000')).toEqual({ ok: false, reason: 'wrong_code', attemptsLeft: 2, userId: 1 });
+        expect(await store.redeemChallenge(token, currentCode(secret, 1))).toEqual({ ok: true, userId: 1, method: 'totp' });
+        expect((await store.redeemChallenge(token, currentCode(secret, 1))).reason).toBe('invalid');
+        expect((await store.redeemChallenge('not-a-token', '000000')).reason).toBe('invalid');
+    });
+
+    it('should spend a challenge after too many wrong codes', async () => {
+        const { secret } = await enable(1);
+        const { token } = await store.createChallenge(1);
+        await store.redeemChallenge(token, '000000');
+        await store.redeemChallenge(token, '000000');
+        expect(await store.redeemChallenge(token, '000000')).toEqual({ ok: false, reason: 'too_many_attempts', attemptsLeft: 0, userId: 1 });
+        expect((await store.redeemChallenge(token, currentCode(secret, 1))).reason).toBe('too_many_attempts');
+    });
+
+    it('should reject expired challenges', async () => {
+        await enable(1);
+        const shortStore = createTwoFactorStore(dbAsync, { masterKey: crypto.randomBytes(32), challengeTtlMs: -1000 });
+        const { token } = await shortStore.createChallenge(1);
+        expect((await shortStore.redeemChallenge(token, '000000')).reason).toBe('expired');
+    });
+
+    it('should remove the secret and recovery codes when turned off', async () => {
+        await enable(1);
+        expect(await store.disable(1)).toBe(true);
+        expect(await store.getStatus(1)).toEqual({ enabled: false, recoveryCodesLeft: 0 });
+        expect(await dbAsync.get('SELECT COUNT(*) AS count FROM recovery_codes')).toEqual({ count: 0 });
+        expect(await store.disable(1)).toBe(false);
+    });
+});
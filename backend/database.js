@@ -1,95 +1,49 @@
 // backend/database.js
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { promisifyDb, queuedDb } = require('./utils/sqlite');
+const { migrateUp } = require('./utils/migrator');
 
-const DB_PATH = path.join(__dirname, 'expenses.db'); // Use the existing db file name
+// Use the existing db file name (DB_PATH lets tests and scripts point elsewhere)
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'expenses.db');
 
 // Connect to the database (or create it if it doesn't exist)
-const db = new sqlite3.Database(DB_PATH, (err) => {
+const connection = new sqlite3.Database(DB_PATH, (err) => {
     if (err) {
         console.error('Error opening database:', err.message);
     } else {
         console.log('Connected to the SQLite database.');
-        initializeDatabase();
     }
 });
 
-// Function to initialize database tables
-const initializeDatabase = () => {
-    db.serialize(() => {
-        // Create users table
-        db.run(`
-            CREATE TABLE IF NOT EXISTS users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                username TEXT UNIQUE NOT NULL,
-                password_hash TEXT NOT NULL,
-                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `, (err) => {
-            if (err) {
-                console.error('Error creating users table:', err.message);
-            } else {
-                console.log('Users table checked/created successfully.');
-            }
-        });
-
-        // Create trips table
-        db.run(`
-            CREATE TABLE IF NOT EXISTS trips (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                name TEXT NOT NULL,
-                description TEXT,
-                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
-                UNIQUE(user_id, name) -- Ensure trip names are unique per user
-            )
-        `, (err) => {
-            if (err) {
-                console.error('Error creating trips table:', err.message);
-            } else {
-                console.log('Trips table checked/created successfully.');
-            }
-        });
-
-        // Create expenses table
-        db.run(`
-            CREATE TABLE IF NOT EXISTS expenses (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                type TEXT,
-                date TEXT NOT NULL,
-                vendor TEXT,
-                location TEXT,
-                cost REAL NOT NULL,
-                comments TEXT,
-                tripName TEXT,
-                receiptPath TEXT,
-                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-            )
-        `, (err) => {
-            if (err) {
-                console.error('Error creating expenses table:', err.message);
-            } else {
-                console.log('Expenses table checked/created successfully.');
-            }
-        });
+// Callback and promise APIs for the connection. Both send statements through the
+// same queue, so a write never ends up inside another request's transaction.
+const db = queuedDb(connection);
+const dbAsync = promisifyDb(connection);
 
-        // Add indexes for potentially faster lookups
-        db.run('CREATE INDEX IF NOT EXISTS idx_expenses_user_id ON expenses (user_id);', (err) => {
-             if (err) console.error('Error creating user_id index:', err.message);
-        });
-         db.run('CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses (date);', (err) => {
-             if (err) console.error('Error creating date index:', err.message);
-        });
-         db.run('CREATE INDEX IF NOT EXISTS idx_expenses_tripName ON expenses (tripName);', (err) => {
-             if (err) console.error('Error creating tripName index:', err.message);
-        });
-    });
+// Function to initialize database tables
+// The schema lives in versioned migrations (backend/migrations/); this applies
+// any that are still pending. Use `node migrate.js` to inspect or roll back.
+const initializeDatabase = async () => {
+    try {
+        const applied = await migrateUp(connection);
+        if (applied.length > 0) {
+            console.log(`Applied ${applied.length} database migration(s): ${applied.map(m => `${m.version}_${m.name}`).join(', ')}`);
+        } else {
+            console.log('Database schema is up to date.');
+        }
+        // SQLite leaves foreign keys off per connection. Turned on after migrating
+        // so migrations that rebuild tables aren't blocked by them.
+        await dbAsync.run('PRAGMA foreign_keys = ON');
+    } catch (err) {
+        console.error('Error applying database migrations:', err.message);
+        throw err;
+    }
 };
 
+// sqlite3 queues statements until the connection is open, so this can start right away
+const dbReady = initializeDatabase();
+
 // Function to close the database connection
 const closeDatabase = () => {
     db.close((err) => {
@@ -102,4 +56,4 @@ const closeDatabase = () => {
 };
 
 // Export the database connection and close function
-module.exports = { db, closeDatabase, initializeDatabase };
\ No newline at end of file
+module.exports = { db, dbAsync, dbReady, closeDatabase, initializeDatabase, DB_PATH };
@@ -1,6 +1,9 @@
 // backend/middleware/auth.js
 const jwt = require('jsonwebtoken');
-const { db } = require('../database'); // Adjust path as needed
+const { db, dbAsync } = require('../database'); // Adjust path as needed
+const { isAccessToken, requiredScope, createAccessTokenStore } = require('../utils/accessTokens');
+
+const accessTokens = createAccessTokenStore(dbAsync);
 
 // Ensure JWT_SECRET is set in your .env file!
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -11,6 +14,39 @@ if (!JWT_SECRET) {
     // process.exit(1);
 }
 
+// Personal access tokens (etp_...) stand in for a JWT, limited by their scopes
+const authenticateAccessToken = (req, res, next, token) => {
+    accessTokens.authenticate(token).then((result) => {
+        if (!result.ok) {
+            console.log('Auth Middleware: Access token rejected:', result.reason);
+            return res.sendStatus(401);
+        }
+        if (result.user.disabledAt) {
+            console.log('Auth Middleware: Account', result.user.id, 'is disabled.');
+            return res.sendStatus(401);
+        }
+        const scope = requiredScope(req.method, req.path);
+        if (!scope) {
+            console.log(`Auth Middleware: Access token ${result.tokenId} used for ${req.method} ${req.path}, which needs a login.`);
+            return res.status(403).json({ message: 'Access tokens cannot be used for this. Log in instead.' });
+        }
+        if (!result.scopes.includes(scope)) {
+            console.log(`Auth Middleware: Access token ${result.tokenId} lacks the ${scope} scope.`);
+            return res.status(403).json({ message: `This access token does not have the ${scope} scope.` });
+        }
+
+        const { id, username, role } = result.user;
+        req.user = { id, username, role };
+        req.sessionId = null;
+        req.accessTokenId = result.tokenId;
+        console.log('Auth Middleware: User authenticated by access token (ID:', req.user.id, ')');
+        next();
+    }).catch((err) => {
+        console.error('Auth Middleware: Database error checking access token:', err.message);
+        res.sendStatus(500);
+    });
+};
+
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -20,6 +56,10 @@ const authenticateToken = (req, res, next) => {
         return res.sendStatus(401); // if there isn't any token
     }
 
+    if (isAccessToken(token)) {
+        return authenticateAccessToken(req, res, next, token);
+    }
+
     if (!JWT_SECRET) {
          console.error("Auth Middleware: JWT_SECRET is missing, cannot verify token.");
          return res.sendStatus(500); // Internal server error if secret is missing
@@ -28,24 +68,38 @@ const authenticateToken = (req, res, next) => {
     jwt.verify(token, JWT_SECRET, (err, userPayload) => {
         if (err) {
             console.log('Auth Middleware: Token verification failed:', err.message);
-            return res.sendStatus(403); // Token is no longer valid or incorrect
+            return res.sendStatus(401); // Expired or invalid; the client may refresh and retry
+        }
+        if (!userPayload.sid) {
+            console.log('Auth Middleware: Token has no session (ID:', userPayload.userId, ')');
+            return res.sendStatus(401);
         }
 
-        // Token is valid, fetch user details from DB to ensure user still exists
-        // We only stored the user ID in the token payload
-        const sql = "SELECT id, username FROM users WHERE id = ?";
-        db.get(sql, [userPayload.userId], (dbErr, user) => {
+        // Token is valid, check the user still exists and its session hasn't been revoked
+        const sql = `SELECT u.id, u.username, u.role, u.disabledAt, s.revokedAt, s.expiresAt
+                     FROM users u JOIN sessions s ON s.user_id = u.id
+                     WHERE u.id = ? AND s.id = ?`;
+        db.get(sql, [userPayload.userId, userPayload.sid], (dbErr, row) => {
             if (dbErr) {
                 console.error('Auth Middleware: Database error fetching user:', dbErr.message);
                 return res.sendStatus(500);
             }
-            if (!user) {
-                console.log('Auth Middleware: User from token not found in DB (ID:', userPayload.userId, ')');
-                return res.sendStatus(403); // User associated with token doesn't exist anymore
+            if (!row) {
+                console.log('Auth Middleware: User or session from token not found in DB (ID:', userPayload.userId, ')');
+                return res.sendStatus(401);
+            }
+            if (row.revokedAt || new Date(row.expiresAt) < new Date()) {
+                console.log('Auth Middleware: Session', userPayload.sid, 'was revoked or has expired.');
+                return res.sendStatus(401);
+            }
+            if (row.disabledAt) {
+                console.log('Auth Middleware: Account', row.id, 'is disabled.');
+                return res.sendStatus(401);
             }
 
             // Attach user info to the request object
-            req.user = user; // Contains { id, username }
+            req.user = { id: row.id, username: row.username, role: row.role };
+            req.sessionId = userPayload.sid;
             console.log('Auth Middleware: User authenticated (ID:', req.user.id, ')');
             next(); // proceed to the next middleware or route handler
         });
@@ -0,0 +1,33 @@
+// backend/middleware/roles.js
+
+// admin: manages users and instance settings. approver: reviews others' expense reports.
+// member: everyone else.
+const ROLES = ['admin', 'member', 'approver'];
+
+/**
+ * Whether a user has one of the given roles
+ * @param {Object} user - req.user as set by authenticateToken
+ * @param {...string} roles - Accepted roles
+ * @returns {boolean}
+ */
+const hasRole = (user, ...roles) => !!user && roles.includes(user.role);
+
+const isAdmin = (user) => hasRole(user, 'admin');
+
+/**
+ * Middleware allowing only users with one of the given roles
+ * Use after authenticateToken, which loads the user's role.
+ * @param {...string} roles - Accepted roles
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!hasRole(req.user, ...roles)) {
+        console.log(`Roles Middleware: User ${req.user ? req.user.id : 'unknown'} (${req.user ? req.user.role : 'no role'}) needs ${roles.join(' or ')}.`);
+        return res.status(403).json({ message: 'You do not have permission to do this.' });
+    }
+    next();
+};
+
+const requireAdmin = requireRole('admin');
+
+module.exports = { ROLES, hasRole, isAdmin, requireRole, requireAdmin };
@@ -0,0 +1,69 @@
+/**
+ * Database Migration CLI
+ *
+ * Usage (from the backend directory):
+ *   node migrate.js up [targetVersion]   Apply pending migrations
+ *   node migrate.js down [steps]         Revert the last N migrations (default 1)
+ *   node migrate.js status               List migrations and whether they are applied
+ *
+ * The server applies pending migrations on startup, so `up` is only needed
+ * when preparing a database without starting the server.
+ */
+
+require('dotenv').config();
+
+const sqlite3 = require('sqlite3');
+const path = require('path');
+const { migrateUp, migrateDown, getMigrationStatus } = require('./utils/migrator');
+
+// Same file database.js opens. Not imported from there because requiring
+// database.js applies pending migrations as a side effect.
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'expenses.db');
+
+const printUsage = () => {
+    console.log('Usage: node migrate.js <up [targetVersion] | down [steps] | status>');
+};
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(DB_PATH, (err) => (err ? reject(err) : resolve(db)));
+});
+
+const main = async () => {
+    const [command, arg] = process.argv.slice(2);
+    if (!['up', 'down', 'status'].includes(command)) {
+        printUsage();
+        return 1;
+    }
+
+    const db = await openDatabase();
+    try {
+        if (command === 'up') {
+            const target = arg !== undefined ? parseInt(arg, 10) : Infinity;
+            if (Number.isNaN(target)) { printUsage(); return 1; }
+            const applied = await migrateUp(db, { target });
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'No pending migrations.');
+        } else if (command === 'down') {
+            const steps = arg !== undefined ? parseInt(arg, 10) : 1;
+            if (Number.isNaN(steps) || steps < 1) { printUsage(); return 1; }
+            const reverted = await migrateDown(db, { steps });
+            console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s).` : 'No applied migrations to revert.');
+        } else {
+            const status = await getMigrationStatus(db);
+            if (status.length === 0) console.log('No migrations found.');
+            status.forEach(m => {
+                const state = m.applied ? `applied ${m.appliedAt}` : 'pending';
+                console.log(`${String(m.version).padStart(3, '0')}_${m.name}  ${state}`);
+            });
+        }
+        return 0;
+    } finally {
+        db.close();
+    }
+};
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+        console.error('Migration failed:', err.message);
+        process.exitCode = 1;
+    });
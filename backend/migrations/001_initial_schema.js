@@ -0,0 +1,61 @@
+/**
+ * 001 - Initial schema
+ *
+ * The users, trips and expenses tables as the original bootstrap created them.
+ * Uses IF NOT EXISTS so databases created before migrations existed simply
+ * record this version as applied.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT UNIQUE NOT NULL,
+                password_hash TEXT NOT NULL,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS trips (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                UNIQUE(user_id, name) -- Ensure trip names are unique per user
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS expenses (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                type TEXT,
+                date TEXT NOT NULL,
+                vendor TEXT,
+                location TEXT,
+                cost REAL NOT NULL,
+                comments TEXT,
+                tripName TEXT,
+                receiptPath TEXT,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+
+        // Indexes for potentially faster lookups
+        await db.run('CREATE INDEX IF NOT EXISTS idx_expenses_user_id ON expenses (user_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses (date)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_expenses_tripName ON expenses (tripName)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS expenses');
+        await db.run('DROP TABLE IF EXISTS trips');
+        await db.run('DROP TABLE IF EXISTS users');
+    }
+};
@@ -0,0 +1,35 @@
+/**
+ * 002 - Link expenses to trips by ID
+ *
+ * Adds expenses.trip_id with a real foreign key to trips and backfills it
+ * from the free-text tripName column, per user. Expenses whose tripName has
+ * no matching trip get one created, so nothing is left unlinked.
+ * tripName is kept as a display copy of trips.name.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run('ALTER TABLE expenses ADD COLUMN trip_id INTEGER REFERENCES trips (id) ON DELETE CASCADE');
+
+        // Create trips for names that only ever existed on expenses
+        await db.run(`
+            INSERT OR IGNORE INTO trips (user_id, name)
+            SELECT DISTINCT user_id, tripName FROM expenses
+            WHERE tripName IS NOT NULL AND tripName != ''
+        `);
+
+        await db.run(`
+            UPDATE expenses SET trip_id = (
+                SELECT t.id FROM trips t WHERE t.user_id = expenses.user_id AND t.name = expenses.tripName
+            )
+            WHERE tripName IS NOT NULL AND tripName != ''
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_expenses_trip_id ON expenses (trip_id)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP INDEX IF EXISTS idx_expenses_trip_id');
+        await db.run('ALTER TABLE expenses DROP COLUMN trip_id');
+    }
+};
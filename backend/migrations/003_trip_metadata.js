@@ -0,0 +1,20 @@
+/**
+ * 003 - Trip metadata
+ *
+ * Optional destination and start/end dates on trips, editable through
+ * PUT /api/trips/:id alongside the name and description.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run('ALTER TABLE trips ADD COLUMN destination TEXT');
+        await db.run('ALTER TABLE trips ADD COLUMN startDate TEXT');
+        await db.run('ALTER TABLE trips ADD COLUMN endDate TEXT');
+    },
+
+    down: async (db) => {
+        await db.run('ALTER TABLE trips DROP COLUMN endDate');
+        await db.run('ALTER TABLE trips DROP COLUMN startDate');
+        await db.run('ALTER TABLE trips DROP COLUMN destination');
+    }
+};
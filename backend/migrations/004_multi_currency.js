@@ -0,0 +1,37 @@
+/**
+ * 004 - Multi-currency expenses
+ *
+ * Adds expenses.currency and trips.homeCurrency (ISO 4217 codes). Existing
+ * rows default to USD, which is what the app implied by showing "$".
+ * exchange_rates holds each user's own rate table (1 baseCurrency =
+ * rate quoteCurrency on rateDate), filled in by hand or by CSV import.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run("ALTER TABLE expenses ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD'");
+        await db.run("ALTER TABLE trips ADD COLUMN homeCurrency TEXT NOT NULL DEFAULT 'USD'");
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS exchange_rates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                rateDate TEXT NOT NULL,
+                baseCurrency TEXT NOT NULL,
+                quoteCurrency TEXT NOT NULL,
+                rate REAL NOT NULL,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                UNIQUE(user_id, rateDate, baseCurrency, quoteCurrency) -- One rate per pair per day
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair ON exchange_rates (user_id, baseCurrency, quoteCurrency, rateDate)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP INDEX IF EXISTS idx_exchange_rates_pair');
+        await db.run('DROP TABLE IF EXISTS exchange_rates');
+        await db.run('ALTER TABLE trips DROP COLUMN homeCurrency');
+        await db.run('ALTER TABLE expenses DROP COLUMN currency');
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * 005 - Trip budgets
+ *
+ * trips.budget is an optional overall limit and trip_budgets holds optional
+ * per-category limits, where a category is an expense type (matched without
+ * regard to case). Both are amounts in the trip's home currency.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run('ALTER TABLE trips ADD COLUMN budget REAL');
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS trip_budgets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                trip_id INTEGER NOT NULL,
+                category TEXT NOT NULL,
+                amount REAL NOT NULL,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (trip_id) REFERENCES trips (id) ON DELETE CASCADE,
+                UNIQUE(trip_id, category COLLATE NOCASE) -- One limit per category per trip
+            )
+        `);
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS trip_budgets');
+        await db.run('ALTER TABLE trips DROP COLUMN budget');
+    }
+};
@@ -0,0 +1,38 @@
+/**
+ * 006 - Expense drafts
+ *
+ * Bulk receipt uploads create one draft per receipt, filled in from OCR.
+ * Drafts live apart from expenses because OCR often misses the date or cost,
+ * which expenses require; confirming a draft moves it into expenses.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS expense_drafts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                trip_id INTEGER NOT NULL,
+                type TEXT,
+                date TEXT,
+                vendor TEXT,
+                location TEXT,
+                cost REAL,
+                currency TEXT,
+                comments TEXT,
+                receiptPath TEXT NOT NULL,
+                originalName TEXT, -- File name as uploaded, to tell receipts apart while reviewing
+                ocrError TEXT, -- Why OCR could not read the receipt, if it failed
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                FOREIGN KEY (trip_id) REFERENCES trips (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_expense_drafts_user_trip ON expense_drafts (user_id, trip_id)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS expense_drafts');
+    }
+};
@@ -0,0 +1,42 @@
+/**
+ * 007 - OCR job queue
+ *
+ * OCR runs in the background instead of inside the upload request. Each job
+ * is a row here, so queued work survives a restart. A job either backs a
+ * receipt test (result read by polling) or fills in an expense draft.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS ocr_jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                draft_id INTEGER, -- Draft to fill in with the result, if any
+                status TEXT NOT NULL DEFAULT 'queued', -- queued, processing, completed or failed
+                filePath TEXT NOT NULL,
+                mimeType TEXT NOT NULL,
+                originalName TEXT,
+                ocrMethod TEXT NOT NULL DEFAULT 'builtin',
+                model TEXT,
+                keepFile INTEGER NOT NULL DEFAULT 0, -- 0: delete the file once the job is finished
+                attempts INTEGER NOT NULL DEFAULT 0,
+                maxAttempts INTEGER NOT NULL DEFAULT 3,
+                runAfter TEXT NOT NULL, -- Not picked up before this time (retry backoff)
+                result TEXT, -- JSON of the extracted fields
+                error TEXT, -- Last failure message
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                startedAt TEXT,
+                completedAt TEXT,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                FOREIGN KEY (draft_id) REFERENCES expense_drafts (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_ocr_jobs_status ON ocr_jobs (status, runAfter)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_ocr_jobs_draft_id ON ocr_jobs (draft_id)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS ocr_jobs');
+    }
+};
@@ -0,0 +1,29 @@
+/**
+ * 008 - Per-user API keys
+ *
+ * Each user stores their own AI provider keys, encrypted with the server's
+ * master key (see utils/apiKeys.js). Only the last few characters are kept
+ * in the clear so the Settings page can show which key is saved.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS user_api_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                provider TEXT NOT NULL, -- gemini, openai, claude or openrouter
+                encryptedKey TEXT NOT NULL,
+                keyHint TEXT, -- Last characters of the key, for display
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, provider),
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS user_api_keys');
+    }
+};
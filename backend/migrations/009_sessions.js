@@ -0,0 +1,37 @@
+/**
+ * 009 - Sessions
+ *
+ * One row per login. The refresh token handed to the browser is stored
+ * only as a hash and is replaced on every refresh; the previous hash is kept
+ * so a stolen, already-used token can be recognised. Access tokens carry the
+ * session ID, and revoking the session (logout, or "log out this device" in
+ * Settings) makes them stop working.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                refreshTokenHash TEXT NOT NULL UNIQUE,
+                previousTokenHash TEXT, -- Hash the current one replaced, for reuse detection
+                rotatedAt DATETIME,
+                userAgent TEXT,
+                ipAddress TEXT,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                lastUsedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expiresAt DATETIME NOT NULL,
+                revokedAt DATETIME,
+                revokedReason TEXT, -- logout, revoked, token_reuse
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions (previousTokenHash)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS sessions');
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * 010 - Password resets
+ *
+ * Users get an optional email address, which is where password reset links
+ * are sent. Reset tokens are stored hashed, expire, and can be used once.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run('ALTER TABLE users ADD COLUMN email TEXT');
+        // Stored lowercased, so a plain unique index is case-insensitive in practice
+        await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email ON users (email) WHERE email IS NOT NULL');
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                tokenHash TEXT NOT NULL UNIQUE,
+                expiresAt DATETIME NOT NULL,
+                usedAt DATETIME,
+                requestedIp TEXT,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens (user_id)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS password_reset_tokens');
+        await db.run('DROP INDEX IF EXISTS idx_users_email');
+        await db.run('ALTER TABLE users DROP COLUMN email');
+    }
+};
@@ -0,0 +1,37 @@
+/**
+ * 011 - User roles
+ *
+ * Every user gets a role (admin, member or approver) and can be disabled by
+ * an admin. Admins used to be listed in ADMIN_USERNAMES; those users become
+ * admins here. If none are listed, the first registered user does, so an
+ * existing instance always has someone who can manage it.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'member'
+            CHECK (role IN ('admin', 'member', 'approver'))`);
+        await db.run('ALTER TABLE users ADD COLUMN disabledAt DATETIME');
+
+        const listedAdmins = (process.env.ADMIN_USERNAMES || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+        if (listedAdmins.length > 0) {
+            await db.run(
+                `UPDATE users SET role = 'admin' WHERE username IN (${listedAdmins.map(() => '?').join(', ')})`,
+                listedAdmins
+            );
+        }
+        await db.run(`
+            UPDATE users SET role = 'admin'
+            WHERE id = (SELECT MIN(id) FROM users)
+              AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')
+        `);
+    },
+
+    down: async (db) => {
+        await db.run('ALTER TABLE users DROP COLUMN disabledAt');
+        await db.run('ALTER TABLE users DROP COLUMN role');
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * 012 - Instance settings
+ *
+ * Settings an admin changes for the whole instance (which OCR methods users
+ * may pick, and the default one). One row per setting, value stored as JSON.
+ * Settings without a row use the defaults in utils/instanceSettings.js.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS instance_settings (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedBy INTEGER,
+                FOREIGN KEY (updatedBy) REFERENCES users (id) ON DELETE SET NULL
+            )
+        `);
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS instance_settings');
+    }
+};
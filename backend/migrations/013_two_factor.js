@@ -0,0 +1,52 @@
+/**
+ * 013 - Two-factor authentication
+ *
+ * A user's TOTP secret (encrypted like saved API keys), their one-time
+ * recovery codes (hashed), and the challenges that carry a login from the
+ * password step to the code step.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS user_totp (
+                user_id INTEGER PRIMARY KEY,
+                encryptedSecret TEXT NOT NULL,
+                enabledAt DATETIME, -- NULL until the user confirms a first code
+                lastUsedStep INTEGER, -- Time step of the last accepted code, so a code works once
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS recovery_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                codeHash TEXT NOT NULL,
+                usedAt DATETIME,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes (user_id)');
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS two_factor_challenges (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                tokenHash TEXT NOT NULL UNIQUE,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                expiresAt DATETIME NOT NULL,
+                usedAt DATETIME,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS two_factor_challenges');
+        await db.run('DROP INDEX IF EXISTS idx_recovery_codes_user');
+        await db.run('DROP TABLE IF EXISTS recovery_codes');
+        await db.run('DROP TABLE IF EXISTS user_totp');
+    }
+};
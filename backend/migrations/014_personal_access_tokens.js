@@ -0,0 +1,32 @@
+/**
+ * 014 - Personal access tokens
+ *
+ * Long-lived tokens for scripts, created from Settings. Only a hash of each
+ * token is stored; tokenPrefix keeps its first characters so users can tell
+ * tokens apart. scopes is a JSON array of scope names.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS personal_access_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                tokenPrefix TEXT NOT NULL,
+                tokenHash TEXT NOT NULL UNIQUE,
+                scopes TEXT NOT NULL,
+                expiresAt DATETIME,
+                lastUsedAt DATETIME,
+                revokedAt DATETIME,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user ON personal_access_tokens (user_id)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS personal_access_tokens');
+    }
+};
@@ -0,0 +1,42 @@
+/**
+ * 015 - Login throttling and audit log
+ *
+ * login_throttle counts recent login and registration attempts per kind of
+ * key ('username', 'ip', 'register') so backoff and lockouts survive a
+ * restart. audit_log is an append-only record of security events, starting
+ * with failed logins, lockouts and unlocks.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS login_throttle (
+                kind TEXT NOT NULL,
+                subject TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                lastAttemptAt DATETIME NOT NULL,
+                lockedUntil DATETIME,
+                PRIMARY KEY (kind, subject)
+            )
+        `);
+        // No foreign keys: entries outlive the users they mention
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                action TEXT NOT NULL,
+                user_id INTEGER,
+                username TEXT,
+                actorId INTEGER,
+                ipAddress TEXT,
+                details TEXT,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log (user_id, createdAt)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS audit_log');
+        await db.run('DROP TABLE IF EXISTS login_throttle');
+    }
+};
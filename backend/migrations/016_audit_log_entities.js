@@ -0,0 +1,37 @@
+/**
+ * 016 - Audit log entities
+ *
+ * Audit entries say which record an action touched (entityType/entityId)
+ * and keep its state before and after as JSON. Triggers make the table
+ * append-only: the app can insert entries but never change or remove them.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run('ALTER TABLE audit_log ADD COLUMN entityType TEXT');
+        await db.run('ALTER TABLE audit_log ADD COLUMN entityId TEXT');
+        await db.run('ALTER TABLE audit_log ADD COLUMN beforeState TEXT');
+        await db.run('ALTER TABLE audit_log ADD COLUMN afterState TEXT');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entityType, entityId)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (createdAt)');
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+            BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+        `);
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+            BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+        `);
+    },
+
+    down: async (db) => {
+        await db.run('DROP TRIGGER IF EXISTS audit_log_no_delete');
+        await db.run('DROP TRIGGER IF EXISTS audit_log_no_update');
+        await db.run('DROP INDEX IF EXISTS idx_audit_log_created');
+        await db.run('DROP INDEX IF EXISTS idx_audit_log_entity');
+        await db.run('ALTER TABLE audit_log DROP COLUMN afterState');
+        await db.run('ALTER TABLE audit_log DROP COLUMN beforeState');
+        await db.run('ALTER TABLE audit_log DROP COLUMN entityId');
+        await db.run('ALTER TABLE audit_log DROP COLUMN entityType');
+    }
+};
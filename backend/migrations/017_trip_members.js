@@ -0,0 +1,30 @@
+/**
+ * 017 - Trip members
+ *
+ * A trip can be shared with other users. Each row gives one user a role on
+ * one trip: viewer, contributor or editor. The trip's creator (trips.user_id)
+ * stays its owner and has no row here.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS trip_members (
+                trip_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                role TEXT NOT NULL CHECK (role IN ('viewer', 'contributor', 'editor')),
+                invitedBy INTEGER,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (trip_id, user_id),
+                FOREIGN KEY (trip_id) REFERENCES trips (id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                FOREIGN KEY (invitedBy) REFERENCES users (id) ON DELETE SET NULL
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_trip_members_user ON trip_members (user_id)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS trip_members');
+    }
+};
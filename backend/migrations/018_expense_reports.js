@@ -0,0 +1,65 @@
+/**
+ * 018 - Expense reports
+ *
+ * A trip's expenses are submitted for reimbursement as a report, which goes
+ * draft -> submitted -> approved -> paid (or submitted -> rejected, and back to
+ * submitted once fixed). Each expense on a submitted report is a line that an
+ * approver approves or rejects with a comment. Totals are stored in the
+ * trip's home currency as they were when the report was submitted.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS expense_reports (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                trip_id INTEGER NOT NULL,
+                title TEXT,
+                status TEXT NOT NULL DEFAULT 'draft'
+                    CHECK (status IN ('draft', 'submitted', 'approved', 'rejected', 'paid')),
+                currency TEXT,
+                total REAL,
+                approvedTotal REAL,
+                createdBy INTEGER,
+                submittedBy INTEGER,
+                submittedAt DATETIME,
+                decidedBy INTEGER,
+                decidedAt DATETIME,
+                decisionComment TEXT,
+                paidBy INTEGER,
+                paidAt DATETIME,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (trip_id) REFERENCES trips (id) ON DELETE CASCADE,
+                FOREIGN KEY (createdBy) REFERENCES users (id) ON DELETE SET NULL,
+                FOREIGN KEY (submittedBy) REFERENCES users (id) ON DELETE SET NULL,
+                FOREIGN KEY (decidedBy) REFERENCES users (id) ON DELETE SET NULL,
+                FOREIGN KEY (paidBy) REFERENCES users (id) ON DELETE SET NULL
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_expense_reports_trip ON expense_reports (trip_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_expense_reports_status ON expense_reports (status)');
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS expense_report_items (
+                report_id INTEGER NOT NULL,
+                expense_id INTEGER NOT NULL,
+                convertedCost REAL,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+                comment TEXT,
+                decidedBy INTEGER,
+                decidedAt DATETIME,
+                PRIMARY KEY (report_id, expense_id),
+                FOREIGN KEY (report_id) REFERENCES expense_reports (id) ON DELETE CASCADE,
+                FOREIGN KEY (expense_id) REFERENCES expenses (id) ON DELETE CASCADE,
+                FOREIGN KEY (decidedBy) REFERENCES users (id) ON DELETE SET NULL
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_expense_report_items_expense ON expense_report_items (expense_id)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS expense_report_items');
+        await db.run('DROP TABLE IF EXISTS expense_reports');
+    }
+};
@@ -0,0 +1,76 @@
+/**
+ * 019 - Expense splits
+ *
+ * A trip has participants: the people costs are shared between, who may or
+ * may not have an account. An expense can be split between them. The split
+ * says who paid and how it is shared (equally, by percentage or by exact
+ * amounts), with one share row per participant. Settlements record money
+ * paid back between participants, in the trip's home currency.
+ */
+
+module.exports = {
+    up: async (db) => {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS trip_participants (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                trip_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                user_id INTEGER,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (trip_id, name),
+                FOREIGN KEY (trip_id) REFERENCES trips (id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS expense_splits (
+                expense_id INTEGER PRIMARY KEY,
+                paidBy INTEGER NOT NULL,
+                method TEXT NOT NULL CHECK (method IN ('equal', 'percent', 'exact')),
+                updatedBy INTEGER,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (expense_id) REFERENCES expenses (id) ON DELETE CASCADE,
+                FOREIGN KEY (paidBy) REFERENCES trip_participants (id) ON DELETE CASCADE,
+                FOREIGN KEY (updatedBy) REFERENCES users (id) ON DELETE SET NULL
+            )
+        `);
+
+        // share is a weight for 'equal', a percentage for 'percent' and an amount in the expense's currency for 'exact'
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS expense_split_shares (
+                expense_id INTEGER NOT NULL,
+                participant_id INTEGER NOT NULL,
+                share REAL NOT NULL,
+                PRIMARY KEY (expense_id, participant_id),
+                FOREIGN KEY (expense_id) REFERENCES expense_splits (expense_id) ON DELETE CASCADE,
+                FOREIGN KEY (participant_id) REFERENCES trip_participants (id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_expense_split_shares_participant ON expense_split_shares (participant_id)');
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS trip_settlements (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                trip_id INTEGER NOT NULL,
+                fromParticipant INTEGER NOT NULL,
+                toParticipant INTEGER NOT NULL,
+                amount REAL NOT NULL,
+                createdBy INTEGER,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (trip_id) REFERENCES trips (id) ON DELETE CASCADE,
+                FOREIGN KEY (fromParticipant) REFERENCES trip_participants (id) ON DELETE CASCADE,
+                FOREIGN KEY (toParticipant) REFERENCES trip_participants (id) ON DELETE CASCADE,
+                FOREIGN KEY (createdBy) REFERENCES users (id) ON DELETE SET NULL
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_trip_settlements_trip ON trip_settlements (trip_id)');
+    },
+
+    down: async (db) => {
+        await db.run('DROP TABLE IF EXISTS trip_settlements');
+        await db.run('DROP TABLE IF EXISTS expense_split_shares');
+        await db.run('DROP TABLE IF EXISTS expense_splits');
+        await db.run('DROP TABLE IF EXISTS trip_participants');
+    }
+};
@@ -12,53 +12,112 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const multer = require('multer');
 const XLSX = require('xlsx');
-const { body, validationResult } = require('express-validator');
+const archiver = require('archiver');
+const { body, param, query, validationResult } = require('express-validator');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 
 // Import OCR utilities
 const ocrUtils = require('./utils/ocr');
+// Import expense list query helpers
+const { SORT_FIELDS, buildExpenseFilters, buildExpenseOrder, parsePagination } = require('./utils/expenseQuery');
+// Import currency helpers
+const { DEFAULT_CURRENCY, CURRENCY_CODE_REGEX, parseRatesCsv, createRateConverter, summarizeAmounts } = require('./utils/currency');
+// Import budget helpers
+const { getTripBudgetSummary, getBudgetWarnings } = require('./utils/budget');
+// Import trip sharing and the permission checks for trips and expenses
+const { TRIP_ROLES, VISIBLE_TRIP_IDS, can, canEditExpense, visibleExpensesCondition, createTripAccess } = require('./utils/tripAccess');
+// Import expense reports and their approval workflow
+const { LINE_DECISIONS, LOCKED_EXPENSE_IDS, createExpenseReports } = require('./utils/expenseReports');
+// Import expense splitting between trip participants and settle-up balances
+const { SPLIT_METHODS, createSplits } = require('./utils/splits');
+// Import signed receipt URLs
+const { receiptFileName, receiptHeaders, createReceiptUrls } = require('./utils/receiptUrls');
+// Import receipt storage (local disk or S3)
+const { receiptKey, receiptPathFor, createReceiptStorage, createMulterStorage, migrateReceipts } = require('./utils/receiptStorage');
+// Import receipt image compression and thumbnails
+const { THUMBNAIL_SIZES, thumbnailKey, hasThumbnails, prepareReceiptFiles, prepareThumbnails } = require('./utils/receiptImages');
+// Import analytics query builders
+const { ANALYTICS_GROUPINGS, buildAnalyticsQuery, buildAnalyticsSummaryQuery } = require('./utils/analytics');
+// Import the background OCR queue
+const { createOcrQueue } = require('./utils/ocrQueue');
+// Import per-user API key storage
+const { parseMasterKey, createApiKeyStore } = require('./utils/apiKeys');
+// Import login session helpers
+const { signAccessToken, createSessionStore } = require('./utils/sessions');
+// Personal access tokens for scripts
+const { MAX_EXPIRY_DAYS, ACCESS_TOKEN_SCOPES, createAccessTokenStore } = require('./utils/accessTokens');
+// Import password reset tokens and the mail transport
+const { createPasswordResetStore } = require('./utils/passwordReset');
+const { createMailTransport } = require('./utils/mailer');
+// Import TOTP two-factor authentication
+const { createTwoFactorStore } = require('./utils/twoFactor');
+const QRCode = require('qrcode');
+// Import admin-managed instance settings
+const { createInstanceSettings } = require('./utils/instanceSettings');
+// Import login throttling and the audit log
+const { createLoginThrottle } = require('./utils/loginThrottle');
+const { MAX_PAGE_SIZE: MAX_AUDIT_PAGE_SIZE, createAuditLog } = require('./utils/audit');
+// Import account export and deletion
+const { createAccountData } = require('./utils/accountData');
 // Import database connection
-const { db } = require('./database');
+const { db, dbAsync, dbReady } = require('./database');
 // Import authentication middleware
 const authenticateToken = require('./middleware/auth');
+const { ROLES, hasRole, isAdmin, requireRole, requireAdmin } = require('./middleware/roles');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Behind a reverse proxy, req.ip is the proxy's address unless Express is told to trust it
+// (e.g. TRUST_PROXY=1 for one hop). Login throttling and the sessions list rely on req.ip.
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 // const DATA_FILE = path.join(__dirname, 'data.json'); // Removed - Using database now
-const UPLOADS_DIR = path.join(__dirname, 'uploads');
+
+// Receipt files live on local disk or in S3, as RECEIPT_STORAGE says; see utils/receiptStorage.js
+const receiptStorage = createReceiptStorage(process.env);
 
 // --- Multer Configuration ---
-if (!fs.existsSync(UPLOADS_DIR)) {
-    fs.mkdirSync(UPLOADS_DIR);
-}
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, UPLOADS_DIR);
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, uniqueSuffix + '-' + file.originalname);
-    }
-});
-// Add file filter for common image/pdf types
+// Uploads are held in memory until they are stored, hence the size limits: per file,
+// and per request for bulk uploads (which may carry up to MAX_BULK_RECEIPTS files).
+// Images are compressed and get thumbnails on the way; see utils/receiptImages.js
+const MAX_RECEIPT_BYTES = 20 * 1024 * 1024;
+const MAX_UPLOAD_REQUEST_BYTES = 100 * 1024 * 1024;
+const storage = createMulterStorage(receiptStorage, { prepare: prepareReceiptFiles, maxRequestBytes: MAX_UPLOAD_REQUEST_BYTES });
+// PDFs and the image types whose metadata (GPS position included) is removed on upload
+const RECEIPT_UPLOAD_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
 const fileFilter = (req, file, cb) => {
-    if (file.mimetype === 'application/pdf' || file.mimetype.startsWith('image/')) {
+    if (RECEIPT_UPLOAD_TYPES.includes(file.mimetype)) {
         cb(null, true);
     } else {
-        cb(new Error('Invalid file type. Only PDF and images are allowed.'), false);
+        cb(new Error('Invalid file type. Only PDF, JPEG, PNG and WebP files are allowed.'), false);
     }
 };
-const upload = multer({ storage: storage, fileFilter: fileFilter });
+const upload = multer({ storage: storage, fileFilter: fileFilter, limits: { fileSize: MAX_RECEIPT_BYTES } });
+// Most receipts one bulk upload may carry
+const MAX_BULK_RECEIPTS = 50;
+// Exchange rate CSV imports are small and parsed straight from memory
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (/\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv' || file.mimetype === 'text/plain') {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+        }
+    }
+});
 
 
 // --- Middleware ---
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, '../frontend')));
-app.use('/uploads', express.static(UPLOADS_DIR));
 // Global error handler for Multer errors (like invalid file type)
 app.use((err, req, res, next) => {
     if (err instanceof multer.MulterError) {
@@ -130,7 +189,415 @@ const updateEnvFile = (newEnvVars) => {
 };
 
 
+/**
+ * Look up a trip the user owns or was invited to, by ID or (for older clients) by name.
+ * The trip comes with the user's role on it; check it with can() before changing anything.
+ * @param {number} userId - ID of the logged-in user
+ * @param {number|string|null} tripId - Trip ID, takes precedence when given
+ * @param {string|null} tripName - Trip name, used when no ID is given
+ * @param {Function} callback - (err, trip) where trip is null if not found
+ */
+const findTripForUser = (userId, tripId, tripName, callback) => {
+    tripAccess.findTrip(userId, { tripId, tripName }).then(trip => callback(null, trip), callback);
+};
+
+/**
+ * Look up an expense the user can see, with whether they may change it
+ * lockedBy is the report ({ id, status }) that keeps it from being changed, if any.
+ * @param {number} userId - ID of the logged-in user
+ * @param {number|string} expenseId - Expense ID
+ * @param {Function} callback - (err, access) where access is { expense, trip, role, canEdit, lockedBy }, or null if not found
+ */
+const findExpenseForUser = (userId, expenseId, callback) => {
+    tripAccess.getExpense(userId, expenseId)
+        .then(async access => access && { ...access, lockedBy: await expenseReports.getLock(expenseId) })
+        .then(access => callback(null, access), callback);
+};
+
+// Message for an expense that a report keeps from being changed
+const lockedExpenseMessage = (lockedBy) =>
+    `This expense is on expense report #${lockedBy.id}, which is ${lockedBy.status}, and can't be changed.`;
+
+/**
+ * Middleware loading the trip in req.params.id into req.trip, if the user's role on it allows an action
+ * Users who can't see the trip get 404, those whose role doesn't allow the action 403.
+ * @param {string} action - Key of TRIP_PERMISSIONS in utils/tripAccess.js
+ * @returns {Function} - Express middleware
+ */
+const requireTripPermission = (action) => async (req, res, next) => {
+    try {
+        const trip = await tripAccess.getTrip(req.user.id, req.params.id);
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found.' });
+        }
+        if (!can(trip.role, action)) {
+            console.log(`Trip ${trip.id}: user ${req.user.id} (${trip.role}) may not ${action}.`);
+            return res.status(403).json({ message: `Trip ${trip.role}s can't do this.` });
+        }
+        req.trip = trip;
+        next();
+    } catch (err) {
+        console.error(`Error checking access to trip ${req.params.id} for user ${req.user.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to check trip access.' });
+    }
+};
+
+/**
+ * Replace a trip's per-category budget lines. Call inside a transaction.
+ * @param {Object} tx - Transaction helpers from dbAsync.transaction()
+ * @param {number} tripId - Trip whose lines are replaced
+ * @param {Array} lines - [{ category, amount }]
+ */
+const replaceCategoryBudgets = async (tx, tripId, lines) => {
+    await tx.run("DELETE FROM trip_budgets WHERE trip_id = ?", [tripId]);
+    for (const { category, amount } of lines) {
+        await tx.run("INSERT INTO trip_budgets (trip_id, category, amount) VALUES (?, ?, ?)", [tripId, category, amount]);
+    }
+};
+
+/**
+ * Budget warnings for an expense that was just saved. Never fails the request:
+ * if the summary can't be built, the expense is still saved and no warning is given.
+ * Budgets are the trip's, so spending is converted with the trip owner's rates.
+ * @param {Object} expense - Saved expense row (trip_id, type)
+ * @param {Function} callback - (warnings)
+ */
+const checkBudgetsForExpense = (expense, callback) => {
+    if (!expense.trip_id) return callback([]);
+    dbAsync.get("SELECT user_id FROM trips WHERE id = ?", [expense.trip_id])
+        .then(trip => trip && getTripBudgetSummary(dbAsync, createRateConverter(dbAsync, trip.user_id), trip.user_id, expense.trip_id))
+        .then(summary => callback(getBudgetWarnings(summary, expense.type)))
+        .catch(err => {
+            console.error(`Error checking budgets for expense ${expense.id}:`, err.message);
+            callback([]);
+        });
+};
+
+/**
+ * Delete a receipt file given its stored '/uploads/<file>' path.
+ * Errors are logged, not thrown, since the database row is already gone.
+ * @param {string|null} receiptPath - Path as stored in expenses.receiptPath
+ */
+const deleteReceiptFile = (receiptPath) => {
+    const key = receiptKey(receiptPath);
+    if (!key) return;
+    receiptStorage.remove(key)
+        .then((removed) => { if (removed) console.log(`Deleted associated receipt file: ${key}`); })
+        .catch(fileErr => console.error(`Error deleting receipt file ${key}: ${fileErr.message}`));
+    if (hasThumbnails(key)) {
+        Object.keys(THUMBNAIL_SIZES).forEach(size => receiptStorage.remove(thumbnailKey(key, size))
+            .catch(fileErr => console.error(`Error deleting thumbnail of ${key}: ${fileErr.message}`)));
+    }
+};
+
+/**
+ * Delete the files multer stored for a request that didn't keep them
+ * @param {Object|undefined} file - req.file, or one of req.files
+ */
+const discardUpload = (file) => {
+    if (!file || !file.filename) return;
+    (file.keys || [file.filename]).forEach(key => receiptStorage.remove(key)
+        .catch(err => console.error(`Error deleting upload ${key}:`, err.message)));
+};
+
+// Fields a draft shares with an expense
+const DRAFT_FIELDS = ['type', 'date', 'vendor', 'location', 'cost', 'currency', 'comments'];
+
+/**
+ * Clean OCR output into draft fields using the same sanitizers as expense
+ * input. Values that don't validate (e.g. an unreadable date) are left empty
+ * for the reviewer to fill in.
+ * @param {Object} extracted - OCR result ({ type, date, vendor, ... })
+ * @returns {Promise<Object>} - { type, date, vendor, location, cost, currency, comments }, null where unknown
+ */
+const sanitizeDraftFields = async (extracted) => {
+    const draftReq = { body: {} };
+    DRAFT_FIELDS.forEach(field => {
+        if (extracted[field] !== undefined && extracted[field] !== null) draftReq.body[field] = extracted[field];
+    });
+    await Promise.all(expenseValidationRules.map(rule => rule.run(draftReq)));
+    const invalidFields = new Set(validationResult(draftReq).array().map(err => err.path));
+
+    const fields = {};
+    DRAFT_FIELDS.forEach(field => {
+        const value = draftReq.body[field];
+        fields[field] = invalidFields.has(field) || value === undefined || value === '' ? null : value;
+    });
+    if (fields.date instanceof Date) fields.date = fields.date.toISOString().split('T')[0];
+    if (fields.cost !== null) fields.cost = parseFloat(fields.cost);
+    return fields;
+};
+
+/**
+ * Apply validated corrections from a request body on top of a draft
+ * @param {Object} draft - expense_drafts row
+ * @param {Object} corrections - Validated request body (only DRAFT_FIELDS are used)
+ * @returns {Object} - Merged { type, date, vendor, location, cost, currency, comments }
+ */
+const mergeDraftFields = (draft, corrections) => {
+    const fields = {};
+    DRAFT_FIELDS.forEach(field => {
+        fields[field] = corrections[field] !== undefined ? corrections[field] : draft[field];
+        if (fields[field] === '') fields[field] = null;
+    });
+    if (fields.date instanceof Date) fields.date = fields.date.toISOString().split('T')[0];
+    if (fields.cost !== null) fields.cost = parseFloat(fields.cost);
+    return fields;
+};
+
+// Draft rows as returned by the API
+const formatDraft = (row) => withReceiptUrl({ ...row, cost: row.cost === null ? null : parseFloat(row.cost) });
+
+// Draft columns plus the status of the draft's latest OCR job
+const DRAFT_SELECT = `SELECT d.*, (SELECT j.status FROM ocr_jobs j WHERE j.draft_id = d.id ORDER BY j.id DESC LIMIT 1) AS ocrStatus
+                      FROM expense_drafts d`;
+
+/**
+ * Fill in a draft's empty fields from a finished OCR job. Anything the
+ * reviewer typed in while the job was queued is kept.
+ * @param {Object} job - ocr_jobs row
+ * @param {Object} result - Extracted fields
+ */
+const fillDraftFromOcr = async (job, result) => {
+    if (!job.draft_id) return;
+    const fields = await sanitizeDraftFields(result);
+    await dbAsync.run(
+        `UPDATE expense_drafts SET
+             type = COALESCE(type, ?), date = COALESCE(date, ?), vendor = COALESCE(vendor, ?),
+             location = COALESCE(location, ?), cost = COALESCE(cost, ?),
+             currency = COALESCE(currency, ?, (SELECT t.homeCurrency FROM trips t WHERE t.id = expense_drafts.trip_id)),
+             ocrError = NULL, updatedAt = ?
+         WHERE id = ?`,
+        [fields.type, fields.date, fields.vendor, fields.location, fields.cost, fields.currency, new Date().toISOString(), job.draft_id]
+    );
+};
+
+// Login sessions and their rotating refresh tokens
+const sessionStore = createSessionStore(dbAsync);
+const accessTokenStore = createAccessTokenStore(dbAsync);
+
+/**
+ * Client details stored with a session, so users can tell their devices apart
+ * @param {Object} req - Express request
+ * @returns {Object} - { userAgent, ipAddress }
+ */
+const getSessionMeta = (req) => ({
+    userAgent: (req.get('User-Agent') || '').slice(0, 255) || null,
+    ipAddress: req.ip || null
+});
+
+// Password reset links are mailed through MAIL_TRANSPORT (an SMTP server, or a file outbox in development)
+const passwordResets = createPasswordResetStore(dbAsync);
+let mailTransport = null;
+try {
+    mailTransport = createMailTransport(process.env);
+} catch (error) {
+    console.error('Mail transport not configured:', error.message);
+}
+
+const SALT_ROUNDS = 10; // Standard practice for bcrypt salt rounds
+
+// Attempts per username and per IP, kept in the database; see utils/loginThrottle.js
+const loginThrottle = createLoginThrottle(dbAsync);
+// Every data-changing route records what it did; see utils/audit.js
+const auditLog = createAuditLog(dbAsync);
+// Data-subject requests: export everything about a user, or delete it; see utils/accountData.js
+const accountData = createAccountData(dbAsync, { storage: receiptStorage });
+// Who may see and change which trips and expenses; see utils/tripAccess.js
+const tripAccess = createTripAccess(dbAsync);
+// Reports submitted for approval, which lock their expenses; see utils/expenseReports.js
+const expenseReports = createExpenseReports(dbAsync);
+// Expenses split between trip participants, and who owes whom; see utils/splits.js
+const splits = createSplits(dbAsync);
+// Short-lived links to receipt files; see utils/receiptUrls.js. Without JWT_SECRET
+// nobody can log in anyway, so a per-process key is enough then.
+const receiptUrls = createReceiptUrls({ secret: process.env.JWT_SECRET || crypto.randomBytes(32) });
+
+/**
+ * Add a signed receiptUrl to a row with a receiptPath, for <img> tags and download links,
+ * and thumbnailUrls ({ small, medium }) for image receipts
+ * Only call this for rows the user may see.
+ * @param {Object} row - Expense or draft row
+ * @returns {Object}
+ */
+const withReceiptUrl = (row) => {
+    const receiptUrl = receiptUrls.sign(row.receiptPath);
+    const thumbnailUrls = receiptUrl && hasThumbnails(row.receiptPath)
+        ? Object.fromEntries(Object.keys(THUMBNAIL_SIZES).map(size => [size, `${receiptUrl}&size=${size}`]))
+        : null;
+    return { ...row, receiptUrl, thumbnailUrls };
+};
+
+/**
+ * Add an audit log entry for a request
+ * By default the entry concerns the logged-in user, who is also the actor. A failure
+ * to write the entry is logged rather than failing a request whose change already happened.
+ * @param {Object} req - Express request
+ * @param {string} action - e.g. 'expense.update'
+ * @param {Object} [entry] - { entityType, entityId, before, after, details }, plus userId/username
+ *   to name another account (an admin's action) and actorId when there is no req.user
+ * @returns {Promise<void>}
+ */
+const audit = async (req, action, entry = {}) => {
+    const actor = req.user || null;
+    // Note which personal access token made the change, if one did
+    const details = req.accessTokenId ? { ...entry.details, accessTokenId: req.accessTokenId } : entry.details;
+    try {
+        await auditLog.record(action, {
+            userId: actor ? actor.id : null,
+            username: actor ? actor.username : null,
+            actorId: actor ? actor.id : null,
+            ipAddress: req.ip || null,
+            ...entry,
+            details
+        });
+    } catch (err) {
+        console.error(`Error writing audit log entry ${action}:`, err.message);
+    }
+};
+
+/**
+ * Answer a request the login throttle turned away
+ * @param {Object} res - Express response
+ * @param {Object} verdict - Result of loginThrottle.attempt() with allowed: false
+ */
+const sendThrottled = (res, verdict) => {
+    const retryAfter = Math.max(Math.ceil(verdict.retryAfterMs / 1000), 1);
+    const wait = retryAfter >= 120 ? `${Math.ceil(retryAfter / 60)} minutes` : `${retryAfter} second${retryAfter === 1 ? '' : 's'}`;
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        message: verdict.locked
+            ? `Too many failed attempts. Try again in ${wait}, or ask an administrator to unlock the account.`
+            : `Too many attempts. Try again in ${wait}.`,
+        retryAfter,
+        locked: verdict.locked
+    });
+};
+
+/**
+ * Audit a failed login, and any lockouts its attempt caused
+ * @param {Object} req - Express request
+ * @param {string} reason - unknown_user, wrong_password, wrong_2fa_code or account_disabled
+ * @param {Object} account - { userId, username } tried
+ * @param {Object[]} [locked] - Keys the attempt locked out, from loginThrottle.attempt()
+ */
+const auditFailedLogin = async (req, reason, { userId = null, username }, locked = []) => {
+    await audit(req, 'auth.login_failed', { userId, username, entityType: 'user', entityId: userId, details: { reason } });
+    for (const key of locked) {
+        console.log(`Login: Locked out ${key.kind} "${key.subject}" after repeated failures.`);
+        const isUsername = key.kind === 'username';
+        await audit(req, 'auth.locked_out', {
+            userId: isUsername ? userId : null,
+            username: isUsername ? username : null,
+            entityType: isUsername ? 'user' : null,
+            entityId: isUsername ? userId : null,
+            details: key
+        });
+    }
+};
+
+/**
+ * Check a password against the user's current one
+ * @param {number} userId - ID of the user
+ * @param {string} password - Password as typed
+ * @returns {Promise<boolean>}
+ */
+const isCurrentPassword = async (userId, password) => {
+    const user = await dbAsync.get("SELECT password_hash FROM users WHERE id = ?", [userId]);
+    return !!user && typeof password === 'string' && await bcrypt.compare(password, user.password_hash);
+};
+
+// Users keep their own provider keys, encrypted with API_KEY_ENCRYPTION_KEY.
+// The keys in .env are server-wide and only used for users without their own.
+let apiKeyMasterKey = null;
+try {
+    apiKeyMasterKey = parseMasterKey(process.env.API_KEY_ENCRYPTION_KEY);
+} catch (error) {
+    console.error(error.message);
+}
+if (!apiKeyMasterKey) {
+    console.warn('API_KEY_ENCRYPTION_KEY is not set; users cannot save their own API keys.');
+}
+const apiKeyStore = createApiKeyStore(dbAsync, {
+    masterKey: apiKeyMasterKey,
+    providers: Object.keys(ocrUtils.OCR_API_KEY_VARS),
+    getServerKey: ocrUtils.getOcrApiKey
+});
+
+// TOTP secrets are encrypted with the same master key, so 2FA also needs API_KEY_ENCRYPTION_KEY
+const twoFactor = createTwoFactorStore(dbAsync, { masterKey: apiKeyMasterKey });
+
+/**
+ * Start a session for a user who got through login and answer with its tokens
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - { id, username, role }
+ * @returns {Promise<void>}
+ */
+const sendNewSession = async (req, res, user) => {
+    const session = await sessionStore.create(user.id, getSessionMeta(req));
+    const token = signAccessToken(user, session.sessionId, process.env.JWT_SECRET);
+    console.log(`Login: User "${user.username}" (ID: ${user.id}) logged in successfully (session ${session.sessionId}).`);
+    await audit(req, 'auth.login', {
+        userId: user.id, username: user.username, actorId: user.id,
+        entityType: 'session', entityId: session.sessionId, details: getSessionMeta(req)
+    });
+    res.json({
+        message: 'Login successful.', token: token, refreshToken: session.refreshToken,
+        userId: user.id, username: user.username, role: user.role
+    });
+};
+
+// Which OCR methods users may pick is an instance setting, changed on the admin page
+const OCR_METHODS = ['builtin', ...Object.keys(ocrUtils.OCR_API_KEY_VARS)];
+const instanceSettings = createInstanceSettings(dbAsync, { ocrMethods: OCR_METHODS });
+
+/**
+ * Check that OCR with a method can run for the user before queueing work for it
+ * @param {number} userId - ID of the logged-in user
+ * @param {string} ocrMethod - builtin or an AI provider
+ * @returns {Promise<string|null>} - Why it can't, or null if it can
+ */
+const checkOcrMethod = async (userId, ocrMethod) => {
+    const { ocrAllowedMethods } = await instanceSettings.get();
+    if (!ocrAllowedMethods.includes(ocrMethod)) {
+        return `OCR method "${ocrMethod}" is not available on this server.`;
+    }
+    if (!apiKeyStore.isProvider(ocrMethod)) return null; // Built-in OCR needs no key
+    try {
+        if (await apiKeyStore.resolveKey(userId, ocrMethod)) return null;
+        return `No API key for ${ocrMethod}. Add your own key on the Settings page.`;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+// OCR runs in the background; OCR_CONCURRENCY caps how many receipts are read at once.
+// The key is looked up when the job runs, so it never sits in the queue table.
+const ocrQueue = createOcrQueue(dbAsync, {
+    concurrency: parseInt(process.env.OCR_CONCURRENCY, 10) || 1,
+    processJob: async (job) => {
+        const apiKey = await apiKeyStore.resolveKey(job.user_id, job.ocrMethod);
+        // OCR reads from disk, so receipts in S3 are downloaded for the scan
+        return receiptStorage.withLocalFile(receiptKey(job.filePath), filePath =>
+            ocrUtils.processReceiptFile(filePath, job.mimeType, job.ocrMethod, job.model, apiKey));
+    },
+    onComplete: fillDraftFromOcr,
+    onFailed: async (job, error) => {
+        if (!job.draft_id) return;
+        await dbAsync.run("UPDATE expense_drafts SET ocrError = ?, updatedAt = ? WHERE id = ?",
+            [error.message, new Date().toISOString(), job.draft_id]);
+    },
+    // Image uploads also stored thumbnails, which go with the receipt
+    removeFile: deleteReceiptFile
+});
+
+
 // --- Validation Rules ---
+const currencyCodeRule = (field) => body(field).optional({ nullable: true, checkFalsy: true })
+    .trim().toUpperCase()
+    .matches(CURRENCY_CODE_REGEX).withMessage('Currency must be a 3-letter ISO 4217 code (e.g. USD)');
+
 const expenseValidationRules = [
     body('type').optional().trim().escape(),
     body('date').optional().isISO8601().toDate().withMessage('Invalid date format, please use YYYY-MM-DD'),
@@ -138,6 +605,8 @@ const expenseValidationRules = [
     body('location').optional().trim().escape(),
     body('cost').optional().isFloat({ gt: 0 }).withMessage('Cost must be a positive number'),
     body('comments').optional().trim().escape(),
+    currencyCodeRule('currency'),
+    body('tripId').optional({ nullable: true, checkFalsy: true }).isInt({ gt: 0 }).withMessage('Trip ID must be a positive integer').toInt(),
     body('tripName').optional({ nullable: true, checkFalsy: true }).trim().escape()
 ];
 
@@ -149,7 +618,80 @@ const expenseCreationValidationRules = [
     body('location').notEmpty().withMessage('Location is required').trim().escape(),
     body('cost').notEmpty().withMessage('Cost is required').isFloat({ gt: 0 }).withMessage('Cost must be a positive number'),
     body('comments').optional().trim().escape(),
-    body('tripName').notEmpty().withMessage('Trip Name is required').trim().escape()
+    currencyCodeRule('currency'), // Defaults to the trip's home currency
+    // A trip is required, identified by tripId (preferred) or by its name
+    body('tripId').custom((value, { req }) => {
+        if ((value === undefined || value === null || value === '') && !req.body.tripName) {
+            throw new Error('Trip is required');
+        }
+        return true;
+    }),
+    body('tripId').optional({ nullable: true, checkFalsy: true }).isInt({ gt: 0 }).withMessage('Trip ID must be a positive integer').toInt(),
+    body('tripName').optional({ nullable: true, checkFalsy: true }).trim().escape()
+];
+
+// Query parameters accepted by GET /api/expenses
+// Text filters are escaped like the stored values so they compare equal.
+const expenseListValidationRules = [
+    query('tripId').optional({ checkFalsy: true }).isInt({ gt: 0 }).withMessage('Trip ID must be a positive integer'),
+    query('tripName').optional({ checkFalsy: true }).trim().escape(),
+    query('dateFrom').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid dateFrom, please use YYYY-MM-DD'),
+    query('dateTo').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid dateTo, please use YYYY-MM-DD'),
+    query('minCost').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('minCost must be a non-negative number'),
+    query('maxCost').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('maxCost must be a non-negative number'),
+    query('type').optional({ checkFalsy: true }).trim().escape(),
+    query('vendor').optional({ checkFalsy: true }).trim().escape(),
+    query('q').optional({ checkFalsy: true }).trim().escape(),
+    query('sortBy').optional({ checkFalsy: true }).isIn(Object.keys(SORT_FIELDS)).withMessage(`sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`),
+    query('sortDir').optional({ checkFalsy: true }).isIn(['asc', 'desc', 'ASC', 'DESC']).withMessage('sortDir must be asc or desc'),
+    query('limit').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('limit must be a positive integer'),
+    query('offset').optional({ checkFalsy: true }).isInt({ min: 0 }).withMessage('offset must be a non-negative integer')
+];
+
+// Query parameters accepted by the /api/analytics routes
+const analyticsValidationRules = [
+    query('dateFrom').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid dateFrom, please use YYYY-MM-DD'),
+    query('dateTo').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid dateTo, please use YYYY-MM-DD'),
+    query('currency').optional({ checkFalsy: true }).trim().toUpperCase().matches(CURRENCY_CODE_REGEX).withMessage('Currency must be a 3-letter ISO 4217 code'),
+    query('tripId').optional({ checkFalsy: true }).isInt({ gt: 0 }).withMessage('Trip ID must be a positive integer'),
+    query('limit').optional({ checkFalsy: true }).isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100').toInt()
+];
+
+// Optional trip metadata, shared by trip creation and update
+const tripMetadataValidationRules = [
+    body('destination').optional({ nullable: true }).trim().escape(),
+    currencyCodeRule('homeCurrency'),
+    body('startDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid start date format, please use YYYY-MM-DD'),
+    body('endDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid end date format, please use YYYY-MM-DD')
+        .custom((value, { req }) => {
+            if (req.body.startDate && value < req.body.startDate) {
+                throw new Error('End date cannot be before start date');
+            }
+            return true;
+        }),
+    // Budgets are in the trip's home currency
+    body('budget').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Budget must be a non-negative number').toFloat(),
+    body('categoryBudgets').optional().isArray().withMessage('categoryBudgets must be a list of { category, amount }')
+        .custom((lines) => {
+            const names = lines.map(line => String((line && line.category) || '').trim().toLowerCase());
+            if (new Set(names).size !== names.length) throw new Error('Each budget category can only be listed once');
+            return true;
+        }),
+    body('categoryBudgets.*.category').trim().notEmpty().withMessage('Budget category is required').escape(),
+    body('categoryBudgets.*.amount').isFloat({ gt: 0 }).withMessage('Category budget must be a positive number').toFloat()
+];
+// Optional email address (registration, account settings). Stored lowercased, not escaped:
+// isEmail() already rules out markup characters.
+const emailValidationRules = [
+    body('email').optional({ checkFalsy: true }).trim()
+        .isEmail().withMessage('Email must be a valid email address')
+        .isLength({ max: 254 }).withMessage('Email is too long')
+        .customSanitizer(value => value.toLowerCase())
+];
+
+// New passwords follow the same rule as registration
+const newPasswordValidationRules = [
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
 ];
 // --- End Validation Rules ---
 
@@ -159,7 +701,8 @@ const expenseCreationValidationRules = [
 // POST /api/auth/register - Register a new user
 app.post('/api/auth/register', [
     body('username').isLength({ min: 3 }).withMessage('Username must be at least 3 characters long').trim().escape(),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+    ...emailValidationRules
 ], async (req, res) => {
     console.log('POST /api/auth/register hit');
     const errors = validationResult(req);
@@ -168,35 +711,39 @@ app.post('/api/auth/register', [
     }
 
     const { username, password } = req.body;
-    const saltRounds = 10; // Standard practice for bcrypt salt rounds
+    const email = req.body.email || null; // Optional; needed to reset a forgotten password
 
     try {
-        // Check if username already exists
-        const checkUserSql = "SELECT id FROM users WHERE username = ?";
-        db.get(checkUserSql, [username], async (err, row) => {
-            if (err) {
-                console.error('Register: Error checking username:', err.message);
-                return res.status(500).json({ message: 'Database error during registration.' });
-            }
-            if (row) {
-                console.log(`Register: Username "${username}" already exists.`);
-                return res.status(400).json({ message: 'Username already taken.' });
-            }
+        // Every registration counts, so one address can't create accounts (and bcrypt hashes) in bulk
+        const verdict = await loginThrottle.attempt([{ kind: 'register', subject: req.ip || 'unknown' }]);
+        if (!verdict.allowed) {
+            console.log(`Register: Throttled registrations from ${req.ip}.`);
+            return sendThrottled(res, verdict);
+        }
 
-            // Hash password
-            const passwordHash = await bcrypt.hash(password, saltRounds);
+        // Check if username (or email) already exists
+        const checkUserSql = "SELECT id, username FROM users WHERE username = ? OR (email IS NOT NULL AND email = ?)";
+        const existing = await dbAsync.get(checkUserSql, [username, email]);
+        if (existing) {
+            console.log(`Register: Username "${username}" or its email already exists.`);
+            const message = existing.username === username ? 'Username already taken.' : 'Email already in use.';
+            return res.status(400).json({ message });
+        }
 
-            // Insert new user
-            const insertSql = "INSERT INTO users (username, password_hash) VALUES (?, ?)";
-            db.run(insertSql, [username, passwordHash], function(err) { // Use function() to access this.lastID
-                if (err) {
-                    console.error('Register: Error inserting user:', err.message);
-                    return res.status(500).json({ message: 'Failed to register user.' });
-                }
-                console.log(`Register: User "${username}" created with ID ${this.lastID}`);
-                res.status(201).json({ message: 'User registered successfully.', userId: this.lastID });
-            });
+        // Hash password
+        const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+        // Insert new user. The first one to register becomes the instance's admin.
+        const insertSql = `INSERT INTO users (username, password_hash, email, role)
+                           VALUES (?, ?, ?, CASE WHEN EXISTS (SELECT 1 FROM users) THEN 'member' ELSE 'admin' END)`;
+        const { lastID: userId } = await dbAsync.run(insertSql, [username, passwordHash, email]);
+        const { role } = await dbAsync.get("SELECT role FROM users WHERE id = ?", [userId]);
+        console.log(`Register: User "${username}" created with ID ${userId} (${role})`);
+        await audit(req, 'auth.register', {
+            userId, username, actorId: userId,
+            entityType: 'user', entityId: userId, after: { id: userId, username, email, role }
         });
+        res.status(201).json({ message: 'User registered successfully.', userId, role });
     } catch (error) {
         console.error('Register: Unexpected error:', error);
         res.status(500).json({ message: 'An unexpected error occurred during registration.' });
@@ -207,7 +754,7 @@ app.post('/api/auth/register', [
 app.post('/api/auth/login', [
     body('username').notEmpty().withMessage('Username is required').trim().escape(),
     body('password').notEmpty().withMessage('Password is required')
-], (req, res) => {
+], async (req, res) => {
     console.log('POST /api/auth/login hit');
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -222,14 +769,26 @@ app.post('/api/auth/login', [
         return res.status(500).json({ message: 'Server configuration error.' });
     }
 
-    const sql = "SELECT id, username, password_hash FROM users WHERE username = ?";
-    db.get(sql, [username], async (err, user) => {
-        if (err) {
-            console.error('Login: Database error:', err.message);
-            return res.status(500).json({ message: 'Database error during login.' });
-        }
+    // Counted whether or not the user exists, so lockouts don't reveal which accounts do
+    const throttleKeys = [{ kind: 'username', subject: username }, { kind: 'ip', subject: req.ip || 'unknown' }];
+    let verdict;
+    try {
+        verdict = await loginThrottle.attempt(throttleKeys);
+    } catch (err) {
+        console.error('Login: Error checking login throttle:', err.message);
+        return res.status(500).json({ message: 'Database error during login.' });
+    }
+    if (!verdict.allowed) {
+        console.log(`Login: Throttled attempt for user "${username}" from ${req.ip} (${verdict.kind}).`);
+        return sendThrottled(res, verdict);
+    }
+
+    try {
+        const sql = "SELECT id, username, password_hash, role, disabledAt FROM users WHERE username = ?";
+        const user = await dbAsync.get(sql, [username]);
         if (!user) {
             console.log(`Login: User "${username}" not found.`);
+            await auditFailedLogin(req, 'unknown_user', { username }, verdict.locked);
             return res.status(401).json({ message: 'Invalid username or password.' }); // Generic message for security
         }
 
@@ -237,650 +796,2955 @@ app.post('/api/auth/login', [
         const match = await bcrypt.compare(password, user.password_hash);
         if (!match) {
             console.log(`Login: Incorrect password for user "${username}".`);
+            await auditFailedLogin(req, 'wrong_password', { userId: user.id, username }, verdict.locked);
             return res.status(401).json({ message: 'Invalid username or password.' }); // Generic message
         }
+        // Checked after the password, so it doesn't reveal which accounts exist
+        if (user.disabledAt) {
+            console.log(`Login: User "${username}" is disabled.`);
+            await auditFailedLogin(req, 'account_disabled', { userId: user.id, username });
+            return res.status(403).json({ message: 'This account has been disabled. Contact an administrator.' });
+        }
 
-        // Passwords match - Generate JWT
-        const payload = { userId: user.id, username: user.username };
-        // Consider adding an expiration time (e.g., '1h', '7d')
-        const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '1h' }); // Token expires in 1 hour
-
-        console.log(`Login: User "${username}" (ID: ${user.id}) logged in successfully.`);
-        res.json({ message: 'Login successful.', token: token, userId: user.id, username: user.username });
-    });
+        // Passwords match - Start a session: a short-lived access token plus a refresh token.
+        // With 2FA on, the client first swaps a challenge token and a code for it at /api/auth/login/2fa;
+        // the username's attempt stays counted until then, so wrong codes add up with wrong passwords.
+        if (await twoFactor.isEnabledFor(user.id)) {
+            await loginThrottle.succeeded(throttleKeys.filter(key => key.kind !== 'username'));
+            const challenge = await twoFactor.createChallenge(user.id);
+            console.log(`Login: Password accepted for user "${username}"; waiting for the 2FA code.`);
+            return res.json({
+                message: 'Enter the code from your authenticator app.',
+                twoFactorRequired: true,
+                twoFactorToken: challenge.token,
+                expiresAt: challenge.expiresAt
+            });
+        }
+        await loginThrottle.succeeded(throttleKeys);
+        await sendNewSession(req, res, user);
+    } catch (err) {
+        console.error('Login: Unexpected error:', err.message);
+        res.status(500).json({ message: 'Database error during login.' });
+    }
 });
 
-// --- End Auth Routes ---
-
-
-// --- Trip API Routes (Protected) ---
+// POST /api/auth/login/2fa - Second login step for users with 2FA on
+// Body: { twoFactorToken, code } where code is from the authenticator app or a recovery code.
+// A challenge allows five wrong codes; after that the user has to enter the password again.
+app.post('/api/auth/login/2fa', [
+    body('twoFactorToken').isString().notEmpty().withMessage('Two-factor token is required'),
+    body('code').isString().trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+    console.log('POST /api/auth/login/2fa hit');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    if (!process.env.JWT_SECRET) {
+        console.error("Login Error: JWT_SECRET is not defined.");
+        return res.status(500).json({ message: 'Server configuration error.' });
+    }
 
-// GET /api/trips - Fetch all trips for the logged-in user
-app.get('/api/trips', authenticateToken, (req, res) => {
-    const userId = req.user.id;
-    console.log(`GET /api/trips hit for user ${userId}`);
+    try {
+        const ipKey = { kind: 'ip', subject: req.ip || 'unknown' };
+        const verdict = await loginThrottle.attempt([ipKey]);
+        if (!verdict.allowed) {
+            console.log(`Login 2FA: Throttled attempt from ${req.ip}.`);
+            return sendThrottled(res, verdict);
+        }
 
-    const sql = "SELECT id, name, description, createdAt FROM trips WHERE user_id = ? ORDER BY name ASC";
-    db.all(sql, [userId], (err, rows) => {
-        if (err) {
-            console.error(`Error fetching trips for user ${userId}:`, err.message);
-            return res.status(500).json({ message: 'Failed to fetch trips.' });
+        const result = await twoFactor.redeemChallenge(req.body.twoFactorToken, req.body.code);
+        if (!result.ok) {
+            console.log(`Login 2FA: Rejected (${result.reason}).`);
+            if (result.userId) {
+                // A wrong code counts against the account like a wrong password
+                const account = await dbAsync.get("SELECT id, username FROM users WHERE id = ?", [result.userId]);
+                if (account) {
+                    const usernameVerdict = await loginThrottle.attempt([{ kind: 'username', subject: account.username }]);
+                    const locked = [...verdict.locked, ...(usernameVerdict.allowed ? usernameVerdict.locked : [])];
+                    await auditFailedLogin(req, 'wrong_2fa_code', { userId: account.id, username: account.username }, locked);
+                }
+            }
+            if (result.reason === 'wrong_code') {
+                return res.status(401).json({ message: 'Invalid code.', reason: result.reason, attemptsLeft: result.attemptsLeft });
+            }
+            return res.status(401).json({ message: 'This login attempt has expired. Please log in again.', reason: result.reason });
         }
-        res.json(rows);
-    });
+        const user = await dbAsync.get("SELECT id, username, role, disabledAt FROM users WHERE id = ?", [result.userId]);
+        if (!user || user.disabledAt) {
+            return res.status(403).json({ message: 'This account has been disabled. Contact an administrator.' });
+        }
+        if (result.method === 'recovery') {
+            console.log(`Login 2FA: User ${user.id} used a recovery code.`);
+        }
+        await loginThrottle.succeeded([{ kind: 'username', subject: user.username }, ipKey]);
+        await sendNewSession(req, res, user);
+    } catch (err) {
+        console.error('Login 2FA: Error:', err.message);
+        res.status(500).json({ message: 'Database error during login.' });
+    }
 });
 
-// POST /api/trips - Create a new trip for the logged-in user
-app.post('/api/trips', authenticateToken, [
-    body('name').notEmpty().withMessage('Trip name is required').trim().escape(),
-    body('description').optional().trim().escape()
-], (req, res) => {
+// POST /api/auth/refresh - Swap a refresh token for a new access token and refresh token
+// Body: { refreshToken }. Each refresh token works once; keep the new one from the response.
+app.post('/api/auth/refresh', [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+    console.log('POST /api/auth/refresh hit');
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
     }
+    const JWT_SECRET = process.env.JWT_SECRET;
+    if (!JWT_SECRET) {
+        console.error("Refresh Error: JWT_SECRET is not defined.");
+        return res.status(500).json({ message: 'Server configuration error.' });
+    }
 
-    const userId = req.user.id;
-    const { name, description } = req.body;
-    console.log(`POST /api/trips hit for user ${userId} with name "${name}"`);
-
-    const sql = "INSERT INTO trips (user_id, name, description) VALUES (?, ?, ?)";
-    db.run(sql, [userId, name, description || null], function(err) {
-        if (err) {
-            // Check for unique constraint violation
-            if (err.message.includes('UNIQUE constraint failed: trips.user_id, trips.name')) {
-                console.warn(`Trip creation failed for user ${userId}: Trip name "${name}" already exists.`);
-                return res.status(400).json({ message: `Trip name "${name}" already exists.` });
+    try {
+        const result = await sessionStore.rotate(req.body.refreshToken, getSessionMeta(req));
+        if (!result.ok) {
+            console.log(`Refresh: Rejected refresh token (${result.reason}).`);
+            if (result.reason === 'reused') {
+                console.warn('Refresh: A refresh token was used twice; its session has been revoked.');
             }
-            console.error(`Error creating trip for user ${userId}:`, err.message);
-            return res.status(500).json({ message: 'Failed to create trip.' });
+            // 'raced' means another tab refreshed first; the client should pick up the tokens it saved
+            return res.status(401).json({ message: 'Session expired or revoked. Please log in again.', reason: result.reason });
         }
-        const newTripId = this.lastID;
-        console.log(`Trip "${name}" created with ID ${newTripId} for user ${userId}`);
-        res.status(201).json({ message: 'Trip created successfully', trip: { id: newTripId, name: name, description: description || null } });
-    });
+        const user = await dbAsync.get("SELECT id, username, role, disabledAt FROM users WHERE id = ?", [result.session.user_id]);
+        if (!user || user.disabledAt) {
+            return res.status(401).json({ message: 'Session expired or revoked. Please log in again.', reason: user ? 'disabled' : 'invalid' });
+        }
+        res.json({
+            token: signAccessToken(user, result.session.id, JWT_SECRET),
+            refreshToken: result.refreshToken,
+            userId: user.id,
+            username: user.username,
+            role: user.role
+        });
+    } catch (err) {
+        console.error('Refresh: Error rotating refresh token:', err.message);
+        res.status(500).json({ message: 'Failed to refresh session.' });
+    }
 });
 
-// DELETE /api/trips/:id - Delete a trip for the logged-in user
-app.delete('/api/trips/:id', authenticateToken, (req, res) => {
+// POST /api/auth/logout - End the current session; its access and refresh tokens stop working
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
     const userId = req.user.id;
-    const tripId = req.params.id;
-    console.log(`DELETE /api/trips/${tripId} hit for user ${userId}`);
+    console.log(`POST /api/auth/logout hit for user ${userId} (session ${req.sessionId})`);
+    try {
+        await sessionStore.revoke(userId, req.sessionId, 'logout');
+        await audit(req, 'auth.logout', { entityType: 'session', entityId: req.sessionId });
+        res.json({ message: 'Logged out.' });
+    } catch (err) {
+        console.error(`Logout: Error revoking session ${req.sessionId}:`, err.message);
+        res.status(500).json({ message: 'Failed to log out.' });
+    }
+});
 
-    // Optional: Add logic here to check if expenses are associated with this trip
-    // and decide whether to prevent deletion or delete associated expenses.
-    // For now, we just delete the trip entry.
+// POST /api/auth/change-password - Change the logged-in user's password
+// Body: { currentPassword, newPassword }. Other sessions are logged out; this one stays.
+app.post('/api/auth/change-password', authenticateToken, [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    ...newPasswordValidationRules
+], async (req, res) => {
+    const userId = req.user.id;
+    console.log(`POST /api/auth/change-password hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
 
-    const sql = "DELETE FROM trips WHERE id = ? AND user_id = ?";
-    db.run(sql, [tripId, userId], function(err) {
-        if (err) {
-            console.error(`Error deleting trip ${tripId} for user ${userId}:`, err.message);
-            return res.status(500).json({ message: 'Failed to delete trip.' });
-        }
-        if (this.changes === 0) {
-            // Trip not found or not owned by user
-            return res.status(404).json({ message: 'Trip not found or you do not have permission to delete it.' });
+    try {
+        if (!await isCurrentPassword(userId, req.body.currentPassword)) {
+            return res.status(400).json({ message: 'Current password is incorrect.' });
         }
-        console.log(`Trip ${tripId} deleted successfully for user ${userId}`);
-        res.json({ message: 'Trip deleted successfully.' });
-    });
+        const passwordHash = await bcrypt.hash(req.body.newPassword, SALT_ROUNDS);
+        await dbAsync.run("UPDATE users SET password_hash = ? WHERE id = ?", [passwordHash, userId]);
+        const revoked = await sessionStore.revokeOthers(userId, req.sessionId, 'password_changed');
+        console.log(`Password changed for user ${userId}; ${revoked} other session(s) logged out.`);
+        await audit(req, 'auth.password_change', { entityType: 'user', entityId: userId, details: { revokedSessions: revoked } });
+        res.json({ message: 'Password changed.', revokedSessions: revoked });
+    } catch (err) {
+        console.error(`Error changing password for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to change password.' });
+    }
 });
 
-// --- End Trip API Routes ---
-
+// POST /api/auth/forgot-password - Mail a password reset link
+// Body: { username } or { email }. The answer is the same whether or not
+// the account exists, so this can't be used to find out who has an account.
+app.post('/api/auth/forgot-password', [
+    body('username').optional({ checkFalsy: true }).trim().escape(), // Escaped like stored usernames
+    ...emailValidationRules
+], async (req, res) => {
+    console.log('POST /api/auth/forgot-password hit');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    if (!req.body.username && !req.body.email) {
+        return res.status(400).json({ message: 'Username or email is required.' });
+    }
+    const genericMessage = 'If that account has an email address, a reset link has been sent to it.';
+    // The link is built only from APP_BASE_URL: the Host header is up to the client
+    if (!mailTransport || !process.env.APP_BASE_URL) {
+        return res.status(503).json({ message: 'Password reset by email is not available on this server.' });
+    }
 
-// --- Expense API Routes (Protected) ---
+    try {
+        const user = req.body.email
+            ? await dbAsync.get("SELECT id, username, email, disabledAt FROM users WHERE email = ?", [req.body.email])
+            : await dbAsync.get("SELECT id, username, email, disabledAt FROM users WHERE username = ?", [req.body.username]);
+        if (!user || !user.email || user.disabledAt) {
+            console.log('Forgot password: no enabled account with an email for that login.');
+            return res.json({ message: genericMessage });
+        }
 
-// Apply authentication middleware to this route
-app.get('/api/expenses', authenticateToken, (req, res) => {
-    const userId = req.user.id; // Get user ID from authenticated request
-    console.log(`GET /api/expenses hit for user ${userId}`);
+        const { token, expiresAt } = await passwordResets.issue(user.id, { ipAddress: req.ip });
+        const baseUrl = process.env.APP_BASE_URL.replace(/\/+$/, '');
+        const resetUrl = `${baseUrl}/reset-password.html?token=${encodeURIComponent(token)}`;
+        await mailTransport.send({
+            to: user.email,
+            subject: 'Reset your Expense Tracker password',
+            text: `Hello ${user.username},\n\n` +
+                `Someone (hopefully you) asked to reset your Expense Tracker password. ` +
+                `Open this link to choose a new one:\n\n${resetUrl}\n\n` +
+                `The link works once and expires at ${expiresAt}. ` +
+                `If you didn't ask for this, ignore this email; your password stays the same.\n`
+        });
+        console.log(`Forgot password: reset link sent to user ${user.id}.`);
+        await audit(req, 'auth.password_reset_request', {
+            userId: user.id, username: user.username, entityType: 'user', entityId: user.id, details: { expiresAt }
+        });
+        res.json({ message: genericMessage });
+    } catch (err) {
+        console.error('Forgot password: error sending reset link:', err.message);
+        res.status(500).json({ message: 'Failed to send the reset link. Please try again later.' });
+    }
+});
 
-    // Fetch expenses from the database for the specific user
-    const sql = "SELECT * FROM expenses WHERE user_id = ? ORDER BY date DESC";
-    const params = [userId];
+// POST /api/auth/reset-password - Set a new password with a token from a reset link
+// Body: { token, newPassword }. Every session of the user is logged out.
+app.post('/api/auth/reset-password', [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    ...newPasswordValidationRules
+], async (req, res) => {
+    console.log('POST /api/auth/reset-password hit');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
 
-    db.all(sql, params, (err, rows) => {
-        if (err) {
-            console.error(`Error fetching expenses for user ${userId}:`, err.message);
-            return res.status(500).json({ message: 'Failed to fetch expenses' });
+    try {
+        const userId = await passwordResets.consume(req.body.token);
+        if (!userId) {
+            return res.status(400).json({ message: 'This reset link is invalid, expired or already used.' });
         }
-        console.log(`GET /api/expenses: Found ${rows.length} expenses for user ${userId}`);
-        // Convert cost back to number if stored as REAL
-        const expenses = rows.map(exp => ({
-            ...exp,
-            cost: parseFloat(exp.cost)
-        }));
-        return res.json(expenses);
-    });
+        const passwordHash = await bcrypt.hash(req.body.newPassword, SALT_ROUNDS);
+        await dbAsync.run("UPDATE users SET password_hash = ? WHERE id = ?", [passwordHash, userId]);
+        const revoked = await sessionStore.revokeOthers(userId, null, 'password_reset');
+        console.log(`Password reset for user ${userId}; ${revoked} session(s) logged out.`);
+        const account = await dbAsync.get("SELECT username FROM users WHERE id = ?", [userId]);
+        await audit(req, 'auth.password_reset', {
+            userId, username: account ? account.username : null, actorId: userId,
+            entityType: 'user', entityId: userId, details: { revokedSessions: revoked }
+        });
+        res.json({ message: 'Password reset. You can now log in with your new password.' });
+    } catch (err) {
+        console.error('Reset password: error:', err.message);
+        res.status(500).json({ message: 'Failed to reset password.' });
+    }
 });
 
-// Apply authentication middleware
-app.get('/api/expenses/:id', authenticateToken, (req, res) => {
-    const userId = req.user.id;
-    const expenseId = req.params.id;
-    console.log(`GET /api/expenses/${expenseId} hit for user ${userId}`);
+// --- End Auth Routes ---
 
-    const sql = "SELECT * FROM expenses WHERE id = ? AND user_id = ?";
-    const params = [expenseId, userId];
 
-    db.get(sql, params, (err, row) => {
+// --- Account API Routes (Protected) ---
+
+// GET /api/account - The logged-in user's account details
+app.get('/api/account', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`GET /api/account hit for user ${userId}`);
+    try {
+        const user = await dbAsync.get("SELECT id, username, email, createdAt FROM users WHERE id = ?", [userId]);
+        res.json(user);
+    } catch (err) {
+        console.error(`Error fetching account for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch account.' });
+    }
+});
+
+// PUT /api/account - Update account details. Body: { email } (empty to remove it)
+app.put('/api/account', authenticateToken, emailValidationRules, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`PUT /api/account hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = req.body.email || null;
+    try {
+        if (email) {
+            const taken = await dbAsync.get("SELECT id FROM users WHERE email = ? AND id != ?", [email, userId]);
+            if (taken) return res.status(400).json({ message: 'Email already in use.' });
+        }
+        const before = await dbAsync.get("SELECT id, username, email, createdAt FROM users WHERE id = ?", [userId]);
+        await dbAsync.run("UPDATE users SET email = ? WHERE id = ?", [email, userId]);
+        const user = await dbAsync.get("SELECT id, username, email, createdAt FROM users WHERE id = ?", [userId]);
+        await audit(req, 'account.update', { entityType: 'user', entityId: userId, before, after: user });
+        res.json({ message: 'Account updated.', account: user });
+    } catch (err) {
+        console.error(`Error updating account for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to update account.' });
+    }
+});
+
+// GET /api/account/2fa - Whether 2FA is on, and how many recovery codes are left
+app.get('/api/account/2fa', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`GET /api/account/2fa hit for user ${userId}`);
+    try {
+        res.json({ available: twoFactor.isAvailable(), ...await twoFactor.getStatus(userId) });
+    } catch (err) {
+        console.error(`Error fetching 2FA status for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch two-factor status.' });
+    }
+});
+
+// POST /api/account/2fa/setup - Start setting up 2FA
+// Returns the secret, its otpauth:// URL and a QR code of it (PNG data URL, drawn here
+// so the secret never goes to a third-party QR service). 2FA stays off until /enable.
+app.post('/api/account/2fa/setup', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`POST /api/account/2fa/setup hit for user ${userId}`);
+    if (!twoFactor.isAvailable()) {
+        return res.status(503).json({ message: 'Two-factor authentication is not enabled on this server (API_KEY_ENCRYPTION_KEY is not set).' });
+    }
+    try {
+        const setup = await twoFactor.beginSetup(userId, req.user.username);
+        if (!setup) {
+            return res.status(400).json({ message: 'Two-factor authentication is already on. Turn it off first to set it up again.' });
+        }
+        const qrCode = await QRCode.toDataURL(setup.otpauthUrl, { errorCorrectionLevel: 'M', margin: 2, width: 220 });
+        res.json({ secret: setup.secret, otpauthUrl: setup.otpauthUrl, qrCode });
+    } catch (err) {
+        console.error(`Error starting 2FA setup for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to start two-factor setup.' });
+    }
+});
+
+// POST /api/account/2fa/enable - Confirm setup with a code from the app. Body: { code }
+// Returns the recovery codes; this is the only time they are shown.
+app.post('/api/account/2fa/enable', authenticateToken, [
+    body('code').isString().trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+    const userId = req.user.id;
+    console.log(`POST /api/account/2fa/enable hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const recoveryCodes = await twoFactor.confirmSetup(userId, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ message: 'Invalid code, or no setup in progress. Check the time on your phone and try again.' });
+        }
+        console.log(`2FA turned on for user ${userId}`);
+        await audit(req, 'account.2fa_enable', { entityType: 'user', entityId: userId });
+        res.json({ message: 'Two-factor authentication is on.', recoveryCodes });
+    } catch (err) {
+        console.error(`Error enabling 2FA for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to turn on two-factor authentication.' });
+    }
+});
+
+// POST /api/account/2fa/disable - Turn 2FA off. Body: { password }
+app.post('/api/account/2fa/disable', authenticateToken, [
+    body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+    const userId = req.user.id;
+    console.log(`POST /api/account/2fa/disable hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        if (!await isCurrentPassword(userId, req.body.password)) {
+            return res.status(400).json({ message: 'Password is incorrect.' });
+        }
+        if (!await twoFactor.disable(userId)) {
+            return res.status(400).json({ message: 'Two-factor authentication is not on.' });
+        }
+        console.log(`2FA turned off for user ${userId}`);
+        await audit(req, 'account.2fa_disable', { entityType: 'user', entityId: userId });
+        res.json({ message: 'Two-factor authentication is off.' });
+    } catch (err) {
+        console.error(`Error disabling 2FA for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to turn off two-factor authentication.' });
+    }
+});
+
+// POST /api/account/2fa/recovery-codes - Replace the recovery codes. Body: { password }
+app.post('/api/account/2fa/recovery-codes', authenticateToken, [
+    body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+    const userId = req.user.id;
+    console.log(`POST /api/account/2fa/recovery-codes hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        if (!await isCurrentPassword(userId, req.body.password)) {
+            return res.status(400).json({ message: 'Password is incorrect.' });
+        }
+        const recoveryCodes = await twoFactor.regenerateRecoveryCodes(userId);
+        if (!recoveryCodes) {
+            return res.status(400).json({ message: 'Two-factor authentication is not on.' });
+        }
+        await audit(req, 'account.recovery_codes_replace', { entityType: 'user', entityId: userId });
+        res.json({ message: 'New recovery codes created. The old ones no longer work.', recoveryCodes });
+    } catch (err) {
+        console.error(`Error replacing recovery codes for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to create recovery codes.' });
+    }
+});
+
+// GET /api/account/export - Download everything stored about the user as a ZIP:
+// manifest.json with the account, trips, expenses, drafts, rates and settings, plus receipts/
+app.get('/api/account/export', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`GET /api/account/export hit for user ${userId}`);
+
+    let exportData;
+    try {
+        exportData = await accountData.collect(userId);
+        if (!exportData) {
+            return res.status(404).json({ message: 'Account not found.' });
+        }
+    } catch (err) {
+        console.error(`Error collecting account data for user ${userId}:`, err.message);
+        return res.status(500).json({ message: 'Failed to export account data.' });
+    }
+
+    const { manifest, files } = exportData;
+    const filenameBase = req.user.username.replace(/[^a-z0-9_\-]/gi, '') || 'account';
+    res.attachment(`expense-tracker-${filenameBase}-${manifest.exportedAt.slice(0, 10)}.zip`);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('warning', (err) => console.error(`Warning while exporting account data for user ${userId}:`, err.message));
+    archive.on('error', (err) => {
+        // Headers are already sent, so all that's left is to cut the download short
+        console.error(`Error writing account export for user ${userId}:`, err.message);
+        res.destroy(err);
+    });
+    archive.pipe(res);
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    try {
+        for (const { key, archivePath } of files) {
+            const file = await receiptStorage.get(key);
+            if (file) archive.append(file, { name: archivePath });
+        }
+    } catch (err) {
+        // As above, the download has already started, so it is cut short
+        console.error(`Error reading receipts for the export of user ${userId}:`, err.message);
+        archive.abort();
+        return res.destroy(err);
+    }
+    archive.finalize();
+    console.log(`Exporting account data for user ${userId} (${manifest.expenses.length} expense(s), ${files.length} receipt file(s))`);
+    await audit(req, 'account.export', {
+        entityType: 'user', entityId: userId,
+        details: { trips: manifest.trips.length, expenses: manifest.expenses.length, files: files.length }
+    });
+});
+
+// DELETE /api/account - Delete the account and everything in it, including receipt files
+// Body: { password }. Audit entries about the account are kept.
+app.delete('/api/account', authenticateToken, [
+    body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+    const userId = req.user.id;
+    console.log(`DELETE /api/account hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        if (!await isCurrentPassword(userId, req.body.password)) {
+            return res.status(400).json({ message: 'Password is incorrect.' });
+        }
+        const result = await accountData.deleteAccount(userId);
+        if (!result.ok) {
+            if (result.reason === 'last_admin') {
+                return res.status(409).json({ message: 'You are the only admin. Make someone else an admin before deleting your account.' });
+            }
+            return res.status(404).json({ message: 'Account not found.' });
+        }
+        // Only remove files once the rows are gone
+        result.receiptKeys.forEach(key => deleteReceiptFile(receiptPathFor(key)));
+        console.log(`Account ${userId} deleted with ${result.receiptKeys.length} file(s).`);
+        await audit(req, 'account.delete', {
+            entityType: 'user', entityId: userId, before: result.user, details: { files: result.receiptKeys.length }
+        });
+        res.json({ message: 'Your account and all its data have been deleted.' });
+    } catch (err) {
+        console.error(`Error deleting account ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to delete account.' });
+    }
+});
+// --- End Account API Routes ---
+
+
+// --- Session API Routes (Protected) ---
+
+// GET /api/sessions - The user's active sessions; the one making the request has current: true
+app.get('/api/sessions', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`GET /api/sessions hit for user ${userId}`);
+    try {
+        res.json(await sessionStore.list(userId, req.sessionId));
+    } catch (err) {
+        console.error(`Error fetching sessions for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch sessions.' });
+    }
+});
+
+// DELETE /api/sessions/:id - Log out one of the user's sessions (e.g. a lost device)
+app.delete('/api/sessions/:id', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const sessionId = parseInt(req.params.id, 10);
+    console.log(`DELETE /api/sessions/${req.params.id} hit for user ${userId}`);
+    try {
+        if (!await sessionStore.revoke(userId, sessionId)) {
+            return res.status(404).json({ message: 'Session not found.' });
+        }
+        await audit(req, 'session.revoke', { entityType: 'session', entityId: sessionId });
+        res.json({ message: 'Session logged out.', current: sessionId === req.sessionId });
+    } catch (err) {
+        console.error(`Error revoking session ${sessionId} for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to log out session.' });
+    }
+});
+
+// DELETE /api/sessions - Log out every session except the current one
+app.delete('/api/sessions', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`DELETE /api/sessions hit for user ${userId}`);
+    try {
+        const revoked = await sessionStore.revokeOthers(userId, req.sessionId);
+        await audit(req, 'session.revoke_others', { details: { revoked } });
+        res.json({ message: `Logged out ${revoked} other session(s).`, revoked });
+    } catch (err) {
+        console.error(`Error revoking sessions for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to log out other sessions.' });
+    }
+});
+// --- End Session API Routes ---
+
+
+// --- Access Token API Routes (Protected) ---
+// Personal access tokens for scripts. Only a login can manage them: the
+// auth middleware refuses access tokens on these routes.
+
+// GET /api/access-tokens - The user's tokens and the scopes a token can have
+app.get('/api/access-tokens', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`GET /api/access-tokens hit for user ${userId}`);
+    try {
+        res.json({ scopes: ACCESS_TOKEN_SCOPES, tokens: await accessTokenStore.list(userId) });
+    } catch (err) {
+        console.error(`Error fetching access tokens for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch access tokens.' });
+    }
+});
+
+// POST /api/access-tokens - Create a token; the response is the only time it is shown
+// Body: { name, scopes, expiresInDays } (expiresInDays omitted or null for no expiry)
+app.post('/api/access-tokens', authenticateToken, [
+    body('name').trim().notEmpty().withMessage('Name is required')
+        .isLength({ max: 100 }).withMessage('Name must be at most 100 characters').escape(),
+    body('scopes').isArray({ min: 1 }).withMessage('Choose at least one scope'),
+    body('scopes.*').isIn(Object.keys(ACCESS_TOKEN_SCOPES)).withMessage(`Scopes must be among: ${Object.keys(ACCESS_TOKEN_SCOPES).join(', ')}`),
+    body('expiresInDays').optional({ nullable: true })
+        .isInt({ min: 1, max: MAX_EXPIRY_DAYS }).withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`).toInt()
+], async (req, res) => {
+    const userId = req.user.id;
+    console.log(`POST /api/access-tokens hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+        const result = await accessTokenStore.create(userId, { name, scopes, expiresInDays: expiresInDays || null });
+        if (!result.ok) {
+            const message = result.reason === 'too_many'
+                ? 'You have too many access tokens. Revoke one you no longer use.'
+                : 'Invalid scopes.';
+            return res.status(400).json({ message });
+        }
+        console.log(`Created access token ${result.accessToken.id} for user ${userId} with scopes ${result.accessToken.scopes.join(', ')}`);
+        await audit(req, 'access_token.create', { entityType: 'access_token', entityId: result.accessToken.id, after: result.accessToken });
+        res.status(201).json({ message: 'Access token created.', token: result.token, accessToken: result.accessToken });
+    } catch (err) {
+        console.error(`Error creating access token for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to create access token.' });
+    }
+});
+
+// DELETE /api/access-tokens/:id - Revoke a token; scripts using it stop working at once
+app.delete('/api/access-tokens/:id', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const tokenId = parseInt(req.params.id, 10);
+    console.log(`DELETE /api/access-tokens/${req.params.id} hit for user ${userId}`);
+    try {
+        if (!await accessTokenStore.revoke(userId, tokenId)) {
+            return res.status(404).json({ message: 'Access token not found.' });
+        }
+        await audit(req, 'access_token.revoke', { entityType: 'access_token', entityId: tokenId });
+        res.json({ message: 'Access token revoked.' });
+    } catch (err) {
+        console.error(`Error revoking access token ${tokenId} for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to revoke access token.' });
+    }
+});
+// --- End Access Token API Routes ---
+
+
+// --- Trip API Routes (Protected) ---
+
+// GET /api/trips - Fetch the trips the logged-in user owns or was invited to
+// Each trip includes its expense total (everyone's expenses) converted to the trip's
+// home currency, the user's role on it and the owner's username.
+app.get('/api/trips', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`GET /api/trips hit for user ${userId}`);
+
+    try {
+        // Own trips and those shared with the user, with their role on each
+        const visibleTrips = await tripAccess.listTrips(userId);
+        const counts = await dbAsync.all(
+            `SELECT t.id,
+                    (SELECT COUNT(*) FROM expenses e WHERE e.trip_id = t.id) AS expenseCount,
+                    (SELECT COUNT(*) FROM expense_drafts d WHERE d.trip_id = t.id AND d.user_id = ?) AS draftCount,
+                    (SELECT COUNT(*) FROM trip_members m WHERE m.trip_id = t.id) AS memberCount
+             FROM trips t WHERE t.id IN (${VISIBLE_TRIP_IDS})`,
+            [userId, userId, userId]
+        );
+        // Sum per trip, currency and day so each group is converted at its own date's rate
+        const amounts = await dbAsync.all(
+            `SELECT trip_id, currency, date, SUM(cost) AS cost FROM expenses
+             WHERE trip_id IN (${VISIBLE_TRIP_IDS}) GROUP BY trip_id, currency, date`,
+            [userId, userId]
+        );
+
+        const budgetLines = await dbAsync.all(
+            `SELECT trip_id, category, amount FROM trip_budgets
+             WHERE trip_id IN (${VISIBLE_TRIP_IDS}) ORDER BY category ASC`,
+            [userId, userId]
+        );
+
+        // Totals use the trip owner's exchange rates, so every member sees the same figures
+        const converters = new Map();
+        const converterFor = (ownerId) => {
+            if (!converters.has(ownerId)) converters.set(ownerId, createRateConverter(dbAsync, ownerId));
+            return converters.get(ownerId);
+        };
+        const trips = [];
+        for (const trip of visibleTrips) {
+            const count = counts.find(row => row.id === trip.id);
+            const tripAmounts = amounts.filter(row => row.trip_id === trip.id);
+            trips.push({
+                id: trip.id, name: trip.name, description: trip.description, destination: trip.destination,
+                startDate: trip.startDate, endDate: trip.endDate, homeCurrency: trip.homeCurrency, budget: trip.budget,
+                createdAt: trip.createdAt, role: trip.role, ownerUsername: trip.ownerUsername,
+                expenseCount: count.expenseCount, draftCount: count.draftCount, memberCount: count.memberCount,
+                totals: await summarizeAmounts(tripAmounts, trip.homeCurrency, converterFor(trip.user_id)),
+                categoryBudgets: budgetLines
+                    .filter(line => line.trip_id === trip.id)
+                    .map(({ category, amount }) => ({ category, amount }))
+            });
+        }
+        res.json(trips);
+    } catch (err) {
+        console.error(`Error fetching trips for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch trips.' });
+    }
+});
+
+// POST /api/trips - Create a new trip for the logged-in user
+app.post('/api/trips', authenticateToken, [
+    body('name').notEmpty().withMessage('Trip name is required').trim().escape(),
+    body('description').optional().trim().escape(),
+    ...tripMetadataValidationRules
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { name, description, destination, startDate, endDate } = req.body;
+    const homeCurrency = req.body.homeCurrency || DEFAULT_CURRENCY;
+    const budget = req.body.budget || null;
+    const categoryBudgets = req.body.categoryBudgets || [];
+    console.log(`POST /api/trips hit for user ${userId} with name "${name}"`);
+
+    try {
+        const newTripId = await dbAsync.transaction(async (tx) => {
+            const insert = await tx.run(
+                "INSERT INTO trips (user_id, name, description, destination, startDate, endDate, homeCurrency, budget) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+                [userId, name, description || null, destination || null, startDate || null, endDate || null, homeCurrency, budget]
+            );
+            await replaceCategoryBudgets(tx, insert.lastID, categoryBudgets);
+            return insert.lastID;
+        });
+        console.log(`Trip "${name}" created with ID ${newTripId} for user ${userId}`);
+        const trip = { id: newTripId, name: name, description: description || null, destination: destination || null, startDate: startDate || null, endDate: endDate || null, homeCurrency, budget, categoryBudgets };
+        await audit(req, 'trip.create', { entityType: 'trip', entityId: newTripId, after: trip });
+        res.status(201).json({ message: 'Trip created successfully', trip });
+    } catch (err) {
+        // Check for unique constraint violation
+        if (err.message.includes('UNIQUE constraint failed: trips.user_id, trips.name')) {
+            console.warn(`Trip creation failed for user ${userId}: Trip name "${name}" already exists.`);
+            return res.status(400).json({ message: `Trip name "${name}" already exists.` });
+        }
+        console.error(`Error creating trip for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to create trip.' });
+    }
+});
+
+// PUT /api/trips/:id - Update (e.g. rename) a trip; its owner and editors may
+// Only fields present in the body are changed. A rename also updates the
+// tripName copy on the trip's expenses, in the same transaction.
+// categoryBudgets, when given, replaces all of the trip's category budget lines.
+app.put('/api/trips/:id', authenticateToken, requireTripPermission('edit'), [
+    body('name').optional().notEmpty().withMessage('Trip name cannot be empty').trim().escape(),
+    body('description').optional({ nullable: true }).trim().escape(),
+    ...tripMetadataValidationRules
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const tripId = req.params.id;
+    console.log(`PUT /api/trips/${tripId} hit for user ${userId}`);
+
+    const editableFields = ['name', 'description', 'destination', 'startDate', 'endDate', 'homeCurrency', 'budget'];
+
+    try {
+        const result = await dbAsync.transaction(async (tx) => {
+            // Access was checked by requireTripPermission
+            const existingTrip = await tx.get("SELECT * FROM trips WHERE id = ?", [tripId]);
+            if (!existingTrip) return { status: 404, body: { message: 'Trip not found.' } };
+            const previousBudgets = await tx.all("SELECT category, amount FROM trip_budgets WHERE trip_id = ? ORDER BY category ASC", [existingTrip.id]);
+
+            // Merge existing data with new data (only update fields provided in request)
+            const updatedTrip = { ...existingTrip };
+            editableFields.forEach(field => {
+                if (req.body[field] !== undefined) updatedTrip[field] = req.body[field] === '' ? null : req.body[field];
+            });
+            if (!updatedTrip.homeCurrency) updatedTrip.homeCurrency = existingTrip.homeCurrency; // Can't be cleared
+            if (updatedTrip.startDate && updatedTrip.endDate && updatedTrip.endDate < updatedTrip.startDate) {
+                return { status: 400, body: { message: 'End date cannot be before start date.' } };
+            }
+
+            await tx.run(
+                "UPDATE trips SET name = ?, description = ?, destination = ?, startDate = ?, endDate = ?, homeCurrency = ?, budget = ? WHERE id = ?",
+                [updatedTrip.name, updatedTrip.description, updatedTrip.destination, updatedTrip.startDate, updatedTrip.endDate, updatedTrip.homeCurrency, updatedTrip.budget, tripId]
+            );
+
+            if (Array.isArray(req.body.categoryBudgets)) {
+                await replaceCategoryBudgets(tx, existingTrip.id, req.body.categoryBudgets);
+            }
+            const categoryBudgets = await tx.all("SELECT category, amount FROM trip_budgets WHERE trip_id = ? ORDER BY category ASC", [existingTrip.id]);
+
+            let renamedExpenses = 0;
+            if (updatedTrip.name !== existingTrip.name) {
+                const update = await tx.run("UPDATE expenses SET tripName = ?, updatedAt = ? WHERE trip_id = ?",
+                    [updatedTrip.name, new Date().toISOString(), tripId]);
+                renamedExpenses = update.changes;
+            }
+
+            const { user_id, ...trip } = updatedTrip; // Don't echo the owner column
+            return {
+                status: 200,
+                body: { message: 'Trip updated successfully', trip: { ...trip, categoryBudgets, role: req.trip.role, ownerUsername: req.trip.ownerUsername }, renamedExpenses },
+                before: { ...existingTrip, categoryBudgets: previousBudgets }
+            };
+        });
+
+        if (result.status === 200) {
+            console.log(`Trip ${tripId} updated for user ${userId} (${result.body.renamedExpenses} expense(s) renamed)`);
+            await audit(req, 'trip.update', {
+                entityType: 'trip', entityId: tripId, before: result.before, after: result.body.trip,
+                details: { renamedExpenses: result.body.renamedExpenses }
+            });
+        }
+        res.status(result.status).json(result.body);
+    } catch (err) {
+        // The rename collided with another of the owner's trips
+        if (err.message.includes('UNIQUE constraint failed: trips.user_id, trips.name')) {
+            console.warn(`Trip update failed for user ${userId}: Trip name "${req.body.name}" already exists.`);
+            return res.status(400).json({ message: `Trip name "${req.body.name}" already exists.` });
+        }
+        console.error(`Error updating trip ${tripId} for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to update trip.' });
+    }
+});
+
+// GET /api/trips/:id/summary - Spent vs. budget for the trip and each category
+// Amounts are in the trip's home currency; categories are expense types.
+app.get('/api/trips/:id/summary', authenticateToken, requireTripPermission('view'), async (req, res) => {
+    const userId = req.user.id;
+    const tripId = req.params.id;
+    const ownerId = req.trip.user_id;
+    console.log(`GET /api/trips/${tripId}/summary hit for user ${userId}`);
+
+    try {
+        const summary = await getTripBudgetSummary(dbAsync, createRateConverter(dbAsync, ownerId), ownerId, tripId);
+        if (!summary) {
+            return res.status(404).json({ message: 'Trip not found or you do not have permission to view it.' });
+        }
+        res.json(summary);
+    } catch (err) {
+        console.error(`Error building summary for trip ${tripId} (user ${userId}):`, err.message);
+        res.status(500).json({ message: 'Failed to build trip summary.' });
+    }
+});
+
+// DELETE /api/trips/:id - Delete a trip; only its owner may
+// Query params decide what happens to the trip's expenses:
+//   mode=refuse (default)  - fail with 409 if the trip still has expenses
+//   mode=cascade           - delete the expenses and their receipt files too
+//   mode=reassign&targetTripId=N - move the expenses to another of the user's trips
+// Drafts awaiting review count as expenses here and are handled the same way.
+app.delete('/api/trips/:id', authenticateToken, requireTripPermission('delete'), async (req, res) => {
+    const userId = req.user.id;
+    const tripId = req.params.id;
+    const mode = req.query.mode || 'refuse';
+    const targetTripId = req.query.targetTripId;
+    console.log(`DELETE /api/trips/${tripId} hit for user ${userId} (mode: ${mode})`);
+
+    if (!['refuse', 'cascade', 'reassign'].includes(mode)) {
+        return res.status(400).json({ message: 'Invalid mode. Use refuse, cascade or reassign.' });
+    }
+    if (mode === 'reassign' && (!targetTripId || String(targetTripId) === String(tripId))) {
+        return res.status(400).json({ message: 'Reassign mode requires a different targetTripId.' });
+    }
+
+    try {
+        const result = await dbAsync.transaction(async (tx) => {
+            const trip = await tx.get("SELECT * FROM trips WHERE id = ? AND user_id = ?", [tripId, userId]);
+            if (!trip) return { status: 404, body: { message: 'Trip not found or you do not have permission to delete it.' } };
+
+            // Expenses on submitted or approved reports can be neither deleted nor moved
+            const lockedCount = await expenseReports.countLockedOnTrip(tx, tripId);
+            if (lockedCount > 0) {
+                return { status: 409, body: { message: `Trip "${trip.name}" has ${lockedCount} expense(s) on submitted or approved expense reports.`, lockedCount } };
+            }
+
+            const expenses = await tx.all("SELECT * FROM expenses WHERE trip_id = ?", [tripId]);
+            const drafts = await tx.all("SELECT * FROM expense_drafts WHERE trip_id = ?", [tripId]);
+
+            if ((expenses.length > 0 || drafts.length > 0) && mode === 'refuse') {
+                const draftNote = drafts.length > 0 ? ` and ${drafts.length} draft(s) awaiting review` : '';
+                return { status: 409, body: { message: `Trip "${trip.name}" still has ${expenses.length} expense(s)${draftNote}.`, expenseCount: expenses.length, draftCount: drafts.length } };
+            }
+
+            let receiptPaths = [];
+            if ((expenses.length > 0 || drafts.length > 0) && mode === 'reassign') {
+                const target = await tx.get("SELECT id, name FROM trips WHERE id = ? AND user_id = ?", [targetTripId, userId]);
+                if (!target) return { status: 400, body: { message: 'Target trip not found.' } };
+                const now = new Date().toISOString();
+                await tx.run("UPDATE expenses SET trip_id = ?, tripName = ?, updatedAt = ? WHERE trip_id = ?",
+                    [target.id, target.name, now, tripId]);
+                await tx.run("UPDATE expense_drafts SET trip_id = ?, updatedAt = ? WHERE trip_id = ?", [target.id, now, tripId]);
+            } else if (mode === 'cascade') {
+                await tx.run("DELETE FROM expenses WHERE trip_id = ?", [tripId]);
+                await tx.run("DELETE FROM expense_drafts WHERE trip_id = ?", [tripId]);
+                receiptPaths = [...expenses, ...drafts].map(row => row.receiptPath).filter(Boolean);
+            }
+
+            await tx.run("DELETE FROM trips WHERE id = ? AND user_id = ?", [tripId, userId]);
+            // Cascaded expenses and drafts are kept in the audit entry, since they go with the trip
+            const before = mode === 'cascade' ? { ...trip, expenses, drafts } : trip;
+            return { status: 200, body: { message: 'Trip deleted successfully.', affectedExpenses: expenses.length }, receiptPaths, before };
+        });
+
+        if (result.status !== 200) {
+            return res.status(result.status).json(result.body);
+        }
+        // Only remove files once the rows are committed
+        result.receiptPaths.forEach(deleteReceiptFile);
+        console.log(`Trip ${tripId} deleted successfully for user ${userId} (${result.body.affectedExpenses} expense(s), mode: ${mode})`);
+        await audit(req, 'trip.delete', {
+            entityType: 'trip', entityId: tripId, before: result.before,
+            details: { mode, targetTripId: mode === 'reassign' ? targetTripId : undefined, affectedExpenses: result.body.affectedExpenses }
+        });
+        res.json(result.body);
+    } catch (err) {
+        console.error(`Error deleting trip ${tripId} for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to delete trip.' });
+    }
+});
+
+// GET /api/trips/:id/members - The trip's owner and the users it is shared with
+app.get('/api/trips/:id/members', authenticateToken, requireTripPermission('view'), async (req, res) => {
+    const userId = req.user.id;
+    const tripId = req.trip.id;
+    console.log(`GET /api/trips/${tripId}/members hit for user ${userId}`);
+    try {
+        const members = await tripAccess.listMembers(tripId);
+        res.json({
+            roles: TRIP_ROLES,
+            owner: { userId: req.trip.user_id, username: req.trip.ownerUsername },
+            members,
+            canShare: can(req.trip.role, 'share')
+        });
+    } catch (err) {
+        console.error(`Error fetching members of trip ${tripId}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch trip members.' });
+    }
+});
+
+// POST /api/trips/:id/members - Share the trip with a user. Body: { username, role }
+app.post('/api/trips/:id/members', authenticateToken, requireTripPermission('share'), [
+    body('username').notEmpty().withMessage('Username is required').trim().escape(),
+    body('role').isIn(TRIP_ROLES).withMessage(`Role must be one of: ${TRIP_ROLES.join(', ')}`)
+], async (req, res) => {
+    const userId = req.user.id;
+    const tripId = req.trip.id;
+    console.log(`POST /api/trips/${tripId}/members hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const result = await tripAccess.addMember(req.trip, req.body.username, req.body.role, userId);
+        if (!result.ok) {
+            const messages = {
+                user_not_found: 'No user with that username.',
+                owner: 'You already own this trip.',
+                already_member: 'This trip is already shared with that user.'
+            };
+            return res.status(result.reason === 'user_not_found' ? 404 : 400).json({ message: messages[result.reason] });
+        }
+        console.log(`Trip ${tripId} shared with user ${result.member.userId} as ${result.member.role} by user ${userId}`);
+        await audit(req, 'trip.member_add', { entityType: 'trip', entityId: tripId, after: result.member });
+        res.status(201).json({ message: `Trip shared with ${result.member.username}.`, member: result.member });
+    } catch (err) {
+        console.error(`Error sharing trip ${tripId}:`, err.message);
+        res.status(500).json({ message: 'Failed to share trip.' });
+    }
+});
+
+// PUT /api/trips/:id/members/:userId - Change a member's role. Body: { role }
+app.put('/api/trips/:id/members/:userId', authenticateToken, requireTripPermission('share'), [
+    param('userId').isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt(),
+    body('role').isIn(TRIP_ROLES).withMessage(`Role must be one of: ${TRIP_ROLES.join(', ')}`)
+], async (req, res) => {
+    const tripId = req.trip.id;
+    console.log(`PUT /api/trips/${tripId}/members/${req.params.userId} hit for user ${req.user.id}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const result = await tripAccess.setMemberRole(tripId, req.params.userId, req.body.role);
+        if (!result) {
+            return res.status(404).json({ message: 'This trip is not shared with that user.' });
+        }
+        await audit(req, 'trip.member_update', {
+            entityType: 'trip', entityId: tripId,
+            before: { userId: req.params.userId, role: result.previousRole }, after: { userId: req.params.userId, role: req.body.role }
+        });
+        res.json({ message: 'Role updated.' });
+    } catch (err) {
+        console.error(`Error changing a member's role on trip ${tripId}:`, err.message);
+        res.status(500).json({ message: 'Failed to change role.' });
+    }
+});
+
+// DELETE /api/trips/:id/members/:userId - Stop sharing the trip with a user
+// The owner can remove anyone; members can remove themselves (leave the trip).
+// The member's expenses stay on the trip.
+app.delete('/api/trips/:id/members/:userId', authenticateToken, requireTripPermission('view'), [
+    param('userId').isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt()
+], async (req, res) => {
+    const userId = req.user.id;
+    const tripId = req.trip.id;
+    console.log(`DELETE /api/trips/${tripId}/members/${req.params.userId} hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    const memberId = req.params.userId;
+    if (memberId !== userId && !can(req.trip.role, 'share')) {
+        return res.status(403).json({ message: `Trip ${req.trip.role}s can't do this.` });
+    }
+
+    try {
+        if (!await tripAccess.removeMember(tripId, memberId)) {
+            return res.status(404).json({ message: 'This trip is not shared with that user.' });
+        }
+        await audit(req, 'trip.member_remove', { entityType: 'trip', entityId: tripId, before: { userId: memberId } });
+        res.json({ message: memberId === userId ? 'You left the trip.' : 'User removed from the trip.' });
+    } catch (err) {
+        console.error(`Error removing a member from trip ${tripId}:`, err.message);
+        res.status(500).json({ message: 'Failed to remove user from the trip.' });
+    }
+});
+
+// --- End Trip API Routes ---
+
+
+// --- Expense API Routes (Protected) ---
+
+// GET /api/expenses - List the expenses the user can see: on their own trips and those shared with them (Protected)
+// Supports filtering (tripId, dateFrom, dateTo, minCost, maxCost, type, vendor, q),
+// sorting (sortBy, sortDir) and offset pagination (limit, offset).
+// The body stays a plain array; the total number of matches is sent in the
+// X-Total-Count header. Each expense carries its trip's homeCurrency and
+// convertedCost (null when no exchange rate is known), its author's username
+// (authorUsername), whether the user may change it (canEdit) and whether it is
+// split between trip participants (isSplit).
+app.get('/api/expenses', authenticateToken, expenseListValidationRules, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id; // Get user ID from authenticated request
+    console.log(`GET /api/expenses hit for user ${userId}`);
+
+    const { where, params } = buildExpenseFilters(userId, req.query);
+    const orderBy = buildExpenseOrder(req.query);
+    const pagination = parsePagination(req.query);
+
+    // Count first so the client knows how many pages there are
+    db.get(`SELECT COUNT(*) AS total FROM expenses WHERE ${where}`, params, (countErr, countRow) => {
+        if (countErr) {
+            console.error(`Error counting expenses for user ${userId}:`, countErr.message);
+            return res.status(500).json({ message: 'Failed to fetch expenses' });
+        }
+
+        let sql = `SELECT *, (SELECT t.homeCurrency FROM trips t WHERE t.id = expenses.trip_id) AS homeCurrency,
+                          (SELECT u.username FROM users u WHERE u.id = expenses.user_id) AS authorUsername,
+                          (expenses.id IN (${LOCKED_EXPENSE_IDS})) AS locked,
+                          (expenses.id IN (SELECT expense_id FROM expense_splits)) AS isSplit
+                   FROM expenses WHERE ${where} ORDER BY ${orderBy}`;
+        const listParams = [...params];
+        if (pagination) {
+            sql += ' LIMIT ? OFFSET ?';
+            listParams.push(pagination.limit, pagination.offset);
+        }
+
+        db.all(sql, listParams, async (err, rows) => {
+            if (err) {
+                console.error(`Error fetching expenses for user ${userId}:`, err.message);
+                return res.status(500).json({ message: 'Failed to fetch expenses' });
+            }
+            console.log(`GET /api/expenses: Returning ${rows.length} of ${countRow.total} expenses for user ${userId}`);
+            try {
+                const trips = new Map((await tripAccess.listTrips(userId)).map(trip => [trip.id, trip]));
+                // Convert with the trip owner's rates, as the trip totals do
+                const converters = new Map();
+                const converterFor = (ownerId) => {
+                    if (!converters.has(ownerId)) converters.set(ownerId, createRateConverter(dbAsync, ownerId));
+                    return converters.get(ownerId);
+                };
+                const expenses = [];
+                for (const exp of rows) {
+                    // Convert cost back to number if stored as REAL
+                    const cost = parseFloat(exp.cost);
+                    const homeCurrency = exp.homeCurrency || exp.currency;
+                    const trip = trips.get(exp.trip_id);
+                    const convertedCost = await converterFor(trip ? trip.user_id : userId).convert(cost, exp.currency, homeCurrency, exp.date);
+                    const locked = !!exp.locked;
+                    const canEdit = !locked && (trip ? canEditExpense(trip.role, exp, userId) : exp.user_id === userId);
+                    expenses.push(withReceiptUrl({ ...exp, cost, homeCurrency, convertedCost, canEdit, locked, isSplit: !!exp.isSplit }));
+                }
+                res.set('X-Total-Count', String(countRow.total));
+                return res.json(expenses);
+            } catch (convertErr) {
+                console.error(`Error converting expenses for user ${userId}:`, convertErr.message);
+                return res.status(500).json({ message: 'Failed to fetch expenses' });
+            }
+        });
+    });
+});
+
+// Apply authentication middleware
+app.get('/api/expenses/:id', authenticateToken, (req, res) => {
+    const userId = req.user.id;
+    const expenseId = req.params.id;
+    console.log(`GET /api/expenses/${expenseId} hit for user ${userId}`);
+
+    findExpenseForUser(userId, expenseId, (err, access) => {
+        if (err) {
+            console.error(`Error fetching expense ${expenseId} for user ${userId}:`, err.message);
+            return res.status(500).json({ message: 'Failed to fetch expense' });
+        }
+        if (!access) {
+            console.log(`Expense ${expenseId} not found or not visible to user ${userId}`);
+            return res.status(404).json({ message: 'Expense not found' });
+        }
+        // Convert cost back to number
+        const expense = withReceiptUrl({
+            ...access.expense, cost: parseFloat(access.expense.cost),
+            canEdit: access.canEdit && !access.lockedBy, locked: !!access.lockedBy
+        });
+        res.json(expense);
+    });
+});
+
+// PUT /api/expenses/:id - Update an existing expense (Protected)
+app.put('/api/expenses/:id', authenticateToken, function(req, res, next) {
+    // Handle file upload first
+    upload.single('receipt')(req, res, function(err) {
+        if (err) {
+            console.error("Multer error:", err);
+            return res.status(400).json({ message: `File upload error: ${err.message}` });
+        }
+        next(); // Proceed to validation
+    });
+}, function(req, res, next) {
+    // Apply validation rules (using optional rules for PUT)
+    Promise.all(expenseValidationRules.map(validation => validation.run(req)))
+        .then(() => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                console.error("Validation Errors:", JSON.stringify(errors.array()));
+                // Clean up uploaded file if validation fails
+                discardUpload(req.file);
+                return res.status(400).json({ errors: errors.array() });
+            }
+            next(); // Proceed to main logic
+        }).catch(next);
+}, function(req, res) {
+    // Main route logic
+    const userId = req.user.id;
+    const expenseId = req.params.id;
+    console.log(`PUT /api/expenses/${expenseId} hit for user ${userId}`);
+
+    // 1. Fetch the existing expense to check access and get old receipt path
+    const fetchSql = "SELECT * FROM expenses WHERE id = ?";
+    findExpenseForUser(userId, expenseId, (fetchErr, access) => {
+        if (fetchErr) {
+            console.error(`Error fetching expense ${expenseId} for update (user ${userId}):`, fetchErr.message);
+            // Clean up file if fetch fails
+            discardUpload(req.file);
+            return res.status(500).json({ message: 'Failed to retrieve expense for update.' });
+        }
+        if (!access || !access.canEdit) {
+            console.log(`Expense ${expenseId} not found or not editable by user ${userId} for update.`);
+            // Clean up file if expense not found
+            discardUpload(req.file);
+            return access
+                ? res.status(403).json({ message: 'You do not have permission to update this expense.' })
+                : res.status(404).json({ message: 'Expense not found or you do not have permission to update it.' });
+        }
+        if (access.lockedBy) {
+            discardUpload(req.file);
+            return res.status(409).json({ message: lockedExpenseMessage(access.lockedBy), reportId: access.lockedBy.id });
+        }
+        const existingExpense = access.expense;
+
+        // 2. Resolve the trip if the request moves the expense (otherwise keep the current one)
+        const { tripId: requestedTripId, tripName: requestedTripName } = req.body;
+        findTripForUser(userId, requestedTripId, requestedTripName, (tripErr, trip) => {
+            if (tripErr) {
+                console.error(`Error resolving trip for expense ${expenseId} (user ${userId}):`, tripErr.message);
+                discardUpload(req.file);
+                return res.status(500).json({ message: 'Failed to retrieve trip for update.' });
+            }
+            if ((requestedTripId || requestedTripName) && !trip) {
+                discardUpload(req.file);
+                return res.status(400).json({ message: 'Trip not found.' });
+            }
+            // Moving it needs the same right on the new trip
+            if (trip && trip.id !== existingExpense.trip_id && !canEditExpense(trip.role, existingExpense, userId)) {
+                discardUpload(req.file);
+                return res.status(403).json({ message: 'You do not have permission to move this expense to that trip.' });
+            }
+
+            // 3. Prepare updated data
+            const { type, date, vendor, location, cost, comments, currency } = req.body;
+            let newReceiptPath = existingExpense.receiptPath; // Default to old path
+
+            // Handle file update: Delete old, set new path
+            if (req.file) {
+                deleteReceiptFile(existingExpense.receiptPath);
+                newReceiptPath = receiptPathFor(req.file.filename); // Set new path
+            }
+
+            // Merge existing data with new data (only update fields provided in request)
+            const updatedData = {
+                type: type !== undefined ? type : existingExpense.type,
+                // Ensure date is formatted correctly if provided
+                date: date !== undefined ? (date instanceof Date ? date.toISOString().split('T')[0] : date) : existingExpense.date,
+                vendor: vendor !== undefined ? vendor : existingExpense.vendor,
+                location: location !== undefined ? location : existingExpense.location,
+                cost: cost !== undefined ? parseFloat(cost) : existingExpense.cost,
+                currency: currency || existingExpense.currency,
+                comments: comments !== undefined ? comments : existingExpense.comments,
+                trip_id: trip ? trip.id : existingExpense.trip_id,
+                tripName: trip ? trip.name : existingExpense.tripName,
+                receiptPath: newReceiptPath,
+                updatedAt: new Date().toISOString()
+            };
+
+            // Basic check for essential fields after merge (should be caught by validation, but good safety net)
+            if (!updatedData.date || !updatedData.cost || isNaN(updatedData.cost) || updatedData.cost <= 0) {
+                 console.error("Update Error: Missing Date or invalid Cost after merge.");
+                 discardUpload(req.file);
+                 return res.status(400).json({ message: 'Internal Error: Missing Date or invalid Cost after update.' });
+            }
+
+            // 4. Update database
+            const updateSql = `UPDATE expenses SET
+                                   type = ?, date = ?, vendor = ?, location = ?, cost = ?, currency = ?,
+                                   comments = ?, trip_id = ?, tripName = ?, receiptPath = ?, updatedAt = ?
+                               WHERE id = ?`;
+            const updateParams = [
+                updatedData.type, updatedData.date, updatedData.vendor, updatedData.location, updatedData.cost, updatedData.currency,
+                updatedData.comments, updatedData.trip_id, updatedData.tripName, updatedData.receiptPath, updatedData.updatedAt,
+                expenseId
+            ];
+
+            db.run(updateSql, updateParams, function(updateErr) {
+                if (updateErr) {
+                    console.error(`Error updating expense ${expenseId} for user ${userId}:`, updateErr.message);
+                    // Don't delete the *new* file here, as the update failed. The old one might already be gone.
+                    return res.status(500).json({ message: 'Failed to update expense.' });
+                }
+                if (this.changes === 0) {
+                    // Should not happen if fetch succeeded, but good check
+                    console.error(`Update Error: Expense ${expenseId} (user ${userId}) not found during UPDATE, though found during initial GET.`);
+                    return res.status(404).json({ message: 'Expense not found during update process.' });
+                }
+
+                console.log(`Expense ${expenseId} updated successfully for user ${userId}`);
+
+                // A split names the old trip's participants, so it doesn't move with the expense
+                if (updatedData.trip_id !== existingExpense.trip_id) {
+                    db.run("DELETE FROM expense_splits WHERE expense_id = ?", [expenseId], (splitErr) => {
+                        if (splitErr) console.error(`Error removing the split of moved expense ${expenseId}:`, splitErr.message);
+                    });
+                }
+
+                // 5. Fetch the final updated expense to return
+                db.get(fetchSql, [expenseId], (finalFetchErr, finalRow) => {
+                     if (finalFetchErr) {
+                         console.error(`Error fetching updated expense ${expenseId}:`, finalFetchErr.message);
+                         return res.status(500).json({ message: 'Expense updated but failed to fetch final details.' });
+                     }
+                     if (!finalRow) {
+                          return res.status(500).json({ message: 'Expense updated but could not be found immediately after.' });
+                     }
+                     const responseExpense = withReceiptUrl({ ...finalRow, cost: parseFloat(finalRow.cost), canEdit: true });
+                     audit(req, 'expense.update', {
+                         entityType: 'expense', entityId: expenseId, before: existingExpense, after: finalRow,
+                         details: req.file ? { receiptReplaced: !!existingExpense.receiptPath } : null
+                     }).then(() => {
+                         checkBudgetsForExpense(finalRow, (warnings) => {
+                             return res.json({ message: 'Expense updated successfully', expense: responseExpense, warnings });
+                         });
+                     });
+                });
+            });
+        });
+    });
+});
+
+// DELETE /api/expenses/:id - Delete an expense (Protected)
+app.delete('/api/expenses/:id', authenticateToken, (req, res) => {
+    const userId = req.user.id;
+    const expenseId = req.params.id;
+    console.log(`DELETE /api/expenses/${expenseId} hit for user ${userId}`);
+
+    // 1. Fetch the expense to check access and get receipt path (the whole row goes to the audit log)
+    findExpenseForUser(userId, expenseId, (fetchErr, access) => {
+        if (fetchErr) {
+            console.error(`Error fetching expense ${expenseId} for deletion (user ${userId}):`, fetchErr.message);
+            return res.status(500).json({ message: 'Failed to retrieve expense for deletion.' });
+        }
+        if (!access) {
+            console.log(`Expense ${expenseId} not found or not visible to user ${userId} for deletion.`);
+            // Return 404 even if it exists but isn't visible to the user, for security
+            return res.status(404).json({ message: 'Expense not found or you do not have permission to delete it.' });
+        }
+        if (!access.canEdit) {
+            return res.status(403).json({ message: 'You do not have permission to delete this expense.' });
+        }
+        if (access.lockedBy) {
+            return res.status(409).json({ message: lockedExpenseMessage(access.lockedBy), reportId: access.lockedBy.id });
+        }
+        const expenseToDelete = access.expense;
+
+        // 2. Delete the expense from the database
+        const deleteSql = "DELETE FROM expenses WHERE id = ?";
+        db.run(deleteSql, [expenseId], function(deleteErr) {
+            if (deleteErr) {
+                console.error(`Error deleting expense ${expenseId} for user ${userId}:`, deleteErr.message);
+                return res.status(500).json({ message: 'Failed to delete expense.' });
+            }
+            if (this.changes === 0) {
+                // Should not happen if fetch succeeded, but good check
+                console.error(`Delete Error: Expense ${expenseId} (user ${userId}) not found during DELETE, though found during initial GET.`);
+                return res.status(404).json({ message: 'Expense not found during delete process.' });
+            }
+
+            console.log(`Expense ${expenseId} deleted successfully from DB for user ${userId}`);
+
+            // 3. Delete the associated receipt file, if it exists
+            deleteReceiptFile(expenseToDelete.receiptPath);
+
+            audit(req, 'expense.delete', { entityType: 'expense', entityId: expenseId, before: expenseToDelete })
+                .then(() => res.json({ message: 'Expense deleted successfully' }));
+        });
+    });
+});
+
+// GET /api/ocr-settings - OCR methods an admin has made available, and the default one
+app.get('/api/ocr-settings', authenticateToken, async (req, res) => {
+    console.log(`GET /api/ocr-settings hit for user ${req.user.id}`);
+    try {
+        const settings = await instanceSettings.get();
+        res.json({ allowedMethods: settings.ocrAllowedMethods, defaultMethod: settings.ocrDefaultMethod });
+    } catch (err) {
+        console.error('Error fetching OCR settings:', err.message);
+        res.status(500).json({ message: 'Failed to fetch OCR settings.' });
+    }
+});
+
+/**
+ * POST /api/test-ocr - Queue OCR for a receipt without saving an expense
+ *
+ * Extracts expense details like date, cost, vendor, location and type from a
+ * receipt image or PDF, with built-in OCR (Tesseract) or an AI vision API.
+ * The work runs in the background: the response is 202 with a jobId right
+ * away, and GET /api/ocr-jobs/:id reports the status and, once done, the result.
+ */
+app.post('/api/test-ocr', authenticateToken, function(req, res, next) {
+    upload.single('receipt')(req, res, function(err) {
         if (err) {
-            console.error(`Error fetching expense ${expenseId} for user ${userId}:`, err.message);
-            return res.status(500).json({ message: 'Failed to fetch expense' });
+            console.error("Multer error:", err);
+            return res.status(400).json({ message: `File upload error: ${err.message}` });
+        }
+        next();
+    });
+}, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`POST /api/test-ocr hit for user ${userId}`);
+    try {
+        // Validate request
+        if (!req.file) {
+            return res.status(400).json({ message: 'Receipt upload is required for OCR testing.' });
+        }
+
+        const ocrMethod = req.body.ocrMethod || (await instanceSettings.get()).ocrDefaultMethod;
+        // The user's own API key is used, or the server-wide one if they have none
+        const modelName = req.body.model; // Model name can still be passed if needed
+
+        const keyError = await checkOcrMethod(userId, ocrMethod);
+        if (keyError) {
+            console.error(`Can't use OCR method ${ocrMethod} for user ${userId}: ${keyError}`);
+            discardUpload(req.file); // Clean up file
+            return res.status(400).json({ message: keyError });
+        }
+
+        // The job deletes the upload once it is done with it
+        const jobId = await ocrQueue.enqueue({
+            userId, filePath: receiptPathFor(req.file.filename), mimeType: req.file.mimetype, originalName: req.file.originalname,
+            ocrMethod, model: modelName
+        });
+        console.log(`Queued OCR job ${jobId} (method: ${ocrMethod}) for ${req.file.filename}`);
+        return res.status(202).json({ message: 'Receipt queued for OCR.', jobId, status: 'queued' });
+    } catch (error) {
+        console.error('Error queueing OCR:', error);
+
+        // Clean up on error
+        discardUpload(req.file);
+
+        return res.status(500).json({
+            message: `Failed to queue OCR due to server error: ${error.message}`
+        });
+    }
+});
+
+// GET /api/ocr-jobs/:id - Status of an OCR job (Protected)
+// status is queued (with its queue position), processing, completed (with
+// result) or failed (with error, after the last retry).
+app.get('/api/ocr-jobs/:id', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const jobId = req.params.id;
+    try {
+        const job = await ocrQueue.getJob(jobId, userId);
+        if (!job) {
+            return res.status(404).json({ message: 'OCR job not found.' });
+        }
+        res.json(job);
+    } catch (err) {
+        console.error(`Error fetching OCR job ${jobId} for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch OCR job.' });
+    }
+});
+
+
+// POST /api/expenses - Add a new expense (Protected)
+app.post('/api/expenses', authenticateToken, function(req, res, next) {
+    // Handle file upload first
+    upload.single('receipt')(req, res, function(err) {
+        if (err) {
+            console.error("Multer error:", err);
+            return res.status(400).json({ message: `File upload error: ${err.message}` });
+        }
+        // File uploaded successfully (or no file), proceed to validation
+        next();
+    });
+}, function(req, res, next) {
+    // Apply validation rules (ensure this runs *after* multer and auth)
+    // Need to manually trigger validation checks here as they are separate middleware
+    Promise.all(expenseCreationValidationRules.map(validation => validation.run(req)))
+        .then(() => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                console.error("Validation Errors:", JSON.stringify(errors.array()));
+                // Clean up uploaded file if validation fails
+                discardUpload(req.file);
+                return res.status(400).json({ errors: errors.array() });
+            }
+            // Validation passed, proceed to main logic
+            next();
+        }).catch(next); // Pass errors to the global error handler
+}, function(req, res) {
+    // Main route logic (runs after auth, multer, and validation)
+    const userId = req.user.id;
+    console.log(`POST /api/expenses hit for user ${userId}`);
+
+    try {
+        // Extract form data (already validated)
+        const { type, date, vendor, location, cost, comments, currency, tripId, tripName } = req.body;
+        const receiptPath = req.file ? receiptPathFor(req.file.filename) : null;
+        const now = new Date().toISOString();
+
+        // The expense must go on a trip the user may add expenses to (their own, or shared as contributor or editor)
+        findTripForUser(userId, tripId, tripName, (tripErr, trip) => {
+            if (tripErr || !trip || !can(trip.role, 'addExpense')) {
+                if (tripErr) console.error(`Error resolving trip for new expense (user ${userId}):`, tripErr.message);
+                discardUpload(req.file);
+                if (tripErr) return res.status(500).json({ message: 'Failed to retrieve trip.' });
+                return trip
+                    ? res.status(403).json({ message: `As a ${trip.role} of this trip you can't add expenses.` })
+                    : res.status(400).json({ message: 'Trip not found.' });
+            }
+
+            // Prepare data for insertion
+            const sql = `INSERT INTO expenses (user_id, type, date, vendor, location, cost, currency, comments, trip_id, tripName, receiptPath, createdAt, updatedAt)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+            const params = [
+                userId,
+                type,
+                // Ensure date is in YYYY-MM-DD format if it came from validation as Date object
+                (date instanceof Date ? date.toISOString().split('T')[0] : date),
+                vendor,
+                location,
+                parseFloat(cost), // Ensure cost is a number
+                currency || trip.homeCurrency, // Receipts in the trip's currency needn't say so
+                comments || null, // Use null for empty optional fields
+                trip.id,
+                trip.name, // Display copy of the trip name
+                receiptPath,
+                now,
+                now
+            ];
+
+            // Insert into database
+            db.run(sql, params, function(err) {
+                if (err) {
+                    console.error(`Error inserting expense for user ${userId}:`, err.message);
+                    // Clean up uploaded file if DB insert fails
+                    discardUpload(req.file);
+                    return res.status(500).json({ message: 'Failed to save expense.' });
+                }
+
+                const newExpenseId = this.lastID;
+                console.log(`Expense created with ID ${newExpenseId} for user ${userId}`);
+
+                // Fetch the newly created expense to return it
+                const fetchSql = "SELECT * FROM expenses WHERE id = ?";
+                db.get(fetchSql, [newExpenseId], (fetchErr, row) => {
+                    if (fetchErr) {
+                        console.error(`Error fetching newly created expense ${newExpenseId}:`, fetchErr.message);
+                        // Even if fetch fails, the expense was created, so maybe return 201 with just ID?
+                        return res.status(500).json({ message: 'Expense created but failed to fetch details.' });
+                    }
+                    if (!row) {
+                         return res.status(500).json({ message: 'Expense created but could not be found immediately after.' });
+                    }
+
+                    // Format response, flagging any budget this expense pushed over
+                    const responseExpense = withReceiptUrl({ ...row, cost: parseFloat(row.cost), canEdit: true });
+                    audit(req, 'expense.create', { entityType: 'expense', entityId: newExpenseId, after: row }).then(() => {
+                        checkBudgetsForExpense(row, (warnings) => {
+                            if (warnings.length > 0) console.log(`Expense ${newExpenseId} exceeds ${warnings.length} budget(s) on trip ${row.trip_id}`);
+                            return res.status(201).json({ message: 'Expense added successfully', expense: responseExpense, warnings });
+                        });
+                    });
+                });
+            });
+        });
+
+    } catch (error) {
+        console.error(`POST /api/expenses: Unexpected error for user ${userId}:`, error);
+        // Clean up uploaded file on unexpected error
+        discardUpload(req.file);
+        return res.status(500).json({ message: 'Failed to add expense due to server error.' });
+    }
+});
+
+// --- Receipt File Route ---
+// Receipts are only served through here. <img> tags use the signed receiptUrl
+// that comes with each expense or draft; API clients can instead send their
+// usual Authorization header, and get the file if they can see the expense or
+// own the draft.
+
+// Signed links carry their own proof of access; other requests need a login
+const authenticateReceiptRequest = (req, res, next) => {
+    if (req.query.signature !== undefined) return next();
+    authenticateToken(req, res, next);
+};
+
+/**
+ * A receipt's thumbnail, made now for receipts uploaded before thumbnails existed
+ * @param {string} fileName - Receipt key
+ * @param {string} size - A key of THUMBNAIL_SIZES
+ * @returns {Promise<Buffer|null>} - null if the receipt has no thumbnails (not an image canvas can read)
+ */
+const loadThumbnail = async (fileName, size) => {
+    const stored = await receiptStorage.get(thumbnailKey(fileName, size));
+    if (stored) return stored;
+    const original = await receiptStorage.get(fileName);
+    if (!original) return null;
+    const thumbnails = await prepareThumbnails(fileName, original);
+    for (const thumbnail of thumbnails) {
+        await receiptStorage.put(thumbnail.key, thumbnail.body, thumbnail.contentType);
+    }
+    const made = thumbnails.find(thumbnail => thumbnail.key === thumbnailKey(fileName, size));
+    return made ? made.body : null;
+};
+
+// GET /api/receipts/:fileName - A receipt file (?download=1 to save it rather than show it)
+// ?size=small or medium gives a JPEG thumbnail of an image receipt, or the receipt itself
+// when there is none.
+app.get('/api/receipts/:fileName', authenticateReceiptRequest, async (req, res) => {
+    const fileName = receiptFileName(req.params.fileName);
+    if (!fileName) {
+        return res.status(404).json({ message: 'Receipt not found.' });
+    }
+    const size = req.query.size;
+    if (size !== undefined && !Object.prototype.hasOwnProperty.call(THUMBNAIL_SIZES, size)) {
+        return res.status(400).json({ message: `size must be one of: ${Object.keys(THUMBNAIL_SIZES).join(', ')}.` });
+    }
+
+    let maxAge = 0;
+    if (req.user) {
+        console.log(`GET /api/receipts/${fileName} hit for user ${req.user.id}`);
+        try {
+            const visible = visibleExpensesCondition(req.user.id);
+            const row = await dbAsync.get(
+                `SELECT 1 FROM expenses WHERE receiptPath = ? AND ${visible.sql}
+                 UNION ALL SELECT 1 FROM expense_drafts WHERE receiptPath = ? AND user_id = ? LIMIT 1`,
+                [receiptPathFor(fileName), ...visible.params, receiptPathFor(fileName), req.user.id]
+            );
+            if (!row) {
+                return res.status(404).json({ message: 'Receipt not found.' });
+            }
+        } catch (err) {
+            console.error(`Error checking access to receipt ${fileName} for user ${req.user.id}:`, err.message);
+            return res.status(500).json({ message: 'Failed to load receipt.' });
+        }
+    } else {
+        const verdict = receiptUrls.verify(fileName, req.query.expires, req.query.signature);
+        if (!verdict.ok) {
+            return res.status(403).json({ message: verdict.reason === 'expired' ? 'This receipt link has expired. Reload the page for a new one.' : 'Invalid receipt link.' });
+        }
+        maxAge = verdict.expiresIn;
+    }
+
+    let file;
+    let servedName = fileName;
+    try {
+        file = size && hasThumbnails(fileName) ? await loadThumbnail(fileName, size) : null;
+        if (file) {
+            servedName = thumbnailKey(fileName, size);
+        } else {
+            file = await receiptStorage.get(fileName);
+        }
+    } catch (err) {
+        console.error(`Error reading receipt ${fileName} from ${receiptStorage.name} storage:`, err.message);
+        return res.status(500).json({ message: 'Failed to load receipt.' });
+    }
+    if (!file) {
+        return res.status(404).json({ message: 'Receipt not found.' });
+    }
+    res.set({
+        ...receiptHeaders(servedName, req.query.download === '1'),
+        'X-Content-Type-Options': 'nosniff',
+        // Signed links may be cached until they expire, but only by the browser
+        'Cache-Control': maxAge > 0 ? `private, max-age=${maxAge}` : 'private, no-store'
+    });
+    res.send(file);
+});
+
+// --- End Receipt File Route ---
+
+// --- Expense Draft API Routes (Protected) ---
+// A bulk upload turns each receipt into a draft that a background OCR job
+// fills in. Drafts are reviewed one by one: corrected (PUT), confirmed into
+// an expense, or discarded.
+
+// POST /api/expense-drafts - Upload receipts (field "receipts") for a trip and create a draft per file
+// Body: tripId (required), ocrMethod and model (optional, as for /api/test-ocr).
+// Drafts come back empty with ocrStatus 'queued'; poll GET /api/expense-drafts for the results.
+// A receipt OCR can't read keeps its draft, with ocrError set and the fields empty.
+app.post('/api/expense-drafts', authenticateToken, function(req, res, next) {
+    upload.array('receipts', MAX_BULK_RECEIPTS)(req, res, function(err) {
+        if (err) {
+            console.error("Multer error:", err);
+            const message = err.code === 'LIMIT_UNEXPECTED_FILE'
+                ? `Too many receipts. Upload at most ${MAX_BULK_RECEIPTS} at a time.`
+                : `File upload error: ${err.message}`;
+            return res.status(400).json({ message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    const userId = req.user.id;
+    const files = req.files || [];
+    const savedKeys = new Set();
+    // Remove uploaded files that didn't make it into a draft
+    const cleanUpFiles = () => files
+        .filter(file => !savedKeys.has(file.filename))
+        .forEach(discardUpload);
+    console.log(`POST /api/expense-drafts hit for user ${userId} (${files.length} file(s))`);
+
+    if (files.length === 0) {
+        return res.status(400).json({ message: 'At least one receipt is required.' });
+    }
+
+    try {
+        const ocrMethod = req.body.ocrMethod || (await instanceSettings.get()).ocrDefaultMethod;
+        const keyError = await checkOcrMethod(userId, ocrMethod);
+        if (keyError) {
+            cleanUpFiles();
+            return res.status(400).json({ message: keyError });
+        }
+        const trip = await tripAccess.getTrip(userId, req.body.tripId);
+        if (!trip || !can(trip.role, 'addExpense')) {
+            cleanUpFiles();
+            return trip
+                ? res.status(403).json({ message: `As a ${trip.role} of this trip you can't add expenses.` })
+                : res.status(400).json({ message: 'Trip not found.' });
+        }
+
+        const drafts = [];
+        for (const file of files) {
+            const now = new Date().toISOString();
+            const { lastID } = await dbAsync.run(
+                `INSERT INTO expense_drafts (user_id, trip_id, receiptPath, originalName, createdAt, updatedAt)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [userId, trip.id, receiptPathFor(file.filename), file.originalname, now, now]
+            );
+            savedKeys.add(file.filename);
+            // The receipt stays with the draft, so the job keeps the file
+            await ocrQueue.enqueue({
+                userId, draftId: lastID, filePath: receiptPathFor(file.filename), mimeType: file.mimetype, originalName: file.originalname,
+                ocrMethod, model: req.body.model, keepFile: true
+            });
+            drafts.push(formatDraft(await dbAsync.get(`${DRAFT_SELECT} WHERE d.id = ?`, [lastID])));
+        }
+
+        console.log(`Created ${drafts.length} draft(s) on trip ${trip.id} for user ${userId}`);
+        for (const draft of drafts) {
+            await audit(req, 'expense_draft.create', { entityType: 'expense_draft', entityId: draft.id, after: draft, details: { ocrMethod } });
+        }
+        res.status(201).json({ message: `Created ${drafts.length} draft expense(s); OCR is reading the receipts.`, drafts });
+    } catch (err) {
+        console.error(`Error creating drafts for user ${userId}:`, err.message);
+        cleanUpFiles();
+        res.status(500).json({ message: 'Failed to create draft expenses.' });
+    }
+});
+
+// GET /api/expense-drafts - The user's drafts awaiting review (optionally ?tripId=), oldest first
+// ocrStatus is queued or processing while OCR is still reading the receipt.
+app.get('/api/expense-drafts', authenticateToken, [
+    query('tripId').optional({ checkFalsy: true }).isInt({ gt: 0 }).withMessage('Trip ID must be a positive integer')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    console.log(`GET /api/expense-drafts hit for user ${userId}`);
+    let sql = `${DRAFT_SELECT} WHERE d.user_id = ?`;
+    const params = [userId];
+    if (req.query.tripId) {
+        sql += " AND d.trip_id = ?";
+        params.push(req.query.tripId);
+    }
+    sql += " ORDER BY d.createdAt ASC, d.id ASC";
+
+    try {
+        const rows = await dbAsync.all(sql, params);
+        res.json(rows.map(formatDraft));
+    } catch (err) {
+        console.error(`Error fetching drafts for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch draft expenses.' });
+    }
+});
+
+// PUT /api/expense-drafts/:id - Save corrections to a draft without confirming it
+app.put('/api/expense-drafts/:id', authenticateToken, expenseValidationRules, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const draftId = req.params.id;
+    console.log(`PUT /api/expense-drafts/${draftId} hit for user ${userId}`);
+
+    try {
+        const draft = await dbAsync.get("SELECT * FROM expense_drafts WHERE id = ? AND user_id = ?", [draftId, userId]);
+        if (!draft) {
+            return res.status(404).json({ message: 'Draft not found.' });
+        }
+        const fields = mergeDraftFields(draft, req.body);
+        await dbAsync.run(
+            `UPDATE expense_drafts SET type = ?, date = ?, vendor = ?, location = ?, cost = ?, currency = ?, comments = ?, updatedAt = ?
+             WHERE id = ? AND user_id = ?`,
+            [fields.type, fields.date, fields.vendor, fields.location, fields.cost, fields.currency, fields.comments,
+                new Date().toISOString(), draftId, userId]
+        );
+        const updated = await dbAsync.get(`${DRAFT_SELECT} WHERE d.id = ?`, [draftId]);
+        await audit(req, 'expense_draft.update', { entityType: 'expense_draft', entityId: draftId, before: draft, after: updated });
+        res.json({ message: 'Draft updated successfully', draft: formatDraft(updated) });
+    } catch (err) {
+        console.error(`Error updating draft ${draftId} for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to update draft.' });
+    }
+});
+
+// POST /api/expense-drafts/:id/confirm - Turn a draft into an expense
+// The body may carry last corrections (same fields as PUT). The result must be
+// a complete expense; the receipt moves over with it.
+app.post('/api/expense-drafts/:id/confirm', authenticateToken, expenseValidationRules, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const draftId = req.params.id;
+    console.log(`POST /api/expense-drafts/${draftId}/confirm hit for user ${userId}`);
+
+    try {
+        const draft = await dbAsync.get("SELECT * FROM expense_drafts WHERE id = ? AND user_id = ?", [draftId, userId]);
+        if (!draft) {
+            return res.status(404).json({ message: 'Draft not found.' });
+        }
+        const fields = mergeDraftFields(draft, req.body);
+
+        // Same requirements as POST /api/expenses
+        const requiredFields = { type: 'Type', date: 'Date', vendor: 'Vendor', location: 'Location', cost: 'Cost' };
+        const missing = Object.keys(requiredFields)
+            .filter(field => fields[field] === null || (field === 'cost' && !(fields.cost > 0)))
+            .map(field => ({ type: 'field', location: 'body', path: field, msg: `${requiredFields[field]} is required` }));
+        if (missing.length > 0) {
+            return res.status(400).json({ errors: missing });
+        }
+
+        // The trip may have stopped being shared with the user since the upload
+        const trip = await tripAccess.getTrip(userId, draft.trip_id);
+        if (!trip || !can(trip.role, 'addExpense')) {
+            return res.status(403).json({ message: 'You can no longer add expenses to this trip.' });
+        }
+        const expenseId = await dbAsync.transaction(async (tx) => {
+            const now = new Date().toISOString();
+            const { lastID } = await tx.run(
+                `INSERT INTO expenses (user_id, type, date, vendor, location, cost, currency, comments, trip_id, tripName, receiptPath, createdAt, updatedAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [userId, fields.type, fields.date, fields.vendor, fields.location, fields.cost, fields.currency || trip.homeCurrency,
+                    fields.comments, trip.id, trip.name, draft.receiptPath, now, now]
+            );
+            await tx.run("DELETE FROM expense_drafts WHERE id = ?", [draftId]);
+            return lastID;
+        });
+
+        const row = await dbAsync.get("SELECT * FROM expenses WHERE id = ?", [expenseId]);
+        console.log(`Draft ${draftId} confirmed as expense ${expenseId} for user ${userId}`);
+        await audit(req, 'expense_draft.confirm', { entityType: 'expense_draft', entityId: draftId, before: draft, details: { expenseId } });
+        await audit(req, 'expense.create', { entityType: 'expense', entityId: expenseId, after: row, details: { fromDraftId: Number(draftId) } });
+        checkBudgetsForExpense(row, (warnings) => {
+            res.status(201).json({ message: 'Expense added successfully', expense: withReceiptUrl({ ...row, cost: parseFloat(row.cost) }), warnings });
+        });
+    } catch (err) {
+        console.error(`Error confirming draft ${draftId} for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to confirm draft.' });
+    }
+});
+
+// DELETE /api/expense-drafts/:id - Discard a draft and its receipt
+app.delete('/api/expense-drafts/:id', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const draftId = req.params.id;
+    console.log(`DELETE /api/expense-drafts/${draftId} hit for user ${userId}`);
+
+    try {
+        const draft = await dbAsync.get("SELECT * FROM expense_drafts WHERE id = ? AND user_id = ?", [draftId, userId]);
+        if (!draft) {
+            return res.status(404).json({ message: 'Draft not found.' });
+        }
+        await dbAsync.run("DELETE FROM expense_drafts WHERE id = ? AND user_id = ?", [draftId, userId]);
+        deleteReceiptFile(draft.receiptPath);
+        await audit(req, 'expense_draft.delete', { entityType: 'expense_draft', entityId: draftId, before: draft });
+        res.json({ message: 'Draft discarded.' });
+    } catch (err) {
+        console.error(`Error discarding draft ${draftId} for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to discard draft.' });
+    }
+});
+// --- End Expense Draft API Routes ---
+
+// --- Expense Report API Routes (Protected) ---
+// A trip's owner or editors submit its expenses as a report; approvers (and
+// admins) approve or reject each line, then the report, and mark it paid.
+
+const isApprover = (user) => hasRole(user, 'approver', 'admin');
+const requireApprover = requireRole('approver', 'admin');
+
+/**
+ * Respond with why a report action failed
+ * @param {Object} res - Express response
+ * @param {Object} result - { reason, report, ... } from utils/expenseReports.js
+ */
+const sendReportError = (res, result) => {
+    const errors = {
+        not_found: [404, 'Report not found.'],
+        invalid_state: [409, `This report is ${result.report ? result.report.status : 'in the wrong state'}.`],
+        own_report: [403, "You can't decide on a report you submitted."],
+        empty: [400, 'There are no expenses on this trip that are not already on a report.'],
+        missing_rates: [400, `${result.missingRates} expense(s) have no exchange rate into the trip's home currency. Add the rates on the Settings page first.`],
+        pending_lines: [400, `Approve or reject every line first (${result.pendingLines} left).`],
+        nothing_approved: [400, 'No line is approved. Reject the report instead.'],
+        line_not_found: [404, 'That expense is not on this report.']
+    };
+    const [status, message] = errors[result.reason] || [500, 'Failed to update report.'];
+    res.status(status).json({ message });
+};
+
+/**
+ * Middleware loading the report in req.params.id into req.report, with the user's role on its trip in req.trip
+ * Trip members see all of a trip's reports; approvers see every report once it is submitted.
+ * @returns {Function} - Express middleware
+ */
+const loadReport = async (req, res, next) => {
+    try {
+        const report = await expenseReports.get(req.params.id);
+        const trip = report ? await tripAccess.getTrip(req.user.id, report.trip_id) : null;
+        if (!report || (!trip && !(isApprover(req.user) && report.status !== 'draft'))) {
+            return res.status(404).json({ message: 'Report not found.' });
         }
-        if (!row) {
-            console.log(`Expense ${expenseId} not found or not owned by user ${userId}`);
+        req.report = report;
+        req.trip = trip;
+        next();
+    } catch (err) {
+        console.error(`Error loading report ${req.params.id} for user ${req.user.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to load report.' });
+    }
+};
+
+// Report as sent to the client, with what the user may do with it
+const formatReport = (report, trip, user) => ({
+    ...report,
+    canManage: !!trip && can(trip.role, 'report'),
+    canDecide: isApprover(user) && report.submittedBy !== user.id
+});
+
+// GET /api/trips/:id/reports - The trip's expense reports, newest first
+app.get('/api/trips/:id/reports', authenticateToken, requireTripPermission('view'), async (req, res) => {
+    console.log(`GET /api/trips/${req.trip.id}/reports hit for user ${req.user.id}`);
+    try {
+        const reports = await expenseReports.listForTrip(req.trip.id);
+        res.json({ reports, canManage: can(req.trip.role, 'report') });
+    } catch (err) {
+        console.error(`Error fetching reports of trip ${req.trip.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch reports.' });
+    }
+});
+
+// POST /api/trips/:id/reports - Start a draft report. Body: { title } (optional)
+app.post('/api/trips/:id/reports', authenticateToken, requireTripPermission('report'), [
+    body('title').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Title must be at most 100 characters').escape()
+], async (req, res) => {
+    const userId = req.user.id;
+    console.log(`POST /api/trips/${req.trip.id}/reports hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const report = await expenseReports.create(req.trip, userId, req.body.title);
+        await audit(req, 'expense_report.create', { entityType: 'expense_report', entityId: report.id, after: { ...report, lines: undefined } });
+        res.status(201).json({ message: 'Report created.', report: formatReport(report, req.trip, req.user) });
+    } catch (err) {
+        console.error(`Error creating a report for trip ${req.trip.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to create report.' });
+    }
+});
+
+// GET /api/reports/:id - A report with its lines (a draft lists what submitting would include)
+app.get('/api/reports/:id', authenticateToken, loadReport, (req, res) => {
+    console.log(`GET /api/reports/${req.report.id} hit for user ${req.user.id}`);
+    res.json(formatReport(req.report, req.trip, req.user));
+});
+
+// POST /api/reports/:id/submit - Submit a draft or rejected report for approval, locking its expenses
+app.post('/api/reports/:id/submit', authenticateToken, loadReport, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`POST /api/reports/${req.report.id}/submit hit for user ${userId}`);
+    if (!req.trip || !can(req.trip.role, 'report')) {
+        return res.status(403).json({ message: 'Only the trip owner and editors can submit its reports.' });
+    }
+
+    try {
+        const result = await expenseReports.submit(req.report.id, userId);
+        if (!result.ok) return sendReportError(res, result);
+        console.log(`Report ${req.report.id} submitted by user ${userId} (${result.report.lines.length} line(s))`);
+        await audit(req, 'expense_report.submit', {
+            entityType: 'expense_report', entityId: req.report.id,
+            before: { status: req.report.status }, after: { status: 'submitted', total: result.report.total, currency: result.report.currency },
+            details: { expenseIds: result.report.lines.map(line => line.expenseId) }
+        });
+        res.json({ message: 'Report submitted for approval.', report: formatReport(result.report, req.trip, req.user) });
+    } catch (err) {
+        console.error(`Error submitting report ${req.report.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to submit report.' });
+    }
+});
+
+// DELETE /api/reports/:id - Delete a draft or rejected report (the expenses stay on the trip)
+app.delete('/api/reports/:id', authenticateToken, loadReport, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`DELETE /api/reports/${req.report.id} hit for user ${userId}`);
+    if (!req.trip || !can(req.trip.role, 'report')) {
+        return res.status(403).json({ message: 'Only the trip owner and editors can delete its reports.' });
+    }
+
+    try {
+        const result = await expenseReports.remove(req.report.id);
+        if (!result.ok) return sendReportError(res, result);
+        await audit(req, 'expense_report.delete', { entityType: 'expense_report', entityId: req.report.id, before: result.report });
+        res.json({ message: 'Report deleted.' });
+    } catch (err) {
+        console.error(`Error deleting report ${req.report.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to delete report.' });
+    }
+});
+
+// GET /api/approvals - Reports waiting on approvers. ?status=submitted (default) or approved (awaiting payment)
+app.get('/api/approvals', authenticateToken, requireApprover, [
+    query('status').optional().isIn(['submitted', 'approved']).withMessage('Status must be submitted or approved')
+], async (req, res) => {
+    console.log(`GET /api/approvals hit for user ${req.user.id}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const reports = await expenseReports.listByStatus(req.query.status || 'submitted');
+        res.json(reports.map(report => ({ ...report, canDecide: report.submittedBy !== req.user.id })));
+    } catch (err) {
+        console.error('Error fetching reports awaiting approval:', err.message);
+        res.status(500).json({ message: 'Failed to fetch reports.' });
+    }
+});
+
+// PUT /api/reports/:id/lines/:expenseId - Approve or reject one line. Body: { decision: 'approved' | 'rejected', comment }
+app.put('/api/reports/:id/lines/:expenseId', authenticateToken, requireApprover, [
+    param('expenseId').isInt({ gt: 0 }).withMessage('Expense ID must be a positive integer').toInt(),
+    body('decision').isIn(LINE_DECISIONS).withMessage(`Decision must be one of: ${LINE_DECISIONS.join(', ')}`),
+    body('comment').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Comment must be at most 500 characters').escape()
+], async (req, res) => {
+    const userId = req.user.id;
+    const { id: reportId, expenseId } = req.params;
+    console.log(`PUT /api/reports/${reportId}/lines/${expenseId} hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { decision, comment } = req.body;
+        const result = await expenseReports.decideLine(reportId, expenseId, userId, decision, comment);
+        if (!result.ok) return sendReportError(res, result);
+        // Filed under the submitter's account, so they see the decision in their audit log
+        await audit(req, 'expense_report.line_decision', {
+            userId: result.report.submittedBy, username: result.report.submittedByUsername,
+            entityType: 'expense_report', entityId: reportId, after: { expenseId, decision, comment: comment || null }
+        });
+        res.json({ message: `Line ${decision}.`, report: formatReport(result.report, null, req.user) });
+    } catch (err) {
+        console.error(`Error deciding line ${expenseId} of report ${reportId}:`, err.message);
+        res.status(500).json({ message: 'Failed to update line.' });
+    }
+});
+
+/**
+ * Route handler for an approver's decision on a whole report
+ * @param {string} action - 'approve', 'reject' or 'pay'
+ * @returns {Function} - Express handler
+ */
+const decideReport = (action) => async (req, res) => {
+    const userId = req.user.id;
+    const reportId = req.params.id;
+    console.log(`POST /api/reports/${reportId}/${action} hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const comment = req.body.comment;
+        const result = action === 'approve' ? await expenseReports.approve(reportId, userId, comment)
+            : action === 'reject' ? await expenseReports.reject(reportId, userId, comment)
+                : await expenseReports.markPaid(reportId, userId);
+        if (!result.ok) return sendReportError(res, result);
+        const { report } = result;
+        console.log(`Report ${reportId} is now ${report.status} (user ${userId})`);
+        await audit(req, `expense_report.${action}`, {
+            userId: report.submittedBy, username: report.submittedByUsername,
+            entityType: 'expense_report', entityId: reportId,
+            before: { status: action === 'pay' ? 'approved' : 'submitted' },
+            after: { status: report.status, approvedTotal: report.approvedTotal, comment: report.decisionComment }
+        });
+        res.json({ message: `Report ${report.status}.`, report: formatReport(report, null, req.user) });
+    } catch (err) {
+        console.error(`Error trying to ${action} report ${reportId}:`, err.message);
+        res.status(500).json({ message: 'Failed to update report.' });
+    }
+};
+
+const decisionCommentRules = [
+    body('comment').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Comment must be at most 500 characters').escape()
+];
+
+// POST /api/reports/:id/approve - Approve a report once every line is decided. Body: { comment } (optional)
+app.post('/api/reports/:id/approve', authenticateToken, requireApprover, decisionCommentRules, decideReport('approve'));
+
+// POST /api/reports/:id/reject - Send a report back, unlocking its expenses. Body: { comment } (optional)
+app.post('/api/reports/:id/reject', authenticateToken, requireApprover, decisionCommentRules, decideReport('reject'));
+
+// POST /api/reports/:id/pay - Record that an approved report was paid
+app.post('/api/reports/:id/pay', authenticateToken, requireApprover, decideReport('pay'));
+
+// --- End Expense Report API Routes ---
+
+// --- Split & Balance API Routes (Protected) ---
+// A trip's participants share its costs; anyone who can edit the trip manages
+// them, and whoever can edit an expense can split it between them.
+
+const SPLIT_ERROR_MESSAGES = {
+    name_required: 'A name or a user on the trip is required.',
+    user_not_on_trip: 'That user is not on this trip.',
+    duplicate: 'That person is already a participant.',
+    in_use: 'This participant is on split expenses or settlements. Change those first.',
+    no_trip: 'Only expenses on a trip can be split.',
+    unknown_participant: 'Every participant must be on the expense\'s trip.',
+    invalid_method: `Method must be one of: ${SPLIT_METHODS.join(', ')}.`,
+    invalid_shares: 'Choose each participant once, with a share above zero.',
+    percent_total: 'Percentages must add up to 100.',
+    exact_total: 'Amounts must add up to the expense\'s cost.',
+    same_participant: 'A participant can\'t pay themselves.'
+};
+
+const sendSplitError = (res, reason) =>
+    res.status(reason === 'not_found' ? 404 : reason === 'in_use' ? 409 : 400).json({ message: SPLIT_ERROR_MESSAGES[reason] || 'Participant not found.' });
+
+// Validation for splitting an expense
+const splitValidationRules = [
+    body('paidBy').isInt({ gt: 0 }).withMessage('Who paid (paidBy) must be a participant ID').toInt(),
+    body('method').isIn(SPLIT_METHODS).withMessage(`Method must be one of: ${SPLIT_METHODS.join(', ')}`),
+    body('shares').isArray({ min: 1, max: 100 }).withMessage('Shares must list at least one participant'),
+    body('shares.*.participantId').isInt({ gt: 0 }).withMessage('Each share needs a participant ID').toInt(),
+    body('shares.*.share').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Each share must be above zero').toFloat()
+];
+
+/**
+ * Middleware loading the expense in req.params.id into req.expenseAccess ({ expense, trip, role, canEdit })
+ * @param {boolean} forChange - Whether the request changes the split, which needs edit rights
+ * @returns {Function} - Express middleware
+ */
+const loadSplitExpense = (forChange) => async (req, res, next) => {
+    try {
+        const access = await tripAccess.getExpense(req.user.id, req.params.id);
+        if (!access) {
             return res.status(404).json({ message: 'Expense not found' });
         }
-        // Convert cost back to number
-        const expense = { ...row, cost: parseFloat(row.cost) };
-        res.json(expense);
-    });
+        if (forChange && !access.canEdit) {
+            return res.status(403).json({ message: 'You do not have permission to split this expense.' });
+        }
+        req.expenseAccess = access;
+        next();
+    } catch (err) {
+        console.error(`Error loading expense ${req.params.id} for user ${req.user.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to load expense.' });
+    }
+};
+
+// GET /api/trips/:id/participants - The people sharing the trip's costs
+app.get('/api/trips/:id/participants', authenticateToken, requireTripPermission('view'), async (req, res) => {
+    console.log(`GET /api/trips/${req.trip.id}/participants hit for user ${req.user.id}`);
+    try {
+        const participants = await splits.listParticipants(req.trip.id);
+        res.json({ participants, canManage: can(req.trip.role, 'edit') });
+    } catch (err) {
+        console.error(`Error fetching participants of trip ${req.trip.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch participants.' });
+    }
+});
+
+// POST /api/trips/:id/participants - Add a participant. Body: { name } and/or { userId } of the owner or a member
+app.post('/api/trips/:id/participants', authenticateToken, requireTripPermission('edit'), [
+    body('name').optional({ checkFalsy: true }).trim().isLength({ max: 50 }).withMessage('Name must be at most 50 characters').escape(),
+    body('userId').optional({ nullable: true, checkFalsy: true }).isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt()
+], async (req, res) => {
+    const tripId = req.trip.id;
+    console.log(`POST /api/trips/${tripId}/participants hit for user ${req.user.id}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const result = await splits.addParticipant(req.trip, { name: req.body.name, userId: req.body.userId });
+        if (!result.ok) return sendSplitError(res, result.reason);
+        await audit(req, 'trip.participant_add', { entityType: 'trip', entityId: tripId, after: result.participant });
+        res.status(201).json({ message: `${result.participant.name} added.`, participant: result.participant });
+    } catch (err) {
+        console.error(`Error adding a participant to trip ${tripId}:`, err.message);
+        res.status(500).json({ message: 'Failed to add participant.' });
+    }
+});
+
+// DELETE /api/trips/:id/participants/:participantId - Remove a participant who isn't on any split or settlement
+app.delete('/api/trips/:id/participants/:participantId', authenticateToken, requireTripPermission('edit'), async (req, res) => {
+    const tripId = req.trip.id;
+    console.log(`DELETE /api/trips/${tripId}/participants/${req.params.participantId} hit for user ${req.user.id}`);
+    try {
+        const result = await splits.removeParticipant(tripId, req.params.participantId);
+        if (!result.ok) return sendSplitError(res, result.reason);
+        await audit(req, 'trip.participant_remove', { entityType: 'trip', entityId: tripId, before: result.participant });
+        res.json({ message: `${result.participant.name} removed.` });
+    } catch (err) {
+        console.error(`Error removing a participant from trip ${tripId}:`, err.message);
+        res.status(500).json({ message: 'Failed to remove participant.' });
+    }
+});
+
+// GET /api/trips/:id/balances - What each participant paid and owes in the trip's home currency,
+// the fewest transfers that would settle up, and the settlements recorded so far
+app.get('/api/trips/:id/balances', authenticateToken, requireTripPermission('view'), async (req, res) => {
+    console.log(`GET /api/trips/${req.trip.id}/balances hit for user ${req.user.id}`);
+    try {
+        const balances = await splits.getBalances(req.trip);
+        const settlements = await splits.listSettlements(req.trip.id);
+        res.json({
+            ...balances,
+            settlements,
+            canSettle: can(req.trip.role, 'addExpense'),
+            canManage: can(req.trip.role, 'edit')
+        });
+    } catch (err) {
+        console.error(`Error computing balances of trip ${req.trip.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to compute balances.' });
+    }
+});
+
+// POST /api/trips/:id/settlements - Record a payment between participants. Body: { from, to, amount } (home currency)
+app.post('/api/trips/:id/settlements', authenticateToken, requireTripPermission('addExpense'), [
+    body('from').isInt({ gt: 0 }).withMessage('Who paid (from) must be a participant ID').toInt(),
+    body('to').isInt({ gt: 0 }).withMessage('Who was paid (to) must be a participant ID').toInt(),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number').toFloat()
+], async (req, res) => {
+    const tripId = req.trip.id;
+    console.log(`POST /api/trips/${tripId}/settlements hit for user ${req.user.id}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const result = await splits.addSettlement(req.trip, req.body, req.user.id);
+        if (!result.ok) return sendSplitError(res, result.reason);
+        await audit(req, 'trip.settlement_add', { entityType: 'trip', entityId: tripId, after: result.settlement });
+        res.status(201).json({ message: 'Payment recorded.', settlement: result.settlement });
+    } catch (err) {
+        console.error(`Error recording a settlement on trip ${tripId}:`, err.message);
+        res.status(500).json({ message: 'Failed to record payment.' });
+    }
+});
+
+// DELETE /api/trips/:id/settlements/:settlementId - Remove a recorded payment (trip editors, or whoever recorded it)
+app.delete('/api/trips/:id/settlements/:settlementId', authenticateToken, requireTripPermission('addExpense'), async (req, res) => {
+    const tripId = req.trip.id;
+    const settlementId = req.params.settlementId;
+    console.log(`DELETE /api/trips/${tripId}/settlements/${settlementId} hit for user ${req.user.id}`);
+    try {
+        const settlement = (await splits.listSettlements(tripId)).find(row => String(row.id) === String(settlementId));
+        if (!settlement) {
+            return res.status(404).json({ message: 'Payment not found.' });
+        }
+        if (!can(req.trip.role, 'edit') && settlement.createdBy !== req.user.id) {
+            return res.status(403).json({ message: 'Only trip editors can remove payments recorded by others.' });
+        }
+        const removed = await splits.removeSettlement(tripId, settlementId);
+        await audit(req, 'trip.settlement_remove', { entityType: 'trip', entityId: tripId, before: removed });
+        res.json({ message: 'Payment removed.' });
+    } catch (err) {
+        console.error(`Error removing settlement ${settlementId} from trip ${tripId}:`, err.message);
+        res.status(500).json({ message: 'Failed to remove payment.' });
+    }
+});
+
+// GET /api/expenses/:id/split - How an expense is split, with its trip's participants to choose from
+app.get('/api/expenses/:id/split', authenticateToken, loadSplitExpense(false), async (req, res) => {
+    const { expense, canEdit } = req.expenseAccess;
+    console.log(`GET /api/expenses/${expense.id}/split hit for user ${req.user.id}`);
+    try {
+        const split = await splits.getSplit(expense);
+        const participants = expense.trip_id ? await splits.listParticipants(expense.trip_id) : [];
+        res.json({ split, participants, methods: SPLIT_METHODS, canEdit });
+    } catch (err) {
+        console.error(`Error fetching the split of expense ${expense.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch split.' });
+    }
+});
+
+// PUT /api/expenses/:id/split - Split an expense, replacing any earlier split
+// Body: { paidBy, method: 'equal' | 'percent' | 'exact', shares: [{ participantId, share }] }
+// share is a percentage for 'percent', an amount in the expense's currency for 'exact', and unused for 'equal'.
+app.put('/api/expenses/:id/split', authenticateToken, loadSplitExpense(true), splitValidationRules, async (req, res) => {
+    const { expense } = req.expenseAccess;
+    console.log(`PUT /api/expenses/${expense.id}/split hit for user ${req.user.id}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const before = await splits.getSplit(expense);
+        const { paidBy, method, shares } = req.body;
+        const result = await splits.setSplit(expense, { paidBy, method, shares }, req.user.id);
+        if (!result.ok) return sendSplitError(res, result.reason);
+        await audit(req, 'expense.split', {
+            entityType: 'expense', entityId: expense.id, before, after: result.split
+        });
+        res.json({ message: 'Expense split.', split: result.split });
+    } catch (err) {
+        console.error(`Error splitting expense ${expense.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to split expense.' });
+    }
+});
+
+// DELETE /api/expenses/:id/split - Stop splitting an expense
+app.delete('/api/expenses/:id/split', authenticateToken, loadSplitExpense(true), async (req, res) => {
+    const { expense } = req.expenseAccess;
+    console.log(`DELETE /api/expenses/${expense.id}/split hit for user ${req.user.id}`);
+    try {
+        const before = await splits.getSplit(expense);
+        if (!before) {
+            return res.status(404).json({ message: 'This expense is not split.' });
+        }
+        await splits.clearSplit(expense.id);
+        await audit(req, 'expense.unsplit', {
+            entityType: 'expense', entityId: expense.id, before
+        });
+        res.json({ message: 'Split removed.' });
+    } catch (err) {
+        console.error(`Error removing the split of expense ${expense.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to remove split.' });
+    }
+});
+
+// --- End Split & Balance API Routes ---
+
+// --- Exchange Rate API Routes (Protected) ---
+// Each user keeps their own rate table; conversions only ever use these rows.
+
+// GET /api/exchange-rates - List the user's exchange rates (optionally ?currency=EUR)
+app.get('/api/exchange-rates', authenticateToken, (req, res) => {
+    const userId = req.user.id;
+    const currency = typeof req.query.currency === 'string' ? req.query.currency.trim().toUpperCase() : '';
+    console.log(`GET /api/exchange-rates hit for user ${userId}`);
+
+    let sql = "SELECT id, rateDate, baseCurrency, quoteCurrency, rate FROM exchange_rates WHERE user_id = ?";
+    const params = [userId];
+    if (currency) {
+        sql += " AND (baseCurrency = ? OR quoteCurrency = ?)";
+        params.push(currency, currency);
+    }
+    sql += " ORDER BY rateDate DESC, baseCurrency ASC, quoteCurrency ASC";
+
+    db.all(sql, params, (err, rows) => {
+        if (err) {
+            console.error(`Error fetching exchange rates for user ${userId}:`, err.message);
+            return res.status(500).json({ message: 'Failed to fetch exchange rates.' });
+        }
+        res.json(rows);
+    });
+});
+
+// POST /api/exchange-rates - Add or replace one rate (1 baseCurrency = rate quoteCurrency)
+app.post('/api/exchange-rates', authenticateToken, [
+    body('rateDate').isISO8601().withMessage('Invalid date format, please use YYYY-MM-DD'),
+    body('baseCurrency').trim().toUpperCase().matches(CURRENCY_CODE_REGEX).withMessage('Base currency must be a 3-letter ISO 4217 code'),
+    body('quoteCurrency').trim().toUpperCase().matches(CURRENCY_CODE_REGEX).withMessage('Quote currency must be a 3-letter ISO 4217 code')
+        .custom((value, { req }) => {
+            if (value === req.body.baseCurrency) throw new Error('Base and quote currency must differ');
+            return true;
+        }),
+    body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number').toFloat()
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { rateDate, baseCurrency, quoteCurrency, rate } = req.body;
+    console.log(`POST /api/exchange-rates hit for user ${userId}: ${rateDate} ${baseCurrency}/${quoteCurrency}`);
+
+    const sql = `INSERT INTO exchange_rates (user_id, rateDate, baseCurrency, quoteCurrency, rate) VALUES (?, ?, ?, ?, ?)
+                 ON CONFLICT (user_id, rateDate, baseCurrency, quoteCurrency) DO UPDATE SET rate = excluded.rate`;
+    db.run(sql, [userId, rateDate, baseCurrency, quoteCurrency, rate], function(err) {
+        if (err) {
+            console.error(`Error saving exchange rate for user ${userId}:`, err.message);
+            return res.status(500).json({ message: 'Failed to save exchange rate.' });
+        }
+        audit(req, 'exchange_rate.save', { entityType: 'exchange_rate', after: { rateDate, baseCurrency, quoteCurrency, rate } });
+        res.status(201).json({ message: 'Exchange rate saved', rate: { rateDate, baseCurrency, quoteCurrency, rate } });
+    });
+});
+
+// POST /api/exchange-rates/import - Import rates from an uploaded CSV file (field "file")
+// Columns: date,base,quote,rate. Existing rates for the same day and pair are replaced.
+app.post('/api/exchange-rates/import', authenticateToken, function(req, res, next) {
+    csvUpload.single('file')(req, res, function(err) {
+        if (err) {
+            console.error("Multer error:", err);
+            return res.status(400).json({ message: `File upload error: ${err.message}` });
+        }
+        next();
+    });
+}, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`POST /api/exchange-rates/import hit for user ${userId}`);
+
+    if (!req.file) {
+        return res.status(400).json({ message: 'A CSV file is required.' });
+    }
+
+    const { rates, errors } = parseRatesCsv(req.file.buffer.toString('utf8'));
+    if (rates.length === 0) {
+        return res.status(400).json({ message: 'No valid exchange rates found in the file.', errors });
+    }
+
+    try {
+        await dbAsync.transaction(async (tx) => {
+            for (const { rateDate, baseCurrency, quoteCurrency, rate } of rates) {
+                await tx.run(
+                    `INSERT INTO exchange_rates (user_id, rateDate, baseCurrency, quoteCurrency, rate) VALUES (?, ?, ?, ?, ?)
+                     ON CONFLICT (user_id, rateDate, baseCurrency, quoteCurrency) DO UPDATE SET rate = excluded.rate`,
+                    [userId, rateDate, baseCurrency, quoteCurrency, rate]
+                );
+            }
+        });
+        console.log(`Imported ${rates.length} exchange rate(s) for user ${userId} (${errors.length} line(s) skipped)`);
+        await audit(req, 'exchange_rate.import', { entityType: 'exchange_rate', after: rates, details: { imported: rates.length, skipped: errors.length } });
+        res.json({ message: `Imported ${rates.length} exchange rate(s).`, imported: rates.length, errors });
+    } catch (err) {
+        console.error(`Error importing exchange rates for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to import exchange rates.' });
+    }
+});
+
+// DELETE /api/exchange-rates/:id - Delete one of the user's exchange rates
+app.delete('/api/exchange-rates/:id', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const rateId = req.params.id;
+    console.log(`DELETE /api/exchange-rates/${rateId} hit for user ${userId}`);
+
+    try {
+        const existing = await dbAsync.get("SELECT * FROM exchange_rates WHERE id = ? AND user_id = ?", [rateId, userId]);
+        if (!existing) {
+            return res.status(404).json({ message: 'Exchange rate not found.' });
+        }
+        await dbAsync.run("DELETE FROM exchange_rates WHERE id = ? AND user_id = ?", [rateId, userId]);
+        await audit(req, 'exchange_rate.delete', { entityType: 'exchange_rate', entityId: rateId, before: existing });
+        res.json({ message: 'Exchange rate deleted' });
+    } catch (err) {
+        console.error(`Error deleting exchange rate ${rateId} for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to delete exchange rate.' });
+    }
+});
+// --- End Exchange Rate API Routes ---
+
+
+// --- API Key Routes (Protected) ---
+// Each user's own provider keys. Keys are write-only: responses only say
+// whether one is saved and show its last characters.
+
+// GET /api/api-keys - Which providers the user has a key for, and whether a server-wide key exists
+app.get('/api/api-keys', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`GET /api/api-keys hit for user ${userId}`);
+    try {
+        res.json({
+            encryptionEnabled: apiKeyStore.isEnabled(),
+            keys: await apiKeyStore.listKeys(userId)
+        });
+    } catch (err) {
+        console.error(`Error fetching API keys for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch API keys.' });
+    }
+});
+
+// PUT /api/api-keys/:provider - Save or replace the user's key for a provider
+// Body: { apiKey }
+app.put('/api/api-keys/:provider', authenticateToken, [
+    // Not escaped: the key is sent to the provider exactly as entered
+    body('apiKey').isString().withMessage('API key is required')
+        .trim().notEmpty().withMessage('API key is required')
+        .isLength({ max: 500 }).withMessage('API key is too long')
+        .matches(/^\S+$/).withMessage('API key cannot contain spaces')
+], async (req, res) => {
+    const userId = req.user.id;
+    const { provider } = req.params;
+    console.log(`PUT /api/api-keys/${provider} hit for user ${userId}`);
+    if (!apiKeyStore.isProvider(provider)) {
+        return res.status(404).json({ message: `Unknown provider: ${provider}` });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    if (!apiKeyStore.isEnabled()) {
+        return res.status(503).json({ message: 'Saving API keys is not enabled on this server (API_KEY_ENCRYPTION_KEY is not set).' });
+    }
+
+    try {
+        await apiKeyStore.saveKey(userId, provider, req.body.apiKey);
+        console.log(`Saved ${provider} API key for user ${userId}`);
+        await audit(req, 'api_key.save', { entityType: 'api_key', entityId: provider });
+        const key = (await apiKeyStore.listKeys(userId)).find(k => k.provider === provider);
+        res.json({ message: `${provider} API key saved.`, key });
+    } catch (err) {
+        console.error(`Error saving ${provider} API key for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to save API key.' });
+    }
+});
+
+// DELETE /api/api-keys/:provider - Remove the user's key (the server-wide key, if any, applies again)
+app.delete('/api/api-keys/:provider', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const { provider } = req.params;
+    console.log(`DELETE /api/api-keys/${provider} hit for user ${userId}`);
+    if (!apiKeyStore.isProvider(provider)) {
+        return res.status(404).json({ message: `Unknown provider: ${provider}` });
+    }
+
+    try {
+        if (!await apiKeyStore.deleteKey(userId, provider)) {
+            return res.status(404).json({ message: 'No saved key for this provider.' });
+        }
+        await audit(req, 'api_key.delete', { entityType: 'api_key', entityId: provider });
+        res.json({ message: `${provider} API key removed.` });
+    } catch (err) {
+        console.error(`Error deleting ${provider} API key for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to remove API key.' });
+    }
 });
+// --- End API Key Routes ---
 
-// PUT /api/expenses/:id - Update an existing expense (Protected)
-app.put('/api/expenses/:id', authenticateToken, function(req, res, next) {
-    // Handle file upload first
-    upload.single('receipt')(req, res, function(err) {
+
+// --- Analytics API Routes (Protected) ---
+// Totals are SQL aggregates over the user's expenses, one row per group and
+// currency. All routes accept dateFrom, dateTo, currency and tripId.
+
+// GET /api/analytics/summary - Overall totals per currency for the range
+app.get('/api/analytics/summary', authenticateToken, analyticsValidationRules, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    console.log(`GET /api/analytics/summary hit for user ${userId}`);
+    const { sql, params } = buildAnalyticsSummaryQuery(userId, req.query);
+    db.all(sql, params, (err, rows) => {
         if (err) {
-            console.error("Multer error:", err);
-            return res.status(400).json({ message: `File upload error: ${err.message}` });
+            console.error(`Error building analytics summary for user ${userId}:`, err.message);
+            return res.status(500).json({ message: 'Failed to fetch analytics.' });
         }
-        next(); // Proceed to validation
+        res.json({ dateFrom: req.query.dateFrom || null, dateTo: req.query.dateTo || null, totals: rows });
     });
-}, function(req, res, next) {
-    // Apply validation rules (using optional rules for PUT)
-    Promise.all(expenseValidationRules.map(validation => validation.run(req)))
-        .then(() => {
-            const errors = validationResult(req);
-            if (!errors.isEmpty()) {
-                console.error("Validation Errors:", JSON.stringify(errors.array()));
-                // Clean up uploaded file if validation fails
-                if (req.file && req.file.path) { try { fs.unlinkSync(req.file.path); } catch (err) { console.error("Error deleting file after validation error:", err); } }
-                return res.status(400).json({ errors: errors.array() });
-            }
-            next(); // Proceed to main logic
-        }).catch(next);
-}, function(req, res) {
-    // Main route logic
-    const userId = req.user.id;
-    const expenseId = req.params.id;
-    console.log(`PUT /api/expenses/${expenseId} hit for user ${userId}`);
+});
 
-    // 1. Fetch the existing expense to check ownership and get old receipt path
-    const fetchSql = "SELECT * FROM expenses WHERE id = ? AND user_id = ?";
-    db.get(fetchSql, [expenseId, userId], (fetchErr, existingExpense) => {
-        if (fetchErr) {
-            console.error(`Error fetching expense ${expenseId} for update (user ${userId}):`, fetchErr.message);
-            // Clean up file if fetch fails
-            if (req.file && req.file.path) { try { fs.unlinkSync(req.file.path); } catch (unlinkErr) { console.error("Error deleting file:", unlinkErr); } }
-            return res.status(500).json({ message: 'Failed to retrieve expense for update.' });
+// GET /api/analytics/by-type, /by-vendor, /by-month, /by-trip - Totals per group
+// by-vendor is usually long-tailed, so it accepts ?limit= (top N rows).
+Object.keys(ANALYTICS_GROUPINGS).forEach(grouping => {
+    app.get(`/api/analytics/by-${grouping}`, authenticateToken, analyticsValidationRules, (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
         }
-        if (!existingExpense) {
-            console.log(`Expense ${expenseId} not found or not owned by user ${userId} for update.`);
-            // Clean up file if expense not found
-            if (req.file && req.file.path) { try { fs.unlinkSync(req.file.path); } catch (unlinkErr) { console.error("Error deleting file:", unlinkErr); } }
-            return res.status(404).json({ message: 'Expense not found or you do not have permission to update it.' });
-        }
-
-        // 2. Prepare updated data
-        const { type, date, vendor, location, cost, comments, tripName } = req.body;
-        let newReceiptPath = existingExpense.receiptPath; // Default to old path
-
-        // Handle file update: Delete old, set new path
-        if (req.file) {
-            if (existingExpense.receiptPath) {
-                const oldFilePath = path.join(__dirname, existingExpense.receiptPath.replace('/uploads/', 'uploads/'));
-                try {
-                    if (fs.existsSync(oldFilePath)) fs.unlinkSync(oldFilePath);
-                    console.log(`Deleted old receipt: ${oldFilePath}`);
-                } catch (err) {
-                    console.error(`Error deleting old receipt ${oldFilePath}: ${err}`);
-                    // Decide if this is critical - maybe just log and continue?
-                }
-            }
-            newReceiptPath = `/uploads/${req.file.filename}`; // Set new path
-        }
-
-        // Merge existing data with new data (only update fields provided in request)
-        const updatedData = {
-            type: type !== undefined ? type : existingExpense.type,
-            // Ensure date is formatted correctly if provided
-            date: date !== undefined ? (date instanceof Date ? date.toISOString().split('T')[0] : date) : existingExpense.date,
-            vendor: vendor !== undefined ? vendor : existingExpense.vendor,
-            location: location !== undefined ? location : existingExpense.location,
-            cost: cost !== undefined ? parseFloat(cost) : existingExpense.cost,
-            comments: comments !== undefined ? comments : existingExpense.comments,
-            tripName: tripName !== undefined ? tripName : existingExpense.tripName,
-            receiptPath: newReceiptPath,
-            updatedAt: new Date().toISOString()
-        };
 
-        // Basic check for essential fields after merge (should be caught by validation, but good safety net)
-        if (!updatedData.date || !updatedData.cost || isNaN(updatedData.cost) || updatedData.cost <= 0) {
-             console.error("Update Error: Missing Date or invalid Cost after merge.");
-             if (req.file && req.file.path) { try { fs.unlinkSync(req.file.path); } catch (unlinkErr) { console.error("Error deleting file:", unlinkErr); } }
-             return res.status(400).json({ message: 'Internal Error: Missing Date or invalid Cost after update.' });
-        }
-
-        // 3. Update database
-        const updateSql = `UPDATE expenses SET
-                               type = ?, date = ?, vendor = ?, location = ?, cost = ?,
-                               comments = ?, tripName = ?, receiptPath = ?, updatedAt = ?
-                           WHERE id = ? AND user_id = ?`;
-        const updateParams = [
-            updatedData.type, updatedData.date, updatedData.vendor, updatedData.location, updatedData.cost,
-            updatedData.comments, updatedData.tripName, updatedData.receiptPath, updatedData.updatedAt,
-            expenseId, userId
-        ];
-
-        db.run(updateSql, updateParams, function(updateErr) {
-            if (updateErr) {
-                console.error(`Error updating expense ${expenseId} for user ${userId}:`, updateErr.message);
-                // Don't delete the *new* file here, as the update failed. The old one might already be gone.
-                return res.status(500).json({ message: 'Failed to update expense.' });
-            }
-            if (this.changes === 0) {
-                // Should not happen if fetch succeeded, but good check
-                console.error(`Update Error: Expense ${expenseId} (user ${userId}) not found during UPDATE, though found during initial GET.`);
-                return res.status(404).json({ message: 'Expense not found during update process.' });
+        const userId = req.user.id;
+        console.log(`GET /api/analytics/by-${grouping} hit for user ${userId}`);
+        const { sql, params } = buildAnalyticsQuery(grouping, userId, req.query);
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                console.error(`Error building analytics by ${grouping} for user ${userId}:`, err.message);
+                return res.status(500).json({ message: 'Failed to fetch analytics.' });
             }
-
-            console.log(`Expense ${expenseId} updated successfully for user ${userId}`);
-
-            // 4. Fetch the final updated expense to return
-            db.get(fetchSql, [expenseId, userId], (finalFetchErr, finalRow) => {
-                 if (finalFetchErr) {
-                     console.error(`Error fetching updated expense ${expenseId}:`, finalFetchErr.message);
-                     return res.status(500).json({ message: 'Expense updated but failed to fetch final details.' });
-                 }
-                 if (!finalRow) {
-                      return res.status(500).json({ message: 'Expense updated but could not be found immediately after.' });
-                 }
-                 const responseExpense = { ...finalRow, cost: parseFloat(finalRow.cost) };
-                 return res.json({ message: 'Expense updated successfully', expense: responseExpense });
+            res.json({
+                groupBy: grouping,
+                dateFrom: req.query.dateFrom || null,
+                dateTo: req.query.dateTo || null,
+                currency: req.query.currency || null,
+                groups: rows
             });
         });
     });
 });
+// --- End Analytics API Routes ---
 
-// DELETE /api/expenses/:id - Delete an expense (Protected)
-app.delete('/api/expenses/:id', authenticateToken, (req, res) => {
+// GET /api/export-expenses - Generate and download Excel file (Protected)
+app.get('/api/export-expenses', authenticateToken, (req, res) => {
     const userId = req.user.id;
-    const expenseId = req.params.id;
-    console.log(`DELETE /api/expenses/${expenseId} hit for user ${userId}`);
+    const requestedTripId = req.query.tripId;
+    const requestedTripName = req.query.tripName; // Still accepted from older clients
 
-    // 1. Fetch the expense to check ownership and get receipt path
-    const fetchSql = "SELECT receiptPath FROM expenses WHERE id = ? AND user_id = ?";
-    db.get(fetchSql, [expenseId, userId], (fetchErr, expenseToDelete) => {
-        if (fetchErr) {
-            console.error(`Error fetching expense ${expenseId} for deletion (user ${userId}):`, fetchErr.message);
-            return res.status(500).json({ message: 'Failed to retrieve expense for deletion.' });
+    if (!requestedTripId && !requestedTripName) {
+        return res.status(400).send('Error: Please specify a tripId query parameter.');
+    }
+    console.log(`GET /api/export-expenses hit for user ${userId}. Trip requested: ${requestedTripId || requestedTripName}`);
+
+    findTripForUser(userId, requestedTripId, requestedTripName, (tripErr, trip) => {
+        if (tripErr) {
+            console.error(`Error resolving trip for export (user ${userId}):`, tripErr.message);
+            return res.status(500).send('Error fetching expenses for export.');
         }
-        if (!expenseToDelete) {
-            console.log(`Expense ${expenseId} not found or not owned by user ${userId} for deletion.`);
-            // Return 404 even if it exists but isn't owned by the user, for security
-            return res.status(404).json({ message: 'Expense not found or you do not have permission to delete it.' });
+        if (!trip) {
+            return res.status(404).send('Error: Trip not found.');
         }
 
-        // 2. Delete the expense from the database
-        const deleteSql = "DELETE FROM expenses WHERE id = ? AND user_id = ?";
-        db.run(deleteSql, [expenseId, userId], function(deleteErr) {
-            if (deleteErr) {
-                console.error(`Error deleting expense ${expenseId} for user ${userId}:`, deleteErr.message);
-                return res.status(500).json({ message: 'Failed to delete expense.' });
-            }
-            if (this.changes === 0) {
-                // Should not happen if fetch succeeded, but good check
-                console.error(`Delete Error: Expense ${expenseId} (user ${userId}) not found during DELETE, though found during initial GET.`);
-                return res.status(404).json({ message: 'Expense not found during delete process.' });
+        // Fetch every expense on the trip, whoever added it (findTripForUser only finds trips the user can see)
+        const sql = `SELECT e.type, e.date, e.vendor, e.location, e.cost, e.currency, e.comments, u.username AS authorUsername
+                     FROM expenses e LEFT JOIN users u ON u.id = e.user_id
+                     WHERE e.trip_id = ? ORDER BY e.date ASC`;
+        const params = [trip.id];
+
+        db.all(sql, params, async (err, expensesToExport) => {
+            if (err) {
+                console.error(`Error fetching expenses for export (user ${userId}, trip ${trip.name}):`, err.message);
+                return res.status(500).send('Error fetching expenses for export.');
             }
 
-            console.log(`Expense ${expenseId} deleted successfully from DB for user ${userId}`);
+            try {
+                let filenameBase = trip.name.replace(/[^a-z0-9_\-\s]/gi, '').replace(/\s+/g, '_') || 'trip_expenses';
+                const wb = XLSX.utils.book_new();
+                const homeCurrency = trip.homeCurrency;
+                // The trip owner's rates, as in the trip totals
+                const converter = createRateConverter(dbAsync, trip.user_id);
+                // Original amount and currency, then the amount in the trip's home currency
+                const headers = ['Type', 'Date', 'Vendor', 'Location', 'Cost', 'Currency', `Cost (${homeCurrency})`, 'Exchange Rate', 'Comments', 'Added By'];
+                const data = [headers]; // Start data array with headers
+
+                if (expensesToExport.length > 0) {
+                    for (const exp of expensesToExport) {
+                        // Date should already be in correct string format from DB or previous processing
+                        let dateStr = exp.date;
+                        // Just in case, handle potential Date objects (though unlikely if stored as TEXT)
+                        if (exp.date instanceof Date) dateStr = exp.date.toISOString().split('T')[0];
+                        else if (typeof exp.date === 'string' && exp.date.includes('T')) dateStr = exp.date.split('T')[0];
+
+                        const cost = parseFloat(exp.cost || 0);
+                        const rate = await converter.getRate(exp.currency, homeCurrency, dateStr);
+                        data.push([
+                            exp.type || '',
+                            dateStr || '',
+                            exp.vendor || '',
+                            exp.location || '',
+                            cost.toFixed(2), // Ensure cost is formatted
+                            exp.currency,
+                            rate === null ? 'No rate' : (cost * rate).toFixed(2),
+                            rate === null ? '' : Number(rate.toFixed(6)),
+                            exp.comments || '',
+                            exp.authorUsername || ''
+                        ]);
+                    }
 
-            // 3. Delete the associated receipt file, if it exists
-            if (expenseToDelete.receiptPath) {
-                const filePath = path.join(__dirname, expenseToDelete.receiptPath.replace('/uploads/', 'uploads/'));
-                try {
-                    if (fs.existsSync(filePath)) {
-                        fs.unlinkSync(filePath);
-                        console.log(`Deleted associated receipt file: ${filePath}`);
+                    // Totals: one row per original currency, then the converted grand total.
+                    // Cells are given by header, so the rows stay as wide as the table.
+                    const totalsRow = (cells) => headers.map(header => (cells[header] === undefined ? '' : cells[header]));
+                    const totals = await summarizeAmounts(expensesToExport, homeCurrency, converter);
+                    data.push([]);
+                    Object.entries(totals.byCurrency).forEach(([currency, amount]) => {
+                        data.push(totalsRow({ Location: `Total (${currency})`, Cost: amount.toFixed(2), Currency: currency }));
+                    });
+                    data.push(totalsRow({
+                        Location: `Converted total (${homeCurrency})`,
+                        [`Cost (${homeCurrency})`]: totals.total.toFixed(2)
+                    }));
+                    if (totals.missingRates > 0) {
+                        data.push(totalsRow({ Location: `${totals.missingRates} expense(s) without an exchange rate are not included` }));
                     }
-                } catch (fileErr) {
-                    // Log the error but don't fail the request, as the DB entry is gone.
-                    console.error(`Error deleting receipt file ${filePath}: ${fileErr}`);
+                } else {
+                    console.log(`No expenses found for user ${userId}, trip: ${trip.name}`);
+                    // Optionally, still generate an empty file or return a message
+                    // For now, generate file with only headers
                 }
-            }
 
-            res.json({ message: 'Expense deleted successfully' });
+                const ws = XLSX.utils.aoa_to_sheet(data);
+                XLSX.utils.book_append_sheet(wb, ws, 'Expenses');
+                const tempFilePath = path.join(__dirname, `expenses_${Date.now()}.xlsx`);
+                XLSX.writeFile(wb, tempFilePath);
+
+                const filename = `${filenameBase}.xlsx`;
+                res.download(tempFilePath, filename, (downloadErr) => {
+                    // Cleanup the temporary file after download attempt
+                    if (fs.existsSync(tempFilePath)) {
+                        fs.unlink(tempFilePath, (unlinkErr) => {
+                            if (unlinkErr) console.error('Error deleting temporary Excel file:', unlinkErr);
+                        });
+                    }
+                    if (downloadErr) {
+                        console.error('Error sending Excel file:', downloadErr);
+                        // Avoid sending another response if headers already sent
+                    }
+                });
+                console.log(`Generated Excel file: ${filename} for user ${userId}`);
+                audit(req, 'export.expenses', {
+                    entityType: 'trip', entityId: trip.id, details: { tripName: trip.name, expenses: expensesToExport.length }
+                });
+
+            } catch (excelError) {
+                console.error(`Error generating Excel export for user ${userId}, trip ${trip.name}:`, excelError);
+                res.status(500).send('Error generating Excel file.');
+            }
         });
     });
 });
 
-/**
- * POST /api/test-ocr - Test OCR processing without saving
- * 
- * This endpoint processes a receipt image or PDF using OCR to extract
- * expense details like date, cost, vendor, location, and type.
- * It supports both built-in OCR (Tesseract) and Gemini Vision API.
- */
-app.post('/api/test-ocr', upload.single('receipt'), async (req, res) => {
-    console.log('POST /api/test-ocr hit');
-    try {
-        // Validate request
-        if (!req.file) {
-            return res.status(400).json({ message: 'Receipt upload is required for OCR testing.' });
-        }
+// --- Audit Log API Routes (Protected) ---
+// Users see the entries about their own account, including what admins did to it;
+// admins see everything and can filter by user.
+
+// GET /api/audit-log - Audit entries, newest first
+// Query: action (exact or prefix, e.g. 'expense.'), entityType, entityId, dateFrom, dateTo, limit, offset, userId (admins)
+app.get('/api/audit-log', authenticateToken, [
+    query('action').optional({ checkFalsy: true }).trim().matches(/^[a-z0-9_.]+$/).withMessage('Invalid action'),
+    query('entityType').optional({ checkFalsy: true }).trim().matches(/^[a-z_]+$/).withMessage('Invalid entity type'),
+    query('entityId').optional({ checkFalsy: true }).trim().isLength({ max: 100 }).withMessage('Invalid entity ID'),
+    query('dateFrom').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid dateFrom, please use YYYY-MM-DD'),
+    query('dateTo').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid dateTo, please use YYYY-MM-DD'),
+    query('limit').optional({ checkFalsy: true }).isInt({ min: 1, max: MAX_AUDIT_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_AUDIT_PAGE_SIZE}`).toInt(),
+    query('offset').optional({ checkFalsy: true }).isInt({ min: 0 }).withMessage('offset must be a non-negative integer').toInt(),
+    query('userId').optional({ checkFalsy: true }).isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt()
+], async (req, res) => {
+    const userId = req.user.id;
+    console.log(`GET /api/audit-log hit for user ${userId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    const { action, entityType, entityId, dateFrom, dateTo, limit, offset } = req.query;
+    let forUserId = userId;
+    if (isAdmin(req.user)) {
+        forUserId = req.query.userId || null;
+    } else if (req.query.userId && req.query.userId !== userId) {
+        return res.status(403).json({ message: 'You can only view your own audit log.' });
+    }
 
-        const ocrMethod = req.body.ocrMethod || 'builtin';
-        // API Key is retrieved from environment variables on the backend
-        // const apiKey = req.body.apiKey; // No longer passed from frontend
-        const modelName = req.body.model; // Model name can still be passed if needed
+    try {
+        const result = await auditLog.query({ userId: forUserId, action, entityType, entityId, dateFrom, dateTo, limit, offset });
+        res.set('X-Total-Count', String(result.total));
+        res.json(result);
+    } catch (err) {
+        console.error(`Error fetching audit log for user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to fetch audit log.' });
+    }
+});
+// --- End Audit Log API Routes ---
 
-        console.log(`Testing OCR with method: ${ocrMethod}`);
-        console.log(`Processing uploaded file: ${req.file.path} (Type: ${req.file.mimetype})`);
-
-        let result;
-
-        // Process with selected OCR method
-        // Removed duplicate declaration: let apiKey;
-        // Process with selected OCR method - Get API Key from environment
-        let apiKey;
-        switch (ocrMethod) {
-            case 'gemini':
-                apiKey = process.env.GEMINI_API_KEY;
-                break;
-            case 'openai':
-                apiKey = process.env.OPENAI_API_KEY;
-                break;
-            case 'claude':
-                apiKey = process.env.CLAUDE_API_KEY;
-                break;
-            case 'openrouter':
-                apiKey = process.env.OPENROUTER_API_KEY;
-                break;
-            // 'builtin' doesn't need a key
-        }
-
-        // Validate that the key exists in the environment for non-builtin methods
-        if (ocrMethod !== 'builtin' && (!apiKey || apiKey.startsWith('YOUR_') || apiKey.endsWith('_HERE'))) {
-            console.error(`API key for ${ocrMethod} not found or not set in .env file.`);
-            if (req.file && req.file.path) fs.unlinkSync(req.file.path); // Clean up file
-            return res.status(400).json({ message: `API key for ${ocrMethod} is not configured on the server. Please set it via the Settings page.` });
-        }
-
-        if (ocrMethod === 'gemini') {
-            // Use Gemini OCR (apiKey comes from process.env)
-            const visionModelName = modelName || 'gemini-pro-vision';
-            console.log(`Using Gemini model: ${visionModelName}`);
-            result = await ocrUtils.processWithGeminiOCR(
-                req.file.path,
-                req.file.mimetype,
-                apiKey, // Use the key fetched from process.env
-                visionModelName
-            );
-        } else if (ocrMethod === 'openai') {
-            console.log('Using OpenAI OCR processing...');
-            const visionModelName = modelName || 'gpt-4-vision-preview'; // Default OpenAI vision model
-            result = await ocrUtils.processWithOpenAIOCR(
-                req.file.path,
-                req.file.mimetype,
-                apiKey,
-                visionModelName
-            );
-        } else if (ocrMethod === 'claude') {
-             console.log('Using Claude OCR processing...');
-             const visionModelName = modelName || 'claude-3-haiku-20240307'; // Default Claude vision model
-             result = await ocrUtils.processWithClaudeOCR(
-                 req.file.path,
-                 req.file.mimetype,
-                 apiKey,
-                 visionModelName
-             );
-        } else if (ocrMethod === 'openrouter') {
-             console.log('Using OpenRouter OCR processing...');
-             // Default model might vary, ensure frontend sends one or set a sensible default
-             const visionModelName = modelName || 'openai/gpt-4-vision-preview';
-             result = await ocrUtils.processWithOpenRouterOCR(
-                 req.file.path,
-                 req.file.mimetype,
-                 apiKey,
-                 visionModelName
-             );
-        } else { // Built-in
-            // Use built-in OCR
-            console.log('Using built-in OCR processing...');
-            
-            // Validate file type
-            if (!req.file.mimetype.startsWith('image/') && req.file.mimetype !== 'application/pdf') {
-                if (req.file && req.file.path) {
-                    fs.unlinkSync(req.file.path);
-                }
-                return res.status(400).json({ message: 'Unsupported file type for OCR.' });
-            }
-            
-            result = await ocrUtils.processWithBuiltinOCR(req.file.path, req.file.mimetype);
-            console.log('Built-in OCR complete');
-        }
+// --- Admin API Routes (Protected, admins only) ---
+// User management and instance-wide settings for the admin page.
+// Admins can't change their own role or disable themselves, so there is
+// always at least one admin left.
 
-        // Clean up the uploaded file
-        if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-            fs.unlink(req.file.path, (err) => { 
-                if (err) console.error("Error deleting temporary file:", err); 
-            });
-        }
+// Temporary passwords are long enough that they never need to be typed twice
+const generateTemporaryPassword = () => crypto.randomBytes(12).toString('base64url');
 
-        // Return the extracted data
-        return res.json(result);
-    } catch (error) {
-        console.error('Error testing OCR:', error);
-        
-        // Clean up on error
-        if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-            fs.unlink(req.file.path, (err) => { 
-                if (err) console.error("Error deleting file after server error:", err); 
-            });
-        }
-        
-        return res.status(500).json({ 
-            message: `Failed to test OCR due to server error: ${error.message}` 
+// GET /api/admin/users - Every user, with role, status and last activity
+app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+    console.log(`GET /api/admin/users hit by user ${req.user.id}`);
+    try {
+        const users = await dbAsync.all(`
+            SELECT u.id, u.username, u.email, u.role, u.disabledAt, u.createdAt,
+                   EXISTS (SELECT 1 FROM user_totp t WHERE t.user_id = u.id AND t.enabledAt IS NOT NULL) AS twoFactorEnabled,
+                   MAX(s.lastUsedAt) AS lastActiveAt,
+                   COUNT(CASE WHEN s.revokedAt IS NULL AND s.expiresAt > ? THEN 1 END) AS activeSessions
+            FROM users u LEFT JOIN sessions s ON s.user_id = u.id
+            GROUP BY u.id
+            ORDER BY u.username COLLATE NOCASE
+        `, [new Date().toISOString()]);
+        const locks = await loginThrottle.getLocks('username');
+        res.json({
+            roles: ROLES,
+            users: users.map(user => ({
+                ...user,
+                disabled: !!user.disabledAt,
+                twoFactorEnabled: !!user.twoFactorEnabled,
+                lockedUntil: locks.get(user.username) || null
+            }))
         });
+    } catch (err) {
+        console.error('Error fetching users:', err.message);
+        res.status(500).json({ message: 'Failed to fetch users.' });
     }
 });
 
+// PUT /api/admin/users/:id - Change a user's role or disable/enable the account
+// Body: { role, disabled } (either). Disabling logs the user out everywhere.
+app.put('/api/admin/users/:id', authenticateToken, requireAdmin, [
+    param('id').isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt(),
+    body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    body('disabled').optional().isBoolean({ strict: true }).withMessage('Disabled must be true or false')
+], async (req, res) => {
+    const adminId = req.user.id;
+    console.log(`PUT /api/admin/users/${req.params.id} hit by user ${adminId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    const userId = req.params.id;
+    const { role, disabled } = req.body;
+    if (role === undefined && disabled === undefined) {
+        return res.status(400).json({ message: 'Nothing to change.' });
+    }
+    if (userId === adminId) {
+        return res.status(400).json({ message: "You can't change your own role or disable your own account." });
+    }
 
-// POST /api/expenses - Add a new expense (Protected)
-app.post('/api/expenses', authenticateToken, function(req, res, next) {
-    // Handle file upload first
-    upload.single('receipt')(req, res, function(err) {
-        if (err) {
-            console.error("Multer error:", err);
-            return res.status(400).json({ message: `File upload error: ${err.message}` });
+    try {
+        const user = await dbAsync.get("SELECT id, username, role, disabledAt FROM users WHERE id = ?", [userId]);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
         }
-        // File uploaded successfully (or no file), proceed to validation
-        next();
-    });
-}, function(req, res, next) {
-    // Apply validation rules (ensure this runs *after* multer and auth)
-    // Need to manually trigger validation checks here as they are separate middleware
-    Promise.all(expenseCreationValidationRules.map(validation => validation.run(req)))
-        .then(() => {
-            const errors = validationResult(req);
-            if (!errors.isEmpty()) {
-                console.error("Validation Errors:", JSON.stringify(errors.array()));
-                // Clean up uploaded file if validation fails
-                if (req.file && req.file.path) {
-                    try { fs.unlinkSync(req.file.path); } catch (err) { console.error("Error deleting file after validation error:", err); }
-                }
-                return res.status(400).json({ errors: errors.array() });
+        await dbAsync.transaction(async (tx) => {
+            if (role !== undefined) {
+                await tx.run("UPDATE users SET role = ? WHERE id = ?", [role, userId]);
             }
-            // Validation passed, proceed to main logic
-            next();
-        }).catch(next); // Pass errors to the global error handler
-}, function(req, res) {
-    // Main route logic (runs after auth, multer, and validation)
-    const userId = req.user.id;
-    console.log(`POST /api/expenses hit for user ${userId}`);
-
-    // Ensure uploads directory exists (Multer should handle this, but double-check)
-    if (!fs.existsSync(UPLOADS_DIR)) {
-        try {
-            fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-        } catch (err) {
-            console.error("Error creating uploads directory:", err);
-            // Clean up file if directory creation fails mid-request
-            if (req.file && req.file.path) { try { fs.unlinkSync(req.file.path); } catch (unlinkErr) { console.error("Error deleting file:", unlinkErr); } }
-            return res.status(500).json({ message: 'Failed to ensure uploads directory exists.' });
+            if (disabled === true && !user.disabledAt) {
+                await tx.run("UPDATE users SET disabledAt = ? WHERE id = ?", [new Date().toISOString(), userId]);
+            } else if (disabled === false) {
+                await tx.run("UPDATE users SET disabledAt = NULL WHERE id = ?", [userId]);
+            }
+        });
+        if (disabled === true) {
+            const revoked = await sessionStore.revokeOthers(userId, null, 'account_disabled');
+            console.log(`User ${userId} disabled by admin ${adminId}; ${revoked} session(s) logged out.`);
         }
+        if (role !== undefined) console.log(`User ${userId} is now ${role} (changed by admin ${adminId}).`);
+        if (disabled === false) console.log(`User ${userId} enabled by admin ${adminId}.`);
+
+        const updated = await dbAsync.get("SELECT id, username, email, role, disabledAt, createdAt FROM users WHERE id = ?", [userId]);
+        await audit(req, 'admin.user_update', {
+            userId, username: user.username, entityType: 'user', entityId: userId,
+            before: { role: user.role, disabledAt: user.disabledAt },
+            after: { role: updated.role, disabledAt: updated.disabledAt }
+        });
+        res.json({ message: 'User updated.', user: { ...updated, disabled: !!updated.disabledAt } });
+    } catch (err) {
+        console.error(`Error updating user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to update user.' });
     }
+});
 
-    try {
-        // Extract form data (already validated)
-        const { type, date, vendor, location, cost, comments, tripName } = req.body;
-        const receiptPath = req.file ? `/uploads/${req.file.filename}` : null;
-        const now = new Date().toISOString();
-
-        // Prepare data for insertion
-        const sql = `INSERT INTO expenses (user_id, type, date, vendor, location, cost, comments, tripName, receiptPath, createdAt, updatedAt)
-                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-        const params = [
-            userId,
-            type,
-            // Ensure date is in YYYY-MM-DD format if it came from validation as Date object
-            (date instanceof Date ? date.toISOString().split('T')[0] : date),
-            vendor,
-            location,
-            parseFloat(cost), // Ensure cost is a number
-            comments || null, // Use null for empty optional fields
-            tripName,
-            receiptPath,
-            now,
-            now
-        ];
-
-        // Insert into database
-        db.run(sql, params, function(err) {
-            if (err) {
-                console.error(`Error inserting expense for user ${userId}:`, err.message);
-                // Clean up uploaded file if DB insert fails
-                if (req.file && req.file.path) { try { fs.unlinkSync(req.file.path); } catch (unlinkErr) { console.error("Error deleting file:", unlinkErr); } }
-                return res.status(500).json({ message: 'Failed to save expense.' });
-            }
-
-            const newExpenseId = this.lastID;
-            console.log(`Expense created with ID ${newExpenseId} for user ${userId}`);
-
-            // Fetch the newly created expense to return it
-            const fetchSql = "SELECT * FROM expenses WHERE id = ? AND user_id = ?";
-            db.get(fetchSql, [newExpenseId, userId], (fetchErr, row) => {
-                if (fetchErr) {
-                    console.error(`Error fetching newly created expense ${newExpenseId}:`, fetchErr.message);
-                    // Even if fetch fails, the expense was created, so maybe return 201 with just ID?
-                    return res.status(500).json({ message: 'Expense created but failed to fetch details.' });
-                }
-                if (!row) {
-                     return res.status(500).json({ message: 'Expense created but could not be found immediately after.' });
-                }
+// POST /api/admin/users/:id/reset-password - Replace a user's password with a temporary one
+// The temporary password is returned once, for the admin to pass on. The user is logged
+// out everywhere and can change it from Settings.
+app.post('/api/admin/users/:id/reset-password', authenticateToken, requireAdmin, [
+    param('id').isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt()
+], async (req, res) => {
+    const adminId = req.user.id;
+    console.log(`POST /api/admin/users/${req.params.id}/reset-password hit by user ${adminId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    const userId = req.params.id;
+    if (userId === adminId) {
+        return res.status(400).json({ message: 'Use Settings to change your own password.' });
+    }
 
-                // Format response
-                const responseExpense = { ...row, cost: parseFloat(row.cost) };
-                return res.status(201).json({ message: 'Expense added successfully', expense: responseExpense });
-            });
+    try {
+        const temporaryPassword = generateTemporaryPassword();
+        const passwordHash = await bcrypt.hash(temporaryPassword, SALT_ROUNDS);
+        const user = await dbAsync.get("SELECT id, username FROM users WHERE id = ?", [userId]);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        await dbAsync.run("UPDATE users SET password_hash = ? WHERE id = ?", [passwordHash, userId]);
+        const revoked = await sessionStore.revokeOthers(userId, null, 'admin_password_reset');
+        console.log(`Password of user ${userId} reset by admin ${adminId}; ${revoked} session(s) logged out.`);
+        await audit(req, 'admin.password_reset', {
+            userId, username: user.username, entityType: 'user', entityId: userId, details: { sessionsRevoked: revoked }
         });
-
-    } catch (error) {
-        console.error(`POST /api/expenses: Unexpected error for user ${userId}:`, error);
-        // Clean up uploaded file on unexpected error
-        if (req.file && req.file.path) { try { fs.unlinkSync(req.file.path); } catch (unlinkErr) { console.error("Error deleting file:", unlinkErr); } }
-        return res.status(500).json({ message: 'Failed to add expense due to server error.' });
+        res.json({ message: 'Password reset. Give the user this temporary password.', temporaryPassword });
+    } catch (err) {
+        console.error(`Error resetting password of user ${userId}:`, err.message);
+        res.status(500).json({ message: 'Failed to reset password.' });
     }
 });
 
-// GET /api/export-expenses - Generate and download Excel file (Protected)
-app.get('/api/export-expenses', authenticateToken, (req, res) => {
-    const userId = req.user.id;
-    const requestedTripName = req.query.tripName;
-
-    if (!requestedTripName) {
-        return res.status(400).send('Error: Please specify a tripName query parameter.');
+// POST /api/admin/users/:id/disable-2fa - Turn off 2FA for a user who lost their phone and recovery codes
+app.post('/api/admin/users/:id/disable-2fa', authenticateToken, requireAdmin, [
+    param('id').isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt()
+], async (req, res) => {
+    const adminId = req.user.id;
+    console.log(`POST /api/admin/users/${req.params.id}/disable-2fa hit by user ${adminId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
     }
-    console.log(`GET /api/export-expenses hit for user ${userId}. Trip requested: ${requestedTripName}`);
-
-    // Fetch expenses for the specific user and trip name
-    const sql = "SELECT type, date, vendor, location, cost, comments FROM expenses WHERE user_id = ? AND tripName = ? ORDER BY date ASC";
-    const params = [userId, requestedTripName];
+    try {
+        if (!await twoFactor.disable(req.params.id)) {
+            return res.status(404).json({ message: 'This user does not have two-factor authentication on.' });
+        }
+        console.log(`2FA of user ${req.params.id} turned off by admin ${adminId}.`);
+        const user = await dbAsync.get("SELECT username FROM users WHERE id = ?", [req.params.id]);
+        await audit(req, 'admin.2fa_disable', {
+            userId: req.params.id, username: user ? user.username : null, entityType: 'user', entityId: req.params.id
+        });
+        res.json({ message: 'Two-factor authentication turned off for this user.' });
+    } catch (err) {
+        console.error(`Error turning off 2FA of user ${req.params.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to turn off two-factor authentication.' });
+    }
+});
 
-    db.all(sql, params, (err, expensesToExport) => {
-        if (err) {
-            console.error(`Error fetching expenses for export (user ${userId}, trip ${requestedTripName}):`, err.message);
-            return res.status(500).send('Error fetching expenses for export.');
+// POST /api/admin/users/:id/unlock - Lift a lockout after failed logins and clear the user's failure count
+app.post('/api/admin/users/:id/unlock', authenticateToken, requireAdmin, [
+    param('id').isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt()
+], async (req, res) => {
+    const adminId = req.user.id;
+    console.log(`POST /api/admin/users/${req.params.id}/unlock hit by user ${adminId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const user = await dbAsync.get("SELECT id, username FROM users WHERE id = ?", [req.params.id]);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
         }
+        const wasLocked = await loginThrottle.reset('username', user.username);
+        await audit(req, 'admin.unlock', {
+            userId: user.id, username: user.username, entityType: 'user', entityId: user.id, details: { wasLocked }
+        });
+        console.log(`User ${user.id} unlocked by admin ${adminId}.`);
+        res.json({ message: wasLocked ? 'Account unlocked.' : 'Account was not locked; its failed login count was cleared.' });
+    } catch (err) {
+        console.error(`Error unlocking user ${req.params.id}:`, err.message);
+        res.status(500).json({ message: 'Failed to unlock account.' });
+    }
+});
 
-        try {
-            let filenameBase = requestedTripName.replace(/[^a-z0-9_\-\s]/gi, '').replace(/\s+/g, '_') || 'trip_expenses';
-            const wb = XLSX.utils.book_new();
-            const headers = ['Type', 'Date', 'Vendor', 'Location', 'Cost', 'Comments'];
-            const data = [headers]; // Start data array with headers
-
-            if (expensesToExport.length > 0) {
-                expensesToExport.forEach(exp => {
-                    // Date should already be in correct string format from DB or previous processing
-                    let dateStr = exp.date;
-                    // Just in case, handle potential Date objects (though unlikely if stored as TEXT)
-                    if (exp.date instanceof Date) dateStr = exp.date.toISOString().split('T')[0];
-                    else if (typeof exp.date === 'string' && exp.date.includes('T')) dateStr = exp.date.split('T')[0];
-
-                    data.push([
-                        exp.type || '',
-                        dateStr || '',
-                        exp.vendor || '',
-                        exp.location || '',
-                        parseFloat(exp.cost || 0).toFixed(2), // Ensure cost is formatted
-                        exp.comments || ''
-                    ]);
-                });
-            } else {
-                console.log(`No expenses found for user ${userId}, trip: ${requestedTripName}`);
-                // Optionally, still generate an empty file or return a message
-                // For now, generate file with only headers
-            }
+// GET /api/admin/settings - Instance settings, plus which server-wide API keys are set
+app.get('/api/admin/settings', authenticateToken, requireAdmin, async (req, res) => {
+    console.log(`GET /api/admin/settings hit by user ${req.user.id}`);
+    try {
+        res.json({
+            settings: await instanceSettings.get(),
+            ocrMethods: OCR_METHODS,
+            serverKeys: Object.keys(ocrUtils.OCR_API_KEY_VARS).map(provider => ({
+                provider,
+                configured: !!ocrUtils.getOcrApiKey(provider)
+            }))
+        });
+    } catch (err) {
+        console.error('Error fetching instance settings:', err.message);
+        res.status(500).json({ message: 'Failed to fetch settings.' });
+    }
+});
 
-            const ws = XLSX.utils.aoa_to_sheet(data);
-            XLSX.utils.book_append_sheet(wb, ws, 'Expenses');
-            const tempFilePath = path.join(__dirname, `expenses_${Date.now()}.xlsx`);
-            XLSX.writeFile(wb, tempFilePath);
-
-            const filename = `${filenameBase}.xlsx`;
-            res.download(tempFilePath, filename, (downloadErr) => {
-                // Cleanup the temporary file after download attempt
-                if (fs.existsSync(tempFilePath)) {
-                    fs.unlink(tempFilePath, (unlinkErr) => {
-                        if (unlinkErr) console.error('Error deleting temporary Excel file:', unlinkErr);
-                    });
-                }
-                if (downloadErr) {
-                    console.error('Error sending Excel file:', downloadErr);
-                    // Avoid sending another response if headers already sent
-                }
-            });
-            console.log(`Generated Excel file: ${filename} for user ${userId}`);
+// PUT /api/admin/settings - Change instance settings
+// Body: { ocrAllowedMethods, ocrDefaultMethod } (either)
+app.put('/api/admin/settings', authenticateToken, requireAdmin, [
+    body('ocrAllowedMethods').optional().isArray({ min: 1 }).withMessage('Allow at least one OCR method'),
+    body('ocrAllowedMethods.*').isIn(OCR_METHODS).withMessage(`OCR methods must be among: ${OCR_METHODS.join(', ')}`),
+    body('ocrDefaultMethod').optional().isIn(OCR_METHODS).withMessage(`Default OCR method must be one of: ${OCR_METHODS.join(', ')}`)
+], async (req, res) => {
+    const adminId = req.user.id;
+    console.log(`PUT /api/admin/settings hit by user ${adminId}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
 
-        } catch (excelError) {
-            console.error(`Error generating Excel export for user ${userId}, trip ${requestedTripName}:`, excelError);
-            res.status(500).send('Error generating Excel file.');
+    try {
+        const { ocrAllowedMethods, ocrDefaultMethod } = req.body;
+        const changes = {};
+        if (ocrAllowedMethods !== undefined) changes.ocrAllowedMethods = [...new Set(ocrAllowedMethods)];
+        if (ocrDefaultMethod !== undefined) changes.ocrDefaultMethod = ocrDefaultMethod;
+        const previous = await instanceSettings.get();
+        const result = await instanceSettings.update(changes, adminId);
+        if (!result.ok) {
+            return res.status(400).json({ message: result.errors.join(' ') });
         }
-    });
+        await audit(req, 'admin.settings_update', { entityType: 'instance_settings', before: previous, after: result.settings });
+        console.log(`Instance settings changed by admin ${adminId}:`, Object.keys(changes).join(', '));
+        res.json({ message: 'Settings saved.', settings: result.settings });
+    } catch (err) {
+        console.error('Error saving instance settings:', err.message);
+        res.status(500).json({ message: 'Failed to save settings.' });
+    }
 });
 
 /**
- * POST /api/update-env - Update API keys in the .env file
- * SECURITY WARNING: This endpoint allows modifying server environment variables
- * from the frontend. In a production environment, this MUST be secured
- * with proper authentication and authorization.
+ * POST /api/update-env - Update the server-wide API keys in the .env file
+ * These keys are shared by every user who hasn't saved a key of their own
+ * (see /api/api-keys), so only admins may change them.
  */
-// Apply authentication middleware - Only logged-in users should update settings
-app.post('/api/update-env', authenticateToken, (req, res) => {
+app.post('/api/update-env', authenticateToken, requireAdmin, (req, res) => {
     console.log(`POST /api/update-env hit by user ${req.user.id}`); // Log which user is making the change
     const {
         GEMINI_API_KEY,
@@ -895,6 +3759,10 @@ app.post('/api/update-env', authenticateToken, (req, res) => {
     if (!keysProvided) {
          return res.status(400).json({ message: 'No API keys provided for update.' });
     }
+    // A line break would let a value add arbitrary entries to .env
+    if (Object.values(req.body).some(value => typeof value === 'string' && /[\r\n]/.test(value))) {
+        return res.status(400).json({ message: 'API keys cannot contain line breaks.' });
+    }
 
 
     const keysToUpdate = {};
@@ -908,20 +3776,86 @@ app.post('/api/update-env', authenticateToken, (req, res) => {
     const success = updateEnvFile(keysToUpdate);
 
     if (success) {
+        // Only which keys changed; the values are secrets
+        audit(req, 'admin.server_keys_update', { entityType: 'server_api_key', details: { keys: Object.keys(keysToUpdate) } });
         res.json({ message: 'API keys updated successfully. Restart server for changes to take full effect if issues arise.' });
     } else {
         res.status(500).json({ message: 'Failed to update API keys on the server.' });
     }
 });
+// --- End Admin API Routes ---
 
 
 // --- Server Start ---
+
+/**
+ * Handle `node server.js --make-admin <username>`: promote (and re-enable) a
+ * user before starting. Covers instances whose first user shouldn't be the
+ * admin, and getting back in when no admin can log in.
+ * @param {string[]} argv - Command line arguments
+ */
+const makeAdminFromArgs = async (argv) => {
+    const index = argv.indexOf('--make-admin');
+    if (index === -1) return;
+    const username = argv[index + 1];
+    if (!username || username.startsWith('--')) {
+        throw new Error('Usage: node server.js --make-admin <username>');
+    }
+    const { changes } = await dbAsync.run("UPDATE users SET role = 'admin', disabledAt = NULL WHERE username = ?", [username]);
+    if (changes === 0) {
+        throw new Error(`No user named "${username}".`);
+    }
+    console.log(`User "${username}" is now an admin.`);
+};
+
+/**
+ * Handle `node server.js --migrate-receipts <from> <to>`: move every receipt
+ * file from one storage backend (local or s3) to the other, both configured
+ * from the environment as for RECEIPT_STORAGE. Rows keep their receipt paths,
+ * so only the files move. Run it with the server stopped, then start the
+ * server with RECEIPT_STORAGE=<to>.
+ * @param {string[]} argv - Command line arguments
+ */
+const migrateReceiptsFromArgs = async (argv) => {
+    const index = argv.indexOf('--migrate-receipts');
+    const [from, to] = argv.slice(index + 1, index + 3).map(name => (name || '').toLowerCase());
+    if (!from || !to || from.startsWith('--') || to.startsWith('--') || from === to) {
+        throw new Error('Usage: node server.js --migrate-receipts <local|s3> <local|s3>');
+    }
+    const source = createReceiptStorage(process.env, from);
+    const target = createReceiptStorage(process.env, to);
+    console.log(`Moving receipt files from ${from} to ${to} storage...`);
+    const result = await migrateReceipts(source, target, {
+        onFile: (key, err) => console.log(err ? `  ${key}: failed (${err.message})` : `  ${key}`)
+    });
+    console.log(`Moved ${result.moved} receipt file(s).`);
+    if (result.failed.length > 0) {
+        throw new Error(`${result.failed.length} file(s) could not be moved and were left in ${from} storage. Run the command again to retry them.`);
+    }
+};
+
 // Conditionally start the server only if the script is run directly
 if (require.main === module) {
-    app.listen(PORT, () => {
-        console.log(`Server listening on port ${PORT}`);
-        console.log(`Frontend accessible at http://localhost:${PORT}`);
-    });
+    const argv = process.argv.slice(2);
+    if (argv.includes('--migrate-receipts')) {
+        // A one-off command: move the files and exit without serving
+        migrateReceiptsFromArgs(argv).then(() => process.exit(0)).catch((err) => {
+            console.error('Receipts not migrated:', err.message);
+            process.exit(1);
+        });
+    } else {
+        // Wait for pending migrations so no request sees a half-migrated schema
+        dbReady.then(() => makeAdminFromArgs(argv)).then(() => {
+            ocrQueue.start().catch(err => console.error('OCR queue failed to start:', err.message));
+            app.listen(PORT, () => {
+                console.log(`Server listening on port ${PORT}`);
+                console.log(`Frontend accessible at http://localhost:${PORT}`);
+            });
+        }).catch((err) => {
+            console.error('Server not started:', err.message);
+            process.exit(1);
+        });
+    }
 }
 
 // Export the app instance for testing
@@ -0,0 +1,195 @@
+/**
+ * Personal Access Tokens Module
+ *
+ * Named tokens for scripts, sent as `Authorization: Bearer etp_...` in place
+ * of a login JWT. A token carries scopes that limit what it may do, can
+ * expire, and is revoked from Settings. Only its SHA-256 hash is stored, so
+ * it is shown once, when created.
+ *
+ * Scopes are checked per request from the method and path (see
+ * requiredScope): reads need `read`, changes need the write scope for that
+ * area, and account, session and admin routes refuse tokens altogether.
+ */
+
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+
+const TOKEN_PREFIX = 'etp_';
+const MAX_TOKENS_PER_USER = 20;
+const MAX_EXPIRY_DAYS = 365;
+// lastUsedAt is written at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Scope name -> what it allows, as shown in Settings
+const ACCESS_TOKEN_SCOPES = {
+    'read': 'Read trips, expenses, exchange rates and analytics',
+    'expenses:write': 'Add, edit and delete expenses, drafts and exchange rates; scan receipts',
+    'trips:write': 'Create, edit and delete trips'
+};
+
+// Routes that only a logged-in browser may use: tokens must not manage
+// accounts, sessions, keys or other tokens
+const BROWSER_ONLY_PATHS = [
+    /^\/api\/auth\//,
+    /^\/api\/account(\/|$)/,
+    /^\/api\/sessions(\/|$)/,
+    /^\/api\/api-keys(\/|$)/,
+    /^\/api\/access-tokens(\/|$)/,
+    /^\/api\/admin\//,
+    /^\/api\/update-env$/
+];
+
+// Write scope for each area; writes anywhere else refuse tokens
+const WRITE_SCOPE_PATHS = [
+    [/^\/api\/trips(\/|$)/, 'trips:write'],
+    [/^\/api\/(expenses|expense-drafts|exchange-rates|test-ocr)(\/|$)/, 'expenses:write']
+];
+
+/**
+ * Whether a bearer token is a personal access token rather than a JWT
+ * @param {string} token - Token from the Authorization header
+ * @returns {boolean}
+ */
+function isAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * The scope a token needs for a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, e.g. /api/expenses/3
+ * @returns {string|null} - Scope name, or null if tokens can't be used for this request
+ */
+function requiredScope(method, path) {
+    // Express matches routes regardless of case, so /API/Account is /api/account
+    path = path.toLowerCase();
+    if (BROWSER_ONLY_PATHS.some(pattern => pattern.test(path))) return null;
+    if (method === 'GET' || method === 'HEAD') return 'read';
+    const match = WRITE_SCOPE_PATHS.find(([pattern]) => pattern.test(path));
+    return match ? match[1] : null;
+}
+
+/**
+ * Shape a token row for the tokens list (never includes the hash)
+ * @param {Object} row - personal_access_tokens row
+ * @returns {Object}
+ */
+function formatAccessToken(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        tokenPrefix: row.tokenPrefix,
+        scopes: JSON.parse(row.scopes),
+        createdAt: row.createdAt,
+        lastUsedAt: row.lastUsedAt,
+        expiresAt: row.expiresAt,
+        expired: !!row.expiresAt && new Date(row.expiresAt) < new Date()
+    };
+}
+
+/**
+ * Create the access token store
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @param {Object} [options] - { maxTokensPerUser } limit on unrevoked tokens (default 20)
+ * @returns {Object} - { create, list, revoke, authenticate }
+ */
+function createAccessTokenStore(db, { maxTokensPerUser = MAX_TOKENS_PER_USER } = {}) {
+    /**
+     * Create a token
+     * @param {number} userId - Owner of the token
+     * @param {Object} details - { name, scopes, expiresInDays } (expiresInDays null for no expiry)
+     * @returns {Promise<Object>} - { ok: true, token, accessToken } or { ok: false, reason }
+     *   with reason invalid_scope or too_many
+     */
+    const create = async (userId, { name, scopes, expiresInDays = null }) => {
+        const uniqueScopes = [...new Set(scopes)];
+        if (uniqueScopes.length === 0 || !uniqueScopes.every(scope => ACCESS_TOKEN_SCOPES[scope])) {
+            return { ok: false, reason: 'invalid_scope' };
+        }
+        const { count } = await db.get(
+            "SELECT COUNT(*) AS count FROM personal_access_tokens WHERE user_id = ? AND revokedAt IS NULL",
+            [userId]
+        );
+        if (count >= maxTokensPerUser) return { ok: false, reason: 'too_many' };
+
+        const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const now = new Date();
+        const expiresAt = expiresInDays ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null;
+        const { lastID } = await db.run(
+            `INSERT INTO personal_access_tokens (user_id, name, tokenPrefix, tokenHash, scopes, expiresAt, createdAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, name, token.slice(0, TOKEN_PREFIX.length + 6), hashToken(token),
+                JSON.stringify(uniqueScopes), expiresAt, now.toISOString()]
+        );
+        const row = await db.get("SELECT * FROM personal_access_tokens WHERE id = ?", [lastID]);
+        return { ok: true, token, accessToken: formatAccessToken(row) };
+    };
+
+    /**
+     * The user's unrevoked tokens, newest first (expired ones included, flagged expired)
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object[]>}
+     */
+    const list = async (userId) => {
+        const rows = await db.all(
+            "SELECT * FROM personal_access_tokens WHERE user_id = ? AND revokedAt IS NULL ORDER BY createdAt DESC, id DESC",
+            [userId]
+        );
+        return rows.map(formatAccessToken);
+    };
+
+    /**
+     * Revoke one of the user's tokens
+     * @param {number} userId - Owner of the token
+     * @param {number} tokenId - Token to revoke
+     * @returns {Promise<boolean>} - Whether an unrevoked token was revoked
+     */
+    const revoke = async (userId, tokenId) => {
+        const { changes } = await db.run(
+            "UPDATE personal_access_tokens SET revokedAt = ? WHERE id = ? AND user_id = ? AND revokedAt IS NULL",
+            [new Date().toISOString(), tokenId, userId]
+        );
+        return changes > 0;
+    };
+
+    /**
+     * Look up the user behind a token
+     * @param {string} token - Token from the Authorization header
+     * @returns {Promise<Object>} - { ok: true, user, tokenId, scopes } with user { id, username, role, disabledAt },
+     *   or { ok: false, reason } with reason invalid, revoked or expired
+     */
+    const authenticate = async (token) => {
+        const row = await db.get(
+            `SELECT t.id AS tokenId, t.scopes, t.expiresAt, t.revokedAt, u.id, u.username, u.role, u.disabledAt
+             FROM personal_access_tokens t JOIN users u ON u.id = t.user_id
+             WHERE t.tokenHash = ?`,
+            [hashToken(token)]
+        );
+        if (!row) return { ok: false, reason: 'invalid' };
+        if (row.revokedAt) return { ok: false, reason: 'revoked' };
+        const now = new Date();
+        if (row.expiresAt && new Date(row.expiresAt) < now) return { ok: false, reason: 'expired' };
+
+        await db.run(
+            "UPDATE personal_access_tokens SET lastUsedAt = ? WHERE id = ? AND (lastUsedAt IS NULL OR lastUsedAt < ?)",
+            [now.toISOString(), row.tokenId, new Date(now.getTime() - LAST_USED_RESOLUTION_MS).toISOString()]
+        );
+        return {
+            ok: true,
+            user: { id: row.id, username: row.username, role: row.role, disabledAt: row.disabledAt },
+            tokenId: row.tokenId,
+            scopes: JSON.parse(row.scopes)
+        };
+    };
+
+    return { create, list, revoke, authenticate };
+}
+
+module.exports = {
+    TOKEN_PREFIX,
+    MAX_EXPIRY_DAYS,
+    ACCESS_TOKEN_SCOPES,
+    isAccessToken,
+    requiredScope,
+    createAccessTokenStore
+};
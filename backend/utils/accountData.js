@@ -0,0 +1,216 @@
+/**
+ * Account Data Module
+ *
+ * Answers data-subject requests. collect() gathers everything stored about a
+ * user (account, trips with budgets, expense reports, participants, splits
+ * and settlements, expenses, drafts,
+ * exchange rates, saved settings and the audit entries about them) into a JSON manifest, plus the
+ * receipt files to package with it. deleteAccount() removes the user row,
+ * which cascades to every table that references it (including other members'
+ * expenses on trips the user owns), and returns the receipt files the
+ * cascade leaves behind in storage.
+ *
+ * Secrets stay out of the export: password and token hashes and saved API
+ * keys are left out, only their names and dates are listed.
+ */
+
+const { formatEntry } = require('./audit');
+const { receiptKey } = require('./receiptStorage');
+
+const EXPORT_FORMAT = 'expense-tracker-export';
+const EXPORT_VERSION = 1;
+const RECEIPTS_FOLDER = 'receipts';
+
+/**
+ * Create the account data helpers
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @param {Object} options - { storage } where receipt files are kept (utils/receiptStorage.js)
+ * @returns {Object} - { collect, listFiles, deleteAccount }
+ */
+function createAccountData(db, { storage }) {
+    /**
+     * Every receipt file that goes when the user is deleted: their receipts, and those
+     * of other people's expenses on trips the user owns, which are deleted with the trips
+     * @param {Object} tx - db or a transaction's helpers
+     * @param {number} userId - User ID
+     * @returns {Promise<string[]>} - Storage keys, without duplicates
+     */
+    const listFiles = async (tx, userId) => {
+        const receipts = await tx.all(
+            `SELECT receiptPath FROM expenses
+             WHERE (user_id = ? OR trip_id IN (SELECT id FROM trips WHERE user_id = ?)) AND receiptPath IS NOT NULL
+             UNION SELECT receiptPath FROM expense_drafts
+             WHERE user_id = ? OR trip_id IN (SELECT id FROM trips WHERE user_id = ?)`,
+            [userId, userId, userId, userId]
+        );
+        // Receipt tests still waiting for OCR hold their upload until the job finishes
+        const jobs = await tx.all(
+            "SELECT filePath FROM ocr_jobs WHERE user_id = ? AND keepFile = 0 AND status IN ('queued', 'processing')",
+            [userId]
+        );
+        const keys = receipts.map(row => receiptKey(row.receiptPath))
+            .concat(jobs.map(job => receiptKey(job.filePath)))
+            .filter(Boolean);
+        return [...new Set(keys)];
+    };
+
+    /**
+     * Gather a user's data for export
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} - { manifest, files: [{ key, archivePath }] }, or null if there is no such user
+     */
+    const collect = async (userId) => {
+        const account = await db.get(
+            `SELECT u.id, u.username, u.email, u.role, u.createdAt,
+                    EXISTS (SELECT 1 FROM user_totp t WHERE t.user_id = u.id AND t.enabledAt IS NOT NULL) AS twoFactorEnabled
+             FROM users u WHERE u.id = ?`,
+            [userId]
+        );
+        if (!account) return null;
+
+        const trips = await db.all("SELECT * FROM trips WHERE user_id = ? ORDER BY createdAt, id", [userId]);
+        const budgets = await db.all(
+            `SELECT b.trip_id, b.category, b.amount FROM trip_budgets b JOIN trips t ON t.id = b.trip_id
+             WHERE t.user_id = ? ORDER BY b.category`,
+            [userId]
+        );
+        const reports = await db.all(
+            `SELECT r.* FROM expense_reports r JOIN trips t ON t.id = r.trip_id
+             WHERE t.user_id = ? ORDER BY r.createdAt, r.id`,
+            [userId]
+        );
+        const reportLines = await db.all(
+            `SELECT i.report_id, i.expense_id AS expenseId, i.convertedCost, i.status, i.comment, i.decidedAt
+             FROM expense_report_items i JOIN expense_reports r ON r.id = i.report_id JOIN trips t ON t.id = r.trip_id
+             WHERE t.user_id = ? ORDER BY i.expense_id`,
+            [userId]
+        );
+        const participants = await db.all(
+            `SELECT p.id, p.trip_id, p.name, p.user_id AS userId, p.createdAt FROM trip_participants p JOIN trips t ON t.id = p.trip_id
+             WHERE t.user_id = ? ORDER BY p.name COLLATE NOCASE, p.id`,
+            [userId]
+        );
+        const splitRows = await db.all(
+            `SELECT e.trip_id, s.expense_id AS expenseId, s.paidBy, s.method, s.updatedAt FROM expense_splits s
+             JOIN expenses e ON e.id = s.expense_id JOIN trips t ON t.id = e.trip_id
+             WHERE t.user_id = ? ORDER BY s.expense_id`,
+            [userId]
+        );
+        const shareRows = await db.all(
+            `SELECT sh.expense_id, sh.participant_id AS participantId, sh.share FROM expense_split_shares sh
+             JOIN expenses e ON e.id = sh.expense_id JOIN trips t ON t.id = e.trip_id
+             WHERE t.user_id = ? ORDER BY sh.participant_id`,
+            [userId]
+        );
+        const settlements = await db.all(
+            `SELECT s.id, s.trip_id, s.fromParticipant, s.toParticipant, s.amount, s.createdAt FROM trip_settlements s
+             JOIN trips t ON t.id = s.trip_id WHERE t.user_id = ? ORDER BY s.createdAt, s.id`,
+            [userId]
+        );
+        const expenses = await db.all("SELECT * FROM expenses WHERE user_id = ? ORDER BY date, id", [userId]);
+        const drafts = await db.all("SELECT * FROM expense_drafts WHERE user_id = ? ORDER BY createdAt, id", [userId]);
+        const exchangeRates = await db.all(
+            "SELECT id, rateDate, baseCurrency, quoteCurrency, rate, createdAt FROM exchange_rates WHERE user_id = ? ORDER BY rateDate, id",
+            [userId]
+        );
+        const apiKeys = await db.all(
+            "SELECT provider, keyHint, createdAt, updatedAt FROM user_api_keys WHERE user_id = ? ORDER BY provider",
+            [userId]
+        );
+        const accessTokens = await db.all(
+            `SELECT name, tokenPrefix, scopes, expiresAt, lastUsedAt, revokedAt, createdAt
+             FROM personal_access_tokens WHERE user_id = ? ORDER BY createdAt, id`,
+            [userId]
+        );
+        const sessions = await db.all(
+            `SELECT userAgent, ipAddress, createdAt, lastUsedAt, expiresAt, revokedAt, revokedReason
+             FROM sessions WHERE user_id = ? ORDER BY createdAt, id`,
+            [userId]
+        );
+        const auditEntries = await db.all("SELECT * FROM audit_log WHERE user_id = ? ORDER BY createdAt, id", [userId]);
+
+        // Package each receipt once, and point the rows at their copy in the archive
+        const files = [];
+        const archivePaths = new Map();
+        const archivePathFor = async (receiptPath) => {
+            const key = receiptKey(receiptPath);
+            if (!key) return null;
+            if (!archivePaths.has(key)) {
+                const archivePath = await storage.exists(key) ? `${RECEIPTS_FOLDER}/${key}` : null;
+                if (archivePath) files.push({ key, archivePath });
+                archivePaths.set(key, archivePath);
+            }
+            return archivePaths.get(key);
+        };
+        const withReceiptFiles = async (rows) => {
+            const result = [];
+            for (const { user_id, ...row } of rows) {
+                result.push({ ...row, receiptFile: await archivePathFor(row.receiptPath) });
+            }
+            return result;
+        };
+
+        const manifest = {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            account: { ...account, twoFactorEnabled: !!account.twoFactorEnabled },
+            trips: trips.map(({ user_id, ...trip }) => ({
+                ...trip,
+                categoryBudgets: budgets.filter(b => b.trip_id === trip.id).map(({ category, amount }) => ({ category, amount })),
+                expenseReports: reports.filter(r => r.trip_id === trip.id).map(report => ({
+                    ...report,
+                    lines: reportLines.filter(line => line.report_id === report.id).map(({ report_id, ...line }) => line)
+                })),
+                participants: participants.filter(p => p.trip_id === trip.id).map(({ trip_id, ...p }) => p),
+                expenseSplits: splitRows.filter(split => split.trip_id === trip.id).map(({ trip_id, ...split }) => ({
+                    ...split,
+                    shares: shareRows.filter(share => share.expense_id === split.expenseId).map(({ expense_id, ...share }) => share)
+                })),
+                settlements: settlements.filter(settlement => settlement.trip_id === trip.id).map(({ trip_id, ...settlement }) => settlement)
+            })),
+            expenses: await withReceiptFiles(expenses),
+            expenseDrafts: await withReceiptFiles(drafts),
+            exchangeRates,
+            settings: {
+                apiKeys,
+                accessTokens: accessTokens.map(token => ({ ...token, scopes: JSON.parse(token.scopes) }))
+            },
+            sessions,
+            auditLog: auditEntries.map(formatEntry)
+        };
+        manifest.files = files.map(file => file.archivePath);
+        return { manifest, files };
+    };
+
+    /**
+     * Delete a user and all their rows
+     * The last active admin can't be deleted, so the instance always keeps one.
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} - { ok: true, user, receiptKeys } with the files to remove once committed,
+     *   or { ok: false, reason: 'not_found' | 'last_admin' }
+     */
+    const deleteAccount = (userId) => db.transaction(async (tx) => {
+        const user = await tx.get("SELECT id, username, email, role, createdAt FROM users WHERE id = ?", [userId]);
+        if (!user) return { ok: false, reason: 'not_found' };
+        if (user.role === 'admin') {
+            const { otherAdmins } = await tx.get(
+                "SELECT COUNT(*) AS otherAdmins FROM users WHERE role = 'admin' AND disabledAt IS NULL AND id != ?",
+                [userId]
+            );
+            if (otherAdmins === 0) return { ok: false, reason: 'last_admin' };
+        }
+        const receiptKeys = await listFiles(tx, userId);
+        // Trips, expenses, drafts, budgets, rates, keys, sessions, tokens and 2FA go with the user (ON DELETE CASCADE)
+        await tx.run("DELETE FROM users WHERE id = ?", [userId]);
+        return { ok: true, user, receiptKeys };
+    });
+
+    return { collect, listFiles, deleteAccount };
+}
+
+module.exports = {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    createAccountData
+};
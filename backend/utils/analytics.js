@@ -0,0 +1,108 @@
+/**
+ * Analytics Query Utilities Module
+ *
+ * Builds the SQL aggregates behind /api/analytics. Amounts are summed per
+ * currency and never mixed: every group row carries its currency, and
+ * callers can pass ?currency= to keep a single one.
+ */
+
+// Groupings exposed as /api/analytics/<name>: the group key and its ordering
+const ANALYTICS_GROUPINGS = {
+    type: {
+        key: "COALESCE(NULLIF(e.type, ''), 'Uncategorized')",
+        orderBy: 'total DESC, key ASC'
+    },
+    vendor: {
+        key: "COALESCE(NULLIF(e.vendor, ''), 'Unknown')",
+        orderBy: 'total DESC, key ASC'
+    },
+    month: {
+        key: 'substr(e.date, 1, 7)', // Dates are stored as YYYY-MM-DD
+        orderBy: 'key ASC'
+    },
+    trip: {
+        key: "COALESCE(t.name, e.tripName, 'No trip')",
+        extraColumns: 'e.trip_id AS tripId,',
+        groupBy: 'e.trip_id',
+        orderBy: 'total DESC, key ASC'
+    }
+};
+
+/**
+ * Build the WHERE clause shared by all analytics queries
+ * @param {number} userId - ID of the logged-in user
+ * @param {Object} filters - { dateFrom, dateTo, currency, tripId }
+ * @returns {Object} - { where, params }
+ */
+function buildAnalyticsFilters(userId, filters = {}) {
+    const conditions = ['e.user_id = ?'];
+    const params = [userId];
+
+    if (filters.dateFrom) {
+        conditions.push('e.date >= ?');
+        params.push(filters.dateFrom);
+    }
+    if (filters.dateTo) {
+        conditions.push('e.date <= ?');
+        params.push(filters.dateTo);
+    }
+    if (filters.currency) {
+        conditions.push('e.currency = ?');
+        params.push(filters.currency);
+    }
+    if (filters.tripId) {
+        conditions.push('e.trip_id = ?');
+        params.push(filters.tripId);
+    }
+
+    return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Build the aggregate query for one grouping
+ * @param {string} grouping - One of the ANALYTICS_GROUPINGS keys
+ * @param {number} userId - ID of the logged-in user
+ * @param {Object} filters - { dateFrom, dateTo, currency, tripId, limit }
+ * @returns {Object} - { sql, params } selecting key, currency, total, count (plus tripId for trips)
+ */
+function buildAnalyticsQuery(grouping, userId, filters = {}) {
+    const definition = ANALYTICS_GROUPINGS[grouping];
+    if (!definition) throw new Error(`Unknown analytics grouping: ${grouping}`);
+
+    const { where, params } = buildAnalyticsFilters(userId, filters);
+    let sql = `SELECT ${definition.key} AS key, ${definition.extraColumns || ''}
+                      e.currency AS currency, ROUND(SUM(e.cost), 2) AS total, COUNT(*) AS count
+               FROM expenses e LEFT JOIN trips t ON t.id = e.trip_id
+               WHERE ${where}
+               GROUP BY ${definition.groupBy || 'key'}, e.currency
+               ORDER BY ${definition.orderBy}`;
+    if (filters.limit) {
+        sql += ' LIMIT ?';
+        params.push(filters.limit);
+    }
+    return { sql, params };
+}
+
+/**
+ * Build the overall totals query (one row per currency)
+ * @param {number} userId - ID of the logged-in user
+ * @param {Object} filters - { dateFrom, dateTo, currency, tripId }
+ * @returns {Object} - { sql, params } selecting currency, total, count, firstDate, lastDate
+ */
+function buildAnalyticsSummaryQuery(userId, filters = {}) {
+    const { where, params } = buildAnalyticsFilters(userId, filters);
+    const sql = `SELECT e.currency AS currency, ROUND(SUM(e.cost), 2) AS total, COUNT(*) AS count,
+                        MIN(e.date) AS firstDate, MAX(e.date) AS lastDate
+                 FROM expenses e
+                 WHERE ${where}
+                 GROUP BY e.currency
+                 ORDER BY count DESC, currency ASC`;
+    return { sql, params };
+}
+
+module.exports = {
+    ANALYTICS_GROUPINGS,
+    buildAnalyticsFilters,
+    buildAnalyticsQuery,
+    buildAnalyticsSummaryQuery
+};
@@ -0,0 +1,168 @@
+/**
+ * API Key Storage Module
+ *
+ * Keeps each user's AI provider keys in user_api_keys, encrypted with
+ * AES-256-GCM under the server's master key (API_KEY_ENCRYPTION_KEY). The
+ * user ID and provider are bound into each ciphertext, so a stored key
+ * can't be copied to another row and still decrypt. When a user has no key
+ * of their own, the server-wide key set by an admin is used instead.
+ */
+
+const crypto = require('crypto');
+
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_FORMAT_VERSION = 'v1';
+const HINT_LENGTH = 4;
+
+/**
+ * Read the master key from its environment value
+ * @param {string} [value] - 32 bytes as 64 hex characters or base64
+ * @returns {Buffer|null} - The key, or null when none is configured
+ * @throws {Error} - If a value is set but isn't a 32-byte key
+ */
+function parseMasterKey(value) {
+    if (!value) return null;
+    const trimmed = value.trim();
+    const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+    if (key.length !== 32) {
+        throw new Error('API_KEY_ENCRYPTION_KEY must be 32 bytes, given as 64 hex characters or base64.');
+    }
+    return key;
+}
+
+/**
+ * Encrypt an API key for storage
+ * @param {string} apiKey - Key in the clear
+ * @param {Buffer} masterKey - From parseMasterKey()
+ * @param {string} context - Row binding, e.g. "12:gemini"
+ * @returns {string} - "v1:" followed by base64 of IV, auth tag and ciphertext
+ */
+function encryptApiKey(apiKey, masterKey, context) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, masterKey, iv);
+    cipher.setAAD(Buffer.from(context, 'utf8'));
+    const encrypted = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+    const payload = Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+    return `${KEY_FORMAT_VERSION}:${payload.toString('base64')}`;
+}
+
+/**
+ * Decrypt a stored API key
+ * @param {string} stored - Value from encryptApiKey()
+ * @param {Buffer} masterKey - The key it was encrypted with
+ * @param {string} context - The same row binding used to encrypt
+ * @returns {string} - Key in the clear
+ * @throws {Error} - If the value is malformed, tampered with or under another master key
+ */
+function decryptApiKey(stored, masterKey, context) {
+    const [version, encoded] = String(stored).split(':');
+    if (version !== KEY_FORMAT_VERSION || !encoded) {
+        throw new Error('Unrecognized API key format.');
+    }
+    const payload = Buffer.from(encoded, 'base64');
+    const iv = payload.subarray(0, IV_LENGTH);
+    const tag = payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+    const decipher = crypto.createDecipheriv(CIPHER, masterKey, iv);
+    decipher.setAAD(Buffer.from(context, 'utf8'));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(payload.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Create the per-user key store
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @param {Object} options - Store settings
+ * @param {Buffer|null} options.masterKey - From parseMasterKey(); without it keys can't be saved or read
+ * @param {string[]} options.providers - Providers that take a key
+ * @param {Function} [options.getServerKey] - (provider) => server-wide key or null
+ * @returns {Object} - { isEnabled, isProvider, listKeys, saveKey, deleteKey, resolveKey }
+ */
+function createApiKeyStore(db, options) {
+    const { masterKey, providers, getServerKey = () => null } = options;
+    const context = (userId, provider) => `${userId}:${provider}`;
+
+    const isEnabled = () => !!masterKey;
+    const isProvider = (provider) => providers.includes(provider);
+
+    /**
+     * Which providers the user has a key for (the keys themselves are never returned)
+     * @param {number} userId - ID of the logged-in user
+     * @returns {Promise<Object[]>} - [{ provider, hasKey, keyHint, updatedAt, serverKey }]
+     */
+    const listKeys = async (userId) => {
+        const rows = await db.all('SELECT provider, keyHint, updatedAt FROM user_api_keys WHERE user_id = ?', [userId]);
+        return providers.map(provider => {
+            const row = rows.find(r => r.provider === provider);
+            return {
+                provider,
+                hasKey: !!row,
+                keyHint: row ? row.keyHint : null,
+                updatedAt: row ? row.updatedAt : null,
+                serverKey: !!getServerKey(provider)
+            };
+        });
+    };
+
+    /**
+     * Save (or replace) the user's key for a provider
+     * @param {number} userId - ID of the logged-in user
+     * @param {string} provider - One of the providers
+     * @param {string} apiKey - Key in the clear
+     */
+    const saveKey = async (userId, provider, apiKey) => {
+        if (!isEnabled()) throw new Error('API key storage is not configured on the server.');
+        const encryptedKey = encryptApiKey(apiKey, masterKey, context(userId, provider));
+        const keyHint = apiKey.length > HINT_LENGTH * 2 ? apiKey.slice(-HINT_LENGTH) : null;
+        const now = new Date().toISOString();
+        await db.run(
+            `INSERT INTO user_api_keys (user_id, provider, encryptedKey, keyHint, createdAt, updatedAt)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT (user_id, provider) DO UPDATE SET encryptedKey = excluded.encryptedKey,
+                keyHint = excluded.keyHint, updatedAt = excluded.updatedAt`,
+            [userId, provider, encryptedKey, keyHint, now, now]
+        );
+    };
+
+    /**
+     * Remove the user's key for a provider
+     * @returns {Promise<boolean>} - Whether a key was removed
+     */
+    const deleteKey = async (userId, provider) => {
+        const { changes } = await db.run('DELETE FROM user_api_keys WHERE user_id = ? AND provider = ?', [userId, provider]);
+        return changes > 0;
+    };
+
+    /**
+     * The key to call a provider with on the user's behalf: their own key,
+     * otherwise the server-wide one
+     * @param {number} userId - ID of the user the OCR runs for
+     * @param {string} provider - One of the providers
+     * @returns {Promise<string|null>} - The key, or null if neither is set
+     * @throws {Error} - If the user's saved key can't be decrypted (e.g. the master key changed)
+     */
+    const resolveKey = async (userId, provider) => {
+        if (!isProvider(provider)) return null;
+        const row = await db.get('SELECT encryptedKey FROM user_api_keys WHERE user_id = ? AND provider = ?', [userId, provider]);
+        if (row) {
+            if (!isEnabled()) throw new Error(`Your saved ${provider} key can't be read because the server has no encryption key.`);
+            try {
+                return decryptApiKey(row.encryptedKey, masterKey, context(userId, provider));
+            } catch (error) {
+                console.error(`Could not decrypt ${provider} key for user ${userId}:`, error.message);
+                throw new Error(`Your saved ${provider} key can't be read; please save it again.`);
+            }
+        }
+        return getServerKey(provider) || null;
+    };
+
+    return { isEnabled, isProvider, listKeys, saveKey, deleteKey, resolveKey };
+}
+
+module.exports = {
+    parseMasterKey,
+    encryptApiKey,
+    decryptApiKey,
+    createApiKeyStore
+};
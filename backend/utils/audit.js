@@ -0,0 +1,152 @@
+/**
+ * Audit Log Module
+ *
+ * Append-only record of everything that changes data: sign-ins and account
+ * changes, trips, expenses, drafts, exchange rates, keys, admin actions and
+ * exports. Each entry names the account it concerns (userId), who acted
+ * (actorId; an admin acting on someone else's account differs from userId),
+ * the record touched and its state before and after. The table's triggers
+ * refuse updates and deletes.
+ *
+ * Secrets never reach the log: fields named like passwords, tokens and keys
+ * are replaced before an entry is written.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Field names whose values are never logged (a token's ID or prefix is fine)
+const REDACTED_FIELD = /password|token(?!id|prefix)|secret|apikey|encryptedkey|codehash/i;
+
+/**
+ * Copy a record for the log with secret fields replaced
+ * @param {*} value - Row, object or other value
+ * @returns {*} - Same shape, secrets shown as '[redacted]'
+ */
+function redact(value) {
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== 'object') return value;
+    const copy = {};
+    Object.entries(value).forEach(([key, field]) => {
+        copy[key] = REDACTED_FIELD.test(key) ? '[redacted]' : redact(field);
+    });
+    return copy;
+}
+
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(redact(value)));
+const fromJson = (text) => (text ? JSON.parse(text) : null);
+
+/**
+ * Shape an audit_log row for the API
+ * @param {Object} row - audit_log row
+ * @returns {Object}
+ */
+function formatEntry(row) {
+    return {
+        id: row.id,
+        action: row.action,
+        userId: row.user_id,
+        username: row.username,
+        actorId: row.actorId,
+        entityType: row.entityType,
+        entityId: row.entityId,
+        before: fromJson(row.beforeState),
+        after: fromJson(row.afterState),
+        details: fromJson(row.details),
+        ipAddress: row.ipAddress,
+        createdAt: row.createdAt
+    };
+}
+
+/**
+ * Create the audit log
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @returns {Object} - { record, query }
+ */
+function createAuditLog(db) {
+    /**
+     * Add an entry
+     * @param {string} action - What happened, e.g. 'expense.update' or 'auth.login_failed'
+     * @param {Object} [entry] - Entry fields
+     * @param {number} [entry.userId] - Account the entry concerns
+     * @param {string} [entry.username] - Username of that account (kept if it is later deleted)
+     * @param {number} [entry.actorId] - Who acted, when known
+     * @param {string} [entry.ipAddress] - Client address
+     * @param {string} [entry.entityType] - Kind of record touched, e.g. 'expense'
+     * @param {number|string} [entry.entityId] - ID of the record touched
+     * @param {Object} [entry.before] - Record before the change
+     * @param {Object} [entry.after] - Record after the change
+     * @param {Object} [entry.details] - Anything else worth keeping
+     * @returns {Promise<number>} - ID of the entry
+     */
+    const record = async (action, {
+        userId = null, username = null, actorId = null, ipAddress = null,
+        entityType = null, entityId = null, before = null, after = null, details = null
+    } = {}) => {
+        const { lastID } = await db.run(
+            `INSERT INTO audit_log (action, user_id, username, actorId, ipAddress, entityType, entityId,
+                                    beforeState, afterState, details, createdAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [action, userId, username, actorId, ipAddress, entityType,
+                entityId === null || entityId === undefined ? null : String(entityId),
+                toJson(before), toJson(after), toJson(details), new Date().toISOString()]
+        );
+        return lastID;
+    };
+
+    /**
+     * Find entries, newest first
+     * @param {Object} [filters] - { userId, action, entityType, entityId, dateFrom, dateTo, limit, offset }
+     *   userId limits the result to one account's entries; action matches a prefix ('expense.' finds all expense actions)
+     * @returns {Promise<Object>} - { entries, total }
+     */
+    const query = async (filters = {}) => {
+        const conditions = [];
+        const params = [];
+        if (filters.userId !== undefined && filters.userId !== null) {
+            conditions.push('user_id = ?');
+            params.push(filters.userId);
+        }
+        if (filters.action) {
+            conditions.push("(action = ? OR action LIKE ? ESCAPE '\\')");
+            params.push(filters.action, `${filters.action.replace(/[\\%_]/g, '\\$&')}%`);
+        }
+        if (filters.entityType) {
+            conditions.push('entityType = ?');
+            params.push(filters.entityType);
+        }
+        if (filters.entityId !== undefined && filters.entityId !== null && filters.entityId !== '') {
+            conditions.push('entityId = ?');
+            params.push(String(filters.entityId));
+        }
+        if (filters.dateFrom) {
+            conditions.push('createdAt >= ?');
+            params.push(filters.dateFrom);
+        }
+        if (filters.dateTo) {
+            // Dates without a time include the whole day
+            conditions.push('createdAt <= ?');
+            params.push(/^\d{4}-\d{2}-\d{2}$/.test(filters.dateTo) ? `${filters.dateTo}T23:59:59.999Z` : filters.dateTo);
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+        const { total } = await db.get(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+        const rows = await db.all(
+            `SELECT * FROM audit_log ${where} ORDER BY createdAt DESC, id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+        return { entries: rows.map(formatEntry), total };
+    };
+
+    return { record, query };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    redact,
+    formatEntry,
+    createAuditLog
+};
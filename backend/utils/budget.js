@@ -0,0 +1,113 @@
+/**
+ * Budget Utilities Module
+ *
+ * Builds spent-vs-budget summaries for a trip and the overrun warnings
+ * returned when an expense is saved. Spending is converted into the trip's
+ * home currency (see utils/currency.js) before it is compared with a budget.
+ */
+
+const { roundAmount } = require('./currency');
+
+/**
+ * Spent/budget figures for one line of the summary
+ * @param {number} spent - Amount spent, in the home currency
+ * @param {number|null} budget - Limit, or null when there is none
+ * @returns {Object} - { budget, spent, remaining, percentUsed, overBudget }
+ */
+function budgetLine(spent, budget) {
+    const hasBudget = budget !== null && budget !== undefined;
+    return {
+        budget: hasBudget ? budget : null,
+        spent: roundAmount(spent),
+        remaining: hasBudget ? roundAmount(budget - spent) : null,
+        percentUsed: hasBudget && budget > 0 ? Math.round((spent / budget) * 1000) / 10 : null,
+        overBudget: hasBudget ? spent > budget : false
+    };
+}
+
+/**
+ * Summarize a trip's spending against its overall and per-category budgets
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @param {Object} converter - From createRateConverter(), for the trip owner
+ * @param {number} userId - ID of the trip owner
+ * @param {number|string} tripId - Trip to summarize
+ * @returns {Promise<Object|null>} - Summary, or null if the trip isn't the user's:
+ *   { tripId, currency, budget, spent, remaining, percentUsed, overBudget, missingRates,
+ *     categories: [{ category, budget, spent, remaining, percentUsed, overBudget }] }
+ */
+async function getTripBudgetSummary(db, converter, userId, tripId) {
+    const trip = await db.get('SELECT id, homeCurrency, budget FROM trips WHERE id = ? AND user_id = ?', [tripId, userId]);
+    if (!trip) return null;
+
+    const lines = await db.all('SELECT category, amount FROM trip_budgets WHERE trip_id = ? ORDER BY category ASC', [trip.id]);
+    // Group by day as well so each amount is converted at its own date's rate
+    const amounts = await db.all(
+        `SELECT type, currency, date, SUM(cost) AS cost FROM expenses
+         WHERE trip_id = ? GROUP BY type, currency, date`,
+        [trip.id]
+    );
+
+    // Categories keyed by lower-cased name; budget lines first so their spelling wins
+    const categories = new Map();
+    lines.forEach(line => categories.set(line.category.toLowerCase(), { category: line.category, budget: line.amount, spent: 0 }));
+
+    let spent = 0;
+    let missingRates = 0;
+    for (const row of amounts) {
+        const category = row.type || 'Uncategorized';
+        const key = category.toLowerCase();
+        if (!categories.has(key)) categories.set(key, { category, budget: null, spent: 0 });
+
+        const converted = await converter.convert(parseFloat(row.cost) || 0, row.currency, trip.homeCurrency, row.date);
+        if (converted === null) {
+            missingRates++;
+            continue;
+        }
+        categories.get(key).spent += converted;
+        spent += converted;
+    }
+
+    return {
+        tripId: trip.id,
+        currency: trip.homeCurrency,
+        ...budgetLine(spent, trip.budget),
+        missingRates,
+        categories: [...categories.values()].map(c => ({ category: c.category, ...budgetLine(c.spent, c.budget) }))
+    };
+}
+
+/**
+ * Warnings for budgets an expense leaves exceeded (its own category and the trip total)
+ * @param {Object} summary - From getTripBudgetSummary(), taken after the expense was saved
+ * @param {string} expenseType - The expense's type (its category)
+ * @returns {Array} - [{ category, budget, spent, message }]; category is null for the overall budget
+ */
+function getBudgetWarnings(summary, expenseType) {
+    if (!summary) return [];
+    const warnings = [];
+    const key = (expenseType || 'Uncategorized').toLowerCase();
+    const line = summary.categories.find(c => c.category.toLowerCase() === key);
+
+    if (line && line.overBudget) {
+        warnings.push({
+            category: line.category,
+            budget: line.budget,
+            spent: line.spent,
+            message: `"${line.category}" is over budget: ${line.spent.toFixed(2)} of ${line.budget.toFixed(2)} ${summary.currency} spent.`
+        });
+    }
+    if (summary.overBudget) {
+        warnings.push({
+            category: null,
+            budget: summary.budget,
+            spent: summary.spent,
+            message: `Trip is over budget: ${summary.spent.toFixed(2)} of ${summary.budget.toFixed(2)} ${summary.currency} spent.`
+        });
+    }
+    return warnings;
+}
+
+module.exports = {
+    getTripBudgetSummary,
+    getBudgetWarnings
+};
@@ -0,0 +1,181 @@
+/**
+ * Currency Utilities Module
+ *
+ * Currency code handling, CSV parsing for the exchange rate table, and
+ * conversion of amounts between currencies using a user's stored rates.
+ * Rates are never fetched from the network; the table is maintained locally.
+ */
+
+// Currency assumed for rows created before expenses had a currency
+const DEFAULT_CURRENCY = 'USD';
+
+const CURRENCY_CODE_REGEX = /^[A-Z]{3}$/;
+
+/**
+ * Normalize a currency code to upper case
+ * @param {string} code - Currency code, e.g. 'eur'
+ * @returns {string|null} - 'EUR', or null if it isn't a 3-letter code
+ */
+function normalizeCurrency(code) {
+    if (typeof code !== 'string') return null;
+    const normalized = code.trim().toUpperCase();
+    return CURRENCY_CODE_REGEX.test(normalized) ? normalized : null;
+}
+
+/**
+ * Parse exchange rates from CSV text.
+ * Expected columns: date,base,quote,rate (meaning 1 base = rate quote on date).
+ * A header row is optional. Bad lines are reported, not fatal.
+ * @param {string} text - CSV file contents
+ * @returns {Object} - { rates: [{ rateDate, baseCurrency, quoteCurrency, rate }], errors: [{ line, message }] }
+ */
+function parseRatesCsv(text) {
+    const rates = [];
+    const errors = [];
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+
+    lines.forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) return;
+
+        const columns = line.split(',').map(col => col.trim().replace(/^"(.*)"$/, '$1'));
+        // Skip a header row such as "date,base,quote,rate"
+        if (lineNumber === 1 && /date/i.test(columns[0])) return;
+
+        if (columns.length !== 4) {
+            errors.push({ line: lineNumber, message: 'Expected 4 columns: date,base,quote,rate' });
+            return;
+        }
+
+        const [rateDate, base, quote, rateText] = columns;
+        const baseCurrency = normalizeCurrency(base);
+        const quoteCurrency = normalizeCurrency(quote);
+        const rate = parseFloat(rateText);
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(rateDate) || isNaN(Date.parse(rateDate))) {
+            errors.push({ line: lineNumber, message: `Invalid date "${rateDate}", please use YYYY-MM-DD` });
+        } else if (!baseCurrency || !quoteCurrency) {
+            errors.push({ line: lineNumber, message: 'Currencies must be 3-letter ISO 4217 codes' });
+        } else if (baseCurrency === quoteCurrency) {
+            errors.push({ line: lineNumber, message: 'Base and quote currency must differ' });
+        } else if (isNaN(rate) || rate <= 0) {
+            errors.push({ line: lineNumber, message: `Invalid rate "${rateText}"` });
+        } else {
+            rates.push({ rateDate, baseCurrency, quoteCurrency, rate });
+        }
+    });
+
+    return { rates, errors };
+}
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount to round
+ * @returns {number} - Rounded amount
+ */
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Create a converter bound to one user's rate table. Lookups are cached, so
+ * one converter should be used per request.
+ *
+ * The rate used for a date is the latest one on or before that date, or the
+ * earliest one after it if the table has nothing older. Pairs without a
+ * direct (or inverse) rate are converted through a currency both sides have
+ * rates for.
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @param {number} userId - ID of the user whose rates apply
+ * @returns {Object} - { getRate(from, to, date), convert(amount, from, to, date) }
+ */
+function createRateConverter(db, userId) {
+    const cache = new Map();
+
+    // Direct or inverse rate for a pair, or null
+    const getPairRate = async (from, to, date) => {
+        const row = await db.get(
+            `SELECT baseCurrency, rate FROM exchange_rates
+             WHERE user_id = ? AND ((baseCurrency = ? AND quoteCurrency = ?) OR (baseCurrency = ? AND quoteCurrency = ?))
+             ORDER BY CASE WHEN rateDate <= ? THEN 0 ELSE 1 END,
+                      CASE WHEN rateDate <= ? THEN rateDate END DESC,
+                      rateDate ASC
+             LIMIT 1`,
+            [userId, from, to, to, from, date, date]
+        );
+        if (!row) return null;
+        return row.baseCurrency === from ? row.rate : 1 / row.rate;
+    };
+
+    const getRate = async (from, to, date) => {
+        if (from === to) return 1;
+        const key = `${from}:${to}:${date}`;
+        if (cache.has(key)) return cache.get(key);
+
+        let rate = await getPairRate(from, to, date);
+        if (rate === null) {
+            // Try going through a currency that has rates against both sides
+            const pivots = await db.all(
+                `SELECT DISTINCT CASE WHEN baseCurrency = ? THEN quoteCurrency ELSE baseCurrency END AS currency
+                 FROM exchange_rates WHERE user_id = ? AND (baseCurrency = ? OR quoteCurrency = ?)`,
+                [from, userId, from, from]
+            );
+            for (const { currency } of pivots) {
+                if (currency === to) continue;
+                const toPivot = await getPairRate(from, currency, date);
+                const fromPivot = await getPairRate(currency, to, date);
+                if (toPivot !== null && fromPivot !== null) {
+                    rate = toPivot * fromPivot;
+                    break;
+                }
+            }
+        }
+
+        cache.set(key, rate);
+        return rate;
+    };
+
+    const convert = async (amount, from, to, date) => {
+        const rate = await getRate(from, to, date);
+        return rate === null ? null : roundAmount(amount * rate);
+    };
+
+    return { getRate, convert };
+}
+
+/**
+ * Total a set of amounts in their own currencies and in a target currency
+ * @param {Array} items - [{ cost, currency, date }]
+ * @param {string} targetCurrency - Currency to convert the total into
+ * @param {Object} converter - From createRateConverter()
+ * @returns {Promise<Object>} - { currency, total, byCurrency: { EUR: 12.5 }, missingRates }
+ *   missingRates counts items left out of total because no rate was found.
+ */
+async function summarizeAmounts(items, targetCurrency, converter) {
+    const byCurrency = {};
+    let total = 0;
+    let missingRates = 0;
+
+    for (const item of items) {
+        const currency = item.currency || DEFAULT_CURRENCY;
+        const cost = parseFloat(item.cost) || 0;
+        byCurrency[currency] = roundAmount((byCurrency[currency] || 0) + cost);
+
+        const converted = await converter.convert(cost, currency, targetCurrency, item.date);
+        if (converted === null) missingRates++;
+        else total += converted;
+    }
+
+    return { currency: targetCurrency, total: roundAmount(total), byCurrency, missingRates };
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    CURRENCY_CODE_REGEX,
+    normalizeCurrency,
+    parseRatesCsv,
+    roundAmount,
+    createRateConverter,
+    summarizeAmounts
+};
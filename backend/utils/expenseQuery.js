@@ -0,0 +1,119 @@
+/**
+ * Expense Query Utilities Module
+ *
+ * Builds the WHERE / ORDER BY / LIMIT parts of expense list queries from
+ * request query parameters. Values always go through bound parameters; only
+ * whitelisted column names are ever interpolated into the SQL.
+ */
+
+const { visibleExpensesCondition } = require('./tripAccess');
+
+// Sortable fields exposed by the API, mapped to their columns
+const SORT_FIELDS = {
+    date: 'date',
+    cost: 'cost',
+    vendor: 'vendor',
+    type: 'type',
+    location: 'location',
+    createdAt: 'createdAt'
+};
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ * @param {string} value - Raw search text
+ * @returns {string} - Text safe to wrap in %...% with ESCAPE '\'
+ */
+function escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Build the WHERE clause for an expense list
+ * Starts from every expense the user can see, shared trips included (see utils/tripAccess.js).
+ * @param {number} userId - ID of the logged-in user
+ * @param {Object} query - Request query ({ tripId, tripName, dateFrom, dateTo, minCost, maxCost, type, vendor, q })
+ * @returns {Object} - { where: '(trip_id IN (...) OR ...) AND ...', params: [...] }
+ */
+function buildExpenseFilters(userId, query = {}) {
+    const visible = visibleExpensesCondition(userId);
+    const conditions = [visible.sql];
+    const params = [...visible.params];
+
+    if (query.tripId) {
+        conditions.push('trip_id = ?');
+        params.push(query.tripId);
+    } else if (query.tripName) {
+        conditions.push('tripName = ?');
+        params.push(query.tripName);
+    }
+    if (query.dateFrom) {
+        conditions.push('date >= ?');
+        params.push(query.dateFrom);
+    }
+    if (query.dateTo) {
+        conditions.push('date <= ?');
+        params.push(query.dateTo);
+    }
+    if (query.minCost !== undefined && query.minCost !== '') {
+        conditions.push('cost >= ?');
+        params.push(parseFloat(query.minCost));
+    }
+    if (query.maxCost !== undefined && query.maxCost !== '') {
+        conditions.push('cost <= ?');
+        params.push(parseFloat(query.maxCost));
+    }
+    if (query.type) {
+        conditions.push('type = ? COLLATE NOCASE');
+        params.push(query.type);
+    }
+    if (query.vendor) {
+        conditions.push("vendor LIKE ? ESCAPE '\\'");
+        params.push(`%${escapeLike(query.vendor)}%`);
+    }
+    if (query.q) {
+        // Free-text search across the descriptive columns
+        const pattern = `%${escapeLike(query.q)}%`;
+        conditions.push("(vendor LIKE ? ESCAPE '\\' OR location LIKE ? ESCAPE '\\' OR comments LIKE ? ESCAPE '\\' OR type LIKE ? ESCAPE '\\' OR tripName LIKE ? ESCAPE '\\')");
+        params.push(pattern, pattern, pattern, pattern, pattern);
+    }
+
+    return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Build the ORDER BY clause for an expense list
+ * @param {Object} query - Request query ({ sortBy, sortDir })
+ * @returns {string} - e.g. 'date DESC, id DESC'
+ */
+function buildExpenseOrder(query = {}) {
+    const column = SORT_FIELDS[query.sortBy] || SORT_FIELDS.date;
+    const direction = String(query.sortDir).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+    // id as tie-breaker keeps page boundaries stable
+    return `${column} ${direction}, id ${direction}`;
+}
+
+/**
+ * Read limit/offset from the query. No limit means "return everything",
+ * which is what older clients expect.
+ * @param {Object} query - Request query ({ limit, offset })
+ * @returns {Object|null} - { limit, offset } or null when not paginating
+ */
+function parsePagination(query = {}) {
+    if (query.limit === undefined || query.limit === '') return null;
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+    return { limit, offset };
+}
+
+module.exports = {
+    SORT_FIELDS,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    escapeLike,
+    buildExpenseFilters,
+    buildExpenseOrder,
+    parsePagination
+};
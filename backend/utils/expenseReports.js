@@ -0,0 +1,323 @@
+/**
+ * Expense Reports Module
+ *
+ * A trip's expenses are submitted for reimbursement as a report:
+ *
+ *   draft     - being prepared; shows the trip's expenses not on another report
+ *   submitted - the lines are fixed and their expenses locked; an approver
+ *               approves or rejects each line with a comment, then the report
+ *   approved  - approved lines stay locked; rejected ones can be fixed and
+ *               put on a later report
+ *   rejected  - sent back as a whole; its expenses unlock and it can be
+ *               submitted again
+ *   paid      - the approved total was reimbursed
+ *
+ * Amounts are converted into the trip's home currency with the trip owner's
+ * rates when the report is submitted, and kept as they were then.
+ */
+
+const { createRateConverter, roundAmount } = require('./currency');
+
+const REPORT_STATES = ['draft', 'submitted', 'approved', 'rejected', 'paid'];
+const LINE_DECISIONS = ['approved', 'rejected'];
+
+// States each action can start from
+const TRANSITIONS = {
+    submit: ['draft', 'rejected'],
+    decideLine: ['submitted'],
+    approve: ['submitted'],
+    reject: ['submitted'],
+    pay: ['approved'],
+    delete: ['draft', 'rejected']
+};
+
+// Expenses that can't be changed or put on another report: those on a
+// submitted report, and the approved lines of approved or paid ones
+const LOCKED_EXPENSE_IDS = `
+    SELECT i.expense_id FROM expense_report_items i JOIN expense_reports r ON r.id = i.report_id
+    WHERE r.status = 'submitted' OR (r.status IN ('approved', 'paid') AND i.status = 'approved')`;
+
+/**
+ * Whether a report in a state allows an action
+ * @param {string} status - Report status
+ * @param {string} action - Key of TRANSITIONS
+ * @returns {boolean}
+ */
+function canTransition(status, action) {
+    if (!TRANSITIONS[action]) throw new Error(`Unknown report action: ${action}`);
+    return TRANSITIONS[action].includes(status);
+}
+
+/**
+ * Create the expense report helpers
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @returns {Object} - { getLock, countLockedOnTrip, create, get, listForTrip, listByStatus,
+ *   submit, decideLine, approve, reject, markPaid, remove }
+ */
+function createExpenseReports(db) {
+    const REPORT_SELECT = `
+        SELECT r.*, t.name AS tripName, t.user_id AS tripOwnerId,
+               submitter.username AS submittedByUsername, decider.username AS decidedByUsername,
+               (SELECT COUNT(*) FROM expense_report_items i WHERE i.report_id = r.id) AS lineCount
+        FROM expense_reports r
+        JOIN trips t ON t.id = r.trip_id
+        LEFT JOIN users submitter ON submitter.id = r.submittedBy
+        LEFT JOIN users decider ON decider.id = r.decidedBy`;
+
+    // Expenses on the trip that no other report holds, i.e. what submitting would include
+    const listUnreported = (tx, tripId) => tx.all(
+        `SELECT e.*, u.username AS authorUsername FROM expenses e LEFT JOIN users u ON u.id = e.user_id
+         WHERE e.trip_id = ? AND e.id NOT IN (${LOCKED_EXPENSE_IDS}) ORDER BY e.date, e.id`,
+        [tripId]
+    );
+
+    const formatLine = (row) => ({
+        expenseId: row.id,
+        date: row.date,
+        type: row.type,
+        vendor: row.vendor,
+        cost: parseFloat(row.cost),
+        currency: row.currency,
+        authorUsername: row.authorUsername || null,
+        convertedCost: row.convertedCost ?? null,
+        status: row.lineStatus || null,
+        comment: row.lineComment || null,
+        decidedAt: row.lineDecidedAt || null
+    });
+
+    const load = async (tx, reportId) => {
+        const report = await tx.get(`${REPORT_SELECT} WHERE r.id = ?`, [reportId]);
+        if (!report) return null;
+        const rows = report.status === 'draft'
+            ? await listUnreported(tx, report.trip_id)
+            : await tx.all(
+                `SELECT e.*, u.username AS authorUsername, i.convertedCost,
+                        i.status AS lineStatus, i.comment AS lineComment, i.decidedAt AS lineDecidedAt
+                 FROM expense_report_items i
+                 JOIN expenses e ON e.id = i.expense_id
+                 LEFT JOIN users u ON u.id = e.user_id
+                 WHERE i.report_id = ? ORDER BY e.date, e.id`,
+                [reportId]
+            );
+        return { ...report, lines: rows.map(formatLine) };
+    };
+
+    // Load a report for an action, or the reason it can't be done
+    const loadFor = async (tx, reportId, action, actorId) => {
+        const report = await tx.get('SELECT * FROM expense_reports WHERE id = ?', [reportId]);
+        if (!report) return { reason: 'not_found' };
+        if (!canTransition(report.status, action)) return { reason: 'invalid_state', report };
+        // Approvers don't decide on reports they submitted themselves
+        if (actorId !== undefined && report.submittedBy === actorId) return { reason: 'own_report', report };
+        return { report };
+    };
+
+    /**
+     * The report that locks an expense, if any
+     * @param {number|string} expenseId - Expense ID
+     * @returns {Promise<Object|null>} - { id, status } of the report
+     */
+    const getLock = async (expenseId) => (await db.get(
+        `SELECT r.id, r.status FROM expense_report_items i JOIN expense_reports r ON r.id = i.report_id
+         WHERE i.expense_id = ? AND i.expense_id IN (${LOCKED_EXPENSE_IDS}) LIMIT 1`,
+        [expenseId]
+    )) || null;
+
+    /**
+     * How many of a trip's expenses are locked by reports
+     * @param {Object} tx - db or a transaction's helpers
+     * @param {number|string} tripId - Trip ID
+     * @returns {Promise<number>}
+     */
+    const countLockedOnTrip = async (tx, tripId) => (await tx.get(
+        `SELECT COUNT(*) AS count FROM expenses WHERE trip_id = ? AND id IN (${LOCKED_EXPENSE_IDS})`,
+        [tripId]
+    )).count;
+
+    /**
+     * Start a draft report for a trip
+     * @param {Object} trip - Trip row
+     * @param {number} userId - Who creates it
+     * @param {string|null} title - Optional title
+     * @returns {Promise<Object>} - The report with its lines
+     */
+    const create = async (trip, userId, title) => {
+        const now = new Date().toISOString();
+        const { lastID } = await db.run(
+            'INSERT INTO expense_reports (trip_id, title, status, currency, createdBy, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [trip.id, title || null, 'draft', trip.homeCurrency, userId, now, now]
+        );
+        return load(db, lastID);
+    };
+
+    /**
+     * A report with its lines
+     * @param {number|string} reportId - Report ID
+     * @returns {Promise<Object|null>}
+     */
+    const get = (reportId) => load(db, reportId);
+
+    /**
+     * A trip's reports, newest first (without lines)
+     * @param {number} tripId - Trip ID
+     * @returns {Promise<Object[]>}
+     */
+    const listForTrip = (tripId) =>
+        db.all(`${REPORT_SELECT} WHERE r.trip_id = ? ORDER BY r.createdAt DESC, r.id DESC`, [tripId]);
+
+    /**
+     * Reports in a state across all trips, oldest submission first; approvers work through these
+     * @param {string} status - One of REPORT_STATES
+     * @returns {Promise<Object[]>}
+     */
+    const listByStatus = (status) =>
+        db.all(`${REPORT_SELECT} WHERE r.status = ? ORDER BY r.submittedAt ASC, r.id ASC`, [status]);
+
+    /**
+     * Submit a report: fix its lines to the trip's unreported expenses and lock them
+     * Resubmitting a rejected report starts its lines over.
+     * @param {number|string} reportId - Report ID
+     * @param {number} userId - Who submits it
+     * @returns {Promise<Object>} - { ok: true, report } or { ok: false, reason: 'not_found' | 'invalid_state' | 'empty' | 'missing_rates' }
+     */
+    const submit = (reportId, userId) => db.transaction(async (tx) => {
+        const { report, reason } = await loadFor(tx, reportId, 'submit');
+        if (reason) return { ok: false, reason, report };
+
+        const trip = await tx.get('SELECT * FROM trips WHERE id = ?', [report.trip_id]);
+        const expenses = await listUnreported(tx, trip.id);
+        if (expenses.length === 0) return { ok: false, reason: 'empty', report };
+
+        const converter = createRateConverter(tx, trip.user_id);
+        const lines = [];
+        for (const expense of expenses) {
+            lines.push({ expense, convertedCost: await converter.convert(parseFloat(expense.cost) || 0, expense.currency, trip.homeCurrency, expense.date) });
+        }
+        const missingRates = lines.filter(line => line.convertedCost === null).length;
+        if (missingRates > 0) return { ok: false, reason: 'missing_rates', missingRates, report };
+
+        await tx.run('DELETE FROM expense_report_items WHERE report_id = ?', [report.id]);
+        for (const line of lines) {
+            await tx.run(
+                'INSERT INTO expense_report_items (report_id, expense_id, convertedCost) VALUES (?, ?, ?)',
+                [report.id, line.expense.id, line.convertedCost]
+            );
+        }
+        const total = roundAmount(lines.reduce((sum, line) => sum + line.convertedCost, 0));
+        const now = new Date().toISOString();
+        await tx.run(
+            `UPDATE expense_reports SET status = 'submitted', currency = ?, total = ?, approvedTotal = NULL,
+                    submittedBy = ?, submittedAt = ?, decidedBy = NULL, decidedAt = NULL, decisionComment = NULL, updatedAt = ?
+             WHERE id = ?`,
+            [trip.homeCurrency, total, userId, now, now, report.id]
+        );
+        return { ok: true, report: await load(tx, report.id) };
+    });
+
+    /**
+     * Approve or reject one line of a submitted report
+     * @param {number|string} reportId - Report ID
+     * @param {number|string} expenseId - Expense on the report
+     * @param {number} approverId - Who decides
+     * @param {string} decision - 'approved' or 'rejected'
+     * @param {string|null} comment - Why
+     * @returns {Promise<Object>} - { ok: true, report } or { ok: false, reason: 'not_found' | 'invalid_state' | 'own_report' | 'line_not_found' }
+     */
+    const decideLine = (reportId, expenseId, approverId, decision, comment) => db.transaction(async (tx) => {
+        if (!LINE_DECISIONS.includes(decision)) throw new Error(`Unknown line decision: ${decision}`);
+        const { report, reason } = await loadFor(tx, reportId, 'decideLine', approverId);
+        if (reason) return { ok: false, reason, report };
+        const { changes } = await tx.run(
+            'UPDATE expense_report_items SET status = ?, comment = ?, decidedBy = ?, decidedAt = ? WHERE report_id = ? AND expense_id = ?',
+            [decision, comment || null, approverId, new Date().toISOString(), report.id, expenseId]
+        );
+        if (changes === 0) return { ok: false, reason: 'line_not_found', report };
+        return { ok: true, report: await load(tx, report.id) };
+    });
+
+    /**
+     * Approve a submitted report once every line is decided; the approved total leaves out rejected lines
+     * @param {number|string} reportId - Report ID
+     * @param {number} approverId - Who approves
+     * @param {string|null} comment - Optional note
+     * @returns {Promise<Object>} - { ok: true, report } or { ok: false, reason: 'not_found' | 'invalid_state' | 'own_report' | 'pending_lines' | 'nothing_approved' }
+     */
+    const approve = (reportId, approverId, comment) => db.transaction(async (tx) => {
+        const { report, reason } = await loadFor(tx, reportId, 'approve', approverId);
+        if (reason) return { ok: false, reason, report };
+        const counts = await tx.get(
+            `SELECT SUM(status = 'pending') AS pending, SUM(status = 'approved') AS approved,
+                    SUM(CASE WHEN status = 'approved' THEN convertedCost ELSE 0 END) AS approvedTotal
+             FROM expense_report_items WHERE report_id = ?`,
+            [report.id]
+        );
+        if (counts.pending > 0) return { ok: false, reason: 'pending_lines', pendingLines: counts.pending, report };
+        if (!counts.approved) return { ok: false, reason: 'nothing_approved', report };
+
+        const now = new Date().toISOString();
+        await tx.run(
+            `UPDATE expense_reports SET status = 'approved', approvedTotal = ?, decidedBy = ?, decidedAt = ?, decisionComment = ?, updatedAt = ?
+             WHERE id = ?`,
+            [roundAmount(counts.approvedTotal), approverId, now, comment || null, now, report.id]
+        );
+        return { ok: true, report: await load(tx, report.id) };
+    });
+
+    /**
+     * Send a submitted report back; its expenses unlock so they can be fixed
+     * @param {number|string} reportId - Report ID
+     * @param {number} approverId - Who rejects
+     * @param {string|null} comment - Why
+     * @returns {Promise<Object>} - { ok: true, report } or { ok: false, reason: 'not_found' | 'invalid_state' | 'own_report' }
+     */
+    const reject = (reportId, approverId, comment) => db.transaction(async (tx) => {
+        const { report, reason } = await loadFor(tx, reportId, 'reject', approverId);
+        if (reason) return { ok: false, reason, report };
+        const now = new Date().toISOString();
+        await tx.run(
+            `UPDATE expense_reports SET status = 'rejected', decidedBy = ?, decidedAt = ?, decisionComment = ?, updatedAt = ?
+             WHERE id = ?`,
+            [approverId, now, comment || null, now, report.id]
+        );
+        return { ok: true, report: await load(tx, report.id) };
+    });
+
+    /**
+     * Record that an approved report was reimbursed
+     * @param {number|string} reportId - Report ID
+     * @param {number} userId - Who paid it
+     * @returns {Promise<Object>} - { ok: true, report } or { ok: false, reason: 'not_found' | 'invalid_state' | 'own_report' }
+     */
+    const markPaid = (reportId, userId) => db.transaction(async (tx) => {
+        const { report, reason } = await loadFor(tx, reportId, 'pay', userId);
+        if (reason) return { ok: false, reason, report };
+        const now = new Date().toISOString();
+        await tx.run(
+            "UPDATE expense_reports SET status = 'paid', paidBy = ?, paidAt = ?, updatedAt = ? WHERE id = ?",
+            [userId, now, now, report.id]
+        );
+        return { ok: true, report: await load(tx, report.id) };
+    });
+
+    /**
+     * Delete a draft or rejected report (its expenses stay on the trip)
+     * @param {number|string} reportId - Report ID
+     * @returns {Promise<Object>} - { ok: true, report } with the deleted row, or { ok: false, reason: 'not_found' | 'invalid_state' }
+     */
+    const remove = (reportId) => db.transaction(async (tx) => {
+        const { report, reason } = await loadFor(tx, reportId, 'delete');
+        if (reason) return { ok: false, reason, report };
+        await tx.run('DELETE FROM expense_reports WHERE id = ?', [report.id]);
+        return { ok: true, report };
+    });
+
+    return { getLock, countLockedOnTrip, create, get, listForTrip, listByStatus, submit, decideLine, approve, reject, markPaid, remove };
+}
+
+module.exports = {
+    REPORT_STATES,
+    LINE_DECISIONS,
+    LOCKED_EXPENSE_IDS,
+    canTransition,
+    createExpenseReports
+};
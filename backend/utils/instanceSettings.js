@@ -0,0 +1,107 @@
+/**
+ * Instance Settings Module
+ *
+ * Settings an admin changes for the whole instance, stored one row per key
+ * in instance_settings with the value as JSON. Keys without a row use the
+ * defaults below, so a fresh instance needs no setup.
+ *
+ * Settings:
+ *   ocrAllowedMethods - OCR methods users may pick (builtin and/or AI providers)
+ *   ocrDefaultMethod  - Method used when a request doesn't name one
+ */
+
+/**
+ * Defaults for every setting
+ * @param {string[]} ocrMethods - All OCR methods the server knows
+ * @returns {Object}
+ */
+function defaultInstanceSettings(ocrMethods) {
+    return {
+        ocrAllowedMethods: [...ocrMethods],
+        ocrDefaultMethod: 'builtin'
+    };
+}
+
+/**
+ * Check a complete settings object
+ * @param {Object} settings - Settings after applying a change
+ * @param {string[]} ocrMethods - All OCR methods the server knows
+ * @returns {string[]} - Problems found, empty if the settings are valid
+ */
+function validateInstanceSettings(settings, ocrMethods) {
+    const errors = [];
+    const allowed = settings.ocrAllowedMethods;
+    if (!Array.isArray(allowed) || allowed.length === 0) {
+        errors.push('At least one OCR method must be allowed.');
+    } else if (allowed.some(method => !ocrMethods.includes(method))) {
+        errors.push(`OCR methods must be among: ${ocrMethods.join(', ')}.`);
+    }
+    if (!ocrMethods.includes(settings.ocrDefaultMethod)) {
+        errors.push(`Unknown default OCR method: ${settings.ocrDefaultMethod}.`);
+    } else if (Array.isArray(allowed) && !allowed.includes(settings.ocrDefaultMethod)) {
+        errors.push('The default OCR method must be one of the allowed methods.');
+    }
+    return errors;
+}
+
+/**
+ * Create the instance settings store
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @param {Object} options - { ocrMethods } all OCR methods the server knows
+ * @returns {Object} - { get, update }
+ */
+function createInstanceSettings(db, { ocrMethods }) {
+    const defaults = defaultInstanceSettings(ocrMethods);
+
+    /**
+     * Current settings, with defaults for any not saved
+     * @returns {Promise<Object>}
+     */
+    const get = async () => {
+        const rows = await db.all("SELECT key, value FROM instance_settings");
+        const settings = { ...defaults };
+        rows.forEach(row => {
+            if (!Object.prototype.hasOwnProperty.call(defaults, row.key)) return; // Setting no longer exists
+            try {
+                settings[row.key] = JSON.parse(row.value);
+            } catch (err) {
+                console.error(`Instance setting ${row.key} is not valid JSON; using the default.`);
+            }
+        });
+        return settings;
+    };
+
+    /**
+     * Change some settings; unknown keys are ignored
+     * @param {Object} changes - Settings to change
+     * @param {number} userId - Admin making the change
+     * @returns {Promise<Object>} - { ok: true, settings } or { ok: false, errors }
+     */
+    const update = async (changes, userId) => {
+        const keys = Object.keys(changes).filter(key => Object.prototype.hasOwnProperty.call(defaults, key));
+        const settings = { ...await get() };
+        keys.forEach(key => { settings[key] = changes[key]; });
+        const errors = validateInstanceSettings(settings, ocrMethods);
+        if (errors.length > 0) return { ok: false, errors };
+
+        const now = new Date().toISOString();
+        await db.transaction(async (tx) => {
+            for (const key of keys) {
+                await tx.run(
+                    `INSERT INTO instance_settings (key, value, updatedAt, updatedBy) VALUES (?, ?, ?, ?)
+                     ON CONFLICT (key) DO UPDATE SET value = excluded.value, updatedAt = excluded.updatedAt, updatedBy = excluded.updatedBy`,
+                    [key, JSON.stringify(settings[key]), now, userId]
+                );
+            }
+        });
+        return { ok: true, settings };
+    };
+
+    return { get, update };
+}
+
+module.exports = {
+    defaultInstanceSettings,
+    validateInstanceSettings,
+    createInstanceSettings
+};
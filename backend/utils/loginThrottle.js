@@ -0,0 +1,149 @@
+/**
+ * Login Throttle Module
+ *
+ * Slows down password guessing. Attempts are counted per key (a username,
+ * a client IP, or an IP registering accounts) in the database, so a restart
+ * doesn't reset them. After a few free attempts each further one must wait
+ * twice as long as the last (1s, 2s, 4s, ...); after many, the key is locked
+ * out for a while. Counts are forgotten once a key has been quiet for a
+ * window, and a successful login clears its username.
+ *
+ * An attempt is counted before the password is checked, so parallel
+ * requests can't slip past the limit while bcrypt runs.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Per kind of key: free attempts, backoff after them, and when to lock out
+const DEFAULT_LIMITS = {
+    username: { freeAttempts: 3, baseDelayMs: 1000, maxDelayMs: MINUTE_MS, lockoutAfter: 10, lockoutMs: 15 * MINUTE_MS, windowMs: 15 * MINUTE_MS },
+    // Generous, since offices and phone carriers put many people behind one address
+    ip: { freeAttempts: 10, baseDelayMs: 1000, maxDelayMs: MINUTE_MS, lockoutAfter: 50, lockoutMs: 15 * MINUTE_MS, windowMs: 15 * MINUTE_MS },
+    register: { freeAttempts: 5, baseDelayMs: MINUTE_MS, maxDelayMs: 60 * MINUTE_MS, lockoutAfter: 20, lockoutMs: 60 * MINUTE_MS, windowMs: 60 * MINUTE_MS }
+};
+
+/**
+ * When a key may next try, given its row
+ * @param {Object|undefined} row - login_throttle row
+ * @param {Object} limit - Limits for the row's kind
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { until, locked } if the key must wait, otherwise null
+ */
+function blockedUntil(row, limit, now) {
+    if (!row) return null;
+    if (row.lockedUntil) {
+        const lockedUntil = new Date(row.lockedUntil);
+        return lockedUntil > now ? { until: lockedUntil, locked: true } : null;
+    }
+    const lastAttemptAt = new Date(row.lastAttemptAt);
+    if (now - lastAttemptAt >= limit.windowMs || row.attempts < limit.freeAttempts) return null;
+    const delay = Math.min(limit.baseDelayMs * 2 ** (row.attempts - limit.freeAttempts), limit.maxDelayMs);
+    const until = new Date(lastAttemptAt.getTime() + delay);
+    return until > now ? { until, locked: false } : null;
+}
+
+/**
+ * Create the login throttle
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @param {Object} [options] - { limits } overrides per kind, merged over DEFAULT_LIMITS
+ * @returns {Object} - { attempt, succeeded, reset, getLocks }
+ */
+function createLoginThrottle(db, { limits = {} } = {}) {
+    const limitsByKind = {};
+    Object.keys(DEFAULT_LIMITS).forEach(kind => {
+        limitsByKind[kind] = { ...DEFAULT_LIMITS[kind], ...limits[kind] };
+    });
+    const limitFor = (kind) => {
+        if (!limitsByKind[kind]) throw new Error(`Unknown throttle kind: ${kind}`);
+        return limitsByKind[kind];
+    };
+    const getRow = (tx, kind, subject) =>
+        tx.get("SELECT * FROM login_throttle WHERE kind = ? AND subject = ?", [kind, subject]);
+
+    /**
+     * Count an attempt against every key, unless one of them must wait
+     * @param {Object[]} keys - [{ kind, subject }]
+     * @returns {Promise<Object>} - { allowed: true, locked: [{ kind, subject }] } listing keys this attempt locked out,
+     *   or { allowed: false, kind, locked, retryAfterMs } for the key that must wait longest
+     */
+    const attempt = (keys) => db.transaction(async (tx) => {
+        const now = new Date();
+        const rows = await Promise.all(keys.map(({ kind, subject }) => getRow(tx, kind, subject)));
+
+        let wait = null;
+        keys.forEach(({ kind }, index) => {
+            const blocked = blockedUntil(rows[index], limitFor(kind), now);
+            if (blocked && (!wait || blocked.until > wait.until)) wait = { ...blocked, kind };
+        });
+        if (wait) return { allowed: false, kind: wait.kind, locked: wait.locked, retryAfterMs: wait.until - now };
+
+        const locked = [];
+        for (const [index, { kind, subject }] of keys.entries()) {
+            const limit = limitFor(kind);
+            const row = rows[index];
+            // A quiet spell or a finished lockout starts the count again
+            const fresh = !row || row.lockedUntil || now - new Date(row.lastAttemptAt) >= limit.windowMs;
+            const attempts = fresh ? 1 : row.attempts + 1;
+            const lockedUntil = attempts >= limit.lockoutAfter ? new Date(now.getTime() + limit.lockoutMs).toISOString() : null;
+            if (lockedUntil) locked.push({ kind, subject });
+            await tx.run(
+                `INSERT INTO login_throttle (kind, subject, attempts, lastAttemptAt, lockedUntil) VALUES (?, ?, ?, ?, ?)
+                 ON CONFLICT (kind, subject) DO UPDATE SET attempts = excluded.attempts,
+                     lastAttemptAt = excluded.lastAttemptAt, lockedUntil = excluded.lockedUntil`,
+                [kind, subject, attempts, now.toISOString(), lockedUntil]
+            );
+        }
+        return { allowed: true, locked };
+    });
+
+    /**
+     * Take back a successful login's attempt: clears the username, and uncounts it for the IP
+     * @param {Object[]} keys - The keys passed to attempt()
+     * @returns {Promise<void>}
+     */
+    const succeeded = (keys) => db.transaction(async (tx) => {
+        for (const { kind, subject } of keys) {
+            if (kind === 'username') {
+                await tx.run("DELETE FROM login_throttle WHERE kind = ? AND subject = ?", [kind, subject]);
+            } else {
+                await tx.run(
+                    "UPDATE login_throttle SET attempts = MAX(attempts - 1, 0) WHERE kind = ? AND subject = ? AND lockedUntil IS NULL",
+                    [kind, subject]
+                );
+            }
+        }
+    });
+
+    /**
+     * Forget a key's attempts, lifting any lockout
+     * @param {string} kind - 'username', 'ip' or 'register'
+     * @param {string} subject - The username or address
+     * @returns {Promise<boolean>} - Whether the key had been locked out
+     */
+    const reset = async (kind, subject) => {
+        const row = await getRow(db, kind, subject);
+        await db.run("DELETE FROM login_throttle WHERE kind = ? AND subject = ?", [kind, subject]);
+        return !!(row && row.lockedUntil && new Date(row.lockedUntil) > new Date());
+    };
+
+    /**
+     * Current lockouts of one kind
+     * @param {string} kind - 'username', 'ip' or 'register'
+     * @returns {Promise<Map<string, string>>} - subject -> lockedUntil
+     */
+    const getLocks = async (kind) => {
+        const rows = await db.all(
+            "SELECT subject, lockedUntil FROM login_throttle WHERE kind = ? AND lockedUntil > ?",
+            [kind, new Date().toISOString()]
+        );
+        return new Map(rows.map(row => [row.subject, row.lockedUntil]));
+    };
+
+    return { attempt, succeeded, reset, getLocks };
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    blockedUntil,
+    createLoginThrottle
+};
@@ -0,0 +1,95 @@
+/**
+ * Mail Transport Module
+ *
+ * Outgoing mail (password reset links and the like) goes through a small
+ * transport interface with one method, send(message). Two transports exist:
+ *   - smtp: delivers through an SMTP server via nodemailer
+ *   - file: writes each message as a JSON file into an outbox directory, for
+ *     development and tests where no mail server is available
+ * MAIL_TRANSPORT picks one (default file).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'mail-outbox');
+const DEFAULT_FROM = 'Expense Tracker <no-reply@localhost>';
+
+/**
+ * Transport that writes messages to disk instead of sending them
+ * @param {Object} options - { outboxDir, from }
+ * @returns {Object} - { name, send, outboxDir }
+ */
+function createFileTransport({ outboxDir = DEFAULT_OUTBOX_DIR, from = DEFAULT_FROM } = {}) {
+    /**
+     * Write a message to the outbox
+     * @param {Object} message - { to, subject, text, html }
+     * @returns {Promise<Object>} - { messageId, path }
+     */
+    const send = async (message) => {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const filePath = path.join(outboxDir, `${messageId}.json`);
+        const stored = { messageId, date: new Date().toISOString(), from, ...message };
+        await fs.promises.writeFile(filePath, JSON.stringify(stored, null, 2), 'utf8');
+        console.log(`Mail: wrote "${message.subject}" for ${message.to} to ${filePath}`);
+        return { messageId, path: filePath };
+    };
+    return { name: 'file', send, outboxDir };
+}
+
+/**
+ * Transport that delivers through an SMTP server
+ * @param {Object} options - { host, port, secure, user, pass, from }
+ * @returns {Object} - { name, send }
+ */
+function createSmtpTransport({ host, port = 587, secure = false, user, pass, from = DEFAULT_FROM }) {
+    if (!host) throw new Error('SMTP_HOST must be set to send mail over SMTP.');
+    // Loaded here so the file transport works without nodemailer installed
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+    const send = async (message) => {
+        const info = await transporter.sendMail({ from, ...message });
+        console.log(`Mail: sent "${message.subject}" to ${message.to} (${info.messageId})`);
+        return { messageId: info.messageId };
+    };
+    return { name: 'smtp', send };
+}
+
+/**
+ * Build the transport configured in the environment
+ * @param {Object} env - Usually process.env: MAIL_TRANSPORT, MAIL_FROM, MAIL_OUTBOX_DIR,
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * @returns {Object} - A transport with send(message)
+ */
+function createMailTransport(env = process.env) {
+    const from = env.MAIL_FROM || DEFAULT_FROM;
+    const type = (env.MAIL_TRANSPORT || 'file').toLowerCase();
+    switch (type) {
+        case 'smtp':
+            return createSmtpTransport({
+                host: env.SMTP_HOST,
+                port: parseInt(env.SMTP_PORT, 10) || 587,
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS,
+                from
+            });
+        case 'file':
+            return createFileTransport({ outboxDir: env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR, from });
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${type}" (use smtp or file).`);
+    }
+}
+
+module.exports = {
+    createFileTransport,
+    createSmtpTransport,
+    createMailTransport
+};
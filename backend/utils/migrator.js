@@ -0,0 +1,150 @@
+/**
+ * Schema Migration Runner
+ *
+ * Applies the numbered migrations in backend/migrations/ and records each
+ * applied version in the schema_migrations table. Every migration runs in
+ * its own transaction, so a failing migration leaves the schema untouched.
+ *
+ * Migration files are named NNN_description.js and export:
+ *   up(db)   - async function applying the change
+ *   down(db) - async function reverting it
+ * where db is the promise helper object from utils/sqlite.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisifyDb } = require('./sqlite');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_REGEX = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Load migration modules from disk, sorted by version
+ * @param {string} dir - Directory containing migration files
+ * @returns {Array<Object>} - [{ version, name, up, down }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    if (!fs.existsSync(dir)) return [];
+
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE_REGEX) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down() functions.`);
+            }
+            return { version: parseInt(match[1], 10), name: match[2], up: migration.up, down: migration.down };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    // Two files with the same number would make the applied set ambiguous
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}.`);
+        }
+    }
+    return migrations;
+}
+
+/**
+ * Create the schema_migrations bookkeeping table if needed
+ * @param {Object} dbAsync - Promise helpers for the connection
+ */
+async function ensureMigrationsTable(dbAsync) {
+    await dbAsync.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+/**
+ * Get the versions already applied to this database
+ * @param {Object} dbAsync - Promise helpers for the connection
+ * @returns {Promise<Array<Object>>} - Rows from schema_migrations, oldest first
+ */
+async function getAppliedMigrations(dbAsync) {
+    await ensureMigrationsTable(dbAsync);
+    return dbAsync.all('SELECT version, name, appliedAt FROM schema_migrations ORDER BY version ASC');
+}
+
+/**
+ * Apply all pending migrations (optionally up to a target version)
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {Object} options - { target, dir }
+ * @returns {Promise<Array<Object>>} - Migrations that were applied
+ */
+async function migrateUp(db, { target = Infinity, dir = MIGRATIONS_DIR } = {}) {
+    const dbAsync = promisifyDb(db);
+    const migrations = loadMigrations(dir);
+    const appliedVersions = new Set((await getAppliedMigrations(dbAsync)).map(row => row.version));
+    const pending = migrations.filter(m => !appliedVersions.has(m.version) && m.version <= target);
+
+    for (const migration of pending) {
+        console.log(`Applying migration ${migration.version}_${migration.name}...`);
+        await dbAsync.transaction(async (tx) => {
+            await migration.up(tx);
+            await tx.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        });
+    }
+    return pending;
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {Object} options - { steps, dir }
+ * @returns {Promise<Array<Object>>} - Migrations that were reverted
+ */
+async function migrateDown(db, { steps = 1, dir = MIGRATIONS_DIR } = {}) {
+    const dbAsync = promisifyDb(db);
+    const migrations = loadMigrations(dir);
+    const applied = (await getAppliedMigrations(dbAsync)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const row of applied) {
+        const migration = migrations.find(m => m.version === row.version);
+        if (!migration) {
+            throw new Error(`Migration file for applied version ${row.version} (${row.name}) not found.`);
+        }
+        console.log(`Reverting migration ${migration.version}_${migration.name}...`);
+        await dbAsync.transaction(async (tx) => {
+            await migration.down(tx);
+            await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        });
+        reverted.push(migration);
+    }
+    return reverted;
+}
+
+/**
+ * List every known migration with its applied state
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {Object} options - { dir }
+ * @returns {Promise<Array<Object>>} - [{ version, name, applied, appliedAt }]
+ */
+async function getMigrationStatus(db, { dir = MIGRATIONS_DIR } = {}) {
+    const dbAsync = promisifyDb(db);
+    const migrations = loadMigrations(dir);
+    const applied = await getAppliedMigrations(dbAsync);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    return migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        applied: appliedByVersion.has(m.version),
+        appliedAt: appliedByVersion.has(m.version) ? appliedByVersion.get(m.version).appliedAt : null
+    }));
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    getAppliedMigrations,
+    migrateUp,
+    migrateDown,
+    getMigrationStatus
+};
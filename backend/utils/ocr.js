@@ -6,11 +6,14 @@
  */
 
 const fs = require('fs');
+const path = require('path');
 const Tesseract = require('tesseract.js');
 const pdf = require('pdf-parse');
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 const OpenAI = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
+const { normalizeCurrency } = require('./currency');
+const { runInWorker } = require('./receiptImages');
 
 /**
  * Extract text from a PDF file
@@ -20,7 +23,9 @@ const Anthropic = require('@anthropic-ai/sdk');
 async function extractTextFromPDF(pdfPath) {
     try {
         const dataBuffer = fs.readFileSync(pdfPath);
-        const data = await pdf(dataBuffer);
+        // pdf-parse's pdf.js reads the whole ArrayBuffer behind what it's given, and small
+        // files are read into a slice of Node's shared buffer pool, so pass a copy of its own
+        const data = await pdf(new Uint8Array(dataBuffer));
         return data.text;
     } catch (error) {
         console.error('PDF text extraction error:', error);
@@ -28,19 +33,86 @@ async function extractTextFromPDF(pdfPath) {
     }
 }
 
+// PDF pages rendered for OCR: at most this many, each up to PDF_PAGE_MAX_SIDE pixels on its longest side
+const MAX_PDF_PAGES = 3;
+const PDF_PAGE_MAX_SIDE = 2000;
+
+/**
+ * Render the first pages of a PDF to PNG images
+ * Vision providers only take images, and scanned PDFs have no text layer to read.
+ * Drawing runs in the receipt image worker (see receiptImages.js), off the server's thread.
+ * @param {string} pdfPath - Path to the PDF file
+ * @param {number} [maxPages] - Number of pages to render
+ * @returns {Promise<Buffer[]>} - One PNG per page
+ * @throws {Error} - When @napi-rs/canvas isn't installed, or the PDF can't be read
+ */
+function renderPdfPages(pdfPath, maxPages = MAX_PDF_PAGES) {
+    return runInWorker('pdfPages', pdfPath, maxPages);
+}
+
+/**
+ * renderPdfPages, in the calling process
+ * In Node, pdfjs-dist draws with @napi-rs/canvas, since it needs Path2D, which the
+ * canvas package doesn't have. It is the same canvas library receipt images are
+ * drawn with, and a dependency of the backend.
+ * @param {string} pdfPath - Path to the PDF file
+ * @param {number} [maxPages] - Number of pages to render
+ * @returns {Promise<Buffer[]>} - One PNG per page
+ */
+async function drawPdfPages(pdfPath, maxPages = MAX_PDF_PAGES) {
+    // Without it pdfjs-dist only logs a warning, and then fails on the first page it draws
+    try {
+        require.resolve('@napi-rs/canvas');
+    } catch (err) {
+        throw new Error('PDF pages can\'t be rendered: the @napi-rs/canvas package is not installed (run npm install in backend/).');
+    }
+    // Loaded here because pdfjs-dist is an ES module
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const pdfjsDir = path.dirname(require.resolve('pdfjs-dist/package.json'));
+    const document = await pdfjs.getDocument({
+        data: new Uint8Array(fs.readFileSync(pdfPath)),
+        // Fonts and character maps for PDFs that don't embed them
+        standardFontDataUrl: path.join(pdfjsDir, 'standard_fonts') + path.sep,
+        cMapUrl: path.join(pdfjsDir, 'cmaps') + path.sep,
+        cMapPacked: true,
+        isEvalSupported: false
+    }).promise;
+
+    try {
+        if (!document.canvasFactory) throw new Error('PDF pages can\'t be rendered: pdfjs-dist has no canvas to draw on.');
+        const pages = [];
+        for (let number = 1; number <= Math.min(document.numPages, maxPages); number++) {
+            const page = await document.getPage(number);
+            const { width, height } = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: PDF_PAGE_MAX_SIDE / Math.max(width, height) });
+            const { canvas, context } = document.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+            // Pages are transparent; OCR wants dark text on white
+            context.fillStyle = '#fff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: context, viewport }).promise;
+            pages.push(canvas.toBuffer('image/png'));
+            page.cleanup();
+        }
+        if (pages.length === 0) throw new Error('The PDF has no pages.');
+        return pages;
+    } finally {
+        await document.destroy();
+    }
+}
+
 /**
- * Convert a file to a generative part for AI API requests
+ * The images to send a vision provider for a receipt
+ * PDFs are sent as their rendered pages, images as they are.
  * @param {string} filePath - Path to the file
  * @param {string} mimeType - MIME type of the file
- * @returns {Object} - Generative part object for AI API
+ * @returns {Promise<Object[]>} - [{ data, mimeType }] with base64 data
  */
-function fileToGenerativePart(filePath, mimeType) {
-    return {
-        inlineData: {
-            data: Buffer.from(fs.readFileSync(filePath)).toString("base64"),
-            mimeType
-        },
-    };
+async function receiptToImages(filePath, mimeType) {
+    if (mimeType === 'application/pdf') {
+        const pages = await renderPdfPages(filePath);
+        return pages.map(page => ({ data: page.toString('base64'), mimeType: 'image/png' }));
+    }
+    return [{ data: Buffer.from(fs.readFileSync(filePath)).toString('base64'), mimeType }];
 }
 
 /**
@@ -121,6 +193,39 @@ function findCostInText(text) {
     return bestMatch;
 }
 
+// Currency symbols that identify a single currency. '$' is deliberately
+// missing: it is used by too many currencies to guess from.
+const CURRENCY_SYMBOLS = {
+    '€': 'EUR',
+    '£': 'GBP',
+    '¥': 'JPY',
+    '₹': 'INR',
+    '₩': 'KRW',
+    '₦': 'NGN',
+    '₱': 'PHP',
+    '₺': 'TRY',
+    '₪': 'ILS',
+    '฿': 'THB'
+};
+
+// ISO codes commonly printed on receipts next to the total
+const KNOWN_CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'NZD', 'CHF', 'CNY', 'HKD', 'SGD', 'INR', 'KRW', 'MXN', 'BRL', 'ZAR', 'NGN', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'TRY', 'AED', 'SAR', 'ILS', 'THB', 'PHP', 'KES', 'GHS'];
+
+/**
+ * Find the currency of the amounts in the OCR text
+ * @param {string} text - OCR text to search
+ * @returns {string|null} - ISO 4217 code or null if not found
+ */
+function findCurrencyInText(text) {
+    const codeMatch = text.match(new RegExp(`\\b(${KNOWN_CURRENCY_CODES.join('|')})\\b`));
+    if (codeMatch) return codeMatch[1];
+
+    for (const [symbol, code] of Object.entries(CURRENCY_SYMBOLS)) {
+        if (text.includes(symbol)) return code;
+    }
+    return null;
+}
+
 /**
  * Find a vendor name in the OCR text
  * @param {string} text - OCR text to search
@@ -213,6 +318,19 @@ async function processWithBuiltinOCR(filePath, mimeType) {
     
     if (mimeType === 'application/pdf') {
         text = await extractTextFromPDF(filePath);
+        // A scanned PDF has no text layer, so read its pages like photos
+        if (!/[a-z0-9]/i.test(text)) {
+            try {
+                const pages = await renderPdfPages(filePath);
+                const results = [];
+                for (const page of pages) {
+                    results.push((await Tesseract.recognize(page, 'eng')).data.text);
+                }
+                text = results.join('\n');
+            } catch (error) {
+                console.error('Could not run OCR on the pages of a scanned PDF:', error.message);
+            }
+        }
     } else if (mimeType.startsWith('image/')) {
         const { data } = await Tesseract.recognize(filePath, 'eng');
         text = data.text;
@@ -226,6 +344,7 @@ async function processWithBuiltinOCR(filePath, mimeType) {
         vendor: findVendorInText(text),
         location: findLocationInText(text),
         cost: findCostInText(text),
+        currency: findCurrencyInText(text),
         method: 'builtin'
     };
 }
@@ -243,11 +362,11 @@ async function processWithGeminiOCR(filePath, mimeType, apiKey, modelName = 'gem
         const genAI = new GoogleGenerativeAI(apiKey);
         const model = genAI.getGenerativeModel({ model: modelName });
 
-        const prompt = `Extract the following details from this receipt image/document in JSON format: date (YYYY-MM-DD), cost (total amount as number), vendor (store/service name), location (city/address), type (e.g., Groceries, Dining, Transportation, Shopping, Utilities, Entertainment, Healthcare, Travel, Office, Expense). If a field cannot be determined, use null for its value. Respond ONLY with the JSON object. Example: {"date": "2024-01-15", "cost": 25.50, "vendor": "Example Store", "location": "Anytown", "type": "Shopping"}`;
+        const prompt = `Extract the following details from this receipt image/document in JSON format: date (YYYY-MM-DD), cost (total amount as number), vendor (store/service name), location (city/address), type (e.g., Groceries, Dining, Transportation, Shopping, Utilities, Entertainment, Healthcare, Travel, Office, Expense), currency (ISO 4217 code of the total, e.g. USD, EUR, GBP, JPY). If a field cannot be determined, use null for its value. Respond ONLY with the JSON object. Example: {"date": "2024-01-15", "cost": 25.50, "vendor": "Example Store", "location": "Anytown", "type": "Shopping", "currency": "USD"}`;
 
-        const imagePart = fileToGenerativePart(filePath, mimeType);
+        const imageParts = (await receiptToImages(filePath, mimeType)).map(image => ({ inlineData: image }));
 
-        const result = await model.generateContent([prompt, imagePart]);
+        const result = await model.generateContent([prompt, ...imageParts]);
         const response = await result.response;
         const responseText = response.text();
         console.log("Gemini API Response Text:", responseText);
@@ -264,8 +383,9 @@ async function processWithGeminiOCR(filePath, mimeType, apiKey, modelName = 'gem
             const vendor = extractedData.vendor && typeof extractedData.vendor === 'string' ? extractedData.vendor.trim() : null;
             const location = extractedData.location && typeof extractedData.location === 'string' ? extractedData.location.trim() : null;
             const type = extractedData.type && typeof extractedData.type === 'string' ? extractedData.type.trim() : 'Expense';
+            const currency = normalizeCurrency(extractedData.currency);
 
-            console.log(`Gemini Parsed Data: Date: ${date}, Cost: ${cost}, Vendor: ${vendor}, Location: ${location}, Type: ${type}`);
+            console.log(`Gemini Parsed Data: Date: ${date}, Cost: ${cost}, Currency: ${currency}, Vendor: ${vendor}, Location: ${location}, Type: ${type}`);
             
             return {
                 type,
@@ -273,6 +393,7 @@ async function processWithGeminiOCR(filePath, mimeType, apiKey, modelName = 'gem
                 vendor,
                 location,
                 cost,
+                currency,
                 method: 'gemini'
             };
         } catch (parseError) {
@@ -302,10 +423,12 @@ async function processWithGeminiOCR(filePath, mimeType, apiKey, modelName = 'gem
 async function processWithOpenAIOCR(filePath, mimeType, apiKey, modelName = 'gpt-4-vision-preview') {
     try {
         const openai = new OpenAI({ apiKey });
-        const base64Image = Buffer.from(fs.readFileSync(filePath)).toString('base64');
-        const dataUrl = `data:${mimeType};base64,${base64Image}`;
+        const imageParts = (await receiptToImages(filePath, mimeType)).map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+        }));
 
-        const prompt = `Extract the following details from this receipt image/document in JSON format: date (YYYY-MM-DD), cost (total amount as number), vendor (store/service name), location (city/address), type (e.g., Groceries, Dining, Transportation, Shopping, Utilities, Entertainment, Healthcare, Travel, Office, Expense). If a field cannot be determined, use null for its value. Respond ONLY with the JSON object. Example: {"date": "2024-01-15", "cost": 25.50, "vendor": "Example Store", "location": "Anytown", "type": "Shopping"}`;
+        const prompt = `Extract the following details from this receipt image/document in JSON format: date (YYYY-MM-DD), cost (total amount as number), vendor (store/service name), location (city/address), type (e.g., Groceries, Dining, Transportation, Shopping, Utilities, Entertainment, Healthcare, Travel, Office, Expense), currency (ISO 4217 code of the total, e.g. USD, EUR, GBP, JPY). If a field cannot be determined, use null for its value. Respond ONLY with the JSON object. Example: {"date": "2024-01-15", "cost": 25.50, "vendor": "Example Store", "location": "Anytown", "type": "Shopping", "currency": "USD"}`;
 
         const response = await openai.chat.completions.create({
             model: modelName,
@@ -314,10 +437,7 @@ async function processWithOpenAIOCR(filePath, mimeType, apiKey, modelName = 'gpt
                     role: 'user',
                     content: [
                         { type: 'text', text: prompt },
-                        {
-                            type: 'image_url',
-                            image_url: { url: dataUrl },
-                        },
+                        ...imageParts,
                     ],
                 },
             ],
@@ -337,9 +457,10 @@ async function processWithOpenAIOCR(filePath, mimeType, apiKey, modelName = 'gpt
             const vendor = extractedData.vendor && typeof extractedData.vendor === 'string' ? extractedData.vendor.trim() : null;
             const location = extractedData.location && typeof extractedData.location === 'string' ? extractedData.location.trim() : null;
             const type = extractedData.type && typeof extractedData.type === 'string' ? extractedData.type.trim() : 'Expense';
+            const currency = normalizeCurrency(extractedData.currency);
 
-            console.log(`OpenAI Parsed Data: Date: ${date}, Cost: ${cost}, Vendor: ${vendor}, Location: ${location}, Type: ${type}`);
-            return { type, date, vendor, location, cost, method: 'openai' };
+            console.log(`OpenAI Parsed Data: Date: ${date}, Cost: ${cost}, Currency: ${currency}, Vendor: ${vendor}, Location: ${location}, Type: ${type}`);
+            return { type, date, vendor, location, cost, currency, method: 'openai' };
         } catch (parseError) {
             console.error("Failed to parse JSON response from OpenAI:", parseError);
             console.error("Original OpenAI response text:", responseText);
@@ -362,18 +483,25 @@ async function processWithOpenAIOCR(filePath, mimeType, apiKey, modelName = 'gpt
  * @returns {Promise<Object>} - Extracted data
  */
 async function processWithClaudeOCR(filePath, mimeType, apiKey, modelName = 'claude-3-haiku-20240307') {
-     // Claude Vision currently requires specific MIME types
+     // Claude Vision currently requires specific MIME types; PDFs are sent as rendered pages
      const supportedMimeTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-     if (!supportedMimeTypes.includes(mimeType)) {
+     if (mimeType !== 'application/pdf' && !supportedMimeTypes.includes(mimeType)) {
          console.warn(`Claude does not support MIME type ${mimeType}. Falling back to built-in OCR.`);
          return processWithBuiltinOCR(filePath, mimeType);
      }
 
     try {
         const anthropic = new Anthropic({ apiKey });
-        const base64Image = Buffer.from(fs.readFileSync(filePath)).toString('base64');
+        const imageBlocks = (await receiptToImages(filePath, mimeType)).map(image => ({
+            type: 'image',
+            source: {
+                type: 'base64',
+                media_type: image.mimeType,
+                data: image.data,
+            },
+        }));
 
-        const prompt = `Extract the following details from this receipt image in JSON format: date (YYYY-MM-DD), cost (total amount as number), vendor (store/service name), location (city/address), type (e.g., Groceries, Dining, Transportation, Shopping, Utilities, Entertainment, Healthcare, Travel, Office, Expense). If a field cannot be determined, use null for its value. Respond ONLY with the JSON object. Example: {"date": "2024-01-15", "cost": 25.50, "vendor": "Example Store", "location": "Anytown", "type": "Shopping"}`;
+        const prompt = `Extract the following details from this receipt image in JSON format: date (YYYY-MM-DD), cost (total amount as number), vendor (store/service name), location (city/address), type (e.g., Groceries, Dining, Transportation, Shopping, Utilities, Entertainment, Healthcare, Travel, Office, Expense), currency (ISO 4217 code of the total, e.g. USD, EUR, GBP, JPY). If a field cannot be determined, use null for its value. Respond ONLY with the JSON object. Example: {"date": "2024-01-15", "cost": 25.50, "vendor": "Example Store", "location": "Anytown", "type": "Shopping", "currency": "USD"}`;
 
         const msg = await anthropic.messages.create({
             model: modelName,
@@ -382,14 +510,7 @@ async function processWithClaudeOCR(filePath, mimeType, apiKey, modelName = 'cla
                 {
                     role: 'user',
                     content: [
-                        {
-                            type: 'image',
-                            source: {
-                                type: 'base64',
-                                media_type: mimeType,
-                                data: base64Image,
-                            },
-                        },
+                        ...imageBlocks,
                         { type: 'text', text: prompt }
                     ],
                 },
@@ -412,9 +533,10 @@ async function processWithClaudeOCR(filePath, mimeType, apiKey, modelName = 'cla
             const vendor = extractedData.vendor && typeof extractedData.vendor === 'string' ? extractedData.vendor.trim() : null;
             const location = extractedData.location && typeof extractedData.location === 'string' ? extractedData.location.trim() : null;
             const type = extractedData.type && typeof extractedData.type === 'string' ? extractedData.type.trim() : 'Expense';
+            const currency = normalizeCurrency(extractedData.currency);
 
-            console.log(`Claude Parsed Data: Date: ${date}, Cost: ${cost}, Vendor: ${vendor}, Location: ${location}, Type: ${type}`);
-            return { type, date, vendor, location, cost, method: 'claude' };
+            console.log(`Claude Parsed Data: Date: ${date}, Cost: ${cost}, Currency: ${currency}, Vendor: ${vendor}, Location: ${location}, Type: ${type}`);
+            return { type, date, vendor, location, cost, currency, method: 'claude' };
         } catch (parseError) {
             console.error("Failed to parse JSON response from Claude:", parseError);
             console.error("Original Claude response text:", responseText);
@@ -450,10 +572,12 @@ async function processWithOpenRouterOCR(filePath, mimeType, apiKey, modelName =
             // },
         });
 
-        const base64Image = Buffer.from(fs.readFileSync(filePath)).toString('base64');
-        const dataUrl = `data:${mimeType};base64,${base64Image}`;
+        const imageParts = (await receiptToImages(filePath, mimeType)).map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+        }));
 
-        const prompt = `Extract the following details from this receipt image/document in JSON format: date (YYYY-MM-DD), cost (total amount as number), vendor (store/service name), location (city/address), type (e.g., Groceries, Dining, Transportation, Shopping, Utilities, Entertainment, Healthcare, Travel, Office, Expense). If a field cannot be determined, use null for its value. Respond ONLY with the JSON object. Example: {"date": "2024-01-15", "cost": 25.50, "vendor": "Example Store", "location": "Anytown", "type": "Shopping"}`;
+        const prompt = `Extract the following details from this receipt image/document in JSON format: date (YYYY-MM-DD), cost (total amount as number), vendor (store/service name), location (city/address), type (e.g., Groceries, Dining, Transportation, Shopping, Utilities, Entertainment, Healthcare, Travel, Office, Expense), currency (ISO 4217 code of the total, e.g. USD, EUR, GBP, JPY). If a field cannot be determined, use null for its value. Respond ONLY with the JSON object. Example: {"date": "2024-01-15", "cost": 25.50, "vendor": "Example Store", "location": "Anytown", "type": "Shopping", "currency": "USD"}`;
 
         const response = await openai.chat.completions.create({
             model: modelName,
@@ -462,10 +586,7 @@ async function processWithOpenRouterOCR(filePath, mimeType, apiKey, modelName =
                     role: 'user',
                     content: [
                         { type: 'text', text: prompt },
-                        {
-                            type: 'image_url',
-                            image_url: { url: dataUrl },
-                        },
+                        ...imageParts,
                     ],
                 },
             ],
@@ -483,9 +604,10 @@ async function processWithOpenRouterOCR(filePath, mimeType, apiKey, modelName =
             const vendor = extractedData.vendor && typeof extractedData.vendor === 'string' ? extractedData.vendor.trim() : null;
             const location = extractedData.location && typeof extractedData.location === 'string' ? extractedData.location.trim() : null;
             const type = extractedData.type && typeof extractedData.type === 'string' ? extractedData.type.trim() : 'Expense';
+            const currency = normalizeCurrency(extractedData.currency);
 
-            console.log(`OpenRouter Parsed Data: Date: ${date}, Cost: ${cost}, Vendor: ${vendor}, Location: ${location}, Type: ${type}`);
-            return { type, date, vendor, location, cost, method: 'openrouter' };
+            console.log(`OpenRouter Parsed Data: Date: ${date}, Cost: ${cost}, Currency: ${currency}, Vendor: ${vendor}, Location: ${location}, Type: ${type}`);
+            return { type, date, vendor, location, cost, currency, method: 'openrouter' };
         } catch (parseError) {
             console.error("Failed to parse JSON response from OpenRouter:", parseError);
             console.error("Original OpenRouter response text:", responseText);
@@ -499,12 +621,60 @@ async function processWithOpenRouterOCR(filePath, mimeType, apiKey, modelName =
     }
 }
 
+// Environment variable holding each AI provider's API key
+const OCR_API_KEY_VARS = {
+    gemini: 'GEMINI_API_KEY',
+    openai: 'OPENAI_API_KEY',
+    claude: 'CLAUDE_API_KEY',
+    openrouter: 'OPENROUTER_API_KEY'
+};
+
+/**
+ * Get the server's API key for an OCR method, ignoring .env placeholders
+ * @param {string} ocrMethod - builtin, gemini, openai, claude or openrouter
+ * @returns {string|null} - The key, or null if none is configured (always null for builtin)
+ */
+function getOcrApiKey(ocrMethod) {
+    const envVar = OCR_API_KEY_VARS[ocrMethod];
+    const apiKey = envVar ? process.env[envVar] : null;
+    if (!apiKey || apiKey.startsWith('YOUR_') || apiKey.endsWith('_HERE')) return null;
+    return apiKey;
+}
+
+/**
+ * Run OCR on a receipt with the chosen method
+ * @param {string} filePath - Path to the file
+ * @param {string} mimeType - MIME type of the file
+ * @param {string} ocrMethod - builtin (default), gemini, openai, claude or openrouter
+ * @param {string} [modelName] - Provider model, or the provider's default
+ * @param {string} [apiKey] - Key to call the provider with; defaults to the server's key
+ * @returns {Promise<Object>} - Extracted data
+ */
+async function processReceiptFile(filePath, mimeType, ocrMethod = 'builtin', modelName = undefined, apiKey = undefined) {
+    if (!OCR_API_KEY_VARS[ocrMethod]) {
+        return processWithBuiltinOCR(filePath, mimeType);
+    }
+    apiKey = apiKey || getOcrApiKey(ocrMethod);
+    if (!apiKey) {
+        throw new Error(`No API key for ${ocrMethod}: add your own on the Settings page.`);
+    }
+    const model = modelName || undefined; // Empty strings fall back to the default model
+    switch (ocrMethod) {
+        case 'gemini': return processWithGeminiOCR(filePath, mimeType, apiKey, model);
+        case 'openai': return processWithOpenAIOCR(filePath, mimeType, apiKey, model);
+        case 'claude': return processWithClaudeOCR(filePath, mimeType, apiKey, model);
+        default: return processWithOpenRouterOCR(filePath, mimeType, apiKey, model);
+    }
+}
 
 module.exports = {
     extractTextFromPDF,
-    fileToGenerativePart,
+    renderPdfPages,
+    drawPdfPages,
+    receiptToImages,
     findDateInText,
     findCostInText,
+    findCurrencyInText,
     findVendorInText,
     findLocationInText,
     findTypeInText,
@@ -512,5 +682,8 @@ module.exports = {
     processWithGeminiOCR,
     processWithOpenAIOCR,
     processWithClaudeOCR,
-    processWithOpenRouterOCR
+    processWithOpenRouterOCR,
+    OCR_API_KEY_VARS,
+    getOcrApiKey,
+    processReceiptFile
 };
\ No newline at end of file
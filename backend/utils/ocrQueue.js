@@ -0,0 +1,260 @@
+/**
+ * OCR Job Queue Module
+ *
+ * A persistent queue for receipt OCR. Jobs are rows in ocr_jobs, so queued
+ * work survives a restart. A worker inside the server process claims queued
+ * jobs, at most `concurrency` at a time, which keeps slow scans out of the
+ * HTTP request and stops Tesseract from monopolising the process. Failed
+ * jobs are retried with exponential backoff until maxAttempts is reached.
+ */
+
+const DEFAULT_CONCURRENCY = 1;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 5000;
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+/**
+ * Delay before the next try after a failed attempt: base, 2x base, 4x base, ...
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number} baseDelayMs - Delay after the first failure
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempt, baseDelayMs) {
+    return baseDelayMs * Math.pow(2, Math.max(attempt - 1, 0));
+}
+
+/**
+ * Shape a job row for API responses (file paths stay on the server)
+ * @param {Object} job - ocr_jobs row
+ * @param {number|null} position - Place in the queue while queued
+ * @returns {Object} - Job as returned by GET /api/ocr-jobs/:id
+ */
+function formatJob(job, position = null) {
+    return {
+        id: job.id,
+        status: job.status,
+        draftId: job.draft_id,
+        originalName: job.originalName,
+        ocrMethod: job.ocrMethod,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        position,
+        result: job.result ? JSON.parse(job.result) : null,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt
+    };
+}
+
+/**
+ * Create the queue and its worker. Nothing runs until start() is called,
+ * although jobs can be enqueued before that.
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @param {Object} options - Queue settings
+ * @param {Function} options.processJob - async (job) => extracted fields; throw to fail the attempt
+ * @param {Function} [options.onComplete] - async (job, result) after a job succeeds
+ * @param {Function} [options.onFailed] - async (job, error) after the last attempt fails
+ * @param {Function} [options.removeFile] - (filePath) for finished jobs that don't keep their file
+ * @param {number} [options.concurrency] - Jobs processed at the same time (default 1)
+ * @param {number} [options.retryDelayMs] - Backoff after the first failure (default 5s)
+ * @param {number} [options.pollIntervalMs] - How often the worker looks for due jobs (default 1s)
+ * @returns {Object} - { enqueue, getJob, start, stop, drain }
+ */
+function createOcrQueue(db, options) {
+    const {
+        processJob,
+        onComplete,
+        onFailed,
+        removeFile,
+        concurrency = DEFAULT_CONCURRENCY,
+        retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+        pollIntervalMs = DEFAULT_POLL_INTERVAL_MS
+    } = options;
+
+    let started = false;
+    let timer = null;
+    let active = 0;
+    const running = new Set();
+    // Claims are serialized so two ticks can't race for the same slot
+    let claiming = null;
+    let claimAgain = false;
+
+    const finishFile = (job) => {
+        if (!job.keepFile && removeFile) removeFile(job.filePath);
+    };
+
+    const claimNext = async () => {
+        const now = new Date().toISOString();
+        const job = await db.get(
+            "SELECT * FROM ocr_jobs WHERE status = 'queued' AND runAfter <= ? ORDER BY runAfter ASC, id ASC LIMIT 1",
+            [now]
+        );
+        if (!job) return null;
+        const { changes } = await db.run(
+            "UPDATE ocr_jobs SET status = 'processing', attempts = attempts + 1, startedAt = ? WHERE id = ? AND status = 'queued'",
+            [now, job.id]
+        );
+        if (changes === 0) return null;
+        return { ...job, status: 'processing', attempts: job.attempts + 1, startedAt: now };
+    };
+
+    const handleFailure = async (job, error) => {
+        const message = error && error.message ? error.message : String(error);
+        if (job.attempts < job.maxAttempts) {
+            const delay = getRetryDelay(job.attempts, retryDelayMs);
+            console.warn(`OCR job ${job.id} failed (${message}); retrying in ${delay} ms`);
+            await db.run(
+                "UPDATE ocr_jobs SET status = 'queued', error = ?, runAfter = ? WHERE id = ?",
+                [message, new Date(Date.now() + delay).toISOString(), job.id]
+            );
+            return;
+        }
+        console.error(`OCR job ${job.id} failed after ${job.attempts} attempt(s): ${message}`);
+        await db.run(
+            "UPDATE ocr_jobs SET status = 'failed', error = ?, completedAt = ? WHERE id = ?",
+            [message, new Date().toISOString(), job.id]
+        );
+        finishFile(job);
+        if (onFailed) await onFailed(job, error);
+    };
+
+    const runJob = async (job) => {
+        console.log(`OCR job ${job.id}: attempt ${job.attempts} of ${job.maxAttempts} (method: ${job.ocrMethod})`);
+        let result;
+        try {
+            result = await processJob(job);
+        } catch (error) {
+            return handleFailure(job, error);
+        }
+        await db.run(
+            "UPDATE ocr_jobs SET status = 'completed', result = ?, error = NULL, completedAt = ? WHERE id = ?",
+            [JSON.stringify(result), new Date().toISOString(), job.id]
+        );
+        console.log(`OCR job ${job.id} completed`);
+        finishFile(job);
+        if (onComplete) await onComplete(job, result);
+    };
+
+    // Start as many due jobs as there are free slots
+    const tick = () => {
+        if (!started) return Promise.resolve();
+        if (claiming) {
+            claimAgain = true;
+            return claiming;
+        }
+        claiming = (async () => {
+            do {
+                claimAgain = false;
+                while (active < concurrency) {
+                    const job = await claimNext();
+                    if (!job) break;
+                    active++;
+                    const run = runJob(job)
+                        .catch(err => console.error(`OCR job ${job.id}: error recording outcome:`, err.message))
+                        .finally(() => {
+                            active--;
+                            running.delete(run);
+                            tick();
+                        });
+                    running.add(run);
+                }
+            } while (claimAgain && active < concurrency);
+        })()
+            .catch(err => console.error('OCR queue: error claiming jobs:', err.message))
+            .finally(() => { claiming = null; });
+        return claiming;
+    };
+
+    /**
+     * Add a job to the queue
+     * @param {Object} job - { userId, filePath, mimeType, originalName, ocrMethod, model, draftId, keepFile, maxAttempts }
+     * @returns {Promise<number>} - The new job's ID
+     */
+    const enqueue = async (job) => {
+        const { lastID } = await db.run(
+            `INSERT INTO ocr_jobs (user_id, draft_id, filePath, mimeType, originalName, ocrMethod, model, keepFile, maxAttempts, runAfter)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                job.userId,
+                job.draftId || null,
+                job.filePath,
+                job.mimeType,
+                job.originalName || null,
+                job.ocrMethod || 'builtin',
+                job.model || null,
+                job.keepFile ? 1 : 0,
+                job.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+                new Date().toISOString()
+            ]
+        );
+        tick();
+        return lastID;
+    };
+
+    /**
+     * Look up one of a user's jobs
+     * @param {number} jobId - Job ID
+     * @param {number} userId - Owner of the job
+     * @returns {Promise<Object|null>} - Formatted job, or null if not found
+     */
+    const getJob = async (jobId, userId) => {
+        const job = await db.get("SELECT * FROM ocr_jobs WHERE id = ? AND user_id = ?", [jobId, userId]);
+        if (!job) return null;
+        let position = null;
+        if (job.status === 'queued') {
+            const { ahead } = await db.get(
+                "SELECT COUNT(*) AS ahead FROM ocr_jobs WHERE status IN ('queued', 'processing') AND id < ?",
+                [job.id]
+            );
+            position = ahead + 1;
+        }
+        return formatJob(job, position);
+    };
+
+    /**
+     * Start the worker. Jobs left 'processing' by a previous run (the server
+     * stopped mid-job) go back to the queue; that attempt still counts.
+     */
+    const start = async () => {
+        if (started) return;
+        const { changes } = await db.run(
+            "UPDATE ocr_jobs SET status = 'queued', runAfter = ? WHERE status = 'processing'",
+            [new Date().toISOString()]
+        );
+        if (changes > 0) console.log(`OCR queue: requeued ${changes} interrupted job(s)`);
+        started = true;
+        timer = setInterval(tick, pollIntervalMs);
+        timer.unref(); // Don't keep the process alive just for polling
+        await tick();
+    };
+
+    /**
+     * Stop picking up jobs and wait for the running ones to finish
+     */
+    const stop = async () => {
+        started = false;
+        if (timer) clearInterval(timer);
+        timer = null;
+        await Promise.all([...running]);
+    };
+
+    /**
+     * Wait until no job is running and none is due (used by tests)
+     */
+    const drain = async () => {
+        do {
+            await tick();
+            await Promise.all([...running]);
+        } while (running.size > 0 || claiming);
+    };
+
+    return { enqueue, getJob, start, stop, drain };
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    DEFAULT_MAX_ATTEMPTS,
+    getRetryDelay,
+    createOcrQueue
+};
@@ -0,0 +1,66 @@
+/**
+ * Password Reset Tokens Module
+ *
+ * Forgot-password issues a random token that is mailed to the user and
+ * stored only as a hash. A token expires after an hour, works once, and
+ * asking for a new one cancels any the user still had.
+ */
+
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Create the reset token store
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @param {Object} [options] - { ttlMs } token lifetime (default one hour)
+ * @returns {Object} - { issue, consume }
+ */
+function createPasswordResetStore(db, { ttlMs = RESET_TOKEN_TTL_MS } = {}) {
+    /**
+     * Issue a new reset token for a user
+     * @param {number} userId - ID of the user
+     * @param {Object} [meta] - { ipAddress } of the request
+     * @returns {Promise<Object>} - { token, expiresAt }
+     */
+    const issue = async (userId, meta = {}) => {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + ttlMs).toISOString();
+        await db.transaction(async (tx) => {
+            // Only the latest link works
+            await tx.run("DELETE FROM password_reset_tokens WHERE user_id = ? AND usedAt IS NULL", [userId]);
+            await tx.run(
+                "INSERT INTO password_reset_tokens (user_id, tokenHash, expiresAt, requestedIp, createdAt) VALUES (?, ?, ?, ?, ?)",
+                [userId, hashToken(token), expiresAt, meta.ipAddress || null, now.toISOString()]
+            );
+        });
+        return { token, expiresAt };
+    };
+
+    /**
+     * Use up a reset token
+     * @param {string} token - Token from the reset link
+     * @returns {Promise<number|null>} - The user's ID, or null if the token is unknown, used or expired
+     */
+    const consume = async (token) => {
+        const tokenHash = hashToken(token);
+        const now = new Date().toISOString();
+        // Marking it used is the check, so two requests can't both use one token
+        const { changes } = await db.run(
+            "UPDATE password_reset_tokens SET usedAt = ? WHERE tokenHash = ? AND usedAt IS NULL AND expiresAt > ?",
+            [now, tokenHash, now]
+        );
+        if (changes === 0) return null;
+        const row = await db.get("SELECT user_id FROM password_reset_tokens WHERE tokenHash = ?", [tokenHash]);
+        return row ? row.user_id : null;
+    };
+
+    return { issue, consume };
+}
+
+module.exports = {
+    RESET_TOKEN_TTL_MS,
+    createPasswordResetStore
+};
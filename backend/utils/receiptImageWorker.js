@@ -0,0 +1,33 @@
+/**
+ * Receipt Image Worker
+ *
+ * A child process that draws for receiptImages.runInWorker: receipt images
+ * and their thumbnails, and the pages of PDF receipts for OCR. Jobs arrive as
+ * { id, task, args } and run one at a time; each is answered with
+ * { id, result } or { id, error }.
+ */
+
+const { toBuffers } = require('./receiptImages');
+
+// What the worker can run, by task name. Loaded on first use: OCR brings in the AI SDKs.
+const TASKS = {
+    image: (buffer, options) => require('./receiptImages').renderReceiptImage(buffer, options),
+    pdfPages: (pdfPath, maxPages) => require('./ocr').drawPdfPages(pdfPath, maxPages)
+};
+
+let queue = Promise.resolve();
+
+process.on('message', ({ id, task, args }) => {
+    queue = queue
+        .then(() => {
+            if (!TASKS[task]) throw new Error(`Unknown task "${task}"`);
+            return TASKS[task](...toBuffers(args));
+        })
+        .then(
+            result => process.send({ id, result }),
+            err => process.send({ id, error: err.message })
+        );
+});
+
+// Stop with the server
+process.on('disconnect', () => process.exit(0));
@@ -0,0 +1,415 @@
+/**
+ * Receipt Image Module
+ *
+ * Phone photos of receipts are several MB and often stored sideways, with an
+ * EXIF tag saying which way is up. On upload, JPEG, PNG and WebP receipts are
+ * redrawn with @napi-rs/canvas (the canvas library pdfjs-dist also draws PDF
+ * pages with), which turns JPEGs upright as it decodes them, scaled down to
+ * at most 2400 px and re-encoded. That drops their metadata,
+ * GPS position included. Small and medium JPEG thumbnails are stored next to
+ * the receipt as '<key>.small.jpg' and '<key>.medium.jpg', for the expense list.
+ * Drawing is CPU-bound and synchronous, so it runs in a child process
+ * (receiptImageWorker.js), one image at a time, instead of in the request. A
+ * separate process also means an image that crashes the decoder (a malformed
+ * JPEG can) only takes the worker down; the next image starts a new one.
+ * PDF receipts are rendered to page images for OCR in the same process.
+ *
+ * Images canvas can't read (or every image, where canvas isn't installed) are
+ * stored as uploaded, minus their metadata; a JPEG keeps its orientation.
+ * Other image types (HEIC, GIF, ...) are refused: their metadata can't be
+ * removed here.
+ */
+
+const path = require('path');
+const { fork } = require('child_process');
+
+const THUMBNAIL_SIZES = { small: 160, medium: 640 };
+const MAX_IMAGE_SIDE = 2400;
+const IMAGE_QUALITY = 0.85;
+const THUMBNAIL_QUALITY = 0.75;
+
+/**
+ * The kind of image in a buffer, from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - 'jpeg', 'png', 'webp' or null
+ */
+function imageType(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+    if (buffer.length >= 8 && buffer.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n') return 'png';
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    return null;
+}
+
+/**
+ * Whether a buffer holds a PDF (the header may follow up to 1 KB of other bytes)
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean}
+ */
+function isPdf(buffer) {
+    return buffer.subarray(0, 1024).includes('%PDF-');
+}
+
+/**
+ * The JPEG segments before the image data
+ * @param {Buffer} buffer - JPEG file
+ * @returns {Object} - { segments: [{ marker, start, end }], dataStart } where the scan (and the rest of the file) begins
+ */
+function jpegSegments(buffer) {
+    const segments = [];
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+        const marker = buffer[offset + 1];
+        // Start of scan or end of image: what follows is image data
+        if (marker === 0xDA || marker === 0xD9) break;
+        const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+        if (end > buffer.length) break;
+        segments.push({ marker, start: offset, end });
+        offset = end;
+    }
+    return { segments, dataStart: offset };
+}
+
+/**
+ * The EXIF orientation of a JPEG
+ * @param {Buffer} buffer - JPEG file
+ * @returns {number} - 1 (upright) to 8; 1 when there is no valid tag
+ */
+function readJpegOrientation(buffer) {
+    if (imageType(buffer) !== 'jpeg') return 1;
+    const exif = jpegSegments(buffer).segments
+        .find(({ marker, start }) => marker === 0xE1 && buffer.toString('latin1', start + 4, start + 10) === 'Exif\0\0');
+    if (!exif) return 1;
+
+    // A TIFF structure follows the 'Exif' header; the orientation tag (0x0112) is in its first directory
+    const tiff = buffer.subarray(exif.start + 10, exif.end);
+    if (tiff.length < 8) return 1;
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const read16 = (offset) => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const read32 = (offset) => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+    const directory = read32(4);
+    if (directory + 2 > tiff.length) return 1;
+    for (let i = 0; i < read16(directory); i++) {
+        const entry = directory + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+        if (read16(entry) === 0x0112) {
+            const orientation = read16(entry + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+    }
+    return 1;
+}
+
+/**
+ * An APP1 segment with EXIF that holds nothing but an orientation
+ * @param {number} orientation - 2 to 8
+ * @returns {Buffer}
+ */
+function orientationSegment(orientation) {
+    // Big-endian TIFF header, then a directory with one SHORT entry and no next directory
+    const tiff = Buffer.alloc(8 + 2 + 12 + 4);
+    tiff.write('MM', 0, 'latin1');
+    tiff.writeUInt16BE(42, 2);
+    tiff.writeUInt32BE(8, 4);
+    tiff.writeUInt16BE(1, 8);
+    tiff.writeUInt16BE(0x0112, 10);
+    tiff.writeUInt16BE(3, 12);
+    tiff.writeUInt32BE(1, 14);
+    tiff.writeUInt16BE(orientation, 18);
+    const data = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+    const header = Buffer.from([0xFF, 0xE1, 0, 0]);
+    header.writeUInt16BE(data.length + 2, 2);
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * Remove EXIF and XMP (APP1 segments, where cameras put the GPS position) from a JPEG
+ * The orientation is written back on its own, so the photo still shows upright.
+ * @param {Buffer} buffer - JPEG file
+ * @returns {Buffer} - The same image without them; other files are returned unchanged
+ */
+function stripJpegMetadata(buffer) {
+    if (imageType(buffer) !== 'jpeg') return buffer;
+    const orientation = readJpegOrientation(buffer);
+    const { segments, dataStart } = jpegSegments(buffer);
+    const kept = segments.filter(({ marker }) => marker !== 0xE1).map(({ start, end }) => buffer.subarray(start, end));
+    const exif = orientation === 1 ? [] : [orientationSegment(orientation)];
+    // EXIF belongs right after JFIF's APP0, if there is one
+    const leading = kept.length > 0 && kept[0][1] === 0xE0 ? [kept.shift()] : [];
+    return Buffer.concat([buffer.subarray(0, 2), ...leading, ...exif, ...kept, buffer.subarray(dataStart)]);
+}
+
+// PNG chunks that carry metadata: EXIF, and text (where XMP goes)
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt'];
+
+/**
+ * Remove EXIF and text chunks from a PNG
+ * @param {Buffer} buffer - PNG file
+ * @returns {Buffer} - The same image without them; other files are returned unchanged
+ */
+function stripPngMetadata(buffer) {
+    if (imageType(buffer) !== 'png') return buffer;
+    const kept = [buffer.subarray(0, 8)];
+    let offset = 8;
+    // Each chunk: 4-byte length, 4-byte type, data, 4-byte CRC
+    while (offset + 12 <= buffer.length) {
+        const end = offset + 12 + buffer.readUInt32BE(offset);
+        if (end > buffer.length) break;
+        if (!PNG_METADATA_CHUNKS.includes(buffer.toString('latin1', offset + 4, offset + 8))) kept.push(buffer.subarray(offset, end));
+        offset = end;
+    }
+    kept.push(buffer.subarray(offset));
+    return Buffer.concat(kept);
+}
+
+/**
+ * Remove the EXIF and XMP chunks from a WebP
+ * @param {Buffer} buffer - WebP file
+ * @returns {Buffer} - The same image without them; other files are returned unchanged
+ */
+function stripWebpMetadata(buffer) {
+    if (imageType(buffer) !== 'webp') return buffer;
+    const kept = [];
+    let offset = 12;
+    // Each chunk: fourcc, 4-byte little-endian size, data padded to an even length
+    while (offset + 8 <= buffer.length) {
+        const size = buffer.readUInt32LE(offset + 4);
+        const end = Math.min(buffer.length, offset + 8 + size + (size % 2));
+        const fourcc = buffer.toString('latin1', offset, offset + 4);
+        if (fourcc === 'VP8X') {
+            // Clear the flags that announce EXIF (0x08) and XMP (0x04)
+            const chunk = Buffer.from(buffer.subarray(offset, end));
+            chunk[8] &= ~0x0C;
+            kept.push(chunk);
+        } else if (fourcc !== 'EXIF' && fourcc !== 'XMP ') {
+            kept.push(buffer.subarray(offset, end));
+        }
+        offset = end;
+    }
+    const header = Buffer.from(buffer.subarray(0, 12));
+    const body = Buffer.concat(kept);
+    header.writeUInt32LE(body.length + 4, 4);
+    return Buffer.concat([header, body]);
+}
+
+/**
+ * Remove the metadata from a JPEG, PNG or WebP (see the functions above)
+ * @param {Buffer} buffer - Image file
+ * @returns {Buffer} - The image without metadata; other files are returned unchanged
+ */
+function stripImageMetadata(buffer) {
+    switch (imageType(buffer)) {
+        case 'jpeg': return stripJpegMetadata(buffer);
+        case 'png': return stripPngMetadata(buffer);
+        case 'webp': return stripWebpMetadata(buffer);
+        default: return buffer;
+    }
+}
+
+/**
+ * The storage key of a receipt's thumbnail
+ * @param {string} key - Receipt key
+ * @param {string} size - A key of THUMBNAIL_SIZES
+ * @returns {string}
+ */
+function thumbnailKey(key, size) {
+    return `${key}.${size}.jpg`;
+}
+
+/**
+ * Whether a receipt gets thumbnails, from its file name
+ * @param {string|null} fileName - Receipt key or stored path
+ * @returns {boolean}
+ */
+function hasThumbnails(fileName) {
+    return /\.(jpe?g|png|webp)$/i.test(fileName || '');
+}
+
+/**
+ * Draw an image scaled down to fit a square
+ * @param {Function} createCanvas - From @napi-rs/canvas
+ * @param {Object} source - Image or canvas
+ * @param {number} maxSide - Longest side of the result, in pixels
+ * @param {string|null} background - Fill behind transparent pixels (JPEG has no transparency)
+ * @returns {Object} - Canvas
+ */
+function drawScaled(createCanvas, source, maxSide, background) {
+    const scale = Math.min(1, maxSide / Math.max(source.width, source.height));
+    const canvas = createCanvas(Math.max(1, Math.round(source.width * scale)), Math.max(1, Math.round(source.height * scale)));
+    const ctx = canvas.getContext('2d');
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * Redraw a JPEG, PNG or WebP receipt upright and make its thumbnails
+ * This blocks while it draws; uploads go through renderInWorker instead.
+ * @param {Buffer} buffer - Image as uploaded
+ * @param {Object} [options] - { thumbnailsOnly } to skip re-encoding the image itself
+ * @returns {Promise<Object>} - { image, thumbnails: { small, medium } } as Buffers; image is null with thumbnailsOnly
+ */
+async function renderReceiptImage(buffer, { thumbnailsOnly = false } = {}) {
+    const type = imageType(buffer);
+    if (!type) throw new Error('Not a JPEG, PNG or WebP image');
+    // Loaded here so uploads still work, unprocessed, where canvas isn't installed
+    const { createCanvas, loadImage } = require('@napi-rs/canvas');
+    // Decoding applies the EXIF orientation, so the image comes out upright
+    const source = await loadImage(buffer);
+
+    const upright = drawScaled(createCanvas, source, MAX_IMAGE_SIDE, type === 'jpeg' ? '#fff' : null);
+    let image = null;
+    if (!thumbnailsOnly) {
+        // @napi-rs/canvas takes the quality as 0-100
+        if (type === 'png') image = upright.toBuffer('image/png');
+        else image = upright.toBuffer(`image/${type}`, Math.round(IMAGE_QUALITY * 100));
+    }
+
+    // Largest first, each drawn from the one before, which scales down more smoothly than one big step
+    const thumbnails = {};
+    let previous = upright;
+    for (const [size, side] of Object.entries(THUMBNAIL_SIZES).sort((a, b) => b[1] - a[1])) {
+        previous = drawScaled(createCanvas, previous, side, '#fff');
+        thumbnails[size] = previous.toBuffer('image/jpeg', Math.round(THUMBNAIL_QUALITY * 100));
+    }
+    return { image, thumbnails };
+}
+
+// The process that draws receipts, started on first use
+let worker = null;
+let nextJobId = 1;
+const pendingJobs = new Map();
+
+/**
+ * Turn the Uint8Arrays in a value sent between processes back into Buffers
+ * @param {*} value - Message data
+ * @returns {*} - The same data, with Buffers
+ */
+function toBuffers(value) {
+    if (value instanceof Uint8Array) return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    if (Array.isArray(value)) return value.map(toBuffers);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, toBuffers(item)]));
+    }
+    return value;
+}
+
+// An idle worker doesn't keep the server (or a test run) alive
+const setBusy = (child, busy) => {
+    const method = busy ? 'ref' : 'unref';
+    child[method]();
+    if (child.channel) child.channel[method]();
+};
+
+function renderWorker() {
+    if (worker) return worker;
+    const child = fork(path.join(__dirname, 'receiptImageWorker.js'), [], { serialization: 'advanced' });
+    const failAll = (err) => {
+        if (worker === child) worker = null;
+        pendingJobs.forEach(job => job.reject(err));
+        pendingJobs.clear();
+    };
+    child.on('message', ({ id, result, error }) => {
+        const job = pendingJobs.get(id);
+        pendingJobs.delete(id);
+        if (pendingJobs.size === 0) setBusy(child, false);
+        if (!job) return;
+        if (error) return job.reject(new Error(error));
+        job.resolve(toBuffers(result));
+    });
+    child.on('error', failAll);
+    child.on('exit', (code, signal) => failAll(new Error(`Receipt image worker stopped (${signal || `exit code ${code}`})`)));
+    worker = child;
+    return worker;
+}
+
+/**
+ * Run one of the worker's tasks (see receiptImageWorker.js) in the worker process
+ * @param {string} task - Task name, e.g. 'image'
+ * @param {...*} args - Its arguments; Buffers, strings and plain objects
+ * @returns {Promise<*>} - What the task resolved with
+ */
+function runInWorker(task, ...args) {
+    return new Promise((resolve, reject) => {
+        const id = nextJobId++;
+        pendingJobs.set(id, { resolve, reject });
+        const child = renderWorker();
+        setBusy(child, true);
+        child.send({ id, task, args });
+    });
+}
+
+/**
+ * renderReceiptImage in the worker process, so drawing doesn't hold up other requests
+ * @param {Buffer} buffer - Image as uploaded
+ * @param {Object} [options] - As for renderReceiptImage
+ * @returns {Promise<Object>} - As renderReceiptImage
+ */
+function renderInWorker(buffer, options = {}) {
+    return runInWorker('image', buffer, options);
+}
+
+/**
+ * The files to store for an uploaded receipt: the receipt itself, then its thumbnails
+ * A receipt that can't be processed is stored as uploaded, minus its metadata.
+ * @param {string} key - Receipt key
+ * @param {Buffer} buffer - File as uploaded
+ * @param {string} contentType - Type sent by the browser
+ * @returns {Promise<Object[]>} - [{ key, body, contentType }]
+ * @throws {Error} - 'Invalid file type...' for files that are neither PDFs nor JPEG, PNG or WebP images
+ */
+async function prepareReceiptFiles(key, buffer, contentType) {
+    if (!imageType(buffer)) {
+        if (isPdf(buffer)) return [{ key, body: buffer, contentType }];
+        throw new Error('Invalid file type. Receipts must be PDF, JPEG, PNG or WebP files.');
+    }
+    try {
+        const { image, thumbnails } = await renderInWorker(buffer);
+        console.log(`Receipt ${key}: ${buffer.length} bytes stored as ${image.length}, with thumbnails`);
+        return [
+            { key, body: image, contentType },
+            ...Object.entries(thumbnails).map(([size, body]) => ({ key: thumbnailKey(key, size), body, contentType: 'image/jpeg' }))
+        ];
+    } catch (err) {
+        console.error(`Could not process receipt image ${key}, storing it as uploaded:`, err.message);
+        return [{ key, body: stripImageMetadata(buffer), contentType }];
+    }
+}
+
+/**
+ * Thumbnails for a receipt stored without them (uploaded before thumbnails existed)
+ * @param {string} key - Receipt key
+ * @param {Buffer} buffer - The stored receipt
+ * @returns {Promise<Object[]>} - [{ key, body, contentType }], empty if the receipt can't be processed
+ */
+async function prepareThumbnails(key, buffer) {
+    if (!imageType(buffer)) return [];
+    try {
+        const { thumbnails } = await renderInWorker(buffer, { thumbnailsOnly: true });
+        return Object.entries(thumbnails).map(([size, body]) => ({ key: thumbnailKey(key, size), body, contentType: 'image/jpeg' }));
+    } catch (err) {
+        console.error(`Could not make thumbnails for receipt ${key}:`, err.message);
+        return [];
+    }
+}
+
+module.exports = {
+    THUMBNAIL_SIZES,
+    imageType,
+    readJpegOrientation,
+    stripJpegMetadata,
+    stripPngMetadata,
+    stripWebpMetadata,
+    stripImageMetadata,
+    thumbnailKey,
+    hasThumbnails,
+    renderReceiptImage,
+    toBuffers,
+    runInWorker,
+    renderInWorker,
+    prepareReceiptFiles,
+    prepareThumbnails
+};
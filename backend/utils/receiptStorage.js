@@ -0,0 +1,318 @@
+/**
+ * Receipt Storage Module
+ *
+ * Receipt files go through a small storage interface, so they can live on
+ * local disk or in an S3-compatible bucket. Two drivers exist:
+ *   - local: files in a directory (backend/uploads by default)
+ *   - s3: objects in a bucket on AWS S3 or any S3-compatible service, such as
+ *     MinIO, via the AWS SDK
+ * RECEIPT_STORAGE picks one (default local). Every driver has the same async
+ * methods: put(key, body, contentType), get(key), exists(key), remove(key),
+ * list() and withLocalFile(key, fn) for code that needs a path on disk (OCR).
+ *
+ * Files are addressed by key, a plain file name. Rows keep referring to a
+ * receipt as '/uploads/<key>', the form receipts have always been stored in,
+ * so moving files to another backend doesn't touch the database.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { receiptFileName, receiptHeaders } = require('./receiptUrls');
+
+const DEFAULT_UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+const STORAGE_DRIVERS = ['local', 's3'];
+
+/**
+ * The storage key of a stored receipt reference
+ * @param {string|null} reference - '/uploads/<key>' as stored in receiptPath, or an OCR job's file path
+ *   (jobs queued before receipt storage hold an absolute path into uploads/)
+ * @returns {string|null}
+ */
+function receiptKey(reference) {
+    if (typeof reference !== 'string' || !reference) return null;
+    return receiptFileName(path.basename(reference));
+}
+
+/**
+ * The reference rows store for a key
+ * @param {string} key - Storage key
+ * @returns {string} - '/uploads/<key>'
+ */
+function receiptPathFor(key) {
+    return `/uploads/${key}`;
+}
+
+/**
+ * A new, unique key for an uploaded file: '<timestamp>-<random>-<original name>'
+ * The name is reduced to letters, digits, '_', '.' and '-': keys end up in URLs
+ * and page markup that other trip members load.
+ * @param {string} originalName - File name sent by the browser
+ * @returns {string}
+ */
+function newReceiptKey(originalName) {
+    const safeName = String(originalName || 'receipt').replace(/[^\w.-]/g, '_');
+    return `${Date.now()}-${Math.round(Math.random() * 1E9)}-${safeName}`;
+}
+
+// Keys are used as file and object names, so anything that could leave the storage root is refused
+const checkKey = (key) => {
+    if (receiptFileName(key) !== key) throw new Error(`Invalid receipt key "${key}"`);
+    return key;
+};
+
+/**
+ * Storage in a directory on local disk
+ * @param {Object} options - { dir }
+ * @returns {Object} - Storage driver
+ */
+function createLocalStorage({ dir = DEFAULT_UPLOADS_DIR } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+    const filePath = (key) => path.join(dir, checkKey(key));
+
+    const put = async (key, body) => {
+        await fs.promises.writeFile(filePath(key), body);
+    };
+
+    const get = async (key) => {
+        try {
+            return await fs.promises.readFile(filePath(key));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    };
+
+    const exists = async (key) => {
+        try {
+            return (await fs.promises.stat(filePath(key))).isFile();
+        } catch (err) {
+            if (err.code === 'ENOENT') return false;
+            throw err;
+        }
+    };
+
+    const remove = async (key) => {
+        try {
+            await fs.promises.unlink(filePath(key));
+            return true;
+        } catch (err) {
+            if (err.code === 'ENOENT') return false;
+            throw err;
+        }
+    };
+
+    const list = async () => {
+        const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        return entries.filter(entry => entry.isFile() && receiptFileName(entry.name) === entry.name).map(entry => entry.name);
+    };
+
+    // The file is already on disk
+    const withLocalFile = async (key, fn) => fn(filePath(key));
+
+    return { name: 'local', dir, put, get, exists, remove, list, withLocalFile };
+}
+
+/**
+ * Storage in an S3-compatible bucket
+ * Without accessKeyId the SDK's usual credential chain is used (environment, instance role, ...).
+ * @param {Object} options - { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix };
+ *   endpoint and forcePathStyle: true for MinIO and other self-hosted services
+ * @returns {Object} - Storage driver
+ */
+function createS3Storage({ bucket, region = 'us-east-1', endpoint, forcePathStyle = false, accessKeyId, secretAccessKey, prefix = '' }) {
+    if (!bucket) throw new Error('S3_BUCKET must be set to store receipts in S3.');
+    // Loaded here so local storage works without the AWS SDK installed
+    const {
+        S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, ListObjectsV2Command
+    } = require('@aws-sdk/client-s3');
+    const client = new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+    const objectKey = (key) => `${prefix}${checkKey(key)}`;
+    const isNotFound = (err) => err.name === 'NoSuchKey' || err.name === 'NotFound' || (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+    const put = async (key, body, contentType) => {
+        await client.send(new PutObjectCommand({
+            Bucket: bucket, Key: objectKey(key), Body: body, ContentType: contentType || receiptHeaders(key)['Content-Type']
+        }));
+    };
+
+    const get = async (key) => {
+        try {
+            const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        } catch (err) {
+            if (isNotFound(err)) return null;
+            throw err;
+        }
+    };
+
+    const exists = async (key) => {
+        try {
+            await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+            return true;
+        } catch (err) {
+            if (isNotFound(err)) return false;
+            throw err;
+        }
+    };
+
+    // S3 doesn't say whether the object was there, so this always resolves true
+    const remove = async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+    };
+
+    const list = async () => {
+        const keys = [];
+        let ContinuationToken;
+        do {
+            const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix || undefined, ContinuationToken }));
+            (page.Contents || []).forEach(({ Key }) => {
+                const key = Key.slice(prefix.length);
+                if (receiptFileName(key) === key) keys.push(key);
+            });
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return keys;
+    };
+
+    // Download to a temporary file for the duration of fn
+    const withLocalFile = async (key, fn) => {
+        const body = await get(key);
+        if (!body) throw new Error(`Receipt file ${key} not found in storage.`);
+        const tempPath = path.join(os.tmpdir(), `receipt-${crypto.randomBytes(6).toString('hex')}${path.extname(key)}`);
+        await fs.promises.writeFile(tempPath, body);
+        try {
+            return await fn(tempPath);
+        } finally {
+            fs.promises.unlink(tempPath).catch(err => console.error(`Error deleting temporary receipt ${tempPath}:`, err.message));
+        }
+    };
+
+    return { name: 's3', bucket, put, get, exists, remove, list, withLocalFile };
+}
+
+/**
+ * Build the storage configured in the environment
+ * @param {Object} env - Usually process.env: RECEIPT_STORAGE, UPLOADS_DIR, S3_BUCKET, S3_REGION,
+ *   S3_ENDPOINT, S3_FORCE_PATH_STYLE, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PREFIX
+ * @param {string} [driver] - Driver to build instead of RECEIPT_STORAGE (for migrating between them)
+ * @returns {Object} - Storage driver
+ */
+function createReceiptStorage(env = process.env, driver = env.RECEIPT_STORAGE || 'local') {
+    switch (driver.toLowerCase()) {
+        case 'local':
+            return createLocalStorage({ dir: env.UPLOADS_DIR || DEFAULT_UPLOADS_DIR });
+        case 's3':
+            return createS3Storage({
+                bucket: env.S3_BUCKET,
+                region: env.S3_REGION || 'us-east-1',
+                endpoint: env.S3_ENDPOINT,
+                forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+                accessKeyId: env.S3_ACCESS_KEY_ID,
+                secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+                prefix: env.S3_PREFIX || ''
+            });
+        default:
+            throw new Error(`Unknown receipt storage "${driver}" (use ${STORAGE_DRIVERS.join(' or ')}).`);
+    }
+}
+
+/**
+ * A multer storage engine that saves uploads through a receipt storage driver
+ * Uploads are buffered in memory, so the multer instance should limit the file size,
+ * and maxRequestBytes limits what one request may upload across all its files.
+ * req.file.filename is the new key, as with multer's disk storage, and req.file.keys
+ * lists everything stored for the upload.
+ * @param {Object} storage - Storage driver
+ * @param {Object} [options] - { prepare(key, buffer, contentType), maxRequestBytes }; prepare returns
+ *   the files to store for an upload as [{ key, body, contentType }], the upload itself first (e.g. with thumbnails)
+ * @returns {Object} - Multer storage engine
+ */
+function createMulterStorage(storage, { prepare, maxRequestBytes = Infinity } = {}) {
+    // Bytes received so far, per request
+    const received = new WeakMap();
+
+    const save = async (key, buffer, contentType) => {
+        const files = prepare ? await prepare(key, buffer, contentType) : [{ key, body: buffer, contentType }];
+        for (const file of files) {
+            await storage.put(file.key, file.body, file.contentType);
+        }
+        return { filename: key, size: files[0].body.length, keys: files.map(file => file.key) };
+    };
+
+    return {
+        _handleFile(req, file, cb) {
+            const key = newReceiptKey(file.originalname);
+            const chunks = [];
+            const onData = (chunk) => {
+                const total = (received.get(req) || 0) + chunk.length;
+                received.set(req, total);
+                if (total <= maxRequestBytes) return chunks.push(chunk);
+                // Stop buffering; multer drops the request's other files
+                file.stream.off('data', onData);
+                file.stream.off('end', onEnd);
+                file.stream.resume();
+                const err = new Error(`The upload is larger than ${Math.floor(maxRequestBytes / (1024 * 1024))} MB in total.`);
+                err.code = 'LIMIT_REQUEST_SIZE';
+                cb(err);
+            };
+            const onEnd = () => {
+                save(key, Buffer.concat(chunks), file.mimetype).then(info => cb(null, info), cb);
+            };
+            file.stream.on('data', onData);
+            file.stream.on('error', cb);
+            file.stream.on('end', onEnd);
+        },
+        _removeFile(req, file, cb) {
+            Promise.all((file.keys || [file.filename]).map(key => storage.remove(key))).then(() => cb(null), cb);
+        }
+    };
+}
+
+/**
+ * Move every receipt from one storage to another
+ * Each file is copied, read back and compared before the original is removed,
+ * and files already in the target are overwritten, so an interrupted run can be repeated.
+ * @param {Object} source - Storage to move from
+ * @param {Object} target - Storage to move to
+ * @param {Object} [options] - { onFile(key, error) } called after each file
+ * @returns {Promise<Object>} - { moved, failed: [{ key, error }] }
+ */
+async function migrateReceipts(source, target, { onFile } = {}) {
+    const result = { moved: 0, failed: [] };
+    for (const key of await source.list()) {
+        try {
+            const body = await source.get(key);
+            if (!body) continue; // Removed since it was listed
+            await target.put(key, body, receiptHeaders(key)['Content-Type']);
+            const copy = await target.get(key);
+            if (!copy || !copy.equals(body)) throw new Error('The copy does not match the original.');
+            await source.remove(key);
+            result.moved += 1;
+            if (onFile) onFile(key, null);
+        } catch (err) {
+            result.failed.push({ key, error: err.message });
+            if (onFile) onFile(key, err);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    STORAGE_DRIVERS,
+    receiptKey,
+    receiptPathFor,
+    newReceiptKey,
+    createLocalStorage,
+    createS3Storage,
+    createReceiptStorage,
+    createMulterStorage,
+    migrateReceipts
+};
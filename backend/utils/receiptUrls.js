@@ -0,0 +1,124 @@
+/**
+ * Receipt URL Module
+ *
+ * Receipt files are not served statically. The API only hands out links to
+ * users who may see a receipt: short-lived signed URLs of the form
+ * /api/receipts/<file>?expires=<unix seconds>&signature=<hex>, so <img> tags
+ * work without an Authorization header. The signature is an HMAC of the file
+ * name and the expiry, so a link can't be pointed at another file or kept
+ * alive longer. Expiry times are rounded up to a whole window, which keeps a
+ * receipt's URL the same across page loads and lets the browser cache it.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+// How long a signed URL stays valid, at least
+const RECEIPT_URL_TTL_SECONDS = 15 * 60;
+const RECEIPT_ROUTE = '/api/receipts';
+
+// Types served inline; anything else is sent as an attachment of type application/octet-stream
+const RECEIPT_CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.bmp': 'image/bmp',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.heic': 'image/heic',
+    '.pdf': 'application/pdf'
+};
+
+/**
+ * The file name of a stored receipt path, if it is a plain file name
+ * @param {string} receiptPath - e.g. '/uploads/1700000000-123-receipt.jpg', or a bare file name
+ * @returns {string|null} - The file name, or null for anything that could leave the uploads directory
+ */
+function receiptFileName(receiptPath) {
+    if (typeof receiptPath !== 'string' || !receiptPath) return null;
+    const fileName = receiptPath.startsWith('/uploads/') ? receiptPath.slice('/uploads/'.length) : receiptPath;
+    if (!fileName || fileName !== path.basename(fileName) || fileName.startsWith('.') || /[\\/\0]/.test(fileName)) return null;
+    return fileName;
+}
+
+// Percent-encode a header parameter value (RFC 5987 also reserves ' ( ) *)
+const encodeRfc5987 = (value) =>
+    encodeURIComponent(value).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Headers describing a receipt file
+ * Uploads are named '<timestamp>-<random>-<original name>'; the original name is offered for downloads.
+ * @param {string} fileName - Stored file name
+ * @param {boolean} download - Whether to ask the browser to save the file rather than show it
+ * @returns {Object} - { 'Content-Type', 'Content-Disposition' }
+ */
+function receiptHeaders(fileName, download) {
+    const contentType = RECEIPT_CONTENT_TYPES[path.extname(fileName).toLowerCase()];
+    const originalName = fileName.replace(/^\d+-\d+-/, '') || fileName;
+    const asciiName = originalName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const disposition = download || !contentType ? 'attachment' : 'inline';
+    return {
+        'Content-Type': contentType || 'application/octet-stream',
+        'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeRfc5987(originalName)}`
+    };
+}
+
+/**
+ * Create the receipt URL signer
+ * @param {Object} options - { secret, ttlSeconds, now }; now returns the time in milliseconds (for tests)
+ * @returns {Object} - { sign, verify }
+ */
+function createReceiptUrls({ secret, ttlSeconds = RECEIPT_URL_TTL_SECONDS, now = Date.now }) {
+    if (!secret) throw new Error('A secret is required to sign receipt URLs');
+    // Keep the signing key apart from the secret's other uses
+    const key = crypto.createHmac('sha256', secret).update('receipt-urls').digest();
+    const signatureFor = (fileName, expires) =>
+        crypto.createHmac('sha256', key).update(`${fileName}:${expires}`).digest('hex');
+
+    /**
+     * A signed URL for a stored receipt
+     * @param {string|null} receiptPath - Path as stored in expenses.receiptPath
+     * @returns {string|null} - URL, or null when there is no (valid) receipt
+     */
+    const sign = (receiptPath) => {
+        const fileName = receiptFileName(receiptPath);
+        if (!fileName) return null;
+        const nowSeconds = Math.floor(now() / 1000);
+        const expires = Math.ceil((nowSeconds + ttlSeconds) / ttlSeconds) * ttlSeconds;
+        return `${RECEIPT_ROUTE}/${encodeURIComponent(fileName)}?expires=${expires}&signature=${signatureFor(fileName, expires)}`;
+    };
+
+    /**
+     * Check a signed URL's parameters
+     * @param {string} fileName - File name from the URL
+     * @param {string|number} expires - expires parameter
+     * @param {string} signature - signature parameter
+     * @returns {Object} - { ok: true, expiresIn } (seconds) or { ok: false, reason: 'invalid' | 'expired' }
+     */
+    const verify = (fileName, expires, signature) => {
+        const expiresAt = Number(expires);
+        if (!receiptFileName(fileName) || !Number.isInteger(expiresAt) || typeof signature !== 'string') {
+            return { ok: false, reason: 'invalid' };
+        }
+        const expected = Buffer.from(signatureFor(fileName, expiresAt), 'hex');
+        const given = Buffer.from(signature, 'hex');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return { ok: false, reason: 'invalid' };
+        }
+        const expiresIn = expiresAt - Math.floor(now() / 1000);
+        if (expiresIn <= 0) return { ok: false, reason: 'expired' };
+        return { ok: true, expiresIn };
+    };
+
+    return { sign, verify };
+}
+
+module.exports = {
+    RECEIPT_URL_TTL_SECONDS,
+    RECEIPT_CONTENT_TYPES,
+    receiptFileName,
+    receiptHeaders,
+    createReceiptUrls
+};
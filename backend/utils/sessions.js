@@ -0,0 +1,188 @@
+/**
+ * Session Utilities Module
+ *
+ * Login creates a session and returns a short-lived access token (a JWT
+ * carrying the session ID) plus a long-lived refresh token. The refresh token
+ * is single-use: /api/auth/refresh swaps it for a new pair. Presenting a
+ * token that was already swapped means it leaked, so the session is revoked,
+ * unless it happens within a few seconds of the swap, which is just two
+ * browser tabs refreshing at once.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days since the last refresh
+const REUSE_GRACE_MS = 30 * 1000;
+// Revoked and expired sessions are kept this long for the sessions list, then deleted
+const SESSION_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Sign an access token for a session
+ * @param {Object} user - { id, username }
+ * @param {number} sessionId - Session the token belongs to
+ * @param {string} secret - JWT_SECRET
+ * @returns {string} - JWT with { userId, username, sid }
+ */
+function signAccessToken(user, sessionId, secret) {
+    return jwt.sign({ userId: user.id, username: user.username, sid: sessionId }, secret, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+/**
+ * Shape a session row for the sessions list
+ * @param {Object} row - sessions row
+ * @param {number} currentSessionId - Session of the request, flagged as current
+ * @returns {Object}
+ */
+function formatSession(row, currentSessionId) {
+    return {
+        id: row.id,
+        userAgent: row.userAgent,
+        ipAddress: row.ipAddress,
+        createdAt: row.createdAt,
+        lastUsedAt: row.lastUsedAt,
+        expiresAt: row.expiresAt,
+        current: row.id === currentSessionId
+    };
+}
+
+/**
+ * Create the session store
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @param {Object} [options] - Store settings
+ * @param {number} [options.refreshTokenTtlMs] - How long a refresh token stays valid (default 30 days)
+ * @param {number} [options.reuseGraceMs] - Window in which reusing a swapped token is a race, not theft (default 30s)
+ * @returns {Object} - { create, rotate, revoke, revokeOthers, list }
+ */
+function createSessionStore(db, options = {}) {
+    const {
+        refreshTokenTtlMs = REFRESH_TOKEN_TTL_MS,
+        reuseGraceMs = REUSE_GRACE_MS
+    } = options;
+
+    const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+    const expiryFrom = (now) => new Date(now.getTime() + refreshTokenTtlMs).toISOString();
+
+    /**
+     * Start a session for a user who just logged in
+     * @param {number} userId - ID of the user
+     * @param {Object} [meta] - { userAgent, ipAddress } shown in the sessions list
+     * @returns {Promise<Object>} - { sessionId, refreshToken, expiresAt }
+     */
+    const create = async (userId, meta = {}) => {
+        const now = new Date();
+        const refreshToken = newRefreshToken();
+        const expiresAt = expiryFrom(now);
+        await db.run(
+            "DELETE FROM sessions WHERE user_id = ? AND COALESCE(revokedAt, expiresAt) < ?",
+            [userId, new Date(now.getTime() - SESSION_RETENTION_MS).toISOString()]
+        );
+        const { lastID } = await db.run(
+            `INSERT INTO sessions (user_id, refreshTokenHash, userAgent, ipAddress, createdAt, lastUsedAt, expiresAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, hashToken(refreshToken), meta.userAgent || null, meta.ipAddress || null, now.toISOString(), now.toISOString(), expiresAt]
+        );
+        return { sessionId: lastID, refreshToken, expiresAt };
+    };
+
+    /**
+     * Swap a refresh token for a new one
+     * @param {string} refreshToken - Token from the client
+     * @param {Object} [meta] - { userAgent, ipAddress } of the client
+     * @returns {Promise<Object>} - { ok: true, session, refreshToken, expiresAt } or
+     *   { ok: false, reason } with reason invalid, expired, revoked, reused or raced
+     */
+    const rotate = async (refreshToken, meta = {}) => {
+        const tokenHash = hashToken(refreshToken);
+        const session = await db.get("SELECT * FROM sessions WHERE refreshTokenHash = ?", [tokenHash]);
+        const now = new Date();
+
+        if (!session) {
+            const previous = await db.get("SELECT * FROM sessions WHERE previousTokenHash = ?", [tokenHash]);
+            if (!previous) return { ok: false, reason: 'invalid' };
+            if (previous.revokedAt) return { ok: false, reason: 'revoked' };
+            if (now - new Date(previous.rotatedAt) < reuseGraceMs) return { ok: false, reason: 'raced' };
+            await revoke(previous.user_id, previous.id, 'token_reuse');
+            return { ok: false, reason: 'reused' };
+        }
+        if (session.revokedAt) return { ok: false, reason: 'revoked' };
+        if (new Date(session.expiresAt) < now) return { ok: false, reason: 'expired' };
+
+        const nextToken = newRefreshToken();
+        const expiresAt = expiryFrom(now);
+        // Conditional on the old hash, so only one of two concurrent swaps wins
+        const { changes } = await db.run(
+            `UPDATE sessions SET refreshTokenHash = ?, previousTokenHash = ?, rotatedAt = ?, lastUsedAt = ?, expiresAt = ?,
+                 userAgent = COALESCE(?, userAgent), ipAddress = COALESCE(?, ipAddress)
+             WHERE id = ? AND refreshTokenHash = ? AND revokedAt IS NULL`,
+            [hashToken(nextToken), tokenHash, now.toISOString(), now.toISOString(), expiresAt,
+                meta.userAgent || null, meta.ipAddress || null, session.id, tokenHash]
+        );
+        if (changes === 0) return { ok: false, reason: 'raced' };
+        return { ok: true, session, refreshToken: nextToken, expiresAt };
+    };
+
+    /**
+     * Revoke one of a user's sessions
+     * @param {number} userId - Owner of the session
+     * @param {number} sessionId - Session to revoke
+     * @param {string} [reason] - Stored as revokedReason (default 'revoked')
+     * @returns {Promise<boolean>} - Whether an active session was revoked
+     */
+    const revoke = async (userId, sessionId, reason = 'revoked') => {
+        const { changes } = await db.run(
+            "UPDATE sessions SET revokedAt = ?, revokedReason = ? WHERE id = ? AND user_id = ? AND revokedAt IS NULL",
+            [new Date().toISOString(), reason, sessionId, userId]
+        );
+        return changes > 0;
+    };
+
+    /**
+     * Revoke all of a user's sessions except one
+     * @param {number} userId - Owner of the sessions
+     * @param {number|null} keepSessionId - Session to leave alone (usually the current one)
+     * @param {string} [reason] - Stored as revokedReason (default 'revoked')
+     * @returns {Promise<number>} - Number of sessions revoked
+     */
+    const revokeOthers = async (userId, keepSessionId, reason = 'revoked') => {
+        const { changes } = await db.run(
+            "UPDATE sessions SET revokedAt = ?, revokedReason = ? WHERE user_id = ? AND id != ? AND revokedAt IS NULL",
+            [new Date().toISOString(), reason, userId, keepSessionId || 0]
+        );
+        return changes;
+    };
+
+    /**
+     * The user's active sessions, most recently used first
+     * @param {number} userId - ID of the user
+     * @param {number} currentSessionId - Session of the request
+     * @returns {Promise<Object[]>}
+     */
+    const list = async (userId, currentSessionId) => {
+        const rows = await db.all(
+            "SELECT * FROM sessions WHERE user_id = ? AND revokedAt IS NULL AND expiresAt > ? ORDER BY lastUsedAt DESC, id DESC",
+            [userId, new Date().toISOString()]
+        );
+        return rows.map(row => formatSession(row, currentSessionId));
+    };
+
+    return { create, rotate, revoke, revokeOthers, list };
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL_MS,
+    hashToken,
+    signAccessToken,
+    createSessionStore
+};
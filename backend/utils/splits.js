@@ -0,0 +1,428 @@
+/**
+ * Expense Splits Module
+ *
+ * Shares a trip's costs between its participants. An expense is split by
+ * saying who paid and how it is shared:
+ *
+ *   equal   - evenly between the chosen participants
+ *   percent - by percentages that add up to 100
+ *   exact   - by amounts in the expense's currency that add up to its cost
+ *
+ * Balances are worked out in the trip's home currency with the trip owner's
+ * rates (see utils/currency.js), in whole cents so they always add up to
+ * zero. Each expense is converted once and that amount is divided in
+ * proportion to the shares. Settlements (money paid back between
+ * participants) count towards the balances, and settleUp() suggests the
+ * fewest transfers that would even them out.
+ */
+
+const { createRateConverter, roundAmount } = require('./currency');
+
+const SPLIT_METHODS = ['equal', 'percent', 'exact'];
+
+// Above this many open balances settleUp() matches greedily instead of searching for the fewest transfers
+const MAX_EXACT_SETTLE = 15;
+
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Divide a whole number of cents in proportion to weights, so the parts add up exactly
+ * Leftover cents go to the largest remainders, then to the earliest weights.
+ * @param {number} totalCents - Amount to divide
+ * @param {number[]} weights - Non-negative weights, not all zero
+ * @returns {number[]} - Cents for each weight
+ */
+function allocateCents(totalCents, weights) {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    const exact = weights.map(weight => (totalCents * weight) / weightSum);
+    const parts = exact.map(Math.floor);
+    let leftover = totalCents - parts.reduce((sum, part) => sum + part, 0);
+    const order = exact
+        .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+    for (let i = 0; leftover > 0; i = (i + 1) % order.length, leftover--) {
+        parts[order[i].index]++;
+    }
+    return parts;
+}
+
+/**
+ * Each participant's part of an expense, in the expense's currency
+ * @param {number} cost - The expense's cost
+ * @param {string} method - One of SPLIT_METHODS
+ * @param {Array} shares - [{ participantId, share }]; share is ignored for 'equal'
+ * @returns {Object} - { ok: true, amounts: [{ participantId, amount }] }
+ *   or { ok: false, reason: 'invalid_method' | 'invalid_shares' | 'percent_total' | 'exact_total' }
+ */
+function computeShares(cost, method, shares) {
+    if (!SPLIT_METHODS.includes(method)) return { ok: false, reason: 'invalid_method' };
+    const ids = shares.map(share => share.participantId);
+    if (shares.length === 0 || new Set(ids).size !== ids.length) return { ok: false, reason: 'invalid_shares' };
+    if (method !== 'equal' && shares.some(share => !(share.share > 0))) return { ok: false, reason: 'invalid_shares' };
+
+    const costCents = toCents(cost);
+    let cents;
+    if (method === 'equal') {
+        cents = allocateCents(costCents, shares.map(() => 1));
+    } else if (method === 'percent') {
+        const total = shares.reduce((sum, share) => sum + share.share, 0);
+        if (Math.abs(total - 100) > 0.01) return { ok: false, reason: 'percent_total' };
+        cents = allocateCents(costCents, shares.map(share => share.share));
+    } else {
+        cents = shares.map(share => toCents(share.share));
+        if (cents.reduce((sum, part) => sum + part, 0) !== costCents) return { ok: false, reason: 'exact_total' };
+    }
+    return { ok: true, amounts: shares.map((share, i) => ({ participantId: share.participantId, amount: cents[i] / 100 })) };
+}
+
+// Transfers that even out a group of balances (in cents) whose sum is zero: largest debtor pays largest creditor
+function greedyTransfers(balances) {
+    const open = balances.map(entry => ({ ...entry }));
+    const transfers = [];
+    for (;;) {
+        const debtor = open.reduce((min, entry) => (entry.cents < min.cents ? entry : min), open[0]);
+        const creditor = open.reduce((max, entry) => (entry.cents > max.cents ? entry : max), open[0]);
+        if (!debtor || debtor.cents >= 0 || creditor.cents <= 0) return transfers;
+        const cents = Math.min(-debtor.cents, creditor.cents);
+        transfers.push({ from: debtor.participantId, to: creditor.participantId, cents });
+        debtor.cents += cents;
+        creditor.cents -= cents;
+    }
+}
+
+/**
+ * The fewest transfers that bring every balance to zero
+ * A group of n people whose balances cancel out needs n - 1 transfers, so
+ * the answer is to split everyone into as many such groups as possible.
+ * That search is exponential; past MAX_EXACT_SETTLE open balances the
+ * transfers are matched greedily instead (at most one fewer than the number
+ * of open balances).
+ * @param {Array} balances - [{ participantId, balance }] that add up to zero; positive means owed money
+ * @returns {Array} - [{ from, to, amount }] participant IDs and amounts
+ */
+function settleUp(balances) {
+    const open = balances
+        .map(entry => ({ participantId: entry.participantId, cents: toCents(entry.balance) }))
+        .filter(entry => entry.cents !== 0);
+    const n = open.length;
+    let groups = [open];
+
+    if (n > 0 && n <= MAX_EXACT_SETTLE) {
+        const full = (1 << n) - 1;
+        const sums = new Array(full + 1).fill(0);
+        const best = new Array(full + 1).fill(0);
+        for (let mask = 1; mask <= full; mask++) {
+            const low = mask & -mask;
+            sums[mask] = sums[mask ^ low] + open[31 - Math.clz32(low)].cents;
+            for (let i = 0; i < n; i++) {
+                if (mask & (1 << i)) best[mask] = Math.max(best[mask], best[mask ^ (1 << i)]);
+            }
+            if (sums[mask] === 0) best[mask]++;
+        }
+        // Walk back to an order in which every zero-sum prefix closes a group
+        const order = [];
+        for (let mask = full; mask; ) {
+            const gain = sums[mask] === 0 ? 1 : 0;
+            const i = open.findIndex((entry, index) => (mask & (1 << index)) && best[mask ^ (1 << index)] + gain === best[mask]);
+            order.unshift(i);
+            mask ^= 1 << i;
+        }
+        groups = [];
+        let current = [];
+        let running = 0;
+        order.forEach(i => {
+            current.push(open[i]);
+            running += open[i].cents;
+            if (running === 0) {
+                groups.push(current);
+                current = [];
+            }
+        });
+        if (current.length > 0) groups.push(current);
+    }
+
+    return groups.flatMap(greedyTransfers).map(({ from, to, cents }) => ({ from, to, amount: cents / 100 }));
+}
+
+/**
+ * Create the expense split helpers
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @returns {Object} - { listParticipants, addParticipant, removeParticipant, getSplit, setSplit, clearSplit,
+ *   listSettlements, addSettlement, removeSettlement, getBalances }
+ */
+function createSplits(db) {
+    /**
+     * A trip's participants, by name
+     * @param {number} tripId - Trip ID
+     * @returns {Promise<Object[]>} - [{ id, name, userId, username }]
+     */
+    const listParticipants = (tripId) => db.all(
+        `SELECT p.id, p.name, p.user_id AS userId, u.username FROM trip_participants p
+         LEFT JOIN users u ON u.id = p.user_id
+         WHERE p.trip_id = ? ORDER BY p.name COLLATE NOCASE, p.id`,
+        [tripId]
+    );
+
+    /**
+     * Add someone to share a trip's costs with
+     * @param {Object} trip - Trip row
+     * @param {Object} participant - { name, userId }; userId links the trip's owner or a member, and names them by default
+     * @returns {Promise<Object>} - { ok: true, participant } or { ok: false, reason: 'name_required' | 'user_not_on_trip' | 'duplicate' }
+     */
+    const addParticipant = async (trip, { name, userId } = {}) => {
+        let user = null;
+        if (userId) {
+            user = await db.get(
+                `SELECT id, username FROM users WHERE id = ?
+                 AND (id = ? OR id IN (SELECT user_id FROM trip_members WHERE trip_id = ?))`,
+                [userId, trip.user_id, trip.id]
+            );
+            if (!user) return { ok: false, reason: 'user_not_on_trip' };
+        }
+        const participantName = name || (user && user.username);
+        if (!participantName) return { ok: false, reason: 'name_required' };
+        const taken = await db.get(
+            'SELECT id FROM trip_participants WHERE trip_id = ? AND (name = ? COLLATE NOCASE OR (? IS NOT NULL AND user_id = ?))',
+            [trip.id, participantName, user && user.id, user && user.id]
+        );
+        if (taken) return { ok: false, reason: 'duplicate' };
+        const { lastID } = await db.run(
+            'INSERT INTO trip_participants (trip_id, name, user_id, createdAt) VALUES (?, ?, ?, ?)',
+            [trip.id, participantName, user ? user.id : null, new Date().toISOString()]
+        );
+        return { ok: true, participant: { id: lastID, name: participantName, userId: user ? user.id : null, username: user ? user.username : null } };
+    };
+
+    /**
+     * Remove a participant who isn't on any split or settlement
+     * @param {number} tripId - Trip ID
+     * @param {number|string} participantId - Participant ID
+     * @returns {Promise<Object>} - { ok: true, participant } or { ok: false, reason: 'not_found' | 'in_use' }
+     */
+    const removeParticipant = async (tripId, participantId) => {
+        const participant = await db.get('SELECT * FROM trip_participants WHERE id = ? AND trip_id = ?', [participantId, tripId]);
+        if (!participant) return { ok: false, reason: 'not_found' };
+        const { used } = await db.get(
+            `SELECT EXISTS (SELECT 1 FROM expense_splits WHERE paidBy = ?)
+                 OR EXISTS (SELECT 1 FROM expense_split_shares WHERE participant_id = ?)
+                 OR EXISTS (SELECT 1 FROM trip_settlements WHERE fromParticipant = ? OR toParticipant = ?) AS used`,
+            [participant.id, participant.id, participant.id, participant.id]
+        );
+        if (used) return { ok: false, reason: 'in_use' };
+        await db.run('DELETE FROM trip_participants WHERE id = ?', [participant.id]);
+        return { ok: true, participant };
+    };
+
+    const loadSplit = async (tx, expense) => {
+        const split = await tx.get('SELECT * FROM expense_splits WHERE expense_id = ?', [expense.id]);
+        if (!split) return null;
+        const shares = await tx.all(
+            `SELECT s.participant_id AS participantId, p.name, s.share FROM expense_split_shares s
+             JOIN trip_participants p ON p.id = s.participant_id
+             WHERE s.expense_id = ? ORDER BY p.name COLLATE NOCASE, p.id`,
+            [expense.id]
+        );
+        const computed = computeShares(parseFloat(expense.cost) || 0, split.method, shares);
+        return {
+            expenseId: expense.id,
+            paidBy: split.paidBy,
+            method: split.method,
+            shares: shares.map((share, i) => ({ ...share, amount: computed.ok ? computed.amounts[i].amount : null })),
+            valid: computed.ok,
+            updatedAt: split.updatedAt
+        };
+    };
+
+    /**
+     * How an expense is split, with each participant's amount
+     * @param {Object} expense - Expense row
+     * @returns {Promise<Object|null>} - { expenseId, paidBy, method, shares: [{ participantId, name, share, amount }], valid }
+     *   or null if it isn't split. valid is false when exact amounts no longer add up to the cost.
+     */
+    const getSplit = (expense) => loadSplit(db, expense);
+
+    /**
+     * Split an expense between participants of its trip, replacing any earlier split
+     * @param {Object} expense - Expense row
+     * @param {Object} split - { paidBy, method, shares: [{ participantId, share }] }
+     * @param {number} userId - Who splits it
+     * @returns {Promise<Object>} - { ok: true, split } or { ok: false, reason: 'no_trip' | 'unknown_participant'
+     *   | 'invalid_method' | 'invalid_shares' | 'percent_total' | 'exact_total' }
+     */
+    const setSplit = (expense, { paidBy, method, shares }, userId) => db.transaction(async (tx) => {
+        if (!expense.trip_id) return { ok: false, reason: 'no_trip' };
+        const normalized = shares.map(share => ({
+            participantId: Number(share.participantId),
+            share: method === 'equal' ? 1 : Number(share.share)
+        }));
+        const computed = computeShares(parseFloat(expense.cost) || 0, method, normalized);
+        if (!computed.ok) return computed;
+
+        const ids = [Number(paidBy), ...normalized.map(share => share.participantId)];
+        const known = await tx.all(
+            `SELECT id FROM trip_participants WHERE trip_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+            [expense.trip_id, ...ids]
+        );
+        if (known.length !== new Set(ids).size) return { ok: false, reason: 'unknown_participant' };
+
+        await tx.run('DELETE FROM expense_splits WHERE expense_id = ?', [expense.id]);
+        await tx.run(
+            'INSERT INTO expense_splits (expense_id, paidBy, method, updatedBy, updatedAt) VALUES (?, ?, ?, ?, ?)',
+            [expense.id, Number(paidBy), method, userId, new Date().toISOString()]
+        );
+        for (const share of normalized) {
+            await tx.run('INSERT INTO expense_split_shares (expense_id, participant_id, share) VALUES (?, ?, ?)',
+                [expense.id, share.participantId, share.share]);
+        }
+        return { ok: true, split: await loadSplit(tx, expense) };
+    });
+
+    /**
+     * Stop splitting an expense
+     * @param {number|string} expenseId - Expense ID
+     * @returns {Promise<boolean>} - Whether it was split
+     */
+    const clearSplit = async (expenseId) => {
+        const { changes } = await db.run('DELETE FROM expense_splits WHERE expense_id = ?', [expenseId]);
+        return changes > 0;
+    };
+
+    /**
+     * Money paid back between a trip's participants, newest first
+     * @param {number} tripId - Trip ID
+     * @returns {Promise<Object[]>}
+     */
+    const listSettlements = (tripId) => db.all(
+        `SELECT s.id, s.fromParticipant, s.toParticipant, s.amount, s.createdBy, s.createdAt,
+                payer.name AS fromName, payee.name AS toName
+         FROM trip_settlements s
+         JOIN trip_participants payer ON payer.id = s.fromParticipant
+         JOIN trip_participants payee ON payee.id = s.toParticipant
+         WHERE s.trip_id = ? ORDER BY s.createdAt DESC, s.id DESC`,
+        [tripId]
+    );
+
+    /**
+     * Record that one participant paid another back
+     * @param {Object} trip - Trip row
+     * @param {Object} settlement - { from, to, amount } with amount in the trip's home currency
+     * @param {number} userId - Who records it
+     * @returns {Promise<Object>} - { ok: true, settlement } or { ok: false, reason: 'same_participant' | 'unknown_participant' }
+     */
+    const addSettlement = async (trip, { from, to, amount }, userId) => {
+        if (Number(from) === Number(to)) return { ok: false, reason: 'same_participant' };
+        const { count } = await db.get('SELECT COUNT(*) AS count FROM trip_participants WHERE trip_id = ? AND id IN (?, ?)', [trip.id, from, to]);
+        if (count !== 2) return { ok: false, reason: 'unknown_participant' };
+        const { lastID } = await db.run(
+            'INSERT INTO trip_settlements (trip_id, fromParticipant, toParticipant, amount, createdBy, createdAt) VALUES (?, ?, ?, ?, ?, ?)',
+            [trip.id, from, to, roundAmount(amount), userId, new Date().toISOString()]
+        );
+        return { ok: true, settlement: await db.get('SELECT * FROM trip_settlements WHERE id = ?', [lastID]) };
+    };
+
+    /**
+     * Remove a recorded settlement
+     * @param {number} tripId - Trip ID
+     * @param {number|string} settlementId - Settlement ID
+     * @returns {Promise<Object|null>} - The removed row, or null if the trip has no such settlement
+     */
+    const removeSettlement = async (tripId, settlementId) => {
+        const settlement = await db.get('SELECT * FROM trip_settlements WHERE id = ? AND trip_id = ?', [settlementId, tripId]);
+        if (!settlement) return null;
+        await db.run('DELETE FROM trip_settlements WHERE id = ?', [settlement.id]);
+        return settlement;
+    };
+
+    /**
+     * Who owes whom on a trip, and the transfers that would settle it
+     * Expenses that aren't split are left out.
+     * @param {Object} trip - Trip row
+     * @returns {Promise<Object>} - { tripId, currency, participants: [{ id, name, userId, username, paid, share,
+     *   sent, received, balance }], transfers: [{ from, fromName, to, toName, amount }], splitExpenses,
+     *   missingRates, invalidSplits: [expenseId] }
+     */
+    const getBalances = async (trip) => {
+        const participants = await listParticipants(trip.id);
+        const totals = new Map(participants.map(p => [p.id, { paid: 0, share: 0, sent: 0, received: 0 }]));
+        const converter = createRateConverter(db, trip.user_id);
+
+        const splits = await db.all(
+            `SELECT e.id, e.cost, e.currency, e.date, s.paidBy, s.method FROM expense_splits s
+             JOIN expenses e ON e.id = s.expense_id
+             WHERE e.trip_id = ? ORDER BY e.date, e.id`,
+            [trip.id]
+        );
+        const shareRows = await db.all(
+            `SELECT s.expense_id, s.participant_id AS participantId, s.share FROM expense_split_shares s
+             JOIN expenses e ON e.id = s.expense_id
+             WHERE e.trip_id = ? ORDER BY s.participant_id`,
+            [trip.id]
+        );
+
+        let missingRates = 0;
+        const invalidSplits = [];
+        for (const split of splits) {
+            const cost = parseFloat(split.cost) || 0;
+            const computed = computeShares(cost, split.method, shareRows.filter(row => row.expense_id === split.id));
+            if (!computed.ok) {
+                invalidSplits.push(split.id);
+                continue;
+            }
+            const converted = await converter.convert(cost, split.currency, trip.homeCurrency, split.date);
+            if (converted === null) {
+                missingRates++;
+                continue;
+            }
+            const convertedCents = toCents(converted);
+            totals.get(split.paidBy).paid += convertedCents;
+            const parts = cost > 0
+                ? allocateCents(convertedCents, computed.amounts.map(part => toCents(part.amount)))
+                : computed.amounts.map(() => 0);
+            computed.amounts.forEach((part, i) => { totals.get(part.participantId).share += parts[i]; });
+        }
+
+        const settlements = await db.all('SELECT fromParticipant, toParticipant, amount FROM trip_settlements WHERE trip_id = ?', [trip.id]);
+        settlements.forEach(settlement => {
+            totals.get(settlement.fromParticipant).sent += toCents(settlement.amount);
+            totals.get(settlement.toParticipant).received += toCents(settlement.amount);
+        });
+
+        const rows = participants.map(p => {
+            const t = totals.get(p.id);
+            return {
+                ...p,
+                paid: t.paid / 100,
+                share: t.share / 100,
+                sent: t.sent / 100,
+                received: t.received / 100,
+                balance: (t.paid - t.share + t.sent - t.received) / 100
+            };
+        });
+        const names = new Map(participants.map(p => [p.id, p.name]));
+        const transfers = settleUp(rows.map(row => ({ participantId: row.id, balance: row.balance })))
+            .map(transfer => ({ ...transfer, fromName: names.get(transfer.from), toName: names.get(transfer.to) }));
+
+        return {
+            tripId: trip.id,
+            currency: trip.homeCurrency,
+            participants: rows,
+            transfers,
+            splitExpenses: splits.length - invalidSplits.length - missingRates,
+            missingRates,
+            invalidSplits
+        };
+    };
+
+    return {
+        listParticipants, addParticipant, removeParticipant, getSplit, setSplit, clearSplit,
+        listSettlements, addSettlement, removeSettlement, getBalances
+    };
+}
+
+module.exports = {
+    SPLIT_METHODS,
+    allocateCents,
+    computeShares,
+    settleUp,
+    createSplits
+};
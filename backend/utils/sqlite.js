@@ -0,0 +1,146 @@
+/**
+ * SQLite Helper Module
+ *
+ * Promise wrappers around the callback-based sqlite3 API. Route handlers can
+ * keep using the callbacks (through queuedDb); the promises are for code that
+ * has to run several statements in order (migrations, transactions).
+ *
+ * A connection has one transaction at a time, and any statement sent on it
+ * while BEGIN is open becomes part of that transaction. So every statement on
+ * a connection goes through one queue: a transaction holds the queue from
+ * BEGIN to COMMIT, and statements from elsewhere wait until it is done.
+ * Statements issued from inside a transaction's callback run in it right away,
+ * and a transaction started inside another one becomes a savepoint.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Queue state per sqlite3 Database, shared by every wrapper of that connection
+const connections = new WeakMap();
+
+const connectionState = (db) => {
+    if (!connections.has(db)) {
+        connections.set(db, { tail: Promise.resolve(), current: new AsyncLocalStorage(), savepoints: 0 });
+    }
+    return connections.get(db);
+};
+
+/**
+ * Run a task once every statement and transaction queued before it has finished
+ * Tasks started from inside an open transaction run straight away, as part of it.
+ * @param {Object} state - Connection state
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>}
+ */
+const enqueue = (state, task) => {
+    const transaction = state.current.getStore();
+    if (transaction && transaction.open) return task();
+    const next = state.tail.then(task);
+    // Keep the queue going when a task fails
+    state.tail = next.catch(() => {});
+    return next;
+};
+
+/**
+ * Wrap a sqlite3 Database so run/get/all/exec return promises
+ * @param {sqlite3.Database} db - Open database connection
+ * @returns {Object} - { run, get, all, exec, transaction }
+ */
+function promisifyDb(db) {
+    const state = connectionState(db);
+
+    const run = (sql, params = []) => enqueue(state, () => new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) { // Use function() to access this.lastID / this.changes
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    }));
+
+    const get = (sql, params = []) => enqueue(state, () => new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }));
+
+    const all = (sql, params = []) => enqueue(state, () => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }));
+
+    const exec = (sql) => enqueue(state, () => new Promise((resolve, reject) => {
+        db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    }));
+
+    // BEGIN/COMMIT at the top level, a savepoint inside another transaction
+    const begin = (outer) => {
+        if (!outer) return { start: 'BEGIN TRANSACTION', end: 'COMMIT', undo: ['ROLLBACK'] };
+        const name = `sp_${++state.savepoints}`;
+        return { start: `SAVEPOINT ${name}`, end: `RELEASE ${name}`, undo: [`ROLLBACK TO ${name}`, `RELEASE ${name}`] };
+    };
+
+    /**
+     * Run an async callback inside BEGIN/COMMIT, rolling back if it throws
+     * @param {Function} work - async (helpers) => result
+     * @returns {Promise<*>} - Whatever the callback resolved with
+     */
+    const transaction = (work) => enqueue(state, async () => {
+        const outer = state.current.getStore();
+        const statements = begin(outer && outer.open);
+        const current = { open: true };
+        return state.current.run(current, async () => {
+            await exec(statements.start);
+            try {
+                const result = await work(helpers);
+                await exec(statements.end);
+                return result;
+            } catch (error) {
+                try {
+                    for (const sql of statements.undo) await exec(sql);
+                } catch (rollbackErr) {
+                    console.error('Error rolling back transaction:', rollbackErr.message);
+                }
+                throw error;
+            } finally {
+                // Anything the callback left running goes back through the queue
+                current.open = false;
+            }
+        });
+    });
+
+    const helpers = { run, get, all, exec, transaction };
+    return helpers;
+}
+
+/**
+ * The callback API of a sqlite3 Database, with every statement sent through the
+ * connection's queue (so none lands inside another request's transaction)
+ * @param {sqlite3.Database} db - Open database connection
+ * @returns {Object} - { run, get, all, exec, close } taking the same arguments and
+ *   callbacks as sqlite3's, including `this` in run's callback
+ */
+function queuedDb(db) {
+    const state = connectionState(db);
+
+    const queued = (method) => (...args) => {
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        enqueue(state, () => new Promise((resolve) => {
+            db[method](...args, function(...results) {
+                resolve();
+                if (callback) {
+                    callback.apply(this, results);
+                } else if (results[0]) {
+                    console.error(`Database error in ${method}:`, results[0].message);
+                }
+            });
+        }));
+        return wrapper;
+    };
+
+    const wrapper = {
+        run: queued('run'),
+        get: queued('get'),
+        all: queued('all'),
+        exec: queued('exec'),
+        close: queued('close')
+    };
+    return wrapper;
+}
+
+module.exports = { promisifyDb, queuedDb };
@@ -0,0 +1,139 @@
+/**
+ * TOTP Module
+ *
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1 over the number of 30-second steps since the epoch, truncated
+ * to 6 digits. Secrets are exchanged as base32, the encoding the apps expect
+ * in otpauth:// URLs.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const SECRET_BYTES = 20; // 160 bits, the HMAC-SHA1 block recommendation in RFC 4226
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Buffer}
+ * @throws {Error} - On characters outside the base32 alphabet
+ */
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * The time step a moment falls in
+ * @param {number} [timeMs] - Milliseconds since the epoch (default now)
+ * @returns {number}
+ */
+function getTimeStep(timeMs = Date.now()) {
+    return Math.floor(timeMs / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * The code for a secret at a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} - Zero-padded code
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a code from the user's app
+ * Codes from one step either side are accepted too, for clocks that drift.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code as typed (spaces are ignored)
+ * @param {Object} [options] - { timeMs, window } time to check at and steps of drift allowed (default 1)
+ * @returns {number|null} - The matching time step, or null if the code is wrong
+ */
+function verifyCode(secret, code, { timeMs = Date.now(), window = 1 } = {}) {
+    const typed = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(typed)) return null;
+    const current = getTimeStep(timeMs);
+    for (let step = current - window; step <= current + window; step++) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(typed))) return step;
+    }
+    return null;
+}
+
+/**
+ * The otpauth:// URL authenticator apps read from the QR code
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {string}
+ */
+function buildOtpauthUrl({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    TOTP_DIGITS,
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUrl
+};
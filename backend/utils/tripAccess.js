@@ -0,0 +1,208 @@
+/**
+ * Trip Access Module
+ *
+ * Decides who may do what with a trip and the expenses on it, so routes ask
+ * here instead of each repeating `user_id = ?` in their SQL. A trip belongs
+ * to the user who created it (its owner) and can be shared with other users
+ * through trip_members:
+ *
+ *   owner       - everything, including sharing and deleting the trip
+ *   editor      - edit the trip and its budgets, and any expense on it, and
+ *                 submit its expense reports
+ *   contributor - add expenses, and edit or delete their own
+ *   viewer      - see the trip and all of its expenses
+ *
+ * Expenses keep their author in user_id. Old expenses without a trip are
+ * only visible to their author.
+ */
+
+const TRIP_ROLES = ['viewer', 'contributor', 'editor'];
+
+// Roles allowed each action on a trip
+const TRIP_PERMISSIONS = {
+    view: ['owner', 'editor', 'contributor', 'viewer'],
+    addExpense: ['owner', 'editor', 'contributor'],
+    editAnyExpense: ['owner', 'editor'],
+    edit: ['owner', 'editor'],
+    report: ['owner', 'editor'],
+    share: ['owner'],
+    delete: ['owner']
+};
+
+// IDs of the trips a user can see; binds the user ID twice
+const VISIBLE_TRIP_IDS = 'SELECT id FROM trips WHERE user_id = ? UNION SELECT trip_id FROM trip_members WHERE user_id = ?';
+
+/**
+ * Whether a role on a trip allows an action
+ * @param {string|null} role - 'owner', 'editor', 'contributor', 'viewer' or null (no access)
+ * @param {string} action - Key of TRIP_PERMISSIONS
+ * @returns {boolean}
+ */
+function can(role, action) {
+    if (!TRIP_PERMISSIONS[action]) throw new Error(`Unknown trip action: ${action}`);
+    return !!role && TRIP_PERMISSIONS[action].includes(role);
+}
+
+/**
+ * Whether a user may change or delete an expense, given their role on its trip
+ * @param {string|null} role - The user's role on the expense's trip
+ * @param {Object} expense - Expense row (user_id is its author)
+ * @param {number} userId - The user
+ * @returns {boolean}
+ */
+function canEditExpense(role, expense, userId) {
+    return can(role, 'editAnyExpense') || (can(role, 'addExpense') && expense.user_id === userId);
+}
+
+/**
+ * WHERE condition matching the expenses a user can see: those on trips they
+ * own or were invited to, plus their own expenses without a trip
+ * @param {number} userId - The user
+ * @param {string} [alias] - Table alias of expenses in the query, e.g. 'e'
+ * @returns {Object} - { sql, params }
+ */
+function visibleExpensesCondition(userId, alias = '') {
+    const column = (name) => (alias ? `${alias}.${name}` : name);
+    return {
+        sql: `(${column('trip_id')} IN (${VISIBLE_TRIP_IDS}) OR (${column('trip_id')} IS NULL AND ${column('user_id')} = ?))`,
+        params: [userId, userId, userId]
+    };
+}
+
+/**
+ * Create the trip access helpers
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @returns {Object} - { getTrip, findTrip, listTrips, getExpense, listMembers, addMember, setMemberRole, removeMember }
+ */
+function createTripAccess(db) {
+    // Trips the user can see, with their role on each and the owner's name; binds the user ID three times
+    const TRIP_SELECT = `
+        SELECT t.*, owner.username AS ownerUsername,
+               CASE WHEN t.user_id = ? THEN 'owner' ELSE m.role END AS role
+        FROM trips t
+        JOIN users owner ON owner.id = t.user_id
+        LEFT JOIN trip_members m ON m.trip_id = t.id AND m.user_id = ?
+        WHERE (t.user_id = ? OR m.user_id IS NOT NULL)`;
+
+    /**
+     * A trip the user can see
+     * @param {number} userId - The user
+     * @param {number|string} tripId - Trip ID
+     * @returns {Promise<Object|null>} - Trip row plus role and ownerUsername, or null without access
+     */
+    const getTrip = async (userId, tripId) =>
+        (await db.get(`${TRIP_SELECT} AND t.id = ?`, [userId, userId, userId, tripId])) || null;
+
+    /**
+     * A trip the user can see, by ID or (for older clients) by name
+     * A name shared by several visible trips picks the user's own.
+     * @param {number} userId - The user
+     * @param {Object} lookup - { tripId, tripName }; the ID takes precedence
+     * @returns {Promise<Object|null>}
+     */
+    const findTrip = async (userId, { tripId, tripName } = {}) => {
+        if (tripId) return getTrip(userId, tripId);
+        if (!tripName) return null;
+        const row = await db.get(
+            `${TRIP_SELECT} AND t.name = ? ORDER BY (t.user_id = ?) DESC, t.id ASC LIMIT 1`,
+            [userId, userId, userId, tripName, userId]
+        );
+        return row || null;
+    };
+
+    /**
+     * Every trip the user can see, by name
+     * @param {number} userId - The user
+     * @returns {Promise<Object[]>}
+     */
+    const listTrips = (userId) =>
+        db.all(`${TRIP_SELECT} ORDER BY t.name ASC, t.id ASC`, [userId, userId, userId]);
+
+    /**
+     * An expense the user can see, with what they may do to it
+     * @param {number} userId - The user
+     * @param {number|string} expenseId - Expense ID
+     * @returns {Promise<Object|null>} - { expense, trip, role, canEdit }, or null without access
+     */
+    const getExpense = async (userId, expenseId) => {
+        const expense = await db.get("SELECT * FROM expenses WHERE id = ?", [expenseId]);
+        if (!expense) return null;
+        if (!expense.trip_id) {
+            return expense.user_id === userId ? { expense, trip: null, role: 'owner', canEdit: true } : null;
+        }
+        const trip = await getTrip(userId, expense.trip_id);
+        if (!trip) return null;
+        return { expense, trip, role: trip.role, canEdit: canEditExpense(trip.role, expense, userId) };
+    };
+
+    /**
+     * Users a trip is shared with (not including its owner)
+     * @param {number} tripId - Trip ID
+     * @returns {Promise<Object[]>} - [{ userId, username, role, invitedBy, createdAt }]
+     */
+    const listMembers = (tripId) => db.all(
+        `SELECT m.user_id AS userId, u.username, m.role, m.invitedBy, m.createdAt
+         FROM trip_members m JOIN users u ON u.id = m.user_id
+         WHERE m.trip_id = ? ORDER BY u.username COLLATE NOCASE`,
+        [tripId]
+    );
+
+    /**
+     * Share a trip with a user
+     * @param {Object} trip - Trip row (id, user_id)
+     * @param {string} username - User to invite
+     * @param {string} role - One of TRIP_ROLES
+     * @param {number} invitedBy - Who shared it
+     * @returns {Promise<Object>} - { ok: true, member } or { ok: false, reason: 'invalid_role' | 'user_not_found' | 'owner' | 'already_member' }
+     */
+    const addMember = async (trip, username, role, invitedBy) => {
+        if (!TRIP_ROLES.includes(role)) return { ok: false, reason: 'invalid_role' };
+        const user = await db.get("SELECT id, username FROM users WHERE username = ?", [username]);
+        if (!user) return { ok: false, reason: 'user_not_found' };
+        if (user.id === trip.user_id) return { ok: false, reason: 'owner' };
+        const { changes } = await db.run(
+            "INSERT INTO trip_members (trip_id, user_id, role, invitedBy, createdAt) VALUES (?, ?, ?, ?, ?) ON CONFLICT DO NOTHING",
+            [trip.id, user.id, role, invitedBy, new Date().toISOString()]
+        );
+        if (changes === 0) return { ok: false, reason: 'already_member' };
+        return { ok: true, member: { userId: user.id, username: user.username, role } };
+    };
+
+    /**
+     * Change a member's role
+     * @param {number} tripId - Trip ID
+     * @param {number} userId - Member
+     * @param {string} role - One of TRIP_ROLES
+     * @returns {Promise<Object|null>} - { previousRole } or null if the user isn't a member
+     */
+    const setMemberRole = async (tripId, userId, role) => {
+        if (!TRIP_ROLES.includes(role)) throw new Error(`Unknown trip role: ${role}`);
+        const member = await db.get("SELECT role FROM trip_members WHERE trip_id = ? AND user_id = ?", [tripId, userId]);
+        if (!member) return null;
+        await db.run("UPDATE trip_members SET role = ? WHERE trip_id = ? AND user_id = ?", [role, tripId, userId]);
+        return { previousRole: member.role };
+    };
+
+    /**
+     * Stop sharing a trip with a user. Their expenses stay on the trip.
+     * @param {number} tripId - Trip ID
+     * @param {number} userId - Member
+     * @returns {Promise<boolean>} - Whether they were a member
+     */
+    const removeMember = async (tripId, userId) => {
+        const { changes } = await db.run("DELETE FROM trip_members WHERE trip_id = ? AND user_id = ?", [tripId, userId]);
+        return changes > 0;
+    };
+
+    return { getTrip, findTrip, listTrips, getExpense, listMembers, addMember, setMemberRole, removeMember };
+}
+
+module.exports = {
+    TRIP_ROLES,
+    TRIP_PERMISSIONS,
+    VISIBLE_TRIP_IDS,
+    can,
+    canEditExpense,
+    visibleExpensesCondition,
+    createTripAccess
+};
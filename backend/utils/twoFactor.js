@@ -0,0 +1,256 @@
+/**
+ * Two-Factor Authentication Module
+ *
+ * Optional TOTP second factor. Setup stores a new secret (encrypted with
+ * API_KEY_ENCRYPTION_KEY, like saved API keys) that only takes effect once
+ * the user confirms a code from their app; confirming also hands out ten
+ * single-use recovery codes for when the phone is lost.
+ *
+ * With 2FA on, a correct password only earns a challenge token. The token
+ * lasts five minutes and allows five tries at the code before it is spent,
+ * so the code can't be guessed.
+ */
+
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+const { encryptApiKey, decryptApiKey } = require('./apiKeys');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+/**
+ * Generate a recovery code: 16 hex characters in groups of four
+ * @returns {string} - e.g. "3f9a-01bc-77de-a2c4"
+ */
+function generateRecoveryCode() {
+    return crypto.randomBytes(8).toString('hex').match(/.{4}/g).join('-');
+}
+
+/**
+ * Reduce a recovery code as typed to its hex digits
+ * @param {string} code - Code as typed
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+/**
+ * Create the two-factor store
+ * @param {Object} db - Promise helpers from utils/sqlite.js
+ * @param {Object} options - Store settings
+ * @param {Buffer|null} options.masterKey - From parseMasterKey(); without it 2FA can't be set up
+ * @param {string} [options.issuer] - Name shown in authenticator apps
+ * @param {number} [options.challengeTtlMs] - How long a login challenge lasts (default 5 minutes)
+ * @param {number} [options.maxAttempts] - Wrong codes allowed per challenge (default 5)
+ * @returns {Object} - { isAvailable, getStatus, isEnabledFor, beginSetup, confirmSetup, verify,
+ *   disable, regenerateRecoveryCodes, createChallenge, redeemChallenge }
+ */
+function createTwoFactorStore(db, options) {
+    const {
+        masterKey,
+        issuer = 'Expense Tracker',
+        challengeTtlMs = CHALLENGE_TTL_MS,
+        maxAttempts = MAX_CHALLENGE_ATTEMPTS
+    } = options;
+    const context = (userId) => `${userId}:totp`;
+
+    const isAvailable = () => !!masterKey;
+
+    const getTotpRow = (userId) => db.get("SELECT * FROM user_totp WHERE user_id = ?", [userId]);
+
+    /**
+     * Whether the user has 2FA on, and how many recovery codes are left
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object>} - { enabled, recoveryCodesLeft }
+     */
+    const getStatus = async (userId) => {
+        const row = await getTotpRow(userId);
+        const enabled = !!(row && row.enabledAt);
+        const { count } = await db.get(
+            "SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND usedAt IS NULL",
+            [userId]
+        );
+        return { enabled, recoveryCodesLeft: enabled ? count : 0 };
+    };
+
+    /**
+     * Whether logging in as the user needs a code
+     * @param {number} userId - ID of the user
+     * @returns {Promise<boolean>}
+     */
+    const isEnabledFor = async (userId) => {
+        const row = await getTotpRow(userId);
+        return !!(row && row.enabledAt);
+    };
+
+    // Replace the user's recovery codes with fresh ones, returning them in the clear
+    const replaceRecoveryCodes = async (tx, userId) => {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+        await tx.run("DELETE FROM recovery_codes WHERE user_id = ?", [userId]);
+        for (const code of codes) {
+            await tx.run("INSERT INTO recovery_codes (user_id, codeHash) VALUES (?, ?)",
+                [userId, hashToken(normalizeRecoveryCode(code))]);
+        }
+        return codes;
+    };
+
+    /**
+     * Start setting up 2FA: store a new secret, not yet in effect
+     * @param {number} userId - ID of the user
+     * @param {string} accountName - Label shown in the app (the username)
+     * @returns {Promise<Object|null>} - { secret, otpauthUrl }, or null if 2FA is already on
+     */
+    const beginSetup = async (userId, accountName) => {
+        if (!masterKey) throw new Error('Two-factor authentication is not available (API_KEY_ENCRYPTION_KEY is not set).');
+        if (await isEnabledFor(userId)) return null;
+        const secret = generateSecret();
+        await db.run(
+            `INSERT INTO user_totp (user_id, encryptedSecret, createdAt) VALUES (?, ?, ?)
+             ON CONFLICT (user_id) DO UPDATE SET encryptedSecret = excluded.encryptedSecret,
+                 enabledAt = NULL, lastUsedStep = NULL, createdAt = excluded.createdAt`,
+            [userId, encryptApiKey(secret, masterKey, context(userId)), new Date().toISOString()]
+        );
+        return { secret, otpauthUrl: buildOtpauthUrl({ secret, accountName, issuer }) };
+    };
+
+    // Accept a TOTP code once: the step must be newer than the last one used
+    const useTotpCode = async (row, code) => {
+        const secret = decryptApiKey(row.encryptedSecret, masterKey, context(row.user_id));
+        const step = verifyCode(secret, code);
+        if (step === null) return false;
+        const { changes } = await db.run(
+            "UPDATE user_totp SET lastUsedStep = ? WHERE user_id = ? AND (lastUsedStep IS NULL OR lastUsedStep < ?)",
+            [step, row.user_id, step]
+        );
+        return changes > 0;
+    };
+
+    /**
+     * Finish setup with a code from the app, turning 2FA on
+     * @param {number} userId - ID of the user
+     * @param {string} code - Current code from the app
+     * @returns {Promise<string[]|null>} - The new recovery codes, or null if there's no pending setup or the code is wrong
+     */
+    const confirmSetup = async (userId, code) => {
+        const row = await getTotpRow(userId);
+        if (!row || row.enabledAt || !masterKey) return null;
+        if (!await useTotpCode(row, code)) return null;
+        return db.transaction(async (tx) => {
+            await tx.run("UPDATE user_totp SET enabledAt = ? WHERE user_id = ?", [new Date().toISOString(), userId]);
+            return replaceRecoveryCodes(tx, userId);
+        });
+    };
+
+    /**
+     * Check a second-factor code: a TOTP code or an unused recovery code
+     * @param {number} userId - ID of the user
+     * @param {string} code - Code as typed
+     * @returns {Promise<Object>} - { ok: true, method: 'totp' | 'recovery' } or { ok: false }
+     */
+    const verify = async (userId, code) => {
+        const row = await getTotpRow(userId);
+        if (!row || !row.enabledAt || !masterKey) return { ok: false };
+        if (await useTotpCode(row, code)) return { ok: true, method: 'totp' };
+
+        const normalized = normalizeRecoveryCode(code);
+        if (normalized.length !== 16) return { ok: false };
+        const { changes } = await db.run(
+            "UPDATE recovery_codes SET usedAt = ? WHERE user_id = ? AND codeHash = ? AND usedAt IS NULL",
+            [new Date().toISOString(), userId, hashToken(normalized)]
+        );
+        return changes > 0 ? { ok: true, method: 'recovery' } : { ok: false };
+    };
+
+    /**
+     * Turn 2FA off, removing the secret and recovery codes
+     * @param {number} userId - ID of the user
+     * @returns {Promise<boolean>} - Whether 2FA (or a pending setup) was removed
+     */
+    const disable = async (userId) => db.transaction(async (tx) => {
+        await tx.run("DELETE FROM recovery_codes WHERE user_id = ?", [userId]);
+        await tx.run("DELETE FROM two_factor_challenges WHERE user_id = ?", [userId]);
+        const { changes } = await tx.run("DELETE FROM user_totp WHERE user_id = ?", [userId]);
+        return changes > 0;
+    });
+
+    /**
+     * Replace the user's recovery codes
+     * @param {number} userId - ID of the user
+     * @returns {Promise<string[]|null>} - The new codes, or null if 2FA is off
+     */
+    const regenerateRecoveryCodes = async (userId) => {
+        if (!await isEnabledFor(userId)) return null;
+        return db.transaction(tx => replaceRecoveryCodes(tx, userId));
+    };
+
+    /**
+     * Issue the intermediate token for a login that passed the password step
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object>} - { token, expiresAt }
+     */
+    const createChallenge = async (userId) => {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + challengeTtlMs).toISOString();
+        await db.run("DELETE FROM two_factor_challenges WHERE user_id = ? AND (usedAt IS NOT NULL OR expiresAt < ?)",
+            [userId, now.toISOString()]);
+        await db.run(
+            "INSERT INTO two_factor_challenges (user_id, tokenHash, expiresAt, createdAt) VALUES (?, ?, ?, ?)",
+            [userId, hashToken(token), expiresAt, now.toISOString()]
+        );
+        return { token, expiresAt };
+    };
+
+    /**
+     * Finish a login with the intermediate token and a code
+     * @param {string} token - Token from the password step
+     * @param {string} code - TOTP or recovery code
+     * @returns {Promise<Object>} - { ok: true, userId, method } or { ok: false, reason, attemptsLeft }
+     *   with reason invalid, expired, too_many_attempts or wrong_code (and userId once a code was checked)
+     */
+    const redeemChallenge = async (token, code) => {
+        const challenge = await db.get(
+            "SELECT * FROM two_factor_challenges WHERE tokenHash = ? AND usedAt IS NULL",
+            [hashToken(token)]
+        );
+        if (!challenge) return { ok: false, reason: 'invalid' };
+        if (new Date(challenge.expiresAt) < new Date()) return { ok: false, reason: 'expired' };
+
+        // Counted before checking, so parallel guesses can't get past the limit
+        const { changes } = await db.run(
+            "UPDATE two_factor_challenges SET attempts = attempts + 1 WHERE id = ? AND attempts < ? AND usedAt IS NULL",
+            [challenge.id, maxAttempts]
+        );
+        if (changes === 0) return { ok: false, reason: 'too_many_attempts' };
+
+        const result = await verify(challenge.user_id, code);
+        if (!result.ok) {
+            const attemptsLeft = maxAttempts - (challenge.attempts + 1);
+            return {
+                ok: false,
+                reason: attemptsLeft > 0 ? 'wrong_code' : 'too_many_attempts',
+                attemptsLeft: Math.max(attemptsLeft, 0),
+                userId: challenge.user_id
+            };
+        }
+        const used = await db.run("UPDATE two_factor_challenges SET usedAt = ? WHERE id = ? AND usedAt IS NULL",
+            [new Date().toISOString(), challenge.id]);
+        if (used.changes === 0) return { ok: false, reason: 'invalid' };
+        return { ok: true, userId: challenge.user_id, method: result.method };
+    };
+
+    return {
+        isAvailable, getStatus, isEnabledFor, beginSetup, confirmSetup, verify,
+        disable, regenerateRecoveryCodes, createChallenge, redeemChallenge
+    };
+}
+
+module.exports = {
+    RECOVERY_CODE_COUNT,
+    generateRecoveryCode,
+    normalizeRecoveryCode,
+    createTwoFactorStore
+};
@@ -0,0 +1,413 @@
+document.addEventListener('DOMContentLoaded', () => {
+    // DOM Elements for the Admin page
+    const appContent = document.getElementById('app-content');
+    const adminContent = document.getElementById('admin-content');
+    const notAdminMessage = document.getElementById('not-admin');
+    const logoutButton = document.getElementById('logout-button');
+    const userList = document.getElementById('user-list');
+    const temporaryPasswordBox = document.getElementById('temporary-password');
+    const ocrSettingsForm = document.getElementById('ocr-settings-form');
+    const allowedMethodsDiv = document.getElementById('ocr-allowed-methods');
+    const defaultMethodSelect = document.getElementById('ocr-default-method');
+    const serverKeysForm = document.getElementById('server-keys-form');
+    const toast = document.getElementById('toast');
+    const toastMessage = document.getElementById('toast-message');
+
+    const OCR_METHOD_LABELS = {
+        builtin: 'Built-in OCR (Tesseract.js)',
+        openai: 'OpenAI Vision API',
+        gemini: 'Google Gemini Vision',
+        claude: 'Anthropic Claude',
+        openrouter: 'Open Router'
+    };
+
+    // Auth state
+    let authToken = null;
+    let currentUser = null;
+
+    // --- Auth Token Helpers (Copied from script.js/settings.js) ---
+    function saveToken(token, user, refreshToken) {
+        localStorage.setItem('authToken', token);
+        localStorage.setItem('currentUser', JSON.stringify(user));
+        if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+        authToken = token;
+        currentUser = user;
+    };
+
+    function getToken() {
+        authToken = localStorage.getItem('authToken');
+        const userString = localStorage.getItem('currentUser');
+        currentUser = userString ? JSON.parse(userString) : null;
+        return authToken;
+    };
+
+    function clearToken() {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('currentUser');
+        localStorage.removeItem('refreshToken');
+        authToken = null;
+        currentUser = null;
+    };
+
+    function isLoggedIn() {
+        return !!getToken();
+    };
+
+    // --- UI Update Function ---
+    // Like the dashboard, this page has no login form; logged-out visitors go to the Trips page.
+    function updateUIForAuthState() {
+        if (!isLoggedIn()) {
+            window.location.href = 'trips.html';
+            return;
+        }
+        appContent.classList.remove('hidden');
+        document.getElementById('nav-trips')?.classList.remove('hidden');
+        document.getElementById('nav-dashboard')?.classList.remove('hidden');
+        document.getElementById('nav-settings')?.classList.remove('hidden');
+        document.getElementById('nav-approvals')?.classList.toggle('hidden', !['approver', 'admin'].includes(currentUser?.role));
+        document.getElementById('nav-admin')?.classList.toggle('hidden', currentUser?.role !== 'admin');
+        document.getElementById('nav-logout')?.classList.remove('hidden');
+    };
+
+    // --- Session Refresh (Copied from script.js/settings.js) ---
+    // Access tokens are short-lived. On a 401 the refresh token is swapped for a new
+    // pair and the request retried once; concurrent 401s share one refresh.
+    let refreshPromise = null;
+    function refreshSession() {
+        if (!refreshPromise) {
+            refreshPromise = (async () => {
+                const refreshToken = localStorage.getItem('refreshToken');
+                if (!refreshToken) return false;
+                const response = await fetch('/api/auth/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                const result = await response.json().catch(() => ({}));
+                if (response.ok) {
+                    saveToken(result.token, { id: result.userId, username: result.username, role: result.role }, result.refreshToken);
+                    return true;
+                }
+                // Another tab refreshed with the same token first; use the tokens it saves
+                if (result.reason === 'raced') await new Promise(resolve => setTimeout(resolve, 1000));
+                return localStorage.getItem('refreshToken') !== refreshToken;
+            })().catch(() => false).finally(() => { refreshPromise = null; });
+        }
+        return refreshPromise;
+    }
+
+    // --- API Fetch Helper (Copied from settings.js) ---
+    async function fetchWithAuth(url, options = {}) {
+        const token = getToken();
+        const headers = { ...options.headers };
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        if (options.body && typeof options.body === 'object') {
+            headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(options.body);
+        }
+        let response = await fetch(url, { ...options, headers });
+        if (response.status === 401 && await refreshSession()) {
+            headers['Authorization'] = `Bearer ${getToken()}`;
+            response = await fetch(url, { ...options, headers });
+        }
+        if (response.status === 401) {
+            console.log('Auth error detected, logging out.');
+            clearToken();
+            updateUIForAuthState();
+            throw new Error('Authentication required');
+        }
+        return response;
+    };
+
+    // --- Toast Notification Functions (Copied from script.js/settings.js) ---
+    function showToast(message, type = 'success') {
+        if (!toast || !toastMessage) return;
+        toast.className = `toast ${type}`;
+        toastMessage.textContent = message;
+        toast.classList.add('show');
+
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 3000);
+    }
+
+    // Throw with the API's error message(s) for a failed response
+    async function readResult(response) {
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const message = result.errors ? result.errors.map(e => e.msg).join(', ') : result.message;
+            throw new Error(message || `HTTP error! status: ${response.status}`);
+        }
+        return result;
+    }
+
+    // Usernames are HTML-escaped by the backend; decode them for text nodes
+    function decodeEntities(text) {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = text;
+        return textarea.value;
+    }
+
+    function formatDateTime(value) {
+        if (!value) return 'Never';
+        const date = new Date(value);
+        return isNaN(date) ? value : date.toLocaleString();
+    }
+
+    // --- Users ---
+    function renderUsers(users, roles) {
+        userList.innerHTML = '';
+        users.forEach(user => {
+            const isSelf = currentUser && user.id === currentUser.id;
+            const row = document.createElement('tr');
+            [decodeEntities(user.username), user.email || '-'].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const roleCell = document.createElement('td');
+            const roleSelect = document.createElement('select');
+            roleSelect.className = 'user-role';
+            roleSelect.dataset.id = user.id;
+            roleSelect.disabled = isSelf; // The server refuses this anyway
+            roles.forEach(role => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = role.charAt(0).toUpperCase() + role.slice(1);
+                roleSelect.appendChild(option);
+            });
+            roleSelect.value = user.role;
+            roleCell.appendChild(roleSelect);
+            row.appendChild(roleCell);
+
+            const statusCell = document.createElement('td');
+            if (user.disabled) {
+                statusCell.textContent = 'Disabled';
+            } else if (user.lockedUntil) {
+                statusCell.textContent = `Locked until ${formatDateTime(user.lockedUntil)}`;
+            } else {
+                statusCell.textContent = 'Active';
+            }
+            statusCell.className = user.disabled || user.lockedUntil ? 'user-disabled' : '';
+            row.appendChild(statusCell);
+
+            const twoFactorCell = document.createElement('td');
+            twoFactorCell.textContent = user.twoFactorEnabled ? 'On' : 'Off';
+            row.appendChild(twoFactorCell);
+
+            const lastActiveCell = document.createElement('td');
+            lastActiveCell.textContent = formatDateTime(user.lastActiveAt);
+            row.appendChild(lastActiveCell);
+
+            const actions = document.createElement('td');
+            if (isSelf) {
+                actions.innerHTML = '<span class="session-current">You</span>';
+            } else {
+                actions.innerHTML = `
+                    <div class="btn-group">
+                        <button class="btn-small ${user.disabled ? '' : 'btn-danger'} toggle-user" data-id="${user.id}" data-disabled="${user.disabled}">${user.disabled ? 'Enable' : 'Disable'}</button>
+                        <button class="btn-small reset-user-password" data-id="${user.id}">Reset Password</button>
+                        ${user.twoFactorEnabled ? `<button class="btn-small disable-user-2fa" data-id="${user.id}">Turn Off 2FA</button>` : ''}
+                        ${user.lockedUntil ? `<button class="btn-small unlock-user" data-id="${user.id}">Unlock</button>` : ''}
+                    </div>`;
+            }
+            row.appendChild(actions);
+            row.dataset.username = decodeEntities(user.username);
+            userList.appendChild(row);
+        });
+    }
+
+    // Returns false if the user isn't an admin (the API answers 403)
+    async function loadUsers() {
+        const response = await fetchWithAuth('/api/admin/users');
+        if (response.status === 403) return false;
+        const { users, roles } = await readResult(response);
+        renderUsers(users, roles);
+        return true;
+    }
+
+    async function updateUser(userId, changes) {
+        try {
+            const response = await fetchWithAuth(`/api/admin/users/${userId}`, { method: 'PUT', body: changes });
+            const result = await readResult(response);
+            showToast(result.message);
+        } catch (error) {
+            console.error('Error updating user:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to update user', 'error');
+        }
+        loadUsers().catch(error => console.error('Error reloading users:', error));
+    }
+
+    async function resetUserPassword(userId, username) {
+        if (!window.confirm(`Reset the password of ${username}? They will be logged out everywhere.`)) return;
+        try {
+            const response = await fetchWithAuth(`/api/admin/users/${userId}/reset-password`, { method: 'POST' });
+            const result = await readResult(response);
+            document.getElementById('temporary-password-user').textContent = username;
+            document.getElementById('temporary-password-value').textContent = result.temporaryPassword;
+            temporaryPasswordBox.classList.remove('hidden');
+            showToast('Password reset.');
+        } catch (error) {
+            console.error('Error resetting password:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to reset password', 'error');
+        }
+    }
+
+    // For users locked out of 2FA without their recovery codes
+    async function disableUserTwoFactor(userId, username) {
+        if (!window.confirm(`Turn off two-factor authentication for ${username}? Only do this after confirming who is asking.`)) return;
+        try {
+            const response = await fetchWithAuth(`/api/admin/users/${userId}/disable-2fa`, { method: 'POST' });
+            const result = await readResult(response);
+            showToast(result.message);
+        } catch (error) {
+            console.error('Error turning off 2FA:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to turn off 2FA', 'error');
+        }
+        loadUsers().catch(error => console.error('Error reloading users:', error));
+    }
+
+    // Lift a lockout from repeated failed logins
+    async function unlockUser(userId) {
+        try {
+            const response = await fetchWithAuth(`/api/admin/users/${userId}/unlock`, { method: 'POST' });
+            const result = await readResult(response);
+            showToast(result.message);
+        } catch (error) {
+            console.error('Error unlocking user:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to unlock account', 'error');
+        }
+        loadUsers().catch(error => console.error('Error reloading users:', error));
+    }
+
+    // --- Instance Settings ---
+    function renderSettings({ settings, ocrMethods, serverKeys }) {
+        allowedMethodsDiv.innerHTML = '';
+        defaultMethodSelect.innerHTML = '';
+        ocrMethods.forEach(method => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'ocrAllowedMethods';
+            checkbox.value = method;
+            checkbox.checked = settings.ocrAllowedMethods.includes(method);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${OCR_METHOD_LABELS[method] || method}`));
+            allowedMethodsDiv.appendChild(label);
+
+            const option = document.createElement('option');
+            option.value = method;
+            option.textContent = OCR_METHOD_LABELS[method] || method;
+            defaultMethodSelect.appendChild(option);
+        });
+        defaultMethodSelect.value = settings.ocrDefaultMethod;
+
+        serverKeys.forEach(key => {
+            const status = document.getElementById(`server-${key.provider}-status`);
+            if (status) status.textContent = key.configured ? '(set)' : '(not set)';
+        });
+    }
+
+    async function loadSettings() {
+        const response = await fetchWithAuth('/api/admin/settings');
+        renderSettings(await readResult(response));
+    }
+
+    async function saveOcrSettings(event) {
+        event.preventDefault();
+        const formData = new FormData(ocrSettingsForm);
+        const body = {
+            ocrAllowedMethods: formData.getAll('ocrAllowedMethods'),
+            ocrDefaultMethod: formData.get('ocrDefaultMethod')
+        };
+        try {
+            const response = await fetchWithAuth('/api/admin/settings', { method: 'PUT', body });
+            const result = await readResult(response);
+            showToast(result.message);
+        } catch (error) {
+            console.error('Error saving OCR settings:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to save OCR settings', 'error');
+        }
+    }
+
+    // Update the shared keys in the server's .env
+    async function saveServerKeys(event) {
+        event.preventDefault();
+        const keys = Object.fromEntries(
+            [...new FormData(serverKeysForm).entries()].filter(([, value]) => value.trim() !== '')
+        );
+        if (Object.keys(keys).length === 0) {
+            showToast('Enter at least one key to update.', 'warning');
+            return;
+        }
+        try {
+            const response = await fetchWithAuth('/api/update-env', { method: 'POST', body: keys });
+            await readResult(response);
+            showToast('Server API keys updated.');
+            serverKeysForm.reset();
+            loadSettings().catch(error => console.error('Error reloading settings:', error));
+        } catch (error) {
+            console.error('Error updating server API keys:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to update server keys', 'error');
+        }
+    }
+
+    async function loadAdminPage() {
+        try {
+            if (!await loadUsers()) {
+                notAdminMessage.classList.remove('hidden');
+                return;
+            }
+            adminContent.classList.remove('hidden');
+            await loadSettings();
+        } catch (error) {
+            console.error('Error loading admin page:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to load admin page', 'error');
+        }
+    }
+
+    async function handleLogout() {
+        // End the session on the server too, so its refresh token stops working
+        try {
+            await fetchWithAuth('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout request failed:', error);
+        }
+        clearToken();
+        window.location.href = 'trips.html';
+    };
+
+    // --- Event Listeners ---
+    logoutButton.addEventListener('click', handleLogout);
+    ocrSettingsForm.addEventListener('submit', saveOcrSettings);
+    serverKeysForm.addEventListener('submit', saveServerKeys);
+    userList.addEventListener('change', (event) => {
+        if (event.target.classList.contains('user-role')) {
+            updateUser(event.target.dataset.id, { role: event.target.value });
+        }
+    });
+    userList.addEventListener('click', (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        const userId = button.dataset.id;
+        const username = button.closest('tr').dataset.username;
+        if (button.classList.contains('toggle-user')) {
+            const disable = button.dataset.disabled !== 'true';
+            if (disable && !window.confirm(`Disable ${username}? They will be logged out everywhere.`)) return;
+            updateUser(userId, { disabled: disable });
+        } else if (button.classList.contains('reset-user-password')) {
+            resetUserPassword(userId, username);
+        } else if (button.classList.contains('disable-user-2fa')) {
+            disableUserTwoFactor(userId, username);
+        } else if (button.classList.contains('unlock-user')) {
+            unlockUser(userId);
+        }
+    });
+
+    // --- Initialize ---
+    updateUIForAuthState();
+    if (isLoggedIn()) {
+        loadAdminPage();
+    }
+});
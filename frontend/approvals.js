@@ -0,0 +1,345 @@
+document.addEventListener('DOMContentLoaded', () => {
+    // DOM Elements for the Approvals page
+    const appContent = document.getElementById('app-content');
+    const approvalsContent = document.getElementById('approvals-content');
+    const notApproverMessage = document.getElementById('not-approver');
+    const logoutButton = document.getElementById('logout-button');
+    const queueStatusSelect = document.getElementById('report-queue-status');
+    const reportQueue = document.getElementById('report-queue');
+    const noReports = document.getElementById('no-reports');
+    const reviewSection = document.getElementById('report-review-section');
+    const reviewTitle = document.getElementById('report-review-title');
+    const reviewMeta = document.getElementById('report-review-meta');
+    const ownReportNote = document.getElementById('own-report-note');
+    const reportLines = document.getElementById('report-lines');
+    const decisionBox = document.getElementById('report-decision');
+    const reportComment = document.getElementById('report-comment');
+    const paymentBox = document.getElementById('report-payment');
+    const toast = document.getElementById('toast');
+    const toastMessage = document.getElementById('toast-message');
+
+    // Report shown in the review panel
+    let currentReport = null;
+
+    // Auth state
+    let authToken = null;
+    let currentUser = null;
+
+    // --- Auth Token Helpers (Copied from script.js/settings.js) ---
+    function saveToken(token, user, refreshToken) {
+        localStorage.setItem('authToken', token);
+        localStorage.setItem('currentUser', JSON.stringify(user));
+        if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+        authToken = token;
+        currentUser = user;
+    };
+
+    function getToken() {
+        authToken = localStorage.getItem('authToken');
+        const userString = localStorage.getItem('currentUser');
+        currentUser = userString ? JSON.parse(userString) : null;
+        return authToken;
+    };
+
+    function clearToken() {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('currentUser');
+        localStorage.removeItem('refreshToken');
+        authToken = null;
+        currentUser = null;
+    };
+
+    function isLoggedIn() {
+        return !!getToken();
+    };
+
+    // --- UI Update Function ---
+    // Like the dashboard, this page has no login form; logged-out visitors go to the Trips page.
+    function updateUIForAuthState() {
+        if (!isLoggedIn()) {
+            window.location.href = 'trips.html';
+            return;
+        }
+        appContent.classList.remove('hidden');
+        document.getElementById('nav-trips')?.classList.remove('hidden');
+        document.getElementById('nav-dashboard')?.classList.remove('hidden');
+        document.getElementById('nav-settings')?.classList.remove('hidden');
+        document.getElementById('nav-approvals')?.classList.toggle('hidden', !['approver', 'admin'].includes(currentUser?.role));
+        document.getElementById('nav-admin')?.classList.toggle('hidden', currentUser?.role !== 'admin');
+        document.getElementById('nav-logout')?.classList.remove('hidden');
+    };
+
+    // --- Session Refresh (Copied from script.js/settings.js) ---
+    // Access tokens are short-lived. On a 401 the refresh token is swapped for a new
+    // pair and the request retried once; concurrent 401s share one refresh.
+    let refreshPromise = null;
+    function refreshSession() {
+        if (!refreshPromise) {
+            refreshPromise = (async () => {
+                const refreshToken = localStorage.getItem('refreshToken');
+                if (!refreshToken) return false;
+                const response = await fetch('/api/auth/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                const result = await response.json().catch(() => ({}));
+                if (response.ok) {
+                    saveToken(result.token, { id: result.userId, username: result.username, role: result.role }, result.refreshToken);
+                    return true;
+                }
+                // Another tab refreshed with the same token first; use the tokens it saves
+                if (result.reason === 'raced') await new Promise(resolve => setTimeout(resolve, 1000));
+                return localStorage.getItem('refreshToken') !== refreshToken;
+            })().catch(() => false).finally(() => { refreshPromise = null; });
+        }
+        return refreshPromise;
+    }
+
+    // --- API Fetch Helper (Copied from settings.js) ---
+    async function fetchWithAuth(url, options = {}) {
+        const token = getToken();
+        const headers = { ...options.headers };
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        if (options.body && typeof options.body === 'object') {
+            headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(options.body);
+        }
+        let response = await fetch(url, { ...options, headers });
+        if (response.status === 401 && await refreshSession()) {
+            headers['Authorization'] = `Bearer ${getToken()}`;
+            response = await fetch(url, { ...options, headers });
+        }
+        if (response.status === 401) {
+            console.log('Auth error detected, logging out.');
+            clearToken();
+            updateUIForAuthState();
+            throw new Error('Authentication required');
+        }
+        return response;
+    };
+
+    // --- Toast Notification Functions (Copied from script.js/settings.js) ---
+    function showToast(message, type = 'success') {
+        if (!toast || !toastMessage) return;
+        toast.className = `toast ${type}`;
+        toastMessage.textContent = message;
+        toast.classList.add('show');
+
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 3000);
+    }
+
+    // Throw with the API's error message(s) for a failed response
+    async function readResult(response) {
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const message = result.errors ? result.errors.map(e => e.msg).join(', ') : result.message;
+            throw new Error(message || `HTTP error! status: ${response.status}`);
+        }
+        return result;
+    }
+
+    // Usernames are HTML-escaped by the backend; decode them for text nodes
+    function decodeEntities(text) {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = text;
+        return textarea.value;
+    }
+
+    function formatDateTime(value) {
+        if (!value) return 'Never';
+        const date = new Date(value);
+        return isNaN(date) ? value : date.toLocaleString();
+    }
+
+    // Format an amount in a currency, falling back to "12.50 XYZ" for codes Intl doesn't know
+    function formatMoney(amount, currency) {
+        if (amount === null || amount === undefined) return '-';
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+        } catch (e) {
+            return `${parseFloat(amount || 0).toFixed(2)} ${currency}`;
+        }
+    }
+
+    // --- Report Queue ---
+    async function loadQueue() {
+        const response = await fetchWithAuth(`/api/approvals?status=${queueStatusSelect.value}`);
+        if (response.status === 403) return false;
+        const reports = await readResult(response);
+        reportQueue.innerHTML = '';
+        noReports.classList.toggle('hidden', reports.length > 0);
+        reports.forEach(report => {
+            const row = document.createElement('tr');
+            [
+                decodeEntities(report.tripName),
+                report.title ? decodeEntities(report.title) : '-',
+                report.submittedByUsername ? decodeEntities(report.submittedByUsername) : '-',
+                formatDateTime(report.submittedAt),
+                String(report.lineCount),
+                formatMoney(report.status === 'approved' ? report.approvedTotal : report.total, report.currency)
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            const actionCell = document.createElement('td');
+            const reviewButton = document.createElement('button');
+            reviewButton.className = 'btn-small review-report';
+            reviewButton.dataset.id = report.id;
+            reviewButton.textContent = 'Review';
+            actionCell.appendChild(reviewButton);
+            row.appendChild(actionCell);
+            reportQueue.appendChild(row);
+        });
+        return true;
+    }
+
+    // --- Report Review ---
+    function renderReport(report) {
+        currentReport = report;
+        reviewSection.classList.remove('hidden');
+        reviewTitle.textContent = `${decodeEntities(report.tripName)}${report.title ? ` – ${decodeEntities(report.title)}` : ''}`;
+        const approved = report.approvedTotal !== null ? ` · Approved ${formatMoney(report.approvedTotal, report.currency)}` : '';
+        reviewMeta.textContent = `Submitted by ${decodeEntities(report.submittedByUsername || '-')} on ${formatDateTime(report.submittedAt)} · Total ${formatMoney(report.total, report.currency)}${approved} · ${report.status}`;
+
+        const deciding = report.status === 'submitted' && report.canDecide;
+        ownReportNote.classList.toggle('hidden', report.canDecide);
+        decisionBox.classList.toggle('hidden', !deciding);
+        paymentBox.classList.toggle('hidden', !(report.status === 'approved' && report.canDecide));
+
+        reportLines.innerHTML = '';
+        report.lines.forEach(line => {
+            const row = document.createElement('tr');
+            row.dataset.expenseId = line.expenseId;
+            const converted = line.currency !== report.currency ? ` (${formatMoney(line.convertedCost, report.currency)})` : '';
+            [line.date, line.type || '-', line.vendor || '-', line.authorUsername || '-', `${formatMoney(line.cost, line.currency)}${converted}`].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = decodeEntities(text);
+                row.appendChild(cell);
+            });
+
+            const decisionCell = document.createElement('td');
+            const commentCell = document.createElement('td');
+            if (deciding) {
+                decisionCell.innerHTML = `
+                    <div class="btn-group">
+                        <button class="btn-small decide-line${line.status === 'approved' ? ' active' : ''}" data-decision="approved" title="Approve"><i class="fas fa-check"></i></button>
+                        <button class="btn-small btn-danger decide-line${line.status === 'rejected' ? ' active' : ''}" data-decision="rejected" title="Reject"><i class="fas fa-times"></i></button>
+                    </div>
+                    <small>${line.status}</small>
+                `;
+                const commentInput = document.createElement('input');
+                commentInput.type = 'text';
+                commentInput.className = 'line-comment';
+                commentInput.maxLength = 500;
+                commentInput.placeholder = 'Comment';
+                commentInput.value = line.comment ? decodeEntities(line.comment) : '';
+                commentCell.appendChild(commentInput);
+            } else {
+                decisionCell.textContent = line.status;
+                commentCell.textContent = line.comment ? decodeEntities(line.comment) : '';
+            }
+            row.appendChild(decisionCell);
+            row.appendChild(commentCell);
+            reportLines.appendChild(row);
+        });
+    }
+
+    async function openReport(reportId) {
+        try {
+            const response = await fetchWithAuth(`/api/reports/${reportId}`);
+            renderReport(await readResult(response));
+            reportComment.value = '';
+            reviewSection.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            console.error(`Error loading report ${reportId}:`, error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to load report', 'error');
+        }
+    }
+
+    async function decideLine(expenseId, decision, comment) {
+        try {
+            const response = await fetchWithAuth(`/api/reports/${currentReport.id}/lines/${expenseId}`, {
+                method: 'PUT',
+                body: { decision, comment }
+            });
+            const result = await readResult(response);
+            renderReport(result.report);
+        } catch (error) {
+            console.error(`Error deciding line ${expenseId}:`, error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to update line', 'error');
+        }
+    }
+
+    // Approve, reject or pay the report in the review panel
+    async function decideReport(action) {
+        if (action === 'reject' && !window.confirm('Send this report back to the submitter?')) return;
+        try {
+            const response = await fetchWithAuth(`/api/reports/${currentReport.id}/${action}`, {
+                method: 'POST',
+                body: action === 'pay' ? {} : { comment: reportComment.value.trim() }
+            });
+            const result = await readResult(response);
+            showToast(result.message);
+            reviewSection.classList.add('hidden');
+            currentReport = null;
+            await loadQueue();
+        } catch (error) {
+            console.error(`Error trying to ${action} report:`, error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to update report', 'error');
+        }
+    }
+
+    async function loadApprovalsPage() {
+        try {
+            if (!await loadQueue()) {
+                notApproverMessage.classList.remove('hidden');
+                return;
+            }
+            approvalsContent.classList.remove('hidden');
+        } catch (error) {
+            console.error('Error loading approvals page:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to load reports', 'error');
+        }
+    }
+
+    async function handleLogout() {
+        // End the session on the server too, so its refresh token stops working
+        try {
+            await fetchWithAuth('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout request failed:', error);
+        }
+        clearToken();
+        window.location.href = 'trips.html';
+    };
+
+    // --- Event Listeners ---
+    logoutButton.addEventListener('click', handleLogout);
+    queueStatusSelect.addEventListener('change', () => {
+        reviewSection.classList.add('hidden');
+        loadQueue().catch(error => showToast(error.message || 'Failed to load reports', 'error'));
+    });
+    reportQueue.addEventListener('click', (event) => {
+        const button = event.target.closest('.review-report');
+        if (button) openReport(button.dataset.id);
+    });
+    reportLines.addEventListener('click', (event) => {
+        const button = event.target.closest('.decide-line');
+        if (!button) return;
+        const row = button.closest('tr');
+        decideLine(row.dataset.expenseId, button.dataset.decision, row.querySelector('.line-comment').value.trim());
+    });
+    document.getElementById('approve-report').addEventListener('click', () => decideReport('approve'));
+    document.getElementById('reject-report').addEventListener('click', () => decideReport('reject'));
+    document.getElementById('pay-report').addEventListener('click', () => decideReport('pay'));
+
+    // --- Initialize ---
+    updateUIForAuthState();
+    if (isLoggedIn()) {
+        loadApprovalsPage();
+    }
+});
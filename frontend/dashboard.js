@@ -0,0 +1,360 @@
+document.addEventListener('DOMContentLoaded', () => {
+    // DOM Elements for the Spending Dashboard
+    const appContent = document.getElementById('app-content');
+    const logoutButton = document.getElementById('logout-button');
+    const filterForm = document.getElementById('analytics-filter-form');
+    const clearFiltersButton = document.getElementById('clear-analytics-filters');
+    const currencySelect = document.getElementById('analytics-currency');
+    const summaryDiv = document.getElementById('analytics-summary');
+    const loadingIndicator = document.getElementById('analytics-loading');
+    const toast = document.getElementById('toast');
+    const toastMessage = document.getElementById('toast-message');
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const TOP_VENDORS = 10;
+
+    // Auth state
+    let authToken = null;
+    let currentUser = null;
+
+    // --- Auth Token Helpers (Copied from script.js/settings.js) ---
+    function saveToken(token, user, refreshToken) {
+        localStorage.setItem('authToken', token);
+        localStorage.setItem('currentUser', JSON.stringify(user));
+        if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+        authToken = token;
+        currentUser = user;
+    };
+
+    function getToken() {
+        authToken = localStorage.getItem('authToken');
+        const userString = localStorage.getItem('currentUser');
+        currentUser = userString ? JSON.parse(userString) : null;
+        return authToken;
+    };
+
+    function clearToken() {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('currentUser');
+        localStorage.removeItem('refreshToken');
+        authToken = null;
+        currentUser = null;
+    };
+
+    function isLoggedIn() {
+        return !!getToken();
+    };
+
+    // --- UI Update Function ---
+    // The dashboard has no login form of its own; logged-out visitors go to the Trips page.
+    function updateUIForAuthState() {
+        if (!isLoggedIn()) {
+            window.location.href = 'trips.html';
+            return;
+        }
+        appContent.classList.remove('hidden');
+        document.getElementById('nav-trips')?.classList.remove('hidden');
+        document.getElementById('nav-dashboard')?.classList.remove('hidden');
+        document.getElementById('nav-settings')?.classList.remove('hidden');
+        document.getElementById('nav-approvals')?.classList.toggle('hidden', !['approver', 'admin'].includes(currentUser?.role));
+        document.getElementById('nav-admin')?.classList.toggle('hidden', currentUser?.role !== 'admin');
+        document.getElementById('nav-logout')?.classList.remove('hidden');
+    };
+
+    // --- Session Refresh (Copied from script.js/settings.js) ---
+    // Access tokens are short-lived. On a 401 the refresh token is swapped for a new
+    // pair and the request retried once; concurrent 401s share one refresh.
+    let refreshPromise = null;
+    function refreshSession() {
+        if (!refreshPromise) {
+            refreshPromise = (async () => {
+                const refreshToken = localStorage.getItem('refreshToken');
+                if (!refreshToken) return false;
+                const response = await fetch('/api/auth/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                const result = await response.json().catch(() => ({}));
+                if (response.ok) {
+                    saveToken(result.token, { id: result.userId, username: result.username, role: result.role }, result.refreshToken);
+                    return true;
+                }
+                // Another tab refreshed with the same token first; use the tokens it saves
+                if (result.reason === 'raced') await new Promise(resolve => setTimeout(resolve, 1000));
+                return localStorage.getItem('refreshToken') !== refreshToken;
+            })().catch(() => false).finally(() => { refreshPromise = null; });
+        }
+        return refreshPromise;
+    }
+
+    // --- API Fetch Helper (Copied from script.js/settings.js) ---
+    async function fetchWithAuth(url, options = {}) {
+        const token = getToken();
+        const headers = { ...options.headers };
+
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        let response = await fetch(url, { ...options, headers });
+        if (response.status === 401 && await refreshSession()) {
+            headers['Authorization'] = `Bearer ${getToken()}`;
+            response = await fetch(url, { ...options, headers });
+        }
+
+        if (response.status === 401) {
+            console.log('Auth error detected, logging out.');
+            clearToken();
+            updateUIForAuthState();
+            throw new Error('Authentication required');
+        }
+
+        return response;
+    };
+
+    // --- Toast Notification Functions (Copied from script.js/settings.js) ---
+    function showToast(message, type = 'success') {
+        if (!toast || !toastMessage) return;
+        toast.className = `toast ${type}`;
+        toastMessage.textContent = message;
+        toast.classList.add('show');
+
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 3000);
+    }
+
+    // Format an amount in a currency, falling back to "12.50 XYZ" for codes Intl doesn't know
+    const formatMoney = (amount, currency) => {
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+        } catch (e) {
+            return `${parseFloat(amount || 0).toFixed(2)} ${currency}`;
+        }
+    };
+
+    // Stored text is HTML-escaped by the backend; decode it for SVG text nodes
+    const decodeEntities = (text) => {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = text;
+        return textarea.value;
+    };
+
+    // --- SVG Chart Helpers ---
+    const svgElement = (name, attributes = {}) => {
+        const element = document.createElementNS(SVG_NS, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        return element;
+    };
+
+    const svgText = (content, attributes) => {
+        const text = svgElement('text', attributes);
+        text.textContent = content;
+        return text;
+    };
+
+    const truncate = (label, max) => label.length > max ? `${label.slice(0, max - 1)}…` : label;
+
+    const showEmpty = (container) => {
+        container.innerHTML = '<p class="chart-empty">No data for this range.</p>';
+    };
+
+    // Horizontal bars, one row per group, largest first
+    const renderBarChart = (container, rows, currency) => {
+        if (rows.length === 0) return showEmpty(container);
+        const rowHeight = 28;
+        const labelWidth = 140;
+        const valueWidth = 90;
+        const width = 480;
+        const barSpace = width - labelWidth - valueWidth;
+        const max = Math.max(...rows.map(row => row.total), 0) || 1;
+
+        const svg = svgElement('svg', {
+            class: 'chart-svg',
+            viewBox: `0 0 ${width} ${rows.length * rowHeight}`,
+            role: 'img'
+        });
+        rows.forEach((row, index) => {
+            const y = index * rowHeight;
+            const label = decodeEntities(String(row.label));
+            const group = svgElement('g');
+            const title = svgElement('title');
+            title.textContent = `${label}: ${formatMoney(row.total, currency)} (${row.count} expense${row.count === 1 ? '' : 's'})`;
+            group.appendChild(title);
+            group.appendChild(svgText(truncate(label, 20), { x: labelWidth - 8, y: y + 18, 'text-anchor': 'end', class: 'chart-label' }));
+            group.appendChild(svgElement('rect', {
+                x: labelWidth, y: y + 5, height: rowHeight - 10, rx: 3,
+                width: Math.max((row.total / max) * barSpace, 1),
+                class: 'chart-bar'
+            }));
+            group.appendChild(svgText(formatMoney(row.total, currency), {
+                x: labelWidth + (row.total / max) * barSpace + 6, y: y + 18, class: 'chart-value'
+            }));
+            svg.appendChild(group);
+        });
+        container.innerHTML = '';
+        container.appendChild(svg);
+    };
+
+    // Vertical columns in chronological order, for the monthly trend
+    const renderColumnChart = (container, rows, currency) => {
+        if (rows.length === 0) return showEmpty(container);
+        const height = 200;
+        const labelHeight = 24;
+        const columnWidth = 40;
+        const width = Math.max(rows.length * columnWidth, 480);
+        const slot = width / rows.length;
+        const max = Math.max(...rows.map(row => row.total), 0) || 1;
+
+        const svg = svgElement('svg', {
+            class: 'chart-svg',
+            viewBox: `0 0 ${width} ${height + labelHeight}`,
+            role: 'img'
+        });
+        svg.appendChild(svgElement('line', { x1: 0, y1: height, x2: width, y2: height, class: 'chart-axis' }));
+        rows.forEach((row, index) => {
+            const barHeight = Math.max((row.total / max) * (height - 10), 1);
+            const x = index * slot + slot * 0.15;
+            const group = svgElement('g');
+            const title = svgElement('title');
+            title.textContent = `${row.label}: ${formatMoney(row.total, currency)} (${row.count} expense${row.count === 1 ? '' : 's'})`;
+            group.appendChild(title);
+            group.appendChild(svgElement('rect', {
+                x, y: height - barHeight, width: slot * 0.7, height: barHeight, rx: 3,
+                class: 'chart-bar'
+            }));
+            group.appendChild(svgText(row.label, {
+                x: x + slot * 0.35, y: height + 16, 'text-anchor': 'middle', class: 'chart-label'
+            }));
+            svg.appendChild(group);
+        });
+        container.innerHTML = '';
+        container.appendChild(svg);
+    };
+
+    // --- Data Loading ---
+    const buildQuery = (extra = {}) => {
+        const params = new URLSearchParams();
+        const formData = new FormData(filterForm);
+        ['dateFrom', 'dateTo', 'currency'].forEach(name => {
+            const value = formData.get(name);
+            if (value) params.set(name, value);
+        });
+        Object.entries(extra).forEach(([name, value]) => params.set(name, value));
+        return params.toString();
+    };
+
+    const fetchAnalytics = async (path, extra) => {
+        const response = await fetchWithAuth(`/api/analytics/${path}?${buildQuery(extra)}`);
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const message = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : errorData.message;
+            throw new Error(message || `HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    };
+
+    // Fill the currency select from the currencies the user has spent in.
+    // The most used one (first in the summary) is selected by default.
+    const loadCurrencies = async () => {
+        const selected = currencySelect.value;
+        currencySelect.value = '';
+        const summary = await fetchAnalytics('summary');
+        currencySelect.innerHTML = '';
+        summary.totals.forEach(row => {
+            const option = document.createElement('option');
+            option.value = row.currency;
+            option.textContent = row.currency;
+            currencySelect.appendChild(option);
+        });
+        if (summary.totals.some(row => row.currency === selected)) {
+            currencySelect.value = selected;
+        }
+        return summary.totals;
+    };
+
+    const renderSummary = (totals) => {
+        const currency = currencySelect.value;
+        const row = totals.find(total => total.currency === currency);
+        if (!row) {
+            summaryDiv.innerHTML = '<p>No expenses in this range.</p>';
+            return;
+        }
+        const others = totals.filter(total => total.currency !== currency);
+        const otherNote = others.length > 0
+            ? `<small>Also spent: ${others.map(total => formatMoney(total.total, total.currency)).join(', ')}</small>`
+            : '';
+        summaryDiv.innerHTML = `
+            <span class="analytics-total">${formatMoney(row.total, currency)}</span>
+            <span>${row.count} expense${row.count === 1 ? '' : 's'}</span>
+            ${otherNote}
+        `;
+    };
+
+    const loadDashboard = async () => {
+        loadingIndicator.style.display = 'block';
+        try {
+            // Totals per currency for the range, so the currency list follows the dates
+            renderSummary(await loadCurrencies());
+
+            const currency = currencySelect.value;
+            const charts = {
+                month: document.getElementById('chart-by-month'),
+                type: document.getElementById('chart-by-type'),
+                vendor: document.getElementById('chart-by-vendor'),
+                trip: document.getElementById('chart-by-trip')
+            };
+            if (!currency) {
+                Object.values(charts).forEach(showEmpty);
+                return;
+            }
+
+            const [byMonth, byType, byVendor, byTrip] = await Promise.all([
+                fetchAnalytics('by-month'),
+                fetchAnalytics('by-type'),
+                fetchAnalytics('by-vendor', { limit: TOP_VENDORS }),
+                fetchAnalytics('by-trip')
+            ]);
+            const toRows = (result) => result.groups.map(group => ({ label: group.key, total: group.total, count: group.count }));
+
+            renderColumnChart(charts.month, toRows(byMonth), currency);
+            renderBarChart(charts.type, toRows(byType), currency);
+            renderBarChart(charts.vendor, toRows(byVendor), currency);
+            renderBarChart(charts.trip, toRows(byTrip), currency);
+        } catch (error) {
+            console.error('Error loading analytics:', error);
+            showToast(error.message || 'Failed to load analytics', 'error');
+        } finally {
+            loadingIndicator.style.display = 'none';
+        }
+    };
+
+    async function handleLogout() {
+        // End the session on the server too, so its refresh token stops working
+        try {
+            await fetchWithAuth('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout request failed:', error);
+        }
+        clearToken();
+        window.location.href = 'trips.html';
+    };
+
+    // --- Event Listeners ---
+    logoutButton.addEventListener('click', handleLogout);
+    filterForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadDashboard();
+    });
+    clearFiltersButton.addEventListener('click', () => {
+        filterForm.reset();
+        loadDashboard();
+    });
+
+    // --- Initialize ---
+    updateUIForAuthState();
+    if (isLoggedIn()) {
+        loadDashboard();
+    }
+});
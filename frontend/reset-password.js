@@ -0,0 +1,85 @@
+document.addEventListener('DOMContentLoaded', () => {
+    // DOM Elements for the Reset Password page
+    const forgotSection = document.getElementById('forgot-section');
+    const forgotForm = document.getElementById('forgot-form');
+    const resetSection = document.getElementById('reset-section');
+    const resetForm = document.getElementById('reset-form');
+    const toast = document.getElementById('toast');
+    const toastMessage = document.getElementById('toast-message');
+
+    // The emailed link carries the reset token in the query string
+    const resetToken = new URLSearchParams(window.location.search).get('token');
+
+    // --- Toast Notification Functions (Copied from script.js/settings.js) ---
+    function showToast(message, type = 'success') {
+        if (!toast || !toastMessage) return;
+        toast.className = `toast ${type}`;
+        toastMessage.textContent = message;
+        toast.classList.add('show');
+
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 3000);
+    }
+
+    // POST JSON without auth (the user is logged out here) and throw the server's message on failure
+    async function postJson(url, data) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const message = result.errors ? result.errors.map(e => e.msg).join(' ') : result.message;
+            throw new Error(message || `HTTP error! status: ${response.status}`);
+        }
+        return result;
+    }
+
+    async function handleForgot(event) {
+        event.preventDefault();
+        const login = forgotForm.elements.login.value.trim();
+        const button = forgotForm.querySelector('button[type="submit"]');
+        button.disabled = true;
+        try {
+            const result = await postJson('/api/auth/forgot-password', login.includes('@') ? { email: login } : { username: login });
+            showToast(result.message);
+            forgotForm.reset();
+        } catch (error) {
+            console.error('Forgot password failed:', error);
+            showToast(error.message || 'Failed to send reset link.', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async function handleReset(event) {
+        event.preventDefault();
+        const { newPassword, confirmPassword } = Object.fromEntries(new FormData(resetForm).entries());
+        if (newPassword !== confirmPassword) {
+            showToast('The passwords do not match.', 'error');
+            return;
+        }
+        const button = resetForm.querySelector('button[type="submit"]');
+        button.disabled = true;
+        try {
+            const result = await postJson('/api/auth/reset-password', { token: resetToken, newPassword });
+            showToast(result.message);
+            resetForm.reset();
+            // The token is used up; send the user to log in
+            setTimeout(() => { window.location.href = 'trips.html'; }, 2000);
+        } catch (error) {
+            console.error('Reset password failed:', error);
+            showToast(error.message || 'Failed to reset password.', 'error');
+            button.disabled = false;
+        }
+    }
+
+    // --- Event Listeners ---
+    forgotForm.addEventListener('submit', handleForgot);
+    resetForm.addEventListener('submit', handleReset);
+
+    // --- Initialize ---
+    (resetToken ? resetSection : forgotSection).classList.remove('hidden');
+});
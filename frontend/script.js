@@ -15,6 +15,18 @@ document.addEventListener('DOMContentLoaded', () => {
     const modalImage = document.getElementById('modal-image');
     const closeModal = document.querySelector('.close-modal');
     const deleteModal = document.getElementById('delete-modal');
+    // Split expense modal elements
+    const splitModal = document.getElementById('split-modal');
+    const splitForm = document.getElementById('split-form');
+    const splitSummary = document.getElementById('split-expense-summary');
+    const splitNoParticipants = document.getElementById('split-no-participants');
+    const splitPaidBySelect = document.getElementById('split-paid-by');
+    const splitMethodSelect = document.getElementById('split-method');
+    const splitShareHeader = document.getElementById('split-share-header');
+    const splitSharesBody = document.getElementById('split-shares');
+    const splitRemaining = document.getElementById('split-remaining');
+    const saveSplitButton = document.getElementById('save-split');
+    const removeSplitButton = document.getElementById('remove-split');
     const confirmDeleteButton = document.getElementById('confirm-delete');
     const cancelDeleteButton = document.getElementById('cancel-delete');
     const toast = document.getElementById('toast');
@@ -25,6 +37,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const authSection = document.getElementById('auth-section');
     const loginFormContainer = document.getElementById('login-form-container');
     const registerFormContainer = document.getElementById('register-form-container');
+    const twoFactorFormContainer = document.getElementById('two-factor-form-container');
+    const twoFactorForm = document.getElementById('two-factor-form');
     const loginForm = document.getElementById('login-form');
     const registerForm = document.getElementById('register-form');
     const showRegisterLink = document.getElementById('show-register');
@@ -36,6 +50,28 @@ document.addEventListener('DOMContentLoaded', () => {
     // Trip Dashboard elements removed - Moved to trips.js
     // Expense form trip name (now text input again)
     const tripNameInput = document.getElementById('tripName');
+    // Expense list filter/pager elements
+    const expenseFilterForm = document.getElementById('expense-filter-form');
+    const clearFiltersButton = document.getElementById('clear-filters');
+    const pagerInfo = document.getElementById('pager-info');
+    const prevPageButton = document.getElementById('prev-page');
+    const nextPageButton = document.getElementById('next-page');
+    const tripTotalDisplay = document.getElementById('trip-total');
+    // Bulk upload and review queue elements
+    const bulkUploadSection = document.getElementById('bulk-upload');
+    const bulkUploadForm = document.getElementById('bulk-upload-form');
+    const bulkUploadButton = document.getElementById('bulk-upload-button');
+    const reviewQueueSection = document.getElementById('review-queue');
+    const draftList = document.getElementById('draft-list');
+    const draftCount = document.getElementById('draft-count');
+    const confirmAllDraftsButton = document.getElementById('confirm-all-drafts');
+    // Expense report elements
+    const reportsSection = document.getElementById('reports-section');
+    const reportList = document.getElementById('report-list');
+    const noReportsMessage = document.getElementById('no-reports');
+    const newReportForm = document.getElementById('new-report-form');
+    const newReportTitleInput = document.getElementById('new-report-title');
+    const createReportButton = document.getElementById('create-report-button');
 
     // Add loading overlay to the body
     const loadingOverlay = document.createElement('div');
@@ -48,13 +84,23 @@ document.addEventListener('DOMContentLoaded', () => {
     let expenses = [];
     let expenseToDelete = null;
     let currentReceiptFile = null;
+    let currentTripId = null; // ID of the trip this page shows (from ?tripId=)
+    let currentTripHomeCurrency = 'USD'; // Default currency for new expenses on this trip
+    let drafts = []; // Bulk-uploaded receipts awaiting review
+    let draftPollTimer = null;
+    const DRAFT_POLL_INTERVAL_MS = 2000;
+    // Expense list paging (the server filters, sorts and pages)
+    const PAGE_SIZE = 25;
+    let listOffset = 0;
+    let totalExpenses = 0;
     // Auth state
     let authToken = null;
     let currentUser = null; // { id, username }
 
     // --- Auth Token Helpers ---
-    const saveToken = (token, user) => {
+    const saveToken = (token, user, refreshToken) => {
         localStorage.setItem('authToken', token);
+        if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
         localStorage.setItem('currentUser', JSON.stringify(user));
         authToken = token;
         currentUser = user;
@@ -70,6 +116,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const clearToken = () => {
         localStorage.removeItem('authToken');
         localStorage.removeItem('currentUser');
+        localStorage.removeItem('refreshToken');
         authToken = null;
         currentUser = null;
     };
@@ -102,6 +149,7 @@ document.addEventListener('DOMContentLoaded', () => {
             // Ensure login form is shown by default when logged out
             loginFormContainer.classList.remove('hidden');
             registerFormContainer.classList.add('hidden');
+            twoFactorFormContainer.classList.add('hidden');
         }
         // Clear expense list if logged out
         if (!loggedIn) {
@@ -111,6 +159,33 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    // --- Session Refresh ---
+    // Access tokens are short-lived. On a 401 the refresh token is swapped for a new
+    // pair and the request retried once; concurrent 401s share one refresh.
+    let refreshPromise = null;
+    const refreshSession = () => {
+        if (!refreshPromise) {
+            refreshPromise = (async () => {
+                const refreshToken = localStorage.getItem('refreshToken');
+                if (!refreshToken) return false;
+                const response = await fetch('/api/auth/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                const result = await response.json().catch(() => ({}));
+                if (response.ok) {
+                    saveToken(result.token, { id: result.userId, username: result.username, role: result.role }, result.refreshToken);
+                    return true;
+                }
+                // Another tab refreshed with the same token first; use the tokens it saves
+                if (result.reason === 'raced') await new Promise(resolve => setTimeout(resolve, 1000));
+                return localStorage.getItem('refreshToken') !== refreshToken;
+            })().catch(() => false).finally(() => { refreshPromise = null; });
+        }
+        return refreshPromise;
+    };
+
     // --- API Fetch Helper ---
     const fetchWithAuth = async (url, options = {}) => {
         const token = getToken();
@@ -126,10 +201,14 @@ document.addEventListener('DOMContentLoaded', () => {
             options.body = JSON.stringify(options.body); // Stringify if it's an object
         }
 
-        const response = await fetch(url, { ...options, headers });
+        let response = await fetch(url, { ...options, headers });
+        if (response.status === 401 && await refreshSession()) {
+            headers['Authorization'] = `Bearer ${getToken()}`;
+            response = await fetch(url, { ...options, headers });
+        }
 
-        // Handle token expiration or invalid token
-        if (response.status === 401 || response.status === 403) {
+        // Session expired or revoked and couldn't be refreshed
+        if (response.status === 401) {
             console.log('Auth error detected, logging out.');
             clearToken();
             updateUIForAuthState(); // Update UI to show login form
@@ -224,6 +303,7 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('location').value = data.location || '';
         // document.getElementById('tripName').value = data.tripName || ''; // Removed trip name
         document.getElementById('cost').value = data.cost || '';
+        document.getElementById('currency').value = data.currency || currentTripHomeCurrency;
         document.getElementById('comments').value = data.comments || '';
 
         // Scroll to edit form
@@ -244,6 +324,7 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('location').value = expense.location || '';
         // document.getElementById('tripName').value = expense.tripName || ''; // Removed trip name
         document.getElementById('cost').value = expense.cost || '';
+        document.getElementById('currency').value = expense.currency || currentTripHomeCurrency;
         document.getElementById('comments').value = expense.comments || '';
 
         if (expense.receiptPath) {
@@ -261,6 +342,123 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     
+            // --- Money Formatting ---
+            // Format an amount in a currency, falling back to "12.50 XYZ" for codes Intl doesn't know
+            const formatMoney = (amount, currency) => {
+                try {
+                    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+                } catch (e) {
+                    return `${parseFloat(amount || 0).toFixed(2)} ${currency}`;
+                }
+            };
+
+            // Original amount, plus the home-currency amount when they differ
+            const renderCostCell = (expense) => {
+                const original = formatMoney(parseFloat(expense.cost || 0), expense.currency || 'USD');
+                if (!expense.homeCurrency || expense.currency === expense.homeCurrency) return original;
+                const converted = expense.convertedCost === null
+                    ? '<span class="missing-rate" title="Add an exchange rate on the Settings page">no exchange rate</span>'
+                    : `≈ ${formatMoney(expense.convertedCost, expense.homeCurrency)}`;
+                return `${original}<br><small class="converted-cost">${converted}</small>`;
+            };
+
+            // Receipt thumbnail and download link, built with DOM properties: the receipt's
+            // key keeps part of the uploader's file name, and other trip members see this row
+            const renderReceiptCell = (expense) => {
+                if (!expense.receiptUrl) {
+                    const placeholder = document.createElement('i');
+                    placeholder.className = 'fas fa-receipt receipt-placeholder';
+                    return placeholder;
+                }
+                const container = document.createElement('div');
+                container.className = 'receipt-container';
+                const image = document.createElement('img');
+                image.src = expense.thumbnailUrls ? expense.thumbnailUrls.small : expense.receiptUrl;
+                image.alt = 'Receipt';
+                image.className = 'receipt-thumbnail';
+                image.dataset.path = expense.receiptPath;
+                image.loading = 'lazy';
+                const download = document.createElement('a');
+                download.href = `${expense.receiptUrl}&download=1`;
+                download.download = '';
+                download.className = 'download-receipt';
+                download.title = 'Download Receipt';
+                download.innerHTML = '<i class="fas fa-file-arrow-down"></i>';
+                container.append(image, download);
+                return container;
+            };
+
+            // Trip total in the home currency (comes with the trip list)
+            const loadTripTotal = async () => {
+                if (!tripTotalDisplay || !currentTripId) return;
+                try {
+                    const response = await fetchWithAuth('/api/trips');
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                    const trip = (await response.json()).find(t => t.id === currentTripId);
+                    if (!trip) return;
+                    currentTripHomeCurrency = trip.homeCurrency || currentTripHomeCurrency;
+                    const { total, currency, byCurrency, missingRates } = trip.totals;
+                    const originals = Object.entries(byCurrency);
+                    let text = `Trip total: ${formatMoney(total, currency)}`;
+                    if (originals.length > 1 || (originals.length === 1 && originals[0][0] !== currency)) {
+                        text += ` (${originals.map(([code, amount]) => formatMoney(amount, code)).join(' + ')})`;
+                    }
+                    if (missingRates > 0) text += ` — ${missingRates} expense(s) without an exchange rate not included`;
+                    tripTotalDisplay.textContent = text;
+                    tripTotalDisplay.classList.remove('hidden');
+                    applyTripRole(trip);
+                } catch (error) {
+                    console.error('Error loading trip total:', error);
+                }
+            };
+
+            // Viewers of a shared trip can't add expenses, so hide the upload forms
+            const applyTripRole = (trip) => {
+                const canAdd = !trip.role || trip.role !== 'viewer';
+                document.getElementById('add-expense').classList.toggle('hidden', !canAdd);
+                if (!canAdd) bulkUploadSection.classList.add('hidden');
+                if (trip.role && trip.role !== 'owner') {
+                    tripTotalDisplay.textContent += ` · Shared by ${trip.ownerUsername} (you are ${trip.role === 'editor' ? 'an' : 'a'} ${trip.role})`;
+                }
+            };
+
+            // --- Expense List Query ---
+            const hasActiveFilters = () => {
+                if (!expenseFilterForm) return false;
+                return [...new FormData(expenseFilterForm).entries()]
+                    .some(([key, value]) => key !== 'sort' && value.trim() !== '');
+            };
+
+            // Build the /api/expenses query string from the trip, filter bar and pager
+            const buildExpenseListQuery = (tripName) => {
+                const params = new URLSearchParams();
+                if (currentTripId) params.set('tripId', currentTripId);
+                else params.set('tripName', tripName);
+                if (expenseFilterForm) {
+                    const filters = new FormData(expenseFilterForm);
+                    for (const [key, value] of filters.entries()) {
+                        if (key === 'sort') continue;
+                        if (value.trim() !== '') params.set(key, value.trim());
+                    }
+                    // Sort select values look like "date:desc"
+                    const [sortBy, sortDir] = (filters.get('sort') || 'date:desc').split(':');
+                    params.set('sortBy', sortBy);
+                    params.set('sortDir', sortDir);
+                }
+                params.set('limit', PAGE_SIZE);
+                params.set('offset', listOffset);
+                return params.toString();
+            };
+
+            const updatePager = (shownCount) => {
+                if (!pagerInfo) return;
+                const first = totalExpenses === 0 ? 0 : listOffset + 1;
+                const last = listOffset + shownCount;
+                pagerInfo.textContent = `Showing ${first}–${last} of ${totalExpenses}`;
+                prevPageButton.disabled = listOffset === 0;
+                nextPageButton.disabled = last >= totalExpenses;
+            };
+
             // --- Expense CRUD Functions ---
             // Modified to accept tripName for filtering
             const fetchAndDisplayExpenses = async (tripName) => {
@@ -273,12 +471,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
             showLoading();
+            loadTripTotal(); // Runs alongside the list; handles its own errors
             try {
-                // Use fetchWithAuth and filter by tripName (API needs adjustment if not already filtering)
-                // Assuming API returns only expenses for the logged-in user already.
-                // We filter further by tripName on the client-side for now.
-                // TODO: Ideally, modify backend API /api/expenses to accept a tripName query parameter.
-                const response = await fetchWithAuth('/api/expenses');
+                // The server filters by trip and the filter bar, and returns one page
+                const response = await fetchWithAuth(`/api/expenses?${buildExpenseListQuery(tripName)}`);
                 if (!response.ok) {
                     // fetchWithAuth handles 401/403 by throwing; catch block handles it.
                     // Handle other non-auth errors here.
@@ -286,14 +482,23 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
                 // *** ADDED: Parse the JSON response into the expenses variable ***
                 expenses = await response.json();
-                // Filter expenses for the current trip
-                const filteredExpenses = expenses.filter(exp => exp.tripName === tripName);
+                totalExpenses = parseInt(response.headers.get('X-Total-Count'), 10) || expenses.length;
+                // Deleting the last row of a page leaves it empty; step back a page
+                if (expenses.length === 0 && listOffset > 0 && totalExpenses > 0) {
+                    listOffset = Math.max(listOffset - PAGE_SIZE, 0);
+                    await fetchAndDisplayExpenses(tripName);
+                    return;
+                }
+                const filteredExpenses = expenses;
+                updatePager(filteredExpenses.length);
    
                expenseList.innerHTML = ''; // Clear current list
                const noExpensesDiv = document.getElementById('no-expenses');
    
                if (filteredExpenses.length === 0) {
-                   noExpensesDiv.textContent = `No expenses found for trip "${tripName}".`; // Update message
+                   noExpensesDiv.textContent = hasActiveFilters()
+                       ? 'No expenses match the current filters.'
+                       : `No expenses found for trip "${tripName}".`; // Update message
                    noExpensesDiv.classList.remove('hidden');
                    document.querySelector('.expense-table-container').classList.add('hidden');
                } else {
@@ -320,39 +525,43 @@ document.addEventListener('DOMContentLoaded', () => {
                            <td>${formattedDate}</td>
                            <td>${expense.vendor || 'N/A'}</td>
                            <td>${extractCity(expense.location)}</td>
-                           <td>$${parseFloat(expense.cost || 0).toFixed(2)}</td>
-                           <td class="receipt-cell">
-                               ${expense.receiptPath ? `
-                                   <div class="receipt-container">
-                                       <img src="${expense.receiptPath}" alt="Receipt" class="receipt-thumbnail" data-path="${expense.receiptPath}">
-                                       <a href="${expense.receiptPath}" download class="download-receipt" title="Download Receipt">
-                                           <i class="fas fa-file-arrow-down"></i>
-                                       </a>
-                                   </div>
-                               ` : '<i class="fas fa-receipt receipt-placeholder"></i>'}
-                           </td>
+                           <td>${renderCostCell(expense)}</td>
+                           <td class="expense-author">${expense.authorUsername || ''}</td>
+                           <td class="receipt-cell"></td>
                            <td>
-                               <div class="btn-group">
-                                   <button class="btn-small edit-expense" data-id="${expense.id}">Edit</button>
-                                   <button class="btn-small btn-danger delete-expense" data-id="${expense.id}">Delete</button>
-                               </div>
+                               ${expense.canEdit !== false ? `
+                                   <div class="btn-group">
+                                       <button class="btn-small edit-expense" data-id="${expense.id}">Edit</button>
+                                       <button class="btn-small btn-danger delete-expense" data-id="${expense.id}">Delete</button>
+                                   </div>
+                               ` : ''}
+                               ${expense.locked ? '<i class="fas fa-lock" title="On a submitted or approved expense report"></i>' : ''}
+                               ${expense.trip_id ? `
+                                   <button class="btn-icon split-expense${expense.isSplit ? ' is-split' : ''}" data-id="${expense.id}"
+                                           title="${expense.isSplit ? 'Split between participants' : 'Split this expense'}">
+                                       <i class="fas fa-people-arrows"></i>
+                                   </button>
+                               ` : ''}
                            </td>
                        `;
+                       row.querySelector('.receipt-cell').appendChild(renderReceiptCell(expense));
                        expenseList.appendChild(row);
    
                        // Add event listeners
                        const editButton = row.querySelector('.edit-expense');
                        const deleteButton = row.querySelector('.delete-expense');
                        const receiptThumbnail = row.querySelector('.receipt-thumbnail');
+                       const splitButton = row.querySelector('.split-expense');
    
                        if (editButton) editButton.addEventListener('click', () => handleEditClick(expense.id));
                        if (deleteButton) deleteButton.addEventListener('click', () => openDeleteModal(expense.id));
-                       if (receiptThumbnail) receiptThumbnail.addEventListener('click', () => openReceiptModal(expense.receiptPath));
+                       if (receiptThumbnail) receiptThumbnail.addEventListener('click', () => openReceiptModal(expense.receiptUrl));
+                       if (splitButton) splitButton.addEventListener('click', () => openSplitModal(expense));
                    });
             }
         } catch (error) {
             console.error('Error fetching expenses:', error);
-            expenseList.innerHTML = '<tr><td colspan="7">Error loading expenses.</td></tr>';
+            expenseList.innerHTML = '<tr><td colspan="8">Error loading expenses.</td></tr>';
             showToast('Failed to load expenses', 'error');
         } finally {
             hideLoading();
@@ -399,7 +608,12 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             const result = await response.json();
             console.log('Expense added:', result);
-            showToast('Expense added successfully');
+            // The server flags budgets this expense pushed over
+            if (result.warnings && result.warnings.length > 0) {
+                showToast(`Expense added. ${result.warnings.map(w => w.message).join(' ')}`, 'warning');
+            } else {
+                showToast('Expense added successfully');
+            }
             const currentTripName = document.getElementById('tripName').value;
             resetForm();
             await fetchAndDisplayExpenses(currentTripName);
@@ -429,7 +643,12 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             const result = await response.json();
             console.log('Expense updated:', result);
-            showToast('Expense updated successfully');
+            // The server flags budgets this expense pushed over
+            if (result.warnings && result.warnings.length > 0) {
+                showToast(`Expense updated. ${result.warnings.map(w => w.message).join(' ')}`, 'warning');
+            } else {
+                showToast('Expense updated successfully');
+            }
             const currentTripName = document.getElementById('tripName').value;
             resetForm();
             await fetchAndDisplayExpenses(currentTripName);
@@ -471,16 +690,16 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    const handleExportClick = async (tripName, filename) => {
+    const handleExportClick = async (tripId, filename) => {
         if (!isLoggedIn()) {
             showToast('Please log in to export expenses.', 'error');
             return;
         }
-        console.log(`Exporting trip: ${tripName}, Filename: ${filename}`);
+        console.log(`Exporting trip: ${tripId}, Filename: ${filename}`);
         showLoadingOverlay(); // Show overlay during fetch/download prep
 
         try {
-            const response = await fetchWithAuth(`/api/export-expenses?tripName=${encodeURIComponent(tripName)}`);
+            const response = await fetchWithAuth(`/api/export-expenses?tripId=${encodeURIComponent(tripId)}`);
 
             if (!response.ok) {
                 // Try to get error message from body, otherwise use status text
@@ -525,6 +744,441 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    // --- Expense Reports ---
+    const REPORT_STATUS_LABELS = {
+        draft: 'Draft',
+        submitted: 'Waiting for approval',
+        approved: 'Approved',
+        rejected: 'Sent back',
+        paid: 'Paid'
+    };
+
+    const renderReportCard = (report, canManage) => {
+        const dates = [
+            report.submittedAt ? `submitted by ${report.submittedByUsername || 'a former user'} on ${formatDate(report.submittedAt.slice(0, 10))}` : '',
+            report.decidedAt ? `${report.status === 'rejected' ? 'sent back' : 'approved'} by ${report.decidedByUsername || 'a former user'}` : '',
+            report.paidAt ? `paid on ${formatDate(report.paidAt.slice(0, 10))}` : ''
+        ].filter(Boolean).join(', ');
+        const totals = report.total !== null
+            ? `Total ${formatMoney(report.total, report.currency)}${report.approvedTotal !== null ? ` · approved ${formatMoney(report.approvedTotal, report.currency)}` : ''}`
+            : '';
+        const canSubmit = canManage && ['draft', 'rejected'].includes(report.status);
+        return `
+            <div class="report-card" data-id="${report.id}">
+                <div class="trip-card-header">
+                    <h3>${report.title || `Report #${report.id}`}</h3>
+                    <span class="report-status status-${report.status}">${REPORT_STATUS_LABELS[report.status]}</span>
+                </div>
+                ${totals || dates ? `<p class="trip-card-meta">${[totals, dates].filter(Boolean).join(' · ')}</p>` : ''}
+                ${report.decisionComment ? `<p class="trip-card-description">"${report.decisionComment}"</p>` : ''}
+                <div class="btn-group">
+                    <button type="button" class="btn-small show-report-lines">Details</button>
+                    ${canSubmit ? `<button type="button" class="btn-small submit-report">${report.status === 'rejected' ? 'Resubmit' : 'Submit'}</button>` : ''}
+                    ${canSubmit ? '<button type="button" class="btn-small btn-danger delete-report">Delete</button>' : ''}
+                </div>
+                <div class="report-lines hidden"></div>
+            </div>
+        `;
+    };
+
+    const loadReports = async () => {
+        if (!isLoggedIn() || !currentTripId) return;
+        try {
+            const response = await fetchWithAuth(`/api/trips/${currentTripId}/reports`);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const { reports, canManage } = await response.json();
+            reportsSection.classList.remove('hidden');
+            newReportForm.classList.toggle('hidden', !canManage);
+            noReportsMessage.classList.toggle('hidden', reports.length > 0);
+            reportList.innerHTML = reports.map(report => renderReportCard(report, canManage)).join('');
+        } catch (error) {
+            console.error('Error loading expense reports:', error);
+        }
+    };
+
+    // Show a report's lines under its card; a draft lists what submitting would include
+    const toggleReportLines = async (card) => {
+        const container = card.querySelector('.report-lines');
+        if (!container.classList.contains('hidden')) {
+            container.classList.add('hidden');
+            return;
+        }
+        try {
+            const response = await fetchWithAuth(`/api/reports/${card.dataset.id}`);
+            const report = await response.json();
+            if (!response.ok) throw new Error(report.message || `HTTP error! status: ${response.status}`);
+            container.innerHTML = report.lines.length === 0
+                ? '<p class="trip-card-meta">No expenses to report.</p>'
+                : `
+                    <table class="data-table">
+                        <thead><tr><th>Date</th><th>Type</th><th>Vendor</th><th>Added By</th><th>Cost</th><th>Decision</th><th>Comment</th></tr></thead>
+                        <tbody>
+                            ${report.lines.map(line => `
+                                <tr>
+                                    <td>${formatDate(line.date)}</td>
+                                    <td>${line.type || ''}</td>
+                                    <td>${line.vendor || ''}</td>
+                                    <td>${line.authorUsername || ''}</td>
+                                    <td>${formatMoney(line.cost, line.currency)}</td>
+                                    <td>${line.status || ''}</td>
+                                    <td>${line.comment || ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+            container.classList.remove('hidden');
+        } catch (error) {
+            console.error('Error loading report lines:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to load report.', 'error');
+        }
+    };
+
+    // Create, submit or delete a report, then refresh reports and expenses (locks change)
+    const changeReport = async (url, method, body, fallbackMessage) => {
+        try {
+            const response = await fetchWithAuth(url, { method, body });
+            const result = await response.json();
+            if (!response.ok) {
+                const message = result.errors ? result.errors.map(err => err.msg).join(' ') : result.message;
+                throw new Error(message || `HTTP error! status: ${response.status}`);
+            }
+            showToast(result.message);
+            await loadReports();
+            await fetchAndDisplayExpenses(tripNameInput.value);
+            return true;
+        } catch (error) {
+            console.error('Error updating expense report:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || fallbackMessage, 'error');
+            return false;
+        }
+    };
+
+    // --- Expense Splitting ---
+    let expenseToSplit = null;
+
+    const SPLIT_SHARE_LABELS = { equal: '', percent: 'Percent', exact: 'Amount' };
+
+    const renderSplitShareRow = (participant, share, method) => `
+        <tr data-participant-id="${participant.id}">
+            <td><input type="checkbox" class="split-include"${share ? ' checked' : ''}></td>
+            <td>${participant.name}</td>
+            <td>${method === 'equal'
+                ? `<span class="split-amount">${share && share.amount !== null && share.amount !== undefined ? formatMoney(share.amount, expenseToSplit.currency) : ''}</span>`
+                : `<input type="number" class="split-share" step="0.01" min="0.01" value="${share && share.share !== undefined ? share.share : ''}">`}
+            </td>
+        </tr>
+    `;
+
+    // Selected participants with their share, as the API expects them
+    const readSplitShares = () => Array.from(splitSharesBody.querySelectorAll('tr'))
+        .filter(row => row.querySelector('.split-include').checked)
+        .map(row => {
+            const input = row.querySelector('.split-share');
+            return { participantId: parseInt(row.dataset.participantId, 10), share: input ? parseFloat(input.value) || 0 : null };
+        });
+
+    // Show how much is left to assign for percentage and exact splits
+    const updateSplitRemaining = () => {
+        const method = splitMethodSelect.value;
+        const assigned = readSplitShares().reduce((sum, share) => sum + (share.share || 0), 0);
+        if (method === 'percent') {
+            splitRemaining.textContent = `${Math.round((100 - assigned) * 100) / 100}% left to assign`;
+        } else if (method === 'exact') {
+            splitRemaining.textContent = `${formatMoney(expenseToSplit.cost - assigned, expenseToSplit.currency)} left to assign`;
+        } else {
+            const count = readSplitShares().length;
+            splitRemaining.textContent = count > 0 ? `${formatMoney(expenseToSplit.cost / count, expenseToSplit.currency)} each` : '';
+        }
+    };
+
+    const renderSplitShares = (participants, shares, method) => {
+        splitShareHeader.textContent = SPLIT_SHARE_LABELS[method];
+        const byParticipant = new Map(shares.map(share => [share.participantId, share]));
+        splitSharesBody.innerHTML = participants
+            .map(participant => renderSplitShareRow(participant, byParticipant.get(participant.id), method))
+            .join('');
+        updateSplitRemaining();
+    };
+
+    const openSplitModal = async (expense) => {
+        try {
+            const response = await fetchWithAuth(`/api/expenses/${expense.id}/split`);
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            const { split, participants, canEdit } = result;
+            expenseToSplit = { ...expense, participants, split, canEdit };
+
+            splitSummary.textContent = `${expense.vendor || expense.type || 'Expense'} · ${formatDate(expense.date)} · ${formatMoney(expense.cost, expense.currency)}`
+                + (split && !split.valid ? ' · The amounts no longer add up to the cost; please fix them.' : '');
+            splitNoParticipants.classList.toggle('hidden', participants.length > 0);
+            splitForm.classList.toggle('hidden', participants.length === 0);
+            splitPaidBySelect.innerHTML = participants
+                .map(p => `<option value="${p.id}"${split && split.paidBy === p.id ? ' selected' : ''}>${p.name}</option>`)
+                .join('');
+            splitMethodSelect.value = split ? split.method : 'equal';
+            // A new split starts with everyone in it
+            renderSplitShares(participants, split ? split.shares : participants.map(p => ({ participantId: p.id })), splitMethodSelect.value);
+
+            splitForm.querySelectorAll('input, select').forEach(input => { input.disabled = !canEdit; });
+            saveSplitButton.classList.toggle('hidden', !canEdit);
+            removeSplitButton.classList.toggle('hidden', !canEdit || !split);
+            splitModal.style.display = 'block';
+        } catch (error) {
+            console.error('Error loading expense split:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to load split.', 'error');
+        }
+    };
+
+    const closeSplitModal = () => {
+        splitModal.style.display = 'none';
+        expenseToSplit = null;
+    };
+
+    // Save or remove the split, then refresh the list so the split marker updates
+    const changeSplit = async (method, body, fallbackMessage) => {
+        try {
+            const response = await fetchWithAuth(`/api/expenses/${expenseToSplit.id}/split`, { method, body });
+            const result = await response.json();
+            if (!response.ok) {
+                const message = result.errors ? result.errors.map(err => err.msg).join(' ') : result.message;
+                throw new Error(message || `HTTP error! status: ${response.status}`);
+            }
+            showToast(result.message);
+            closeSplitModal();
+            await fetchAndDisplayExpenses(tripNameInput.value);
+        } catch (error) {
+            console.error('Error updating expense split:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || fallbackMessage, 'error');
+        }
+    };
+
+    // --- Bulk Upload & Review Queue ---
+    // Upload several receipts; the server runs OCR on each and returns the drafts it created
+    const uploadReceiptBatch = async (files) => {
+        if (!isLoggedIn() || !currentTripId) return;
+        const settings = JSON.parse(localStorage.getItem('expenseTrackerSettings')) || {};
+        const ocrMethod = settings.ocrMethod || 'builtin';
+        const formData = new FormData();
+        [...files].forEach(file => formData.append('receipts', file));
+        formData.append('tripId', currentTripId);
+        formData.append('ocrMethod', ocrMethod);
+        if (settings[`${ocrMethod}Model`]) formData.append('model', settings[`${ocrMethod}Model`]);
+
+        showLoadingOverlay();
+        bulkUploadButton.disabled = true;
+        bulkUploadButton.textContent = `Processing ${files.length} receipt(s)...`;
+        try {
+            const response = await fetchWithAuth('/api/expense-drafts', { method: 'POST', body: formData });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            showToast(result.message);
+            bulkUploadForm.reset();
+            await loadDrafts();
+            reviewQueueSection.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            console.error('Error uploading receipts:', error);
+            if (error.message !== 'Authentication required') {
+                showToast(error.message || 'Failed to upload receipts.', 'error');
+            }
+        } finally {
+            hideLoadingOverlay();
+            bulkUploadButton.disabled = false;
+            bulkUploadButton.textContent = 'Upload & Create Drafts';
+        }
+    };
+
+    const loadDrafts = async () => {
+        if (!isLoggedIn() || !currentTripId) return;
+        try {
+            const response = await fetchWithAuth(`/api/expense-drafts?tripId=${currentTripId}`);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            drafts = await response.json();
+            renderDrafts();
+        } catch (error) {
+            console.error('Error loading drafts:', error);
+        }
+    };
+
+    // Built with DOM properties rather than HTML: file names and OCR output come from
+    // whoever uploaded the receipt, and other trip members see the drafts too
+    const renderDraftReceipt = (draft) => {
+        const title = draft.originalName || 'Receipt';
+        if (/\.pdf$/i.test(draft.receiptPath)) {
+            const link = document.createElement('a');
+            link.href = draft.receiptUrl;
+            link.target = '_blank';
+            link.title = title;
+            link.innerHTML = '<i class="fas fa-file-pdf"></i>';
+            return link;
+        }
+        const image = document.createElement('img');
+        image.src = draft.thumbnailUrls ? draft.thumbnailUrls.small : draft.receiptUrl;
+        image.alt = 'Receipt';
+        image.className = 'receipt-thumbnail';
+        image.dataset.full = draft.receiptUrl;
+        image.title = title;
+        return image;
+    };
+
+    const isOcrPending = (draft) => draft.ocrStatus === 'queued' || draft.ocrStatus === 'processing';
+
+    // Nothing, or a line break and a note on the OCR status
+    const renderDraftStatus = (draft) => {
+        const status = document.createElement('small');
+        if (isOcrPending(draft)) {
+            status.className = 'ocr-pending';
+            status.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Reading...';
+        } else if (draft.ocrError) {
+            status.className = 'missing-rate';
+            status.title = draft.ocrError;
+            status.textContent = 'Not read';
+        } else {
+            return [];
+        }
+        return [document.createElement('br'), status];
+    };
+
+    // The editable fields of a review queue row, in column order
+    const DRAFT_INPUTS = [
+        { name: 'type', type: 'text', label: 'Type' },
+        { name: 'date', type: 'date', label: 'Date' },
+        { name: 'vendor', type: 'text', label: 'Vendor' },
+        { name: 'location', type: 'text', label: 'Location' },
+        { name: 'cost', type: 'number', label: 'Cost', attributes: { step: '0.01', min: '0.01' } },
+        { name: 'currency', type: 'text', label: 'Currency', attributes: { maxlength: '3', list: 'currency-codes' } },
+        { name: 'comments', type: 'text', label: 'Comments' }
+    ];
+
+    const renderDraftRow = (draft) => {
+        const row = document.createElement('tr');
+        row.dataset.id = draft.id;
+        row.dataset.ocrStatus = draft.ocrStatus || '';
+
+        const receiptCell = document.createElement('td');
+        receiptCell.className = 'receipt-cell';
+        receiptCell.append(renderDraftReceipt(draft), ...renderDraftStatus(draft));
+        row.append(receiptCell);
+
+        DRAFT_INPUTS.forEach(({ name, type, label, attributes = {} }) => {
+            const input = document.createElement('input');
+            input.type = type;
+            input.name = name;
+            input.setAttribute('aria-label', label);
+            Object.entries(attributes).forEach(([attribute, value]) => input.setAttribute(attribute, value));
+            if (name === 'currency') input.placeholder = currentTripHomeCurrency;
+            input.value = draft[name] === null || draft[name] === undefined ? '' : draft[name];
+            const cell = document.createElement('td');
+            cell.append(input);
+            row.append(cell);
+        });
+
+        const actionsCell = document.createElement('td');
+        actionsCell.innerHTML = `
+            <div class="btn-group">
+                <button type="button" class="btn-small confirm-draft">Confirm</button>
+                <button type="button" class="btn-small btn-danger discard-draft">Discard</button>
+            </div>
+        `;
+        row.append(actionsCell);
+        return row;
+    };
+
+    // Rows whose OCR status hasn't changed are kept as they are, so polling
+    // doesn't throw away corrections being typed into them
+    const renderDrafts = () => {
+        reviewQueueSection.classList.toggle('hidden', drafts.length === 0);
+        draftCount.textContent = drafts.length > 0 ? `(${drafts.length})` : '';
+        const existingRows = new Map([...draftList.querySelectorAll('tr')].map(row => [row.dataset.id, row]));
+        const rows = drafts.map(draft => {
+            const existing = existingRows.get(String(draft.id));
+            return existing && existing.dataset.ocrStatus === (draft.ocrStatus || '') ? existing : renderDraftRow(draft);
+        });
+        draftList.replaceChildren(...rows);
+
+        // Check back while OCR is still reading some of the receipts
+        clearTimeout(draftPollTimer);
+        if (drafts.some(isOcrPending)) draftPollTimer = setTimeout(loadDrafts, DRAFT_POLL_INTERVAL_MS);
+    };
+
+    // Corrections as typed in a review queue row; empty inputs keep the draft's value
+    const readDraftRow = (row) => {
+        const fields = {};
+        row.querySelectorAll('input[name]').forEach(input => {
+            if (input.value.trim() !== '') fields[input.name] = input.value.trim();
+        });
+        return fields;
+    };
+
+    // Confirm one draft; returns the server's result, or throws with its validation messages
+    const confirmDraft = async (row) => {
+        const response = await fetchWithAuth(`/api/expense-drafts/${row.dataset.id}/confirm`, { method: 'POST', body: readDraftRow(row) });
+        const result = await response.json();
+        if (!response.ok) {
+            const message = result.errors ? result.errors.map(err => err.msg).join(' ') : result.message;
+            throw new Error(message || `HTTP error! status: ${response.status}`);
+        }
+        return result;
+    };
+
+    const handleConfirmDraft = async (row) => {
+        try {
+            const result = await confirmDraft(row);
+            if (result.warnings && result.warnings.length > 0) {
+                showToast(`Expense added. ${result.warnings.map(w => w.message).join(' ')}`, 'warning');
+            } else {
+                showToast('Expense added successfully');
+            }
+            await loadDrafts();
+            await fetchAndDisplayExpenses(tripNameInput.value);
+        } catch (error) {
+            console.error('Error confirming draft:', error);
+            row.classList.add('is-invalid');
+            if (error.message !== 'Authentication required') showToast(error.message, 'error');
+        }
+    };
+
+    // Confirm every row in turn; incomplete rows stay in the queue, highlighted
+    const handleConfirmAllDrafts = async () => {
+        const rows = [...draftList.querySelectorAll('tr')];
+        let confirmed = 0;
+        const budgetWarnings = new Set();
+        showLoadingOverlay();
+        for (const row of rows) {
+            try {
+                const result = await confirmDraft(row);
+                (result.warnings || []).forEach(warning => budgetWarnings.add(warning.message));
+                confirmed++;
+            } catch (error) {
+                console.error(`Error confirming draft ${row.dataset.id}:`, error);
+                if (error.message === 'Authentication required') break;
+            }
+        }
+        hideLoadingOverlay();
+        await loadDrafts();
+        await fetchAndDisplayExpenses(tripNameInput.value);
+        const remaining = rows.length - confirmed;
+        let message = `Confirmed ${confirmed} of ${rows.length} draft(s).`;
+        if (remaining > 0) message += ` ${remaining} still need details.`;
+        if (budgetWarnings.size > 0) message += ` ${[...budgetWarnings].join(' ')}`;
+        showToast(message, remaining > 0 || budgetWarnings.size > 0 ? 'warning' : 'success');
+        // Highlight what is left to fix
+        draftList.querySelectorAll('tr').forEach(row => row.classList.add('is-invalid'));
+    };
+
+    const handleDiscardDraft = async (row) => {
+        if (!confirm('Discard this draft and its receipt? This cannot be undone.')) return;
+        try {
+            const response = await fetchWithAuth(`/api/expense-drafts/${row.dataset.id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            showToast('Draft discarded.');
+            await loadDrafts();
+        } catch (error) {
+            console.error('Error discarding draft:', error);
+            if (error.message !== 'Authentication required') showToast('Failed to discard draft.', 'error');
+        }
+    };
+
     // --- Trip Management Functions Removed - Moved to trips.js ---
 
     // --- Utility Functions ---
@@ -641,6 +1295,29 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
 
+    // --- OCR Job Polling ---
+    const OCR_POLL_INTERVAL_MS = 1000;
+    const OCR_POLL_TIMEOUT_MS = 5 * 60 * 1000;
+
+    // Poll GET /api/ocr-jobs/:id until the job completes; throws if it fails or takes too long
+    const waitForOcrJob = async (jobId, onProgress) => {
+        const deadline = Date.now() + OCR_POLL_TIMEOUT_MS;
+        while (Date.now() < deadline) {
+            const response = await fetchWithAuth(`/api/ocr-jobs/${jobId}`);
+            const job = await response.json();
+            if (!response.ok) throw new Error(job.message || `HTTP error! status: ${response.status}`);
+            if (job.status === 'completed') return job;
+            if (job.status === 'failed') throw new Error(job.error || 'OCR failed');
+            if (onProgress) {
+                onProgress(job.status === 'queued'
+                    ? `Queued (position ${job.position})...`
+                    : `Processing${job.attempts > 1 ? ` (attempt ${job.attempts} of ${job.maxAttempts})` : ''}...`);
+            }
+            await new Promise(resolve => setTimeout(resolve, OCR_POLL_INTERVAL_MS));
+        }
+        throw new Error('OCR is taking too long. Please try again later.');
+    };
+
     // --- Process Receipt Function ---
     const processReceipt = async (formData) => { /* ... unchanged ... */
         try {
@@ -651,13 +1328,9 @@ document.addEventListener('DOMContentLoaded', () => {
             const processFormData = new FormData();
             processFormData.append('receipt', currentReceiptFile);
             processFormData.append('ocrMethod', ocrMethod);
-            let apiKey = '', model = '';
-            switch (ocrMethod) { /* ... unchanged api key logic ... */
-                case 'openai': apiKey = settings.openaiApiKey; model = settings.openaiModel || 'gpt-4-vision-preview'; if (!apiKey) { showToast('OpenAI API key not found.', 'error'); hideLoadingOverlay(); hideLoading(); return; } processFormData.append('apiKey', apiKey); processFormData.append('model', model); break;
-                case 'gemini': apiKey = settings.geminiApiKey; model = settings.geminiModel || 'gemini-pro-vision'; if (!apiKey) { showToast('Gemini API key not found.', 'error'); hideLoadingOverlay(); hideLoading(); return; } processFormData.append('apiKey', apiKey); processFormData.append('model', model); break;
-                case 'claude': apiKey = settings.claudeApiKey; model = settings.claudeModel || 'claude-3-opus'; if (!apiKey) { showToast('Claude API key not found.', 'error'); hideLoadingOverlay(); hideLoading(); return; } processFormData.append('apiKey', apiKey); processFormData.append('model', model); break;
-                case 'openrouter': apiKey = settings.openrouterApiKey; model = settings.openrouterModel || 'anthropic/claude-3-opus'; if (!apiKey) { showToast('Open Router API key not found.', 'error'); hideLoadingOverlay(); hideLoading(); return; } processFormData.append('apiKey', apiKey); processFormData.append('model', model); break;
-            }
+            // The server uses the user's saved API key for the provider (or the shared one)
+            const defaultModels = { openai: 'gpt-4-vision-preview', gemini: 'gemini-pro-vision', claude: 'claude-3-opus', openrouter: 'anthropic/claude-3-opus' };
+            if (defaultModels[ocrMethod]) processFormData.append('model', settings[`${ocrMethod}Model`] || defaultModels[ocrMethod]);
             console.log("processReceipt: Calling fetchWithAuth for /api/test-ocr"); // Log before fetch
             // Use fetchWithAuth (even though route might not be protected yet, for consistency)
             const response = await fetchWithAuth('/api/test-ocr', { method: 'POST', body: processFormData });
@@ -665,12 +1338,15 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!response.ok) {
                 // fetchWithAuth handles 401/403
                 if (response.status !== 401 && response.status !== 403) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                    const errorData = await response.json().catch(() => ({}));
+                    throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
                 } else {
                     return; // Stop processing on auth error
                 }
             }
-            const result = await response.json();
+            // OCR runs in the background; wait for the job to finish
+            const { jobId } = await response.json();
+            const { result } = await waitForOcrJob(jobId, (status) => { processReceiptButton.textContent = status; });
             console.log('Receipt processed:', result);
             console.log("processReceipt: Checking result and calling showEditStep..."); // Log before conditional
             if (result.type || result.date || result.cost) {
@@ -685,9 +1361,10 @@ document.addEventListener('DOMContentLoaded', () => {
         } catch (error) {
             console.error('Error processing receipt:', error);
             showEditStep({});
-            showToast('Could not process receipt. Please fill manually.', 'error');
+            showToast(`Could not process receipt (${error.message}). Please fill manually.`, 'error');
         } finally {
             hideLoadingOverlay(); hideLoading();
+            processReceiptButton.textContent = 'Process Receipt';
         }
     };
 
@@ -711,13 +1388,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 throw new Error(result.message || `HTTP error! status: ${response.status}`);
             }
 
-            saveToken(result.token, { id: result.userId, username: result.username });
-            showToast('Login successful! Redirecting...');
-            // Redirect to trips page after successful login
-            window.location.href = 'trips.html';
-            // updateUIForAuthState(); // No longer needed immediately as page will reload
-            // fetchAndDisplayExpenses(); // No longer needed here, trips.js will handle it
-            loginForm.reset();
+            if (result.twoFactorRequired) {
+                showTwoFactorStep(result.twoFactorToken);
+                loginForm.reset();
+                return;
+            }
+            completeLogin(result);
 
         } catch (error) {
             console.error('Login failed:', error);
@@ -727,6 +1403,59 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    const completeLogin = (result) => {
+        saveToken(result.token, { id: result.userId, username: result.username, role: result.role }, result.refreshToken);
+        showToast('Login successful! Redirecting...');
+        // Redirect to trips page after successful login
+        window.location.href = 'trips.html';
+        // updateUIForAuthState(); // No longer needed immediately as page will reload
+        // fetchAndDisplayExpenses(); // No longer needed here, trips.js will handle it
+        loginForm.reset();
+    };
+
+    // --- Two-Factor Login Step ---
+    // With 2FA on, the password step returns a short-lived token to send along with the code
+    let twoFactorToken = null;
+
+    const showTwoFactorStep = (token) => {
+        twoFactorToken = token;
+        loginFormContainer.classList.add('hidden');
+        twoFactorFormContainer.classList.remove('hidden');
+        twoFactorForm.elements.code.focus();
+    };
+
+    const cancelTwoFactorStep = () => {
+        twoFactorToken = null;
+        twoFactorForm.reset();
+        twoFactorFormContainer.classList.add('hidden');
+        loginFormContainer.classList.remove('hidden');
+    };
+
+    const handleTwoFactor = async (event) => {
+        event.preventDefault();
+        showLoadingOverlay();
+        try {
+            const response = await fetch('/api/auth/login/2fa', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ twoFactorToken, code: twoFactorForm.elements.code.value })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                // Anything but a wrong code means the token is spent; start over with the password
+                if (result.reason !== 'wrong_code') cancelTwoFactorStep();
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+            cancelTwoFactorStep();
+            completeLogin(result);
+        } catch (error) {
+            console.error('Two-factor login failed:', error);
+            showToast(error.message || 'Login failed.', 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    };
+
     const handleRegister = async (event) => {
         event.preventDefault();
         showLoadingOverlay();
@@ -771,7 +1500,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    const handleLogout = () => {
+    const handleLogout = async () => {
+        // End the session on the server too, so its refresh token stops working
+        try {
+            await fetchWithAuth('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout request failed:', error);
+        }
         clearToken();
         showToast('Logged out successfully.');
         updateUIForAuthState();
@@ -785,9 +1520,8 @@ document.addEventListener('DOMContentLoaded', () => {
     expenseList.addEventListener('click', (event) => {
         if (event.target.closest('.export-trip-button')) {
             const button = event.target.closest('.export-trip-button');
-            const tripName = decodeURIComponent(button.dataset.tripname);
             const filename = button.dataset.filename;
-            handleExportClick(tripName, filename);
+            handleExportClick(button.dataset.tripid, filename);
         }
     });
 
@@ -795,6 +1529,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Auth form listeners
     loginForm.addEventListener('submit', handleLogin);
+    twoFactorForm.addEventListener('submit', handleTwoFactor);
+    document.getElementById('cancel-two-factor').addEventListener('click', (e) => {
+        e.preventDefault();
+        cancelTwoFactorStep();
+    });
     registerForm.addEventListener('submit', handleRegister);
     logoutButton.addEventListener('click', handleLogout);
 
@@ -845,7 +1584,10 @@ document.addEventListener('DOMContentLoaded', () => {
             formData.delete('receipt');
         }
 
-        // Explicitly add the Trip Name from the text input element
+        // Link the expense to the trip by ID; the name is only a fallback
+        if (currentTripId) {
+            formData.set('tripId', currentTripId);
+        }
         const tripNameValue = tripNameInput.value.trim(); // Use the text input variable
         if (tripNameValue) {
             formData.set('tripName', tripNameValue);
@@ -870,6 +1612,7 @@ document.addEventListener('DOMContentLoaded', () => {
     window.addEventListener('click', (event) => { /* ... unchanged ... */
         if (event.target === receiptModal) closeReceiptModal();
         if (event.target === deleteModal) closeDeleteModal();
+        if (event.target === splitModal) closeSplitModal();
     });
 
     confirmDeleteButton.addEventListener('click', () => { /* ... unchanged ... */
@@ -878,13 +1621,96 @@ document.addEventListener('DOMContentLoaded', () => {
 
     cancelDeleteButton.addEventListener('click', closeDeleteModal);
 
+    splitMethodSelect.addEventListener('change', () => {
+        // Keep who is in the split; shares mean something else under each method
+        const included = readSplitShares().map(share => ({ participantId: share.participantId }));
+        renderSplitShares(expenseToSplit.participants, included, splitMethodSelect.value);
+    });
+    splitSharesBody.addEventListener('input', updateSplitRemaining);
+    splitSharesBody.addEventListener('change', updateSplitRemaining);
+    splitForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        changeSplit('PUT', {
+            paidBy: parseInt(splitPaidBySelect.value, 10),
+            method: splitMethodSelect.value,
+            shares: readSplitShares()
+        }, 'Failed to split expense.');
+    });
+    removeSplitButton.addEventListener('click', () => {
+        if (!confirm('Stop splitting this expense?')) return;
+        changeSplit('DELETE', undefined, 'Failed to remove split.');
+    });
+    document.getElementById('cancel-split').addEventListener('click', closeSplitModal);
+
+    // Filter bar and pager
+    if (expenseFilterForm) {
+        expenseFilterForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            listOffset = 0;
+            fetchAndDisplayExpenses(tripNameInput.value);
+        });
+        // Sorting applies immediately
+        expenseFilterForm.elements.sort.addEventListener('change', () => {
+            listOffset = 0;
+            fetchAndDisplayExpenses(tripNameInput.value);
+        });
+        clearFiltersButton.addEventListener('click', () => {
+            expenseFilterForm.reset();
+            listOffset = 0;
+            fetchAndDisplayExpenses(tripNameInput.value);
+        });
+        prevPageButton.addEventListener('click', () => {
+            listOffset = Math.max(listOffset - PAGE_SIZE, 0);
+            fetchAndDisplayExpenses(tripNameInput.value);
+        });
+        nextPageButton.addEventListener('click', () => {
+            listOffset += PAGE_SIZE;
+            fetchAndDisplayExpenses(tripNameInput.value);
+        });
+    }
+
+    // Bulk upload and review queue
+    bulkUploadForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const files = document.getElementById('bulk-receipts').files;
+        if (!files || files.length === 0) { showToast('Please select one or more receipts', 'error'); return; }
+        await uploadReceiptBatch(files);
+    });
+    draftList.addEventListener('click', (event) => {
+        const row = event.target.closest('tr');
+        if (!row) return;
+        if (event.target.closest('.confirm-draft')) handleConfirmDraft(row);
+        else if (event.target.closest('.discard-draft')) handleDiscardDraft(row);
+        else if (event.target.closest('.receipt-thumbnail')) openReceiptModal(event.target.dataset.full);
+    });
+    confirmAllDraftsButton.addEventListener('click', handleConfirmAllDrafts);
+    createReportButton.addEventListener('click', async () => {
+        const created = await changeReport(`/api/trips/${currentTripId}/reports`, 'POST',
+            { title: newReportTitleInput.value.trim() }, 'Failed to create report.');
+        if (created) newReportTitleInput.value = '';
+    });
+    reportList.addEventListener('click', (event) => {
+        const card = event.target.closest('.report-card');
+        if (!card) return;
+        const reportId = card.dataset.id;
+        if (event.target.closest('.show-report-lines')) toggleReportLines(card);
+        else if (event.target.closest('.submit-report')) {
+            changeReport(`/api/reports/${reportId}/submit`, 'POST', undefined, 'Failed to submit report.');
+        } else if (event.target.closest('.delete-report')) {
+            if (!confirm('Delete this report? Its expenses stay on the trip.')) return;
+            changeReport(`/api/reports/${reportId}`, 'DELETE', undefined, 'Failed to delete report.');
+        }
+    });
+
     // --- Initialize ---
     // Check login status on load
     updateUIForAuthState();
 
-    // This page REQUIRES a trip name from the URL
+    // This page REQUIRES a trip from the URL (?tripId=, with ?trip= carrying the display name)
     const urlParams = new URLSearchParams(window.location.search);
+    const tripIdFromQuery = parseInt(urlParams.get('tripId'), 10);
     const tripNameFromQuery = urlParams.get('trip');
+    if (!isNaN(tripIdFromQuery)) currentTripId = tripIdFromQuery;
 
     if (isLoggedIn()) {
         if (tripNameFromQuery) {
@@ -903,6 +1729,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             }
             fetchAndDisplayExpenses(decodedTripName); // Fetch expenses for this specific trip
+            // Drafts belong to a trip ID, so bulk upload needs one
+            if (currentTripId) {
+                loadDrafts();
+                loadReports();
+            }
+            else bulkUploadSection.classList.add('hidden');
         } else {
             // If logged in but no trip specified, redirect back to trips page
             console.warn("No trip specified in URL. Redirecting to trips page.");
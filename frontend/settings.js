@@ -5,6 +5,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const authSection = document.getElementById('auth-section');
     const loginFormContainer = document.getElementById('login-form-container');
     const registerFormContainer = document.getElementById('register-form-container');
+    const twoFactorFormContainer = document.getElementById('two-factor-form-container');
+    const twoFactorForm = document.getElementById('two-factor-form');
     const loginForm = document.getElementById('login-form');
     const registerForm = document.getElementById('register-form');
     const showRegisterLink = document.getElementById('show-register');
@@ -14,13 +16,35 @@ document.addEventListener('DOMContentLoaded', () => {
     const navLogout = document.getElementById('nav-logout');
     const logoutButton = document.getElementById('logout-button');
     const aiSettings = document.getElementById('ai-settings');
-    const saveApiKeyCheckbox = document.getElementById('save-api-key');
+    const accountForm = document.getElementById('account-form');
+    const changePasswordForm = document.getElementById('change-password-form');
+    const twoFactorStatus = document.getElementById('two-factor-status');
+    const twoFactorSetupButton = document.getElementById('two-factor-setup-button');
+    const twoFactorSetup = document.getElementById('two-factor-setup');
+    const twoFactorEnableForm = document.getElementById('two-factor-enable-form');
+    const twoFactorManageForm = document.getElementById('two-factor-manage-form');
+    const recoveryCodesBox = document.getElementById('recovery-codes');
+    const sessionList = document.getElementById('session-list');
+    const revokeOtherSessionsButton = document.getElementById('revoke-other-sessions');
+    const accessTokenForm = document.getElementById('access-token-form');
+    const accessTokenScopes = document.getElementById('access-token-scopes');
+    const accessTokenList = document.getElementById('access-token-list');
+    const noAccessTokens = document.getElementById('no-access-tokens');
+    const newAccessTokenBox = document.getElementById('new-access-token');
+    const exportAccountDataButton = document.getElementById('export-account-data');
+    const deleteAccountForm = document.getElementById('delete-account-form');
     const testOcrSection = document.getElementById('test-ocr-section');
     const testOcrForm = document.getElementById('test-ocr-form');
     const testResults = document.getElementById('test-results');
+    const importRatesForm = document.getElementById('import-rates-form');
+    const addRateForm = document.getElementById('add-rate-form');
+    const exchangeRateList = document.getElementById('exchange-rate-list');
+    const noExchangeRates = document.getElementById('no-exchange-rates');
     const toast = document.getElementById('toast');
     const toastMessage = document.getElementById('toast-message');
 
+    const API_KEY_PROVIDERS = ['openai', 'gemini', 'claude', 'openrouter'];
+
     // Auth state
     let authToken = null;
     let currentUser = null;
@@ -29,8 +53,9 @@ document.addEventListener('DOMContentLoaded', () => {
     updateUIForAuthState();
 
     // --- Auth Token Helpers ---
-    function saveToken(token, user) {
+    function saveToken(token, user, refreshToken) {
         localStorage.setItem('authToken', token);
+        if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
         localStorage.setItem('currentUser', JSON.stringify(user));
         authToken = token;
         currentUser = user;
@@ -46,6 +71,7 @@ document.addEventListener('DOMContentLoaded', () => {
     function clearToken() {
         localStorage.removeItem('authToken');
         localStorage.removeItem('currentUser');
+        localStorage.removeItem('refreshToken');
         authToken = null;
         currentUser = null;
     };
@@ -67,19 +93,56 @@ document.addEventListener('DOMContentLoaded', () => {
             navLogout.classList.remove('hidden');
             document.getElementById('nav-trips')?.classList.remove('hidden');
             document.getElementById('nav-add-expense')?.classList.remove('hidden');
+            document.getElementById('nav-dashboard')?.classList.remove('hidden');
             document.getElementById('nav-settings')?.classList.remove('hidden');
+            document.getElementById('nav-approvals')?.classList.toggle('hidden', !['approver', 'admin'].includes(currentUser?.role));
+            document.getElementById('nav-admin')?.classList.toggle('hidden', currentUser?.role !== 'admin');
         } else {
             authSection.classList.remove('hidden');
             appContent.classList.add('hidden');
             navLogout.classList.add('hidden');
             loginFormContainer.classList.remove('hidden');
             registerFormContainer.classList.add('hidden');
+            twoFactorFormContainer.classList.add('hidden');
+            // Don't leave one-time secrets on screen for the next person
+            recoveryCodesBox.classList.add('hidden');
+            newAccessTokenBox.classList.add('hidden');
             document.getElementById('nav-trips')?.classList.add('hidden');
             document.getElementById('nav-add-expense')?.classList.add('hidden');
+            document.getElementById('nav-dashboard')?.classList.add('hidden');
             document.getElementById('nav-settings')?.classList.add('hidden');
+            document.getElementById('nav-approvals')?.classList.add('hidden');
+            document.getElementById('nav-admin')?.classList.add('hidden');
         }
     };
 
+    // --- Session Refresh ---
+    // Access tokens are short-lived. On a 401 the refresh token is swapped for a new
+    // pair and the request retried once; concurrent 401s share one refresh.
+    let refreshPromise = null;
+    function refreshSession() {
+        if (!refreshPromise) {
+            refreshPromise = (async () => {
+                const refreshToken = localStorage.getItem('refreshToken');
+                if (!refreshToken) return false;
+                const response = await fetch('/api/auth/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                const result = await response.json().catch(() => ({}));
+                if (response.ok) {
+                    saveToken(result.token, { id: result.userId, username: result.username, role: result.role }, result.refreshToken);
+                    return true;
+                }
+                // Another tab refreshed with the same token first; use the tokens it saves
+                if (result.reason === 'raced') await new Promise(resolve => setTimeout(resolve, 1000));
+                return localStorage.getItem('refreshToken') !== refreshToken;
+            })().catch(() => false).finally(() => { refreshPromise = null; });
+        }
+        return refreshPromise;
+    }
+
     // --- API Fetch Helper ---
      async function fetchWithAuth(url, options = {}) {
         const token = getToken();
@@ -89,8 +152,12 @@ document.addEventListener('DOMContentLoaded', () => {
             headers['Content-Type'] = 'application/json';
             options.body = JSON.stringify(options.body);
         }
-        const response = await fetch(url, { ...options, headers });
-        if (response.status === 401 || response.status === 403) {
+        let response = await fetch(url, { ...options, headers });
+        if (response.status === 401 && await refreshSession()) {
+            headers['Authorization'] = `Bearer ${getToken()}`;
+            response = await fetch(url, { ...options, headers });
+        }
+        if (response.status === 401) {
             console.log('Auth error detected, logging out.');
             clearToken();
             updateUIForAuthState();
@@ -132,10 +199,6 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
             const settings = JSON.parse(localStorage.getItem('expenseTrackerSettings')) || {};
             if (settings.ocrMethod) ocrMethodSelect.value = settings.ocrMethod;
-            if (settings.openaiApiKey) document.getElementById('openai-api-key').value = settings.openaiApiKey;
-            if (settings.geminiApiKey) document.getElementById('gemini-api-key').value = settings.geminiApiKey;
-            if (settings.claudeApiKey) document.getElementById('claude-api-key').value = settings.claudeApiKey;
-            if (settings.openrouterApiKey) document.getElementById('openrouter-api-key').value = settings.openrouterApiKey;
             if (settings.openaiModel) document.getElementById('openai-model').value = settings.openaiModel;
             if (settings.geminiModel) {
                 const geminiSelect = document.getElementById('gemini-model');
@@ -144,7 +207,6 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             if (settings.claudeModel) document.getElementById('claude-model').value = settings.claudeModel;
             if (settings.openrouterModel) document.getElementById('openrouter-model').value = settings.openrouterModel;
-            if (settings.saveApiKey !== undefined) saveApiKeyCheckbox.checked = settings.saveApiKey;
             handleOcrMethodChange();
         } catch (error) {
             console.error('Error loading settings:', error);
@@ -152,60 +214,141 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // API keys are saved per user on the server; the browser only keeps the OCR method and models
     async function saveSettings(event) {
         event.preventDefault();
         const saveButton = document.querySelector('#settings-form button[type="submit"]');
         saveButton.disabled = true; saveButton.textContent = 'Saving...';
-        let backendUpdateSuccess = false; let localSaveSuccess = false;
         const settings = {
-            ocrMethod: ocrMethodSelect.value, saveApiKey: saveApiKeyCheckbox.checked,
+            ocrMethod: ocrMethodSelect.value,
             openaiModel: document.getElementById('openai-model').value,
             geminiModel: document.getElementById('gemini-model').value,
             claudeModel: document.getElementById('claude-model').value,
             openrouterModel: document.getElementById('openrouter-model').value,
         };
-        const openaiKey = document.getElementById('openai-api-key').value;
-        const geminiKey = document.getElementById('gemini-api-key').value;
-        const claudeKey = document.getElementById('claude-api-key').value;
-        const openrouterKey = document.getElementById('openrouter-api-key').value;
-        const keysForBackend = {
-            OPENAI_API_KEY: openaiKey, GEMINI_API_KEY: geminiKey,
-            CLAUDE_API_KEY: claudeKey, OPENROUTER_API_KEY: openrouterKey,
-        };
+        let localSaveSuccess = false;
         try {
-            const response = await fetchWithAuth('/api/update-env', { method: 'POST', body: keysForBackend });
-            const result = await response.json();
-            if (!response.ok) throw new Error(result.message || `Failed to update keys on server (Status: ${response.status})`);
-            console.log('Backend .env update response:', result.message);
-            backendUpdateSuccess = true;
-        } catch (error) {
-            console.error('Error updating .env file via API:', error);
-            if (error.message !== 'Authentication required') showToast(`Error saving keys to server: ${error.message}`, 'error');
-            backendUpdateSuccess = false;
-        }
-        try {
-            if (settings.saveApiKey) {
-                if (openaiKey) settings.openaiApiKey = openaiKey; else delete settings.openaiApiKey;
-                if (geminiKey) settings.geminiApiKey = geminiKey; else delete settings.geminiApiKey;
-                if (claudeKey) settings.claudeApiKey = claudeKey; else delete settings.claudeApiKey;
-                if (openrouterKey) settings.openrouterApiKey = openrouterKey; else delete settings.openrouterApiKey;
-            } else {
-                delete settings.openaiApiKey; delete settings.geminiApiKey;
-                delete settings.claudeApiKey; delete settings.openrouterApiKey;
-            }
-            localStorage.setItem('expenseTrackerSettings', JSON.stringify(settings));
+            localStorage.setItem('expenseTrackerSettings', JSON.stringify(settings)); // Drops keys older versions kept here
             localSaveSuccess = true; console.log('Settings saved locally:', settings);
         } catch (error) {
             console.error('Error saving settings to localStorage:', error);
             showToast('Failed to save settings locally', 'error');
         }
-        if (backendUpdateSuccess && localSaveSuccess) showToast('Settings saved successfully!');
-        else if (localSaveSuccess && !backendUpdateSuccess) showToast('Settings saved locally, but failed to save to server.', 'warning');
-        else if (!localSaveSuccess && backendUpdateSuccess) showToast('Settings saved to server, but failed to save locally.', 'warning');
+
+        // Only providers with a new key typed in are sent; empty fields keep the saved key
+        const failed = [];
+        for (const provider of API_KEY_PROVIDERS) {
+            const input = document.getElementById(`${provider}-api-key`);
+            const apiKey = input.value.trim();
+            if (!apiKey) continue;
+            try {
+                const response = await fetchWithAuth(`/api/api-keys/${provider}`, { method: 'PUT', body: { apiKey } });
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.errors ? result.errors.map(e => e.msg).join(', ') : result.message);
+                }
+                input.value = '';
+            } catch (error) {
+                console.error(`Error saving ${provider} API key:`, error);
+                if (error.message === 'Authentication required') break;
+                failed.push(`${provider}: ${error.message}`);
+            }
+        }
+        await loadApiKeys();
+
+        if (failed.length > 0) showToast(`Failed to save API key (${failed.join('; ')})`, 'error');
+        else if (localSaveSuccess) showToast('Settings saved successfully!');
         handleOcrMethodChange();
         saveButton.disabled = false; saveButton.textContent = 'Save Settings';
     }
 
+    // --- API Key Functions ---
+    function renderApiKeyStatus(key, encryptionEnabled) {
+        const status = document.getElementById(`${key.provider}-key-status`);
+        const removeButton = document.querySelector(`.remove-api-key[data-provider="${key.provider}"]`);
+        if (!status) return;
+        if (key.hasKey) {
+            status.textContent = key.keyHint ? `Your key ending in ${key.keyHint} is saved.` : 'Your key is saved.';
+        } else if (key.serverKey) {
+            status.textContent = "You haven't saved a key; the server's shared key will be used.";
+        } else {
+            status.textContent = "No key saved. Add one to use this provider.";
+        }
+        if (!encryptionEnabled) status.textContent += ' (Saving keys is disabled on this server.)';
+        removeButton?.classList.toggle('hidden', !key.hasKey);
+    }
+
+    async function loadApiKeys() {
+        if (!isLoggedIn()) return;
+        try {
+            const response = await fetchWithAuth('/api/api-keys');
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const result = await response.json();
+            result.keys.forEach(key => renderApiKeyStatus(key, result.encryptionEnabled));
+        } catch (error) {
+            console.error('Error loading API keys:', error);
+            if (error.message !== 'Authentication required') showToast('Failed to load API keys', 'error');
+        }
+    }
+
+    // OCR methods an admin hasn't made available are left out of the list
+    async function loadOcrSettings() {
+        if (!isLoggedIn()) return;
+        try {
+            const response = await fetchWithAuth('/api/ocr-settings');
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const { allowedMethods, defaultMethod } = await response.json();
+            [...ocrMethodSelect.options].forEach(option => {
+                option.disabled = !allowedMethods.includes(option.value);
+                option.hidden = option.disabled;
+            });
+            if (!allowedMethods.includes(ocrMethodSelect.value)) {
+                ocrMethodSelect.value = defaultMethod;
+                handleOcrMethodChange();
+            }
+        } catch (error) {
+            console.error('Error loading OCR settings:', error);
+            if (error.message !== 'Authentication required') showToast('Failed to load OCR settings', 'error');
+        }
+    }
+
+    async function removeApiKey(provider) {
+        if (!window.confirm(`Remove your saved ${provider} API key?`)) return;
+        try {
+            const response = await fetchWithAuth(`/api/api-keys/${provider}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            showToast(result.message);
+            loadApiKeys();
+        } catch (error) {
+            console.error('Error removing API key:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to remove API key', 'error');
+        }
+    }
+
+    // --- OCR Job Polling ---
+    const OCR_POLL_INTERVAL_MS = 1000;
+    const OCR_POLL_TIMEOUT_MS = 5 * 60 * 1000;
+
+    // Poll GET /api/ocr-jobs/:id until the job completes; throws if it fails or takes too long
+    async function waitForOcrJob(jobId, onProgress) {
+        const deadline = Date.now() + OCR_POLL_TIMEOUT_MS;
+        while (Date.now() < deadline) {
+            const response = await fetchWithAuth(`/api/ocr-jobs/${jobId}`);
+            const job = await response.json();
+            if (!response.ok) throw new Error(job.message || `HTTP error! status: ${response.status}`);
+            if (job.status === 'completed') return job;
+            if (job.status === 'failed') throw new Error(job.error || 'OCR failed');
+            if (onProgress) {
+                onProgress(job.status === 'queued'
+                    ? `Queued (position ${job.position})...`
+                    : `Processing${job.attempts > 1 ? ` (attempt ${job.attempts} of ${job.maxAttempts})` : ''}...`);
+            }
+            await new Promise(resolve => setTimeout(resolve, OCR_POLL_INTERVAL_MS));
+        }
+        throw new Error('OCR is taking too long. Please try again later.');
+    }
+
     async function testOCR(event) {
         event.preventDefault();
         const formData = new FormData(testOcrForm);
@@ -232,13 +375,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 throw new Error(`HTTP error! status: ${response.status}, Response: ${textResponse}`);
             }
             if (!response.ok) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            // OCR runs in the background; wait for the job to finish
+            const job = await waitForOcrJob(result.jobId, (status) => { testButton.textContent = status; });
+            result = job.result;
             console.log('OCR test result:', result);
             testResults.classList.remove('hidden');
             document.getElementById('result-type').textContent = result.type || 'Not detected';
             document.getElementById('result-date').textContent = result.date || 'Not detected';
             document.getElementById('result-vendor').textContent = result.vendor || 'Not detected';
             document.getElementById('result-location').textContent = result.location || 'Not detected';
-            document.getElementById('result-cost').textContent = result.cost ? `$${result.cost}` : 'Not detected';
+            document.getElementById('result-cost').textContent = result.cost ? `${result.cost} ${result.currency || '(currency not detected)'}` : 'Not detected';
             showToast('OCR test completed');
         } catch (error) {
             console.error('Error testing OCR:', error);
@@ -249,6 +395,452 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // --- Exchange Rate Functions ---
+    async function loadExchangeRates() {
+        if (!isLoggedIn()) return;
+        try {
+            const response = await fetchWithAuth('/api/exchange-rates');
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const rates = await response.json();
+            exchangeRateList.innerHTML = '';
+            noExchangeRates.classList.toggle('hidden', rates.length > 0);
+            rates.forEach(rate => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${rate.rateDate}</td>
+                    <td>${rate.baseCurrency}</td>
+                    <td>${rate.quoteCurrency}</td>
+                    <td>${rate.rate}</td>
+                    <td><button class="btn-small btn-danger delete-rate" data-id="${rate.id}">Delete</button></td>
+                `;
+                exchangeRateList.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error loading exchange rates:', error);
+            if (error.message !== 'Authentication required') showToast('Failed to load exchange rates', 'error');
+        }
+    }
+
+    async function importExchangeRates(event) {
+        event.preventDefault();
+        const formData = new FormData(importRatesForm);
+        if (!formData.get('file') || formData.get('file').size === 0) {
+            showToast('Please select a CSV file', 'error'); return;
+        }
+        try {
+            const response = await fetchWithAuth('/api/exchange-rates/import', { method: 'POST', body: formData });
+            const result = await response.json();
+            if (!response.ok) {
+                const details = result.errors && result.errors.length ? ` (line ${result.errors[0].line}: ${result.errors[0].message})` : '';
+                throw new Error(`${result.message || `HTTP error! status: ${response.status}`}${details}`);
+            }
+            const skipped = result.errors.length > 0 ? ` ${result.errors.length} line(s) skipped.` : '';
+            showToast(`${result.message}${skipped}`, skipped ? 'warning' : 'success');
+            if (result.errors.length > 0) console.warn('Skipped exchange rate lines:', result.errors);
+            importRatesForm.reset();
+            loadExchangeRates();
+        } catch (error) {
+            console.error('Error importing exchange rates:', error);
+            if (error.message !== 'Authentication required') showToast(`Failed to import rates: ${error.message}`, 'error');
+        }
+    }
+
+    async function addExchangeRate(event) {
+        event.preventDefault();
+        const rateData = Object.fromEntries(new FormData(addRateForm).entries());
+        try {
+            const response = await fetchWithAuth('/api/exchange-rates', { method: 'POST', body: rateData });
+            const result = await response.json();
+            if (!response.ok) {
+                if (response.status === 400 && result.errors) throw new Error(result.errors.map(err => err.msg).join(' '));
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+            showToast('Exchange rate saved');
+            addRateForm.reset();
+            loadExchangeRates();
+        } catch (error) {
+            console.error('Error adding exchange rate:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to save exchange rate', 'error');
+        }
+    }
+
+    async function deleteExchangeRate(rateId) {
+        try {
+            const response = await fetchWithAuth(`/api/exchange-rates/${rateId}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            showToast('Exchange rate deleted');
+            loadExchangeRates();
+        } catch (error) {
+            console.error('Error deleting exchange rate:', error);
+            if (error.message !== 'Authentication required') showToast('Failed to delete exchange rate', 'error');
+        }
+    }
+
+    // --- Account Functions ---
+    async function loadAccount() {
+        if (!isLoggedIn()) return;
+        try {
+            const response = await fetchWithAuth('/api/account');
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const account = await response.json();
+            accountForm.elements.email.value = account.email || '';
+        } catch (error) {
+            console.error('Error loading account:', error);
+            if (error.message !== 'Authentication required') showToast('Failed to load account', 'error');
+        }
+    }
+
+    async function saveAccount(event) {
+        event.preventDefault();
+        try {
+            const response = await fetchWithAuth('/api/account', { method: 'PUT', body: { email: accountForm.elements.email.value.trim() } });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.errors ? result.errors.map(e => e.msg).join(', ') : result.message);
+            showToast(result.message);
+        } catch (error) {
+            console.error('Error saving account:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to save account', 'error');
+        }
+    }
+
+    async function changePassword(event) {
+        event.preventDefault();
+        const { currentPassword, newPassword, confirmPassword } = Object.fromEntries(new FormData(changePasswordForm).entries());
+        if (newPassword !== confirmPassword) {
+            showToast('The new passwords do not match.', 'error');
+            return;
+        }
+        try {
+            const response = await fetchWithAuth('/api/auth/change-password', { method: 'POST', body: { currentPassword, newPassword } });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.errors ? result.errors.map(e => e.msg).join(', ') : result.message);
+            showToast(result.message);
+            changePasswordForm.reset();
+            loadSessions(); // Other sessions were logged out
+        } catch (error) {
+            console.error('Error changing password:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to change password', 'error');
+        }
+    }
+
+    // --- Two-Factor Authentication Functions ---
+    async function loadTwoFactor() {
+        if (!isLoggedIn()) return;
+        try {
+            const response = await fetchWithAuth('/api/account/2fa');
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const status = await response.json();
+            if (status.enabled) {
+                twoFactorStatus.textContent = `Two-factor authentication is on. ${status.recoveryCodesLeft} recovery code${status.recoveryCodesLeft === 1 ? '' : 's'} left.`;
+            } else if (!status.available) {
+                twoFactorStatus.textContent = 'Two-factor authentication is not available on this server.';
+            } else {
+                twoFactorStatus.textContent = 'Two-factor authentication is off. Turn it on to require a code from your phone when you log in.';
+            }
+            twoFactorSetupButton.classList.toggle('hidden', status.enabled || !status.available);
+            twoFactorManageForm.classList.toggle('hidden', !status.enabled);
+            if (status.enabled) twoFactorSetup.classList.add('hidden');
+        } catch (error) {
+            console.error('Error loading two-factor status:', error);
+            if (error.message !== 'Authentication required') showToast('Failed to load two-factor status', 'error');
+        }
+    }
+
+    function showRecoveryCodes(codes) {
+        const list = document.getElementById('recovery-code-list');
+        list.innerHTML = '';
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            list.appendChild(item);
+        });
+        recoveryCodesBox.classList.remove('hidden');
+    }
+
+    async function startTwoFactorSetup() {
+        try {
+            const response = await fetchWithAuth('/api/account/2fa/setup', { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            document.getElementById('two-factor-qr').src = result.qrCode; // Drawn by our server, not a QR service
+            document.getElementById('two-factor-secret').textContent = result.secret.match(/.{1,4}/g).join(' ');
+            twoFactorSetup.classList.remove('hidden');
+            twoFactorSetupButton.classList.add('hidden');
+            twoFactorEnableForm.elements.code.focus();
+        } catch (error) {
+            console.error('Error starting two-factor setup:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to start setup', 'error');
+        }
+    }
+
+    async function enableTwoFactor(event) {
+        event.preventDefault();
+        try {
+            const response = await fetchWithAuth('/api/account/2fa/enable', { method: 'POST', body: { code: twoFactorEnableForm.elements.code.value } });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.errors ? result.errors.map(e => e.msg).join(', ') : result.message);
+            showToast(result.message);
+            twoFactorEnableForm.reset();
+            twoFactorSetup.classList.add('hidden');
+            showRecoveryCodes(result.recoveryCodes);
+            loadTwoFactor();
+        } catch (error) {
+            console.error('Error turning on two-factor authentication:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to turn on two-factor authentication', 'error');
+        }
+    }
+
+    // Both buttons need the password; the one clicked decides what happens
+    async function manageTwoFactor(event) {
+        event.preventDefault();
+        const action = event.submitter ? event.submitter.value : 'recovery-codes';
+        if (action === 'disable' && !window.confirm('Turn off two-factor authentication?')) return;
+        const url = action === 'disable' ? '/api/account/2fa/disable' : '/api/account/2fa/recovery-codes';
+        try {
+            const response = await fetchWithAuth(url, { method: 'POST', body: { password: twoFactorManageForm.elements.password.value } });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.errors ? result.errors.map(e => e.msg).join(', ') : result.message);
+            showToast(result.message);
+            twoFactorManageForm.reset();
+            if (result.recoveryCodes) showRecoveryCodes(result.recoveryCodes);
+            else recoveryCodesBox.classList.add('hidden');
+            loadTwoFactor();
+        } catch (error) {
+            console.error('Error updating two-factor authentication:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to update two-factor authentication', 'error');
+        }
+    }
+
+    // --- Session Functions ---
+    // A short "Browser on OS" label; the full user agent is in the tooltip
+    function describeUserAgent(userAgent) {
+        if (!userAgent) return 'Unknown device';
+        const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari'], ['curl/', 'curl']];
+        const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+        const browser = browsers.find(([token]) => userAgent.includes(token));
+        const system = systems.find(([token]) => userAgent.includes(token));
+        if (!browser) return userAgent.slice(0, 40);
+        return system ? `${browser[1]} on ${system[1]}` : browser[1];
+    }
+
+    function formatDateTime(value) {
+        const date = new Date(value);
+        return isNaN(date) ? value : date.toLocaleString();
+    }
+
+    async function loadSessions() {
+        if (!isLoggedIn()) return;
+        try {
+            const response = await fetchWithAuth('/api/sessions');
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const sessions = await response.json();
+            sessionList.innerHTML = '';
+            sessions.forEach(session => {
+                const row = document.createElement('tr');
+                // The user agent comes straight from request headers, so only set it as text
+                [describeUserAgent(session.userAgent), session.ipAddress || '-', formatDateTime(session.createdAt), formatDateTime(session.lastUsedAt)]
+                    .forEach((text, index) => {
+                        const cell = document.createElement('td');
+                        cell.textContent = text;
+                        if (index === 0 && session.userAgent) cell.title = session.userAgent;
+                        row.appendChild(cell);
+                    });
+                const actions = document.createElement('td');
+                if (session.current) {
+                    actions.innerHTML = '<span class="session-current">This device</span>';
+                } else {
+                    actions.innerHTML = `<button class="btn-small btn-danger revoke-session" data-id="${session.id}">Log Out</button>`;
+                }
+                row.appendChild(actions);
+                sessionList.appendChild(row);
+            });
+            revokeOtherSessionsButton.disabled = !sessions.some(session => !session.current);
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            if (error.message !== 'Authentication required') showToast('Failed to load sessions', 'error');
+        }
+    }
+
+    async function revokeSession(sessionId) {
+        try {
+            const response = await fetchWithAuth(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            showToast(result.message);
+            loadSessions();
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to log out session', 'error');
+        }
+    }
+
+    async function revokeOtherSessions() {
+        if (!window.confirm('Log out every other device and browser?')) return;
+        try {
+            const response = await fetchWithAuth('/api/sessions', { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            showToast(result.message);
+            loadSessions();
+        } catch (error) {
+            console.error('Error revoking sessions:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to log out other sessions', 'error');
+        }
+    }
+
+    // --- Access Token Functions ---
+    // Token names are HTML-escaped by the backend; decode them for text nodes
+    function decodeEntities(text) {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = text;
+        return textarea.value;
+    }
+
+    function renderAccessTokenScopes(scopes) {
+        if (accessTokenScopes.children.length > 0) return; // Keep the user's ticks across reloads
+        Object.entries(scopes).forEach(([scope, description]) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'scopes';
+            checkbox.value = scope;
+            checkbox.checked = scope === 'read';
+            label.appendChild(checkbox);
+            label.append(` ${scope}`);
+            label.title = description;
+            accessTokenScopes.appendChild(label);
+        });
+    }
+
+    async function loadAccessTokens() {
+        if (!isLoggedIn()) return;
+        try {
+            const response = await fetchWithAuth('/api/access-tokens');
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const { scopes, tokens } = await response.json();
+            renderAccessTokenScopes(scopes);
+            accessTokenList.innerHTML = '';
+            tokens.forEach(token => {
+                const row = document.createElement('tr');
+                const expires = token.expiresAt ? `${formatDateTime(token.expiresAt)}${token.expired ? ' (expired)' : ''}` : 'Never';
+                [decodeEntities(token.name), `${token.tokenPrefix}...`, token.scopes.join(', '),
+                    token.lastUsedAt ? formatDateTime(token.lastUsedAt) : 'Never', expires]
+                    .forEach(text => {
+                        const cell = document.createElement('td');
+                        cell.textContent = text;
+                        row.appendChild(cell);
+                    });
+                const actions = document.createElement('td');
+                actions.innerHTML = `<button class="btn-small btn-danger revoke-access-token" data-id="${token.id}">Revoke</button>`;
+                row.appendChild(actions);
+                accessTokenList.appendChild(row);
+            });
+            noAccessTokens.classList.toggle('hidden', tokens.length > 0);
+        } catch (error) {
+            console.error('Error loading access tokens:', error);
+            if (error.message !== 'Authentication required') showToast('Failed to load access tokens', 'error');
+        }
+    }
+
+    async function createAccessToken(event) {
+        event.preventDefault();
+        const formData = new FormData(accessTokenForm);
+        const expiresInDays = formData.get('expiresInDays');
+        const tokenData = {
+            name: formData.get('name'),
+            scopes: formData.getAll('scopes'),
+            expiresInDays: expiresInDays ? parseInt(expiresInDays, 10) : null
+        };
+        if (tokenData.scopes.length === 0) {
+            showToast('Choose at least one scope', 'error');
+            return;
+        }
+        try {
+            const response = await fetchWithAuth('/api/access-tokens', { method: 'POST', body: tokenData });
+            const result = await response.json();
+            if (!response.ok) {
+                const message = result.errors ? result.errors.map(e => e.msg).join(', ') : result.message;
+                throw new Error(message || `HTTP error! status: ${response.status}`);
+            }
+            document.getElementById('new-access-token-value').textContent = result.token;
+            newAccessTokenBox.classList.remove('hidden');
+            document.getElementById('access-token-name').value = '';
+            showToast(result.message);
+            loadAccessTokens();
+        } catch (error) {
+            console.error('Error creating access token:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to create access token', 'error');
+        }
+    }
+
+    async function revokeAccessToken(tokenId) {
+        if (!window.confirm('Revoke this token? Scripts using it will stop working.')) return;
+        try {
+            const response = await fetchWithAuth(`/api/access-tokens/${tokenId}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            showToast(result.message);
+            loadAccessTokens();
+        } catch (error) {
+            console.error('Error revoking access token:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to revoke access token', 'error');
+        }
+    }
+
+    // --- Your Data Functions ---
+    async function exportAccountData() {
+        exportAccountDataButton.disabled = true;
+        try {
+            const response = await fetchWithAuth('/api/account/export');
+            if (!response.ok) {
+                let errorMsg = `HTTP error! status: ${response.status}`;
+                try {
+                    const errorData = await response.json();
+                    errorMsg = errorData.message || errorMsg;
+                } catch (e) { /* Not JSON, keep the status */ }
+                throw new Error(errorMsg);
+            }
+            // The server names the file after the user and the date
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="?([^";]+)"?/);
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.style.display = 'none';
+            a.href = url;
+            a.download = match ? match[1] : 'expense-tracker-export.zip';
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            a.remove();
+            showToast('Your data has been downloaded.');
+        } catch (error) {
+            console.error('Error exporting account data:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to export your data', 'error');
+        } finally {
+            exportAccountDataButton.disabled = false;
+        }
+    }
+
+    async function deleteAccount(event) {
+        event.preventDefault();
+        if (!window.confirm('Delete your account and all its trips, expenses and receipts? This cannot be undone.')) return;
+        try {
+            const response = await fetchWithAuth('/api/account', { method: 'DELETE', body: { password: deleteAccountForm.elements.password.value } });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.errors ? result.errors.map(e => e.msg).join(', ') : result.message);
+            deleteAccountForm.reset();
+            // The sessions went with the account, so there is nothing to log out of
+            clearToken();
+            showToast(result.message);
+            updateUIForAuthState();
+            loadSettings();
+        } catch (error) {
+            console.error('Error deleting account:', error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to delete account', 'error');
+        }
+    }
+
     // --- Auth Handlers ---
     async function handleLogin(event) {
         event.preventDefault();
@@ -262,17 +854,73 @@ document.addEventListener('DOMContentLoaded', () => {
             });
             const result = await response.json();
             if (!response.ok) throw new Error(result.message || `HTTP error! status: ${response.status}`);
-            saveToken(result.token, { id: result.userId, username: result.username });
-            showToast('Login successful!');
-            updateUIForAuthState();
-            loadSettings(); // Reload settings after login
-            loginForm.reset();
+            if (result.twoFactorRequired) {
+                showTwoFactorStep(result.twoFactorToken);
+                loginForm.reset();
+                return;
+            }
+            completeLogin(result);
         } catch (error) {
             console.error('Login failed:', error);
             showToast(error.message || 'Login failed.', 'error');
         }
     };
 
+    function completeLogin(result) {
+        saveToken(result.token, { id: result.userId, username: result.username, role: result.role }, result.refreshToken);
+        showToast('Login successful!');
+        updateUIForAuthState();
+        loadSettings(); // Reload settings after login
+        loadApiKeys();
+        loadOcrSettings();
+        loadExchangeRates();
+        loadAccount();
+        loadTwoFactor();
+        loadSessions();
+        loadAccessTokens();
+        loginForm.reset();
+    }
+
+    // --- Two-Factor Login Step ---
+    // With 2FA on, the password step returns a short-lived token to send along with the code
+    let twoFactorToken = null;
+
+    function showTwoFactorStep(token) {
+        twoFactorToken = token;
+        loginFormContainer.classList.add('hidden');
+        twoFactorFormContainer.classList.remove('hidden');
+        twoFactorForm.elements.code.focus();
+    }
+
+    function cancelTwoFactorStep() {
+        twoFactorToken = null;
+        twoFactorForm.reset();
+        twoFactorFormContainer.classList.add('hidden');
+        loginFormContainer.classList.remove('hidden');
+    }
+
+    async function handleTwoFactor(event) {
+        event.preventDefault();
+        try {
+            const response = await fetch('/api/auth/login/2fa', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ twoFactorToken, code: twoFactorForm.elements.code.value })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                // Anything but a wrong code means the token is spent; start over with the password
+                if (result.reason !== 'wrong_code') cancelTwoFactorStep();
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+            cancelTwoFactorStep();
+            completeLogin(result);
+        } catch (error) {
+            console.error('Two-factor login failed:', error);
+            showToast(error.message || 'Login failed.', 'error');
+        }
+    };
+
      async function handleRegister(event) {
         event.preventDefault();
         const formData = new FormData(registerForm);
@@ -301,7 +949,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    function handleLogout() {
+    async function handleLogout() {
+        // End the session on the server too, so its refresh token stops working
+        try {
+            await fetchWithAuth('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout request failed:', error);
+        }
         clearToken();
         showToast('Logged out successfully.');
         updateUIForAuthState();
@@ -312,7 +966,38 @@ document.addEventListener('DOMContentLoaded', () => {
     ocrMethodSelect.addEventListener('change', handleOcrMethodChange);
     settingsForm.addEventListener('submit', saveSettings);
     testOcrForm.addEventListener('submit', testOCR);
+    accountForm.addEventListener('submit', saveAccount);
+    changePasswordForm.addEventListener('submit', changePassword);
+    twoFactorSetupButton.addEventListener('click', startTwoFactorSetup);
+    twoFactorEnableForm.addEventListener('submit', enableTwoFactor);
+    twoFactorManageForm.addEventListener('submit', manageTwoFactor);
+    sessionList.addEventListener('click', (event) => {
+        const revokeButton = event.target.closest('.revoke-session');
+        if (revokeButton) revokeSession(revokeButton.dataset.id);
+    });
+    revokeOtherSessionsButton.addEventListener('click', revokeOtherSessions);
+    accessTokenForm.addEventListener('submit', createAccessToken);
+    accessTokenList.addEventListener('click', (event) => {
+        const revokeButton = event.target.closest('.revoke-access-token');
+        if (revokeButton) revokeAccessToken(revokeButton.dataset.id);
+    });
+    exportAccountDataButton.addEventListener('click', exportAccountData);
+    deleteAccountForm.addEventListener('submit', deleteAccount);
+    document.querySelectorAll('.remove-api-key').forEach(button => {
+        button.addEventListener('click', () => removeApiKey(button.dataset.provider));
+    });
+    importRatesForm.addEventListener('submit', importExchangeRates);
+    addRateForm.addEventListener('submit', addExchangeRate);
+    exchangeRateList.addEventListener('click', (event) => {
+        const deleteButton = event.target.closest('.delete-rate');
+        if (deleteButton) deleteExchangeRate(deleteButton.dataset.id);
+    });
     loginForm.addEventListener('submit', handleLogin);
+    twoFactorForm.addEventListener('submit', handleTwoFactor);
+    document.getElementById('cancel-two-factor').addEventListener('click', (e) => {
+        e.preventDefault();
+        cancelTwoFactorStep();
+    });
     registerForm.addEventListener('submit', handleRegister);
     logoutButton.addEventListener('click', handleLogout);
     showRegisterLink.addEventListener('click', (e) => {
@@ -328,5 +1013,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Initialize ---
     loadSettings(); // Load settings on initial load
+    loadApiKeys();
+    loadOcrSettings();
+    loadExchangeRates();
+    loadAccount();
+    loadTwoFactor();
+    loadSessions();
+    loadAccessTokens();
     // updateUIForAuthState(); // Already called at the top
 });
\ No newline at end of file
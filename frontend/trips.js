@@ -3,6 +3,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const authSection = document.getElementById('auth-section');
     const loginFormContainer = document.getElementById('login-form-container');
     const registerFormContainer = document.getElementById('register-form-container');
+    const twoFactorFormContainer = document.getElementById('two-factor-form-container');
+    const twoFactorForm = document.getElementById('two-factor-form');
     const loginForm = document.getElementById('login-form');
     const registerForm = document.getElementById('register-form');
     const showRegisterLink = document.getElementById('show-register');
@@ -14,6 +16,11 @@ document.addEventListener('DOMContentLoaded', () => {
     const tripDashboard = document.getElementById('trip-dashboard');
     const newTripNameInput = document.getElementById('new-trip-name');
     const newTripDescriptionInput = document.getElementById('new-trip-description');
+    const newTripDestinationInput = document.getElementById('new-trip-destination');
+    const newTripStartDateInput = document.getElementById('new-trip-start-date');
+    const newTripEndDateInput = document.getElementById('new-trip-end-date');
+    const newTripHomeCurrencyInput = document.getElementById('new-trip-home-currency');
+    const newTripBudgetInput = document.getElementById('new-trip-budget');
     const addTripButton = document.getElementById('add-trip-button');
     const tripListContainer = document.getElementById('trip-list-container');
     const tripLoadingIndicator = document.getElementById('trip-loading');
@@ -21,15 +28,25 @@ document.addEventListener('DOMContentLoaded', () => {
     const noTripsDiv = document.getElementById('no-trips');
     const toast = document.getElementById('toast');
     const toastMessage = document.getElementById('toast-message');
+    const deleteTripModal = document.getElementById('delete-trip-modal');
+    const deleteTripMessage = document.getElementById('delete-trip-message');
+    const reassignTripSelect = document.getElementById('reassign-trip-select');
+    const confirmDeleteTripButton = document.getElementById('confirm-delete-trip');
+    const cancelDeleteTripButton = document.getElementById('cancel-delete-trip');
     // Settings Elements Removed
 
+    // Trip state
+    let trips = [];
+    let tripToDelete = null;
+
     // Auth state
     let authToken = null;
     let currentUser = null;
 
     // --- Auth Token Helpers (Copied from script.js/settings.js) ---
-    function saveToken(token, user) {
+    function saveToken(token, user, refreshToken) {
         localStorage.setItem('authToken', token);
+        if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
         localStorage.setItem('currentUser', JSON.stringify(user));
         authToken = token;
         currentUser = user;
@@ -45,6 +62,7 @@ document.addEventListener('DOMContentLoaded', () => {
     function clearToken() {
         localStorage.removeItem('authToken');
         localStorage.removeItem('currentUser');
+        localStorage.removeItem('refreshToken');
         authToken = null;
         currentUser = null;
     };
@@ -68,21 +86,55 @@ document.addEventListener('DOMContentLoaded', () => {
             appContent.classList.remove('hidden');
             // Show relevant nav links for this page
             document.getElementById('nav-trips')?.classList.remove('hidden');
+            document.getElementById('nav-dashboard')?.classList.remove('hidden');
             document.getElementById('nav-settings')?.classList.remove('hidden');
+            document.getElementById('nav-approvals')?.classList.toggle('hidden', !['approver', 'admin'].includes(currentUser?.role));
+            document.getElementById('nav-admin')?.classList.toggle('hidden', currentUser?.role !== 'admin');
             document.getElementById('nav-logout')?.classList.remove('hidden');
         } else {
             authSection.classList.remove('hidden');
             appContent.classList.add('hidden');
             // Hide nav links
             document.getElementById('nav-trips')?.classList.add('hidden');
+            document.getElementById('nav-dashboard')?.classList.add('hidden');
             document.getElementById('nav-settings')?.classList.add('hidden');
+            document.getElementById('nav-approvals')?.classList.add('hidden');
+            document.getElementById('nav-admin')?.classList.add('hidden');
             document.getElementById('nav-logout')?.classList.add('hidden');
             // Ensure login form is shown by default when logged out
             loginFormContainer.classList.remove('hidden');
             registerFormContainer.classList.add('hidden');
+            twoFactorFormContainer.classList.add('hidden');
         }
     };
 
+    // --- Session Refresh (Copied from script.js/settings.js) ---
+    // Access tokens are short-lived. On a 401 the refresh token is swapped for a new
+    // pair and the request retried once; concurrent 401s share one refresh.
+    let refreshPromise = null;
+    function refreshSession() {
+        if (!refreshPromise) {
+            refreshPromise = (async () => {
+                const refreshToken = localStorage.getItem('refreshToken');
+                if (!refreshToken) return false;
+                const response = await fetch('/api/auth/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                const result = await response.json().catch(() => ({}));
+                if (response.ok) {
+                    saveToken(result.token, { id: result.userId, username: result.username, role: result.role }, result.refreshToken);
+                    return true;
+                }
+                // Another tab refreshed with the same token first; use the tokens it saves
+                if (result.reason === 'raced') await new Promise(resolve => setTimeout(resolve, 1000));
+                return localStorage.getItem('refreshToken') !== refreshToken;
+            })().catch(() => false).finally(() => { refreshPromise = null; });
+        }
+        return refreshPromise;
+    }
+
     // --- API Fetch Helper (Copied from script.js/settings.js) ---
      async function fetchWithAuth(url, options = {}) {
         const token = getToken();
@@ -97,9 +149,13 @@ document.addEventListener('DOMContentLoaded', () => {
             options.body = JSON.stringify(options.body);
         }
 
-        const response = await fetch(url, { ...options, headers });
+        let response = await fetch(url, { ...options, headers });
+        if (response.status === 401 && await refreshSession()) {
+            headers['Authorization'] = `Bearer ${getToken()}`;
+            response = await fetch(url, { ...options, headers });
+        }
 
-        if (response.status === 401 || response.status === 403) {
+        if (response.status === 401) {
             console.log('Auth error detected, logging out.');
             clearToken();
             updateUIForAuthState();
@@ -134,7 +190,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            const trips = await response.json();
+            trips = await response.json();
             renderTripList(trips);
             // populateTripDropdown(trips); // No dropdown on this page
         } catch (error) {
@@ -159,25 +215,534 @@ document.addEventListener('DOMContentLoaded', () => {
             trips.forEach(trip => {
                 const card = document.createElement('div');
                 card.className = 'trip-card'; // New class for card styling
-                card.innerHTML = `
-                    <div class="trip-card-header">
-                        <h3>${trip.name}</h3>
-                        <button class="btn-icon delete-trip" data-id="${trip.id}" title="Delete Trip">
-                            <i class="fas fa-trash-alt"></i>
-                        </button>
-                    </div>
-                    ${trip.description ? `<p class="trip-card-description">${trip.description}</p>` : ''}
-                    <div class="trip-card-actions">
-                        <a href="index.html?trip=${encodeURIComponent(trip.name)}" class="btn-primary view-expenses-link" title="View/Add expenses for ${trip.name}">
-                            <i class="fas fa-list-ul"></i> View Expenses
-                        </a>
-                    </div>
-                `;
+                card.dataset.id = trip.id;
+                showTripCard(card, trip);
                 tripListUl.appendChild(card);
             });
         }
     };
 
+    // Format an amount in a currency, falling back to "12.50 XYZ" for codes Intl doesn't know
+    const formatMoney = (amount, currency) => {
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+        } catch (e) {
+            return `${parseFloat(amount || 0).toFixed(2)} ${currency}`;
+        }
+    };
+
+    const renderTripTotal = (trip) => {
+        if (!trip.totals || !trip.expenseCount) return '';
+        const total = `Total: ${formatMoney(trip.totals.total, trip.totals.currency)}`;
+        const missing = trip.totals.missingRates > 0
+            ? ` <span class="missing-rate" title="Add exchange rates on the Settings page">(${trip.totals.missingRates} without exchange rate)</span>`
+            : '';
+        return `<p class="trip-card-meta trip-card-total">${total}${missing}</p>`;
+    };
+
+    // --- Budget Progress ---
+    const hasBudget = (trip) => trip.budget !== null && trip.budget !== undefined
+        || (trip.categoryBudgets && trip.categoryBudgets.length > 0);
+
+    const renderBudgetBar = (label, line, currency) => {
+        const percent = Math.min(line.percentUsed || 0, 100);
+        return `
+            <div class="budget-line${line.overBudget ? ' over-budget' : ''}">
+                <div class="budget-line-label">
+                    <span>${label}</span>
+                    <span>${formatMoney(line.spent, currency)} / ${formatMoney(line.budget, currency)}</span>
+                </div>
+                <div class="progress-bar" title="${line.percentUsed}% used">
+                    <div class="progress-fill" style="width: ${percent}%"></div>
+                </div>
+            </div>
+        `;
+    };
+
+    // Fetch the trip's spent-vs-budget summary and draw a bar per budget line
+    const loadBudgetSummary = async (card, trip) => {
+        const container = card.querySelector('.trip-budget');
+        if (!container) return;
+        try {
+            const response = await fetchWithAuth(`/api/trips/${trip.id}/summary`);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const summary = await response.json();
+            let html = summary.budget !== null ? renderBudgetBar('Overall', summary, summary.currency) : '';
+            summary.categories
+                .filter(category => category.budget !== null)
+                .forEach(category => { html += renderBudgetBar(category.category, category, summary.currency); });
+            container.innerHTML = html;
+        } catch (error) {
+            console.error(`Error loading budget summary for trip ${trip.id}:`, error);
+            container.innerHTML = '<p class="trip-card-meta">Budget unavailable.</p>';
+        }
+    };
+
+    const showTripCard = (card, trip) => {
+        card.innerHTML = renderTripCardContent(trip);
+        if (hasBudget(trip)) loadBudgetSummary(card, trip);
+    };
+
+    const renderCategoryBudgetRow = (line = {}) => `
+        <div class="category-budget-row">
+            <input type="text" class="category-name" placeholder="Type (e.g., Dining)" value="${line.category || ''}">
+            <input type="number" class="category-amount" placeholder="Limit" step="0.01" min="0.01" value="${line.amount || ''}">
+            <button type="button" class="btn-icon remove-category-budget" title="Remove"><i class="fas fa-times"></i></button>
+        </div>
+    `;
+
+    // Who the trip belongs to and, for shared trips, what the user may do
+    const renderTripSharing = (trip) => {
+        if (trip.role && trip.role !== 'owner') {
+            return `<p class="trip-card-meta trip-card-sharing"><i class="fas fa-user-friends"></i> Shared by ${trip.ownerUsername} · You are ${trip.role === 'editor' ? 'an' : 'a'} ${trip.role}</p>`;
+        }
+        return trip.memberCount
+            ? `<p class="trip-card-meta trip-card-sharing"><i class="fas fa-user-friends"></i> Shared with ${trip.memberCount} user(s)</p>`
+            : '';
+    };
+
+    const renderTripCardContent = (trip) => {
+        const dates = [trip.startDate, trip.endDate].filter(Boolean).join(' – ');
+        const details = [trip.destination, dates].filter(Boolean).join(' · ');
+        const canEditTrip = !trip.role || ['owner', 'editor'].includes(trip.role);
+        const canDeleteTrip = !trip.role || trip.role === 'owner';
+        return `
+            <div class="trip-card-header">
+                <h3>${trip.name}</h3>
+                <div>
+                    <button class="btn-icon trip-members" data-id="${trip.id}" title="${canDeleteTrip ? 'Share Trip' : 'People on this Trip'}">
+                        <i class="fas fa-user-friends"></i>
+                    </button>
+                    <button class="btn-icon trip-balances" data-id="${trip.id}" title="Balances">
+                        <i class="fas fa-balance-scale"></i>
+                    </button>
+                    ${canEditTrip ? `<button class="btn-icon edit-trip" data-id="${trip.id}" title="Edit Trip">
+                        <i class="fas fa-pen"></i>
+                    </button>` : ''}
+                    ${canDeleteTrip ? `<button class="btn-icon delete-trip" data-id="${trip.id}" title="Delete Trip">
+                        <i class="fas fa-trash-alt"></i>
+                    </button>` : ''}
+                </div>
+            </div>
+            ${renderTripSharing(trip)}
+            ${details ? `<p class="trip-card-meta">${details}</p>` : ''}
+            ${trip.description ? `<p class="trip-card-description">${trip.description}</p>` : ''}
+            <p class="trip-card-meta">${trip.expenseCount || 0} expense(s)${trip.draftCount ? ` · ${trip.draftCount} receipt(s) awaiting review` : ''}</p>
+            ${renderTripTotal(trip)}
+            ${hasBudget(trip) ? '<div class="trip-budget"><p class="trip-card-meta">Loading budget...</p></div>' : ''}
+            <div class="trip-card-actions">
+                <a href="${tripExpensesUrl(trip)}" class="btn-primary view-expenses-link" title="View/Add expenses for ${trip.name}">
+                    <i class="fas fa-list-ul"></i> View Expenses
+                </a>
+            </div>
+        `;
+    };
+
+    // --- Inline Trip Editing ---
+    const showTripEditForm = (card, trip) => {
+        card.classList.add('editing');
+        card.innerHTML = `
+            <form class="trip-edit-form">
+                <div class="form-group">
+                    <label>Name:</label>
+                    <input type="text" name="name" value="${trip.name}" required>
+                </div>
+                <div class="form-group">
+                    <label>Description:</label>
+                    <textarea name="description" rows="2">${trip.description || ''}</textarea>
+                </div>
+                <div class="form-group">
+                    <label>Destination:</label>
+                    <input type="text" name="destination" value="${trip.destination || ''}">
+                </div>
+                <div class="form-group trip-date-range">
+                    <label>Dates:</label>
+                    <input type="date" name="startDate" value="${trip.startDate || ''}">
+                    <input type="date" name="endDate" value="${trip.endDate || ''}">
+                </div>
+                <div class="form-group">
+                    <label>Home Currency:</label>
+                    <input type="text" name="homeCurrency" value="${trip.homeCurrency || 'USD'}" maxlength="3" list="currency-codes" required>
+                </div>
+                <div class="form-group">
+                    <label>Budget (home currency):</label>
+                    <input type="number" name="budget" step="0.01" min="0" value="${trip.budget ?? ''}" placeholder="No overall limit">
+                </div>
+                <div class="form-group">
+                    <label>Category Budgets:</label>
+                    <div class="category-budget-lines">
+                        ${(trip.categoryBudgets || []).map(renderCategoryBudgetRow).join('')}
+                    </div>
+                    <button type="button" class="btn-small add-category-budget">+ Add Category</button>
+                </div>
+                <div class="btn-group">
+                    <button type="submit" class="btn-small">Save</button>
+                    <button type="button" class="btn-small cancel-trip-edit">Cancel</button>
+                </div>
+            </form>
+        `;
+        const form = card.querySelector('.trip-edit-form');
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            handleUpdateTrip(card, trip, form);
+        });
+        card.querySelector('.cancel-trip-edit').addEventListener('click', () => {
+            card.classList.remove('editing');
+            showTripCard(card, trip);
+        });
+        const budgetLines = card.querySelector('.category-budget-lines');
+        card.querySelector('.add-category-budget').addEventListener('click', () => {
+            budgetLines.insertAdjacentHTML('beforeend', renderCategoryBudgetRow());
+            budgetLines.lastElementChild.querySelector('.category-name').focus();
+        });
+        budgetLines.addEventListener('click', (event) => {
+            const removeButton = event.target.closest('.remove-category-budget');
+            if (removeButton) removeButton.closest('.category-budget-row').remove();
+        });
+        form.querySelector('input[name="name"]').focus();
+    };
+
+    const handleUpdateTrip = async (card, trip, form) => {
+        const updates = Object.fromEntries(new FormData(form).entries());
+        updates.name = updates.name.trim();
+        // Category rows have no name attribute; collect them (blank rows are ignored)
+        updates.categoryBudgets = [...form.querySelectorAll('.category-budget-row')]
+            .map(row => ({
+                category: row.querySelector('.category-name').value.trim(),
+                amount: row.querySelector('.category-amount').value
+            }))
+            .filter(line => line.category);
+        if (!updates.name) {
+            showToast('Please enter a trip name.', 'error');
+            return;
+        }
+        if (updates.startDate && updates.endDate && updates.endDate < updates.startDate) {
+            showToast('End date cannot be before start date.', 'error');
+            return;
+        }
+
+        const saveButton = form.querySelector('button[type="submit"]');
+        saveButton.disabled = true;
+        try {
+            const response = await fetchWithAuth(`/api/trips/${trip.id}`, { method: 'PUT', body: updates });
+            const result = await response.json();
+            if (!response.ok) {
+                if (response.status === 400 && result.errors) {
+                    throw new Error(result.errors.map(err => err.msg).join(' '));
+                }
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+            showToast('Trip updated successfully.');
+            await fetchAndDisplayTrips(); // Refresh so counts and order stay right
+        } catch (error) {
+            console.error('Error updating trip:', error);
+            if (error.message !== 'Authentication required') {
+                showToast(error.message || 'Failed to update trip.', 'error');
+            }
+            saveButton.disabled = false;
+        }
+    };
+
+    // --- Trip Sharing ---
+    const renderMemberRow = (member, roles, canShare) => `
+        <li class="trip-member" data-user-id="${member.userId}">
+            <span>${member.username}</span>
+            ${canShare ? `
+                <select class="member-role" title="Role">
+                    ${roles.map(role => `<option value="${role}"${role === member.role ? ' selected' : ''}>${role}</option>`).join('')}
+                </select>
+                <button type="button" class="btn-icon remove-member" title="Remove"><i class="fas fa-times"></i></button>
+            ` : `<span class="trip-card-meta">${member.role}</span>`}
+        </li>
+    `;
+
+    // Show who the trip is shared with inside its card; owners can invite, change roles and remove people
+    const showTripMembers = async (card, trip) => {
+        card.classList.add('editing');
+        card.innerHTML = '<p class="trip-card-meta">Loading...</p>';
+        let sharing;
+        try {
+            const response = await fetchWithAuth(`/api/trips/${trip.id}/members`);
+            sharing = await response.json();
+            if (!response.ok) throw new Error(sharing.message || `HTTP error! status: ${response.status}`);
+        } catch (error) {
+            console.error(`Error loading members of trip ${trip.id}:`, error);
+            showToast(error.message || 'Failed to load trip members.', 'error');
+            card.classList.remove('editing');
+            showTripCard(card, trip);
+            return;
+        }
+
+        const { roles, owner, members, canShare } = sharing;
+        card.innerHTML = `
+            <div class="trip-card-header"><h3>${trip.name}</h3></div>
+            <p class="trip-card-meta">Viewers see every expense, contributors can also add their own, editors can change the trip and any expense on it.</p>
+            <ul class="trip-member-list">
+                <li class="trip-member"><span>${owner.username}</span><span class="trip-card-meta">owner</span></li>
+                ${members.map(member => renderMemberRow(member, roles, canShare)).join('')}
+            </ul>
+            ${canShare ? `
+                <form class="trip-share-form">
+                    <input type="text" name="username" placeholder="Username" required>
+                    <select name="role">
+                        ${roles.map(role => `<option value="${role}"${role === 'contributor' ? ' selected' : ''}>${role}</option>`).join('')}
+                    </select>
+                    <button type="submit" class="btn-small">Share</button>
+                </form>
+            ` : ''}
+            <div class="btn-group">
+                ${!canShare && currentUser ? '<button type="button" class="btn-small btn-danger leave-trip">Leave Trip</button>' : ''}
+                <button type="button" class="btn-small close-trip-members">Done</button>
+            </div>
+        `;
+
+        const close = () => {
+            card.classList.remove('editing');
+            fetchAndDisplayTrips(); // Member counts may have changed
+        };
+        card.querySelector('.close-trip-members').addEventListener('click', close);
+
+        const leaveButton = card.querySelector('.leave-trip');
+        if (leaveButton) {
+            leaveButton.addEventListener('click', async () => {
+                if (!confirm(`Leave "${trip.name}"? You will no longer see its expenses; the ones you added stay on the trip.`)) return;
+                if (await removeTripMember(trip, currentUser.id)) close();
+            });
+        }
+        if (!canShare) return;
+
+        card.querySelector('.trip-share-form').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const form = event.target;
+            const username = form.username.value.trim();
+            if (!username) return;
+            try {
+                const response = await fetchWithAuth(`/api/trips/${trip.id}/members`, {
+                    method: 'POST',
+                    body: { username, role: form.role.value }
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    if (response.status === 400 && result.errors) {
+                        throw new Error(result.errors.map(err => err.msg).join(' '));
+                    }
+                    throw new Error(result.message || `HTTP error! status: ${response.status}`);
+                }
+                showToast(result.message);
+                showTripMembers(card, trip);
+            } catch (error) {
+                console.error('Error sharing trip:', error);
+                if (error.message !== 'Authentication required') {
+                    showToast(error.message || 'Failed to share trip.', 'error');
+                }
+            }
+        });
+
+        const memberList = card.querySelector('.trip-member-list');
+        memberList.addEventListener('change', async (event) => {
+            const select = event.target.closest('.member-role');
+            if (!select) return;
+            const memberId = select.closest('.trip-member').dataset.userId;
+            try {
+                const response = await fetchWithAuth(`/api/trips/${trip.id}/members/${memberId}`, {
+                    method: 'PUT',
+                    body: { role: select.value }
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+                showToast(result.message);
+            } catch (error) {
+                console.error('Error changing member role:', error);
+                if (error.message !== 'Authentication required') {
+                    showToast(error.message || 'Failed to change role.', 'error');
+                }
+                showTripMembers(card, trip);
+            }
+        });
+        memberList.addEventListener('click', async (event) => {
+            const removeButton = event.target.closest('.remove-member');
+            if (!removeButton) return;
+            const row = removeButton.closest('.trip-member');
+            if (!confirm(`Stop sharing "${trip.name}" with ${row.querySelector('span').textContent}?`)) return;
+            if (await removeTripMember(trip, row.dataset.userId)) row.remove();
+        });
+    };
+
+    const removeTripMember = async (trip, memberId) => {
+        try {
+            const response = await fetchWithAuth(`/api/trips/${trip.id}/members/${memberId}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            showToast(result.message);
+            return true;
+        } catch (error) {
+            console.error('Error removing trip member:', error);
+            if (error.message !== 'Authentication required') {
+                showToast(error.message || 'Failed to remove user from the trip.', 'error');
+            }
+            return false;
+        }
+    };
+
+    // --- Split Balances ---
+    const renderBalanceRow = (participant, currency, canManage) => {
+        const status = participant.balance > 0 ? `is owed ${formatMoney(participant.balance, currency)}`
+            : participant.balance < 0 ? `owes ${formatMoney(-participant.balance, currency)}`
+            : 'settled';
+        return `
+            <tr data-participant-id="${participant.id}">
+                <td>${participant.name}${participant.username && participant.username !== participant.name ? ` <span class="trip-card-meta">(${participant.username})</span>` : ''}</td>
+                <td>${formatMoney(participant.paid, currency)}</td>
+                <td>${formatMoney(participant.share, currency)}</td>
+                <td class="${participant.balance > 0 ? 'balance-owed' : participant.balance < 0 ? 'balance-owes' : ''}">${status}</td>
+                ${canManage ? '<td><button type="button" class="btn-icon remove-participant" title="Remove"><i class="fas fa-times"></i></button></td>' : ''}
+            </tr>
+        `;
+    };
+
+    // Show who owes whom on the trip inside its card, with the transfers that would settle up
+    const showTripBalances = async (card, trip) => {
+        card.classList.add('editing');
+        card.innerHTML = '<p class="trip-card-meta">Loading...</p>';
+        let balances;
+        let people = [];
+        try {
+            const response = await fetchWithAuth(`/api/trips/${trip.id}/balances`);
+            balances = await response.json();
+            if (!response.ok) throw new Error(balances.message || `HTTP error! status: ${response.status}`);
+            if (balances.canManage) {
+                // Accounts on the trip can be linked to a participant
+                const membersResponse = await fetchWithAuth(`/api/trips/${trip.id}/members`);
+                if (membersResponse.ok) {
+                    const { owner, members } = await membersResponse.json();
+                    const linked = new Set(balances.participants.map(p => p.userId));
+                    people = [owner, ...members].filter(person => !linked.has(person.userId));
+                }
+            }
+        } catch (error) {
+            console.error(`Error loading balances of trip ${trip.id}:`, error);
+            if (error.message !== 'Authentication required') showToast(error.message || 'Failed to load balances.', 'error');
+            card.classList.remove('editing');
+            showTripCard(card, trip);
+            return;
+        }
+
+        const { currency, participants, transfers, settlements, canSettle, canManage } = balances;
+        const notes = [
+            balances.missingRates > 0 ? `${balances.missingRates} split expense(s) left out for lack of an exchange rate.` : '',
+            balances.invalidSplits.length > 0 ? `${balances.invalidSplits.length} split expense(s) left out because their amounts no longer add up to the cost.` : ''
+        ].filter(Boolean);
+        card.innerHTML = `
+            <div class="trip-card-header"><h3>${trip.name}</h3></div>
+            <div class="trip-balances-view">
+                <p class="trip-card-meta">Split expenses from the expense list. Balances are in ${currency}; expenses that aren't split are left out.</p>
+                ${notes.map(note => `<p class="trip-card-meta missing-rate">${note}</p>`).join('')}
+                ${participants.length > 0 ? `
+                    <table class="data-table balance-table">
+                        <thead><tr><th>Participant</th><th>Paid</th><th>Share</th><th>Balance</th>${canManage ? '<th></th>' : ''}</tr></thead>
+                        <tbody>${participants.map(p => renderBalanceRow(p, currency, canManage)).join('')}</tbody>
+                    </table>
+                ` : '<p class="trip-card-meta">No participants yet. Add the people who share this trip\'s costs.</p>'}
+                ${canManage ? `
+                    <form class="trip-share-form participant-form">
+                        <input type="text" name="name" placeholder="Name" maxlength="50">
+                        ${people.length > 0 ? `
+                            <select name="userId">
+                                <option value="">No account</option>
+                                ${people.map(person => `<option value="${person.userId}">${person.username}</option>`).join('')}
+                            </select>
+                        ` : ''}
+                        <button type="submit" class="btn-small">Add</button>
+                    </form>
+                ` : ''}
+                <h4>Settle up</h4>
+                ${transfers.length > 0 ? `
+                    <ul class="trip-member-list settle-list">
+                        ${transfers.map(transfer => `
+                            <li class="trip-member" data-from="${transfer.from}" data-to="${transfer.to}" data-amount="${transfer.amount}">
+                                <span>${transfer.fromName} pays ${transfer.toName} ${formatMoney(transfer.amount, currency)}</span>
+                                ${canSettle ? '<button type="button" class="btn-small record-settlement">Mark Paid</button>' : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="trip-card-meta">Everyone is settled up.</p>'}
+                ${settlements.length > 0 ? `
+                    <h4>Payments</h4>
+                    <ul class="trip-member-list settlement-list">
+                        ${settlements.map(settlement => `
+                            <li class="trip-member" data-settlement-id="${settlement.id}">
+                                <span>${settlement.fromName} paid ${settlement.toName} ${formatMoney(settlement.amount, currency)}
+                                    <span class="trip-card-meta">${new Date(settlement.createdAt).toLocaleDateString()}</span></span>
+                                ${canManage || (currentUser && settlement.createdBy === currentUser.id)
+                                    ? '<button type="button" class="btn-icon remove-settlement" title="Remove"><i class="fas fa-times"></i></button>' : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <div class="btn-group">
+                    <button type="button" class="btn-small close-trip-balances">Done</button>
+                </div>
+            </div>
+        `;
+
+        card.querySelector('.close-trip-balances').addEventListener('click', () => {
+            card.classList.remove('editing');
+            showTripCard(card, trip);
+        });
+
+        // Each change redraws the view, since every balance may move
+        const change = async (url, options, fallbackMessage) => {
+            try {
+                const response = await fetchWithAuth(url, options);
+                const result = await response.json();
+                if (!response.ok) {
+                    if (response.status === 400 && result.errors) {
+                        throw new Error(result.errors.map(err => err.msg).join(' '));
+                    }
+                    throw new Error(result.message || `HTTP error! status: ${response.status}`);
+                }
+                showToast(result.message);
+                showTripBalances(card, trip);
+            } catch (error) {
+                console.error('Error updating trip balances:', error);
+                if (error.message !== 'Authentication required') showToast(error.message || fallbackMessage, 'error');
+            }
+        };
+
+        const participantForm = card.querySelector('.participant-form');
+        if (participantForm) {
+            participantForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                const name = participantForm.name.value.trim();
+                const userId = participantForm.userId ? participantForm.userId.value : '';
+                if (!name && !userId) return;
+                change(`/api/trips/${trip.id}/participants`, { method: 'POST', body: { name, userId: userId || null } }, 'Failed to add participant.');
+            });
+        }
+        // Listen on the view rather than the card, which outlives each redraw
+        card.querySelector('.trip-balances-view').addEventListener('click', (event) => {
+            const removeParticipant = event.target.closest('.remove-participant');
+            if (removeParticipant) {
+                const row = removeParticipant.closest('tr');
+                change(`/api/trips/${trip.id}/participants/${row.dataset.participantId}`, { method: 'DELETE' }, 'Failed to remove participant.');
+            }
+            const record = event.target.closest('.record-settlement');
+            if (record) {
+                const { from, to, amount } = record.closest('li').dataset;
+                change(`/api/trips/${trip.id}/settlements`, { method: 'POST', body: { from, to, amount } }, 'Failed to record payment.');
+            }
+            const removeSettlement = event.target.closest('.remove-settlement');
+            if (removeSettlement) {
+                if (!confirm('Remove this payment?')) return;
+                const row = removeSettlement.closest('li');
+                change(`/api/trips/${trip.id}/settlements/${row.dataset.settlementId}`, { method: 'DELETE' }, 'Failed to remove payment.');
+            }
+        });
+    };
+
+    // Link to the expense page for a trip (ID identifies it, name is for the header)
+    const tripExpensesUrl = (trip) => `index.html?tripId=${trip.id}&trip=${encodeURIComponent(trip.name)}`;
+
     const handleAddTrip = async () => {
         if (!isLoggedIn()) return;
         const name = newTripNameInput.value.trim();
@@ -195,19 +760,30 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
             const response = await fetchWithAuth('/api/trips', {
                 method: 'POST',
-                body: { name, description } // fetchWithAuth handles stringify
+                body: { // fetchWithAuth handles stringify
+                    name, description,
+                    destination: newTripDestinationInput.value.trim(),
+                    startDate: newTripStartDateInput.value,
+                    endDate: newTripEndDateInput.value,
+                    homeCurrency: newTripHomeCurrencyInput.value.trim(),
+                    budget: newTripBudgetInput.value
+                }
             });
             const result = await response.json(); // Try parsing JSON even on error
             if (!response.ok) {
                 throw new Error(result.message || `HTTP error! status: ${response.status}`);
             }
             showToast('Trip added successfully!');
-            const newTripName = name; // Capture the name before clearing inputs
             newTripNameInput.value = '';
             newTripDescriptionInput.value = '';
+            newTripDestinationInput.value = '';
+            newTripStartDateInput.value = '';
+            newTripEndDateInput.value = '';
+            newTripHomeCurrencyInput.value = '';
+            newTripBudgetInput.value = '';
             // Don't just refresh list, redirect to expense page for the new trip
             // await fetchAndDisplayTrips(); // No longer needed immediately
-            window.location.href = `index.html?trip=${encodeURIComponent(newTripName)}`;
+            window.location.href = tripExpensesUrl(result.trip);
         } catch (error) {
             console.error('Error adding trip:', error);
             showToast(error.message || 'Failed to add trip.', 'error');
@@ -219,14 +795,27 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const handleDeleteTrip = async (tripId) => {
         if (!isLoggedIn() || !tripId) return;
+        const trip = trips.find(t => String(t.id) === String(tripId));
+
+        // Trips with expenses (or drafts) need a decision about those expenses first
+        if (trip && (trip.expenseCount > 0 || trip.draftCount > 0)) {
+            openDeleteTripModal(trip);
+            return;
+        }
 
         if (!confirm(`Are you sure you want to delete this trip? This cannot be undone.`)) {
             return;
         }
+        await deleteTrip(tripId, 'refuse');
+    };
+
+    const deleteTrip = async (tripId, mode, targetTripId) => {
+        const params = new URLSearchParams({ mode });
+        if (targetTripId) params.set('targetTripId', targetTripId);
 
         // showLoadingOverlay(); // Maybe not needed for simple delete
         try {
-            const response = await fetchWithAuth(`/api/trips/${tripId}`, { method: 'DELETE' });
+            const response = await fetchWithAuth(`/api/trips/${tripId}?${params.toString()}`, { method: 'DELETE' });
             const result = await response.json();
             if (!response.ok) {
                  throw new Error(result.message || `HTTP error! status: ${response.status}`);
@@ -244,6 +833,40 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    // --- Delete Trip Modal ---
+    const openDeleteTripModal = (trip) => {
+        tripToDelete = trip;
+        const draftNote = trip.draftCount > 0 ? ` and ${trip.draftCount} receipt(s) awaiting review` : '';
+        deleteTripMessage.textContent = `"${trip.name}" has ${trip.expenseCount} expense(s)${draftNote}. What should happen to them?`;
+        // Expenses can only be moved to another trip the user owns
+        const otherTrips = trips.filter(t => t.id !== trip.id && (!t.role || t.role === 'owner'));
+        reassignTripSelect.innerHTML = otherTrips.map(t => `<option value="${t.id}">${t.name}</option>`).join('');
+        // Moving is only possible when there is another trip to move to
+        const reassignOption = deleteTripModal.querySelector('input[value="reassign"]');
+        reassignOption.disabled = otherTrips.length === 0;
+        reassignTripSelect.disabled = otherTrips.length === 0;
+        deleteTripModal.querySelector('input[value="cascade"]').checked = true;
+        deleteTripModal.style.display = 'block';
+    };
+
+    const closeDeleteTripModal = () => {
+        deleteTripModal.style.display = 'none';
+        tripToDelete = null;
+    };
+
+    const handleConfirmDeleteTrip = async () => {
+        if (!tripToDelete) return;
+        const mode = deleteTripModal.querySelector('input[name="delete-mode"]:checked').value;
+        const tripId = tripToDelete.id;
+        const targetTripId = mode === 'reassign' ? reassignTripSelect.value : null;
+        if (mode === 'reassign' && !targetTripId) {
+            showToast('Please choose a trip to move the expenses to.', 'error');
+            return;
+        }
+        closeDeleteTripModal();
+        await deleteTrip(tripId, mode, targetTripId);
+    };
+
     // Removed populateTripDropdown as it's not needed on this page
 
     // --- Settings Functions (Copied from settings.js) ---
@@ -406,17 +1029,66 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!response.ok) {
                 throw new Error(result.message || `HTTP error! status: ${response.status}`);
             }
-            saveToken(result.token, { id: result.userId, username: result.username });
-            showToast('Login successful!');
-            updateUIForAuthState();
-            fetchAndDisplayTrips(); // Fetch trips after login
-            loginForm.reset();
+            if (result.twoFactorRequired) {
+                showTwoFactorStep(result.twoFactorToken);
+                loginForm.reset();
+                return;
+            }
+            completeLogin(result);
         } catch (error) {
             console.error('Login failed:', error);
             showToast(error.message || 'Login failed.', 'error');
         }
     };
 
+    function completeLogin(result) {
+        saveToken(result.token, { id: result.userId, username: result.username, role: result.role }, result.refreshToken);
+        showToast('Login successful!');
+        updateUIForAuthState();
+        fetchAndDisplayTrips(); // Fetch trips after login
+        loginForm.reset();
+    }
+
+    // --- Two-Factor Login Step ---
+    // With 2FA on, the password step returns a short-lived token to send along with the code
+    let twoFactorToken = null;
+
+    function showTwoFactorStep(token) {
+        twoFactorToken = token;
+        loginFormContainer.classList.add('hidden');
+        twoFactorFormContainer.classList.remove('hidden');
+        twoFactorForm.elements.code.focus();
+    }
+
+    function cancelTwoFactorStep() {
+        twoFactorToken = null;
+        twoFactorForm.reset();
+        twoFactorFormContainer.classList.add('hidden');
+        loginFormContainer.classList.remove('hidden');
+    }
+
+    async function handleTwoFactor(event) {
+        event.preventDefault();
+        try {
+            const response = await fetch('/api/auth/login/2fa', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ twoFactorToken, code: twoFactorForm.elements.code.value })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                // Anything but a wrong code means the token is spent; start over with the password
+                if (result.reason !== 'wrong_code') cancelTwoFactorStep();
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+            cancelTwoFactorStep();
+            completeLogin(result);
+        } catch (error) {
+            console.error('Two-factor login failed:', error);
+            showToast(error.message || 'Login failed.', 'error');
+        }
+    };
+
      async function handleRegister(event) {
         event.preventDefault();
         const formData = new FormData(registerForm);
@@ -448,7 +1120,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    function handleLogout() {
+    async function handleLogout() {
+        // End the session on the server too, so its refresh token stops working
+        try {
+            await fetchWithAuth('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout request failed:', error);
+        }
         clearToken();
         showToast('Logged out successfully.');
         updateUIForAuthState();
@@ -456,6 +1134,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Event Listeners ---
     loginForm.addEventListener('submit', handleLogin);
+    twoFactorForm.addEventListener('submit', handleTwoFactor);
+    document.getElementById('cancel-two-factor').addEventListener('click', (e) => {
+        e.preventDefault();
+        cancelTwoFactorStep();
+    });
     registerForm.addEventListener('submit', handleRegister);
     logoutButton.addEventListener('click', handleLogout);
     showRegisterLink.addEventListener('click', (e) => {
@@ -471,10 +1154,31 @@ document.addEventListener('DOMContentLoaded', () => {
     // Trip Management Listeners
     addTripButton.addEventListener('click', handleAddTrip);
     tripListUl.addEventListener('click', (event) => { // Delegated listener for delete buttons
-        if (event.target.classList.contains('delete-trip')) {
-            const tripId = event.target.dataset.id;
+        const deleteButton = event.target.closest('.delete-trip'); // Click may land on the icon
+        if (deleteButton) {
+            const tripId = deleteButton.dataset.id;
             handleDeleteTrip(tripId);
         }
+        const editButton = event.target.closest('.edit-trip');
+        if (editButton) {
+            const trip = trips.find(t => String(t.id) === editButton.dataset.id);
+            if (trip) showTripEditForm(editButton.closest('.trip-card'), trip);
+        }
+        const membersButton = event.target.closest('.trip-members');
+        if (membersButton) {
+            const trip = trips.find(t => String(t.id) === membersButton.dataset.id);
+            if (trip) showTripMembers(membersButton.closest('.trip-card'), trip);
+        }
+        const balancesButton = event.target.closest('.trip-balances');
+        if (balancesButton) {
+            const trip = trips.find(t => String(t.id) === balancesButton.dataset.id);
+            if (trip) showTripBalances(balancesButton.closest('.trip-card'), trip);
+        }
+    });
+    confirmDeleteTripButton.addEventListener('click', handleConfirmDeleteTrip);
+    cancelDeleteTripButton.addEventListener('click', closeDeleteTripModal);
+    window.addEventListener('click', (event) => {
+        if (event.target === deleteTripModal) closeDeleteTripModal();
     });
 
     // --- Initialize ---